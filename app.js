@@ -0,0 +1,121 @@
+import express from 'express';
+import cors from 'cors';
+import helmet from 'helmet';
+import booksRouter from './routes/books.js';
+import authorsRouter from './routes/authors.js';
+import searchRouter from './routes/search.js';
+import auditRouter from './routes/audit.js';
+import apiKeysRouter from './routes/apiKeys.js';
+import copiesRouter from './routes/copies.js';
+import loansRouter from './routes/loans.js';
+import holdsRouter from './routes/holds.js';
+import membersRouter from './routes/members.js';
+import worksRouter from './routes/works.js';
+import seriesRouter from './routes/series.js';
+import discountsRouter from './routes/discounts.js';
+import devRouter from './routes/dev.js';
+import healthRouter from './routes/health.js';
+import problemsRouter from './routes/problems.js';
+import { devIssuer } from './middleware/auth.js';
+import { requestId } from './middleware/requestId.js';
+import { requestLog, withRequestContext } from './middleware/requestLog.js';
+import { logger as rootLogger } from './lib/logger.js';
+import { httpMetrics } from './lib/metrics.js';
+import { rateLimitFromEnv } from './middleware/rateLimit.js';
+import { BODY_LIMIT } from './lib/bulk.js';
+import { httpError, sendProblem, toProblem } from './lib/errors.js';
+import { serveSwagger, setupSwagger, swaggerSpec } from './swagger.js';
+
+/**
+ * Build the Express app without binding a port. server.js initializes storage and
+ * listens; tests install their own storage (repositories/index.js#setStorage) instead.
+ * @param {{ logRequests?: boolean, rateLimit?: import('express').RequestHandler | null,
+ *   logger?: ReturnType<import('./lib/logger.js').createLogger> }} [options]
+ *        rateLimit: defaults to the limiter configured by RATE_LIMIT_* env; null for none
+ *        logger: access log and error sink (default: lib/logger.js)
+ */
+export const createApp = ({ logRequests = true, rateLimit = rateLimitFromEnv(), logger = rootLogger } = {}) => {
+  const app = express();
+
+  app.set('trust proxy', 1);
+
+  // Middleware
+  app.use(requestId);
+  app.use(withRequestContext);
+  if (logRequests) app.use(requestLog(logger));
+  app.use(httpMetrics);
+  app.use(helmet());
+  app.use(
+    cors({
+      origin: process.env.CORS_ORIGIN || '*',
+      credentials: false,
+      exposedHeaders: [
+        'ETag',
+        'Link',
+        'X-Total-Count',
+        'X-Request-Id',
+        'RateLimit-Policy',
+        'RateLimit-Limit',
+        'RateLimit-Remaining',
+        'RateLimit-Reset',
+        'Retry-After'
+      ]
+    })
+  );
+  app.use(
+    express.json({
+      type: ['application/json', 'application/merge-patch+json', 'application/json-patch+json'],
+      limit: BODY_LIMIT
+    })
+  );
+
+  // Health, metrics, error type docs & root
+  app.use(healthRouter);
+  app.use('/problems', problemsRouter);
+  app.get('/', (_req, res) => res.send('Library API is up'));
+
+  // Everything below is rate limited (probes and metrics above are not)
+  if (rateLimit) app.use(rateLimit);
+
+  // Local token issuer (AUTH_DEV=true only)
+  if (devIssuer) app.use(devRouter);
+
+  // Routes
+  app.use('/books', booksRouter);
+  app.use('/authors', authorsRouter);
+  app.use('/works', worksRouter);
+  app.use('/series', seriesRouter);
+  app.use('/discounts', discountsRouter);
+  app.use('/copies', copiesRouter);
+  app.use('/loans', loansRouter);
+  app.use('/holds', holdsRouter);
+  app.use('/members', membersRouter);
+  app.use('/search', searchRouter);
+  app.use('/audit', auditRouter);
+  app.use('/api-keys', apiKeysRouter);
+
+  // Swagger
+  app.use('/api-docs', serveSwagger, setupSwagger);
+  app.get('/swagger.json', (_req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.send(swaggerSpec);
+  });
+
+  // 404
+  app.use((req, _res, next) => next(httpError(404, `No route for ${req.method} ${req.path}`)));
+
+  // Error handler: everything becomes application/problem+json (lib/errors.js)
+  app.use((err, req, res, next) => {
+    const problem = toProblem(err, req);
+    // Client errors are visible in the access log; details only at debug
+    logger[problem.status >= 500 ? 'error' : 'debug']('request failed', {
+      requestId: req.id,
+      status: problem.status,
+      err
+    });
+    if (res.headersSent) return next(err); // e.g. failure mid-way through a streamed export
+    sendProblem(res, problem);
+  });
+
+  return app;
+};
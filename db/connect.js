@@ -1,44 +1,90 @@
 import { MongoClient, ServerApiVersion } from 'mongodb';
+import { logger, redactUri } from '../lib/logger.js';
+import { monitorPool } from '../lib/metrics.js';
+import { MongoEnv, loadConfig } from '../lib/config.js';
+import { retry } from '../lib/retry.js';
 
 let client;
 let db;
+let available = false;
 
-export const connectToDb = async (uri, dbName) => {
-  if (!uri) throw new Error('MONGODB_URI is not defined');
-  if (!dbName) throw new Error('DB_NAME is not defined');
-  if (db) return db;
-
-  client = new MongoClient(uri, {
-    serverApi: { version: ServerApiVersion.v1, strict: true, deprecationErrors: true },
-    serverSelectionTimeoutMS: 10000,
-    connectTimeoutMS: 10000
+/**
+ * Follow the driver's view of the deployment: available while a writable (primary) server is
+ * known. The driver reconnects by itself; this only tells /readyz whether to report ready.
+ * @param {import('node:events').EventEmitter} mongoClient  MongoClient (or a stand-in in tests)
+ */
+export const watchAvailability = (mongoClient) => {
+  mongoClient.on('topologyDescriptionChanged', ({ newDescription }) => {
+    const writable = [...newDescription.servers.values()].some((server) => server.isWritable);
+    if (writable === available) return;
+    available = writable;
+    if (writable) logger.info('mongo available');
+    else logger.warn('mongo unavailable; waiting for the driver to reconnect');
   });
+};
 
-  console.log('🔌 Connecting to MongoDB…');
-  await client.connect();
-  await client.db('admin').command({ ping: 1 });
+/** Whether MongoDB currently has a reachable primary */
+export const isDbAvailable = () => available;
 
-  db = client.db(dbName);
-  console.log(`✅ Connected to MongoDB: ${db.databaseName}`);
-
-  const close = async (signal) => {
-    try {
-      console.log(`\n🔻 Received ${signal}, closing MongoDB client...`);
-      await client.close();
-      console.log('👋 MongoDB client closed.');
-    } catch (e) {
-      console.error('Error closing MongoDB client:', e);
-    } finally {
-      process.exit(0);
+/**
+ * Connect once (later calls return the same Db), retrying with backoff so a slow or briefly
+ * unreachable cluster doesn't fail the boot. Settings come from lib/config.js (MongoEnv).
+ * @param {ReturnType<typeof MongoEnv.parse>} [config]
+ */
+export const connectToDb = async (config = loadConfig(MongoEnv)) => {
+  if (db) return db;
+  const { uri, dbName, clientOptions, retries, backoffMs } = config;
+
+  logger.info('mongo connecting', { uri: redactUri(uri), maxPoolSize: clientOptions.maxPoolSize });
+  const started = Date.now();
+  client = await retry(
+    async () => {
+      const candidate = new MongoClient(uri, {
+        serverApi: { version: ServerApiVersion.v1, strict: true, deprecationErrors: true },
+        ...clientOptions
+      });
+      monitorPool(candidate);
+      watchAvailability(candidate);
+      try {
+        await candidate.connect();
+        await candidate.db('admin').command({ ping: 1 });
+        return candidate;
+      } catch (err) {
+        await candidate.close().catch(() => {});
+        throw err;
+      }
+    },
+    {
+      retries,
+      backoffMs,
+      onRetry: (err, attempt, waitMs) =>
+        logger.warn('mongo connect failed; retrying', { attempt, of: retries + 1, retryInMs: waitMs, err })
     }
-  };
-  process.once('SIGINT', () => close('SIGINT'));
-  process.once('SIGTERM', () => close('SIGTERM'));
+  );
 
+  db = client.db(dbName);
+  logger.info('mongo connected', { db: db.databaseName, durationMs: Date.now() - started });
   return db;
 };
 
+/** Close the client (graceful shutdown, CLI); a later connectToDb() starts over */
+export const closeDb = async () => {
+  if (!client) return;
+  logger.info('mongo closing');
+  await client.close();
+  client = undefined;
+  db = undefined;
+  available = false;
+  logger.info('mongo closed');
+};
+
 export const getDb = () => {
   if (!db) throw new Error('Database not initialized. Call connectToDb first.');
   return db;
 };
+
+/** The underlying MongoClient (sessions/transactions) */
+export const getClient = () => {
+  if (!client) throw new Error('Database not initialized. Call connectToDb first.');
+  return client;
+};
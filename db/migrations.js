@@ -0,0 +1,74 @@
+// db/migrations.js
+import { readdir } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+/**
+ * Versioned migrations:
+ *  - files in /migrations named NNN-description.js, applied in filename order
+ *  - each exports `up(db)` and `down(db)`
+ *  - applied migrations are recorded in the `_migrations` collection ({ _id: name, appliedAt })
+ */
+
+export const MIGRATIONS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../migrations');
+const COLLECTION = '_migrations';
+
+const listMigrationFiles = async () => {
+  const files = await readdir(MIGRATIONS_DIR);
+  return files.filter((f) => /^\d+-.+\.js$/.test(f)).sort();
+};
+
+const loadMigration = async (file) => {
+  const mod = await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)).href);
+  if (typeof mod.up !== 'function' || typeof mod.down !== 'function') {
+    throw new Error(`Migration ${file} must export up(db) and down(db)`);
+  }
+  return mod;
+};
+
+const nameOf = (file) => file.replace(/\.js$/, '');
+
+/** [{ name, appliedAt|null }] in filename order, plus applied records whose file is gone */
+export const status = async (db) => {
+  const files = await listMigrationFiles();
+  const applied = await db.collection(COLLECTION).find({}).sort({ _id: 1 }).toArray();
+  const appliedAt = new Map(applied.map((m) => [m._id, m.appliedAt]));
+  const known = new Set(files.map(nameOf));
+  return [
+    ...files.map((f) => ({ name: nameOf(f), appliedAt: appliedAt.get(nameOf(f)) ?? null })),
+    ...applied.filter((m) => !known.has(m._id)).map((m) => ({ name: m._id, appliedAt: m.appliedAt, missing: true }))
+  ];
+};
+
+/** Apply every pending migration in order; stops at the first failure */
+export const migrate = async (db, { log = console.log } = {}) => {
+  const done = [];
+  for (const { name, appliedAt, missing } of await status(db)) {
+    if (appliedAt || missing) continue;
+    log(`⬆️  ${name}`);
+    const { up } = await loadMigration(`${name}.js`);
+    await up(db);
+    await db.collection(COLLECTION).insertOne({ _id: name, appliedAt: new Date() });
+    done.push(name);
+  }
+  return done;
+};
+
+/** Revert the most recently applied `steps` migrations */
+export const rollback = async (db, { steps = 1, log = console.log } = {}) => {
+  const applied = await db
+    .collection(COLLECTION)
+    .find({})
+    .sort({ _id: -1 })
+    .limit(steps)
+    .toArray();
+  const done = [];
+  for (const { _id: name } of applied) {
+    log(`⬇️  ${name}`);
+    const { down } = await loadMigration(`${name}.js`);
+    await down(db);
+    await db.collection(COLLECTION).deleteOne({ _id: name });
+    done.push(name);
+  }
+  return done;
+};
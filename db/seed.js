@@ -0,0 +1,103 @@
+// db/seed.js
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { ObjectId } from 'mongodb';
+import { AuthorSchema } from '../models/author.js';
+import { BookSchema, NO_STOCK } from '../models/book.js';
+
+/**
+ * Seed from data/authors.json + data/books.json.
+ *
+ * Ids in the seed files are seed-local: an author's `_id` is only a reference key.
+ * Authors are upserted by email (keeping any existing real _id) and each credit's
+ * `authors[].authorId` is remapped to the real author id before books are upserted by ISBN.
+ * Re-running the seed is therefore idempotent.
+ *
+ * `inStock` in books.json is not a book field any more (it is derived from copies): a book
+ * marked in stock gets one available copy, barcode `<isbn>-1`.
+ */
+
+export const DATA_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../data');
+
+const readJson = async (dir, file) => JSON.parse(await readFile(path.join(dir, file), 'utf8'));
+
+const seedError = (file, index, err) =>
+  new Error(
+    `${file}[${index}]: ${
+      err.issues ? err.issues.map((i) => `${i.path.join('.')}: ${i.message}`).join('; ') : err.message
+    }`
+  );
+
+/**
+ * @param {import('../repositories/index.js').Storage} storage  Mongo or memory repositories
+ * @param {{ dataDir?: string, drop?: boolean, log?: Function }} [options]
+ * @returns {Promise<{ authors: number, books: number, copies: number }>}
+ */
+export const seed = async (
+  { authors, books, copies, loans, holds, members, fines },
+  { dataDir = DATA_DIR, drop = false, log = console.log } = {}
+) => {
+  const rawAuthors = await readJson(dataDir, 'authors.json');
+  const rawBooks = await readJson(dataDir, 'books.json');
+
+  if (drop) {
+    log('🧹 Clearing authors, books, copies, loans, holds, members and fines');
+    for (const repo of [fines, holds, loans, members, copies, books, authors]) await repo.deleteMany({});
+  }
+
+  const idMap = new Map(); // seed id -> real ObjectId
+  for (const [i, raw] of rawAuthors.entries()) {
+    const { _id: seedId, ...rest } = raw;
+    let parsed;
+    try {
+      parsed = AuthorSchema.parse(rest);
+    } catch (err) {
+      throw seedError('authors.json', i, err);
+    }
+    const { _id } = await authors.upsert({ email: parsed.email }, { $set: parsed, $inc: { version: 1 } });
+    if (seedId !== undefined) idMap.set(String(seedId), _id);
+  }
+
+  /** Seed author reference -> real author id (a real id must already be in the database) */
+  const resolveAuthor = async (ref) => {
+    const real = idMap.get(String(ref));
+    if (real || !ObjectId.isValid(String(ref))) return real;
+    return (await authors.findById(new ObjectId(String(ref))))?._id;
+  };
+
+  let seededCopies = 0;
+  for (const [i, raw] of rawBooks.entries()) {
+    const { _id, authors: credits = [], inStock, ...rest } = raw;
+    const remapped = [];
+    for (const credit of credits) {
+      const realAuthorId = await resolveAuthor(credit.authorId);
+      if (!realAuthorId) {
+        throw new Error(`books.json[${i}]: authorId ${credit.authorId} does not match any seeded or existing author`);
+      }
+      remapped.push({ ...credit, authorId: realAuthorId.toString() });
+    }
+    let parsed;
+    try {
+      parsed = BookSchema.parse({ ...rest, authors: remapped });
+    } catch (err) {
+      throw seedError('books.json', i, err);
+    }
+    const { _id: bookId } = await books.upsert(
+      { isbn: parsed.isbn },
+      { $set: parsed, $inc: { version: 1 }, $setOnInsert: NO_STOCK }
+    );
+    if (inStock === true) {
+      const barcode = `${parsed.isbn}-1`;
+      await copies.upsert(
+        { barcode },
+        { $setOnInsert: { bookId, condition: 'good', status: 'available', acquiredAt: new Date(), version: 1 } }
+      );
+      seededCopies += 1;
+    }
+    const available = await copies.count({ bookId, status: 'available' });
+    await books.updateMany({ _id: bookId }, { $set: { inStock: available > 0, availableCopies: available } });
+  }
+
+  return { authors: rawAuthors.length, books: rawBooks.length, copies: seededCopies };
+};
@@ -0,0 +1,64 @@
+// lib/apiKeys.js
+import { createHash, randomBytes } from 'node:crypto';
+import { z } from 'zod';
+import { pagingShape, queryBoolean } from './pagination.js';
+
+/**
+ * API keys for machine clients (e.g. the nightly inventory sync) that can't do an OAuth flow.
+ *
+ * A key looks like `lib_<prefix>_<secret>`. Only its SHA-256 is stored; the prefix is kept in
+ * clear so a key can be recognised in lists. Keys carry the same grant strings as JWT scopes
+ * and go through the same policy (middleware/policy.js); the token subject is `apikey|<id>`,
+ * which survives rotation.
+ *
+ * Presented as `X-API-Key: <key>` or `Authorization: ApiKey <key>` (middleware/apiKey.js).
+ */
+
+/** Grants a key may carry (author:self needs an email, so it is token-only) */
+export const API_KEY_SCOPES = ['read:library', 'write:library', 'admin:library'];
+
+export const API_KEY_SORTABLE = ['name', 'createdAt', 'lastUsedAt'];
+
+const KEY_PATTERN = /^lib_[0-9a-f]{8}_[A-Za-z0-9_-]{32}$/;
+
+/** lastUsedAt is written at most this often per key, not on every request */
+export const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+export const ApiKeyInput = z.object({
+  name: z.string().trim().min(1).max(100),
+  scopes: z
+    .array(z.enum(API_KEY_SCOPES))
+    .min(1)
+    .transform((s) => [...new Set(s)])
+});
+
+/** GET /api-keys query string */
+export const ApiKeyListQuery = z.object({
+  revoked: queryBoolean.optional(),
+  ...pagingShape(API_KEY_SORTABLE)
+});
+
+export const hashApiKey = (key) => createHash('sha256').update(key).digest('hex');
+
+/**
+ * A new random key. `key` is returned to the caller once and never stored.
+ * @returns {{ key: string, prefix: string, hash: string }}
+ */
+export const generateApiKey = () => {
+  const prefix = randomBytes(4).toString('hex');
+  const key = `lib_${prefix}_${randomBytes(24).toString('base64url')}`;
+  return { key, prefix, hash: hashApiKey(key) };
+};
+
+/** The key presented on a request, or null */
+export const apiKeyFromRequest = (req) =>
+  req.get('X-API-Key') ?? /^ApiKey\s+(\S+)\s*$/i.exec(req.get('Authorization') || '')?.[1] ?? null;
+
+export const isWellFormedApiKey = (key) => KEY_PATTERN.test(key);
+
+/** Stored key -> API representation (never includes the hash) */
+export const toApiKeyView = ({ hash: _hash, ...doc }) => doc;
+
+/** Filter for GET /api-keys */
+export const toApiKeyFilter = ({ revoked }) =>
+  revoked === undefined ? {} : { revokedAt: revoked ? { $ne: null } : null };
@@ -0,0 +1,117 @@
+// lib/audit.js
+import { z } from 'zod';
+import { subjectOf } from '../middleware/auth.js';
+import { getStorage } from '../repositories/index.js';
+import { versionOf } from './concurrency.js';
+import { pagingShape, queryObjectId } from './pagination.js';
+
+/**
+ * Audit log: one entry per document written through routes/books.js, routes/authors.js,
+ * routes/copies.js, routes/members.js, routes/works.js, routes/series.js and routes/discounts.js
+ * (plus fines paid or waived at the desk), stored in the `audit` collection:
+ *
+ *   { resource, resourceId, operation, actor, at, requestId, version,
+ *     changes: [{ field, from, to }], before, after }
+ *
+ * - actor is the token `sub` (null when auth is not enforced), requestId is `req.id`
+ * - before/after are full snapshots (before is null on create, after is null on purge)
+ * - version is the document version the write produced (the version purged, for purges);
+ *   it doubles as the revision number for GET /books/:id/revisions and revert
+ */
+
+export const AUDIT_RESOURCES = ['books', 'authors', 'copies', 'members', 'fines', 'works', 'series', 'discounts'];
+export const AUDIT_OPERATIONS = [
+  'create',
+  'replace',
+  'patch',
+  'delete',
+  'restore',
+  'purge',
+  'import',
+  'nullify',
+  'revert',
+  'pay',
+  'waive'
+];
+
+/** GET /audit query string */
+export const AuditQuery = z.object({
+  resource: z.enum(AUDIT_RESOURCES).optional(),
+  id: queryObjectId.optional(),
+  actor: z.string().min(1).optional(),
+  operation: z.enum(AUDIT_OPERATIONS).optional(),
+  ...pagingShape(['at', 'version'])
+});
+
+/** GET /books/:id/revisions query string */
+export const RevisionsQuery = z.object(pagingShape(['at', 'version']));
+
+export const toAuditFilter = (q) => {
+  const filter = {};
+  if (q.resource) filter.resource = q.resource;
+  if (q.id) filter.resourceId = q.id;
+  if (q.actor) filter.actor = q.actor;
+  if (q.operation) filter.operation = q.operation;
+  return filter;
+};
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/** Top-level field changes between two snapshots (`_id` and `version` are ignored) */
+export const diffDocuments = (before, after) =>
+  [...new Set([...Object.keys(before ?? {}), ...Object.keys(after ?? {})])]
+    .filter((field) => field !== '_id' && field !== 'version' && !same(before?.[field], after?.[field]))
+    .sort()
+    .map((field) => ({ field, from: before?.[field] ?? null, to: after?.[field] ?? null }));
+
+/**
+ * Record one write.
+ * @param {import('express').Request} req
+ * @param {'books'|'authors'|'copies'|'members'} resource
+ * @param {string} operation  one of AUDIT_OPERATIONS
+ * @param {{ before?: object|null, after?: object|null }} snapshots  plus any extra entry fields
+ */
+export const recordAudit = (req, resource, operation, { before = null, after = null, ...extra }) =>
+  getStorage().audit.insertOne({
+    resource,
+    resourceId: (after ?? before)._id,
+    operation,
+    actor: subjectOf(req),
+    at: new Date(),
+    requestId: req.id ?? null,
+    version: versionOf(after ?? before),
+    changes: diffDocuments(before, after),
+    before,
+    after,
+    ...extra
+  });
+
+/**
+ * Record a bulk write: `befores` are the documents as read before it, and the current
+ * state of each is re-read from `repo` (purges pass `repo` null: nothing to re-read).
+ */
+export const recordAuditMany = async (req, resource, operation, repo, befores) => {
+  const afters = repo ? await repo.find({ _id: { $in: befores.map((d) => d._id) } }) : [];
+  const afterById = new Map(afters.map((d) => [d._id.toString(), d]));
+  for (const before of befores) {
+    const after = afterById.get(before._id.toString()) ?? null;
+    await recordAudit(req, resource, operation, { before, after });
+  }
+};
+
+/**
+ * runImport `audit` hook: record the rows an import wrote. `writes` pairs each written id
+ * with the document it replaced (null when the row was inserted).
+ */
+export const auditImport = (req, resource, repo) => async (writes) => {
+  const afters = await repo.find({ _id: { $in: writes.map((w) => w._id) } });
+  const afterById = new Map(afters.map((d) => [d._id.toString(), d]));
+  for (const { _id, before } of writes) {
+    const after = afterById.get(_id.toString());
+    if (after) await recordAudit(req, resource, 'import', { before, after });
+  }
+};
+
+/** The audit entry that produced revision `version` of a document (null if unknown) */
+export const findRevision = (resource, resourceId, version) =>
+  getStorage().audit.findOne({ resource, resourceId, version, after: { $ne: null } });
@@ -0,0 +1,298 @@
+// lib/bulk.js
+import { once } from 'node:events';
+import express from 'express';
+import { z } from 'zod';
+import { logger } from './logger.js';
+import { fieldErrors, httpError } from './errors.js';
+
+/**
+ * Bulk import/export shared by /books and /authors.
+ *
+ * Import bodies:  application/json (array), application/x-ndjson, text/csv (header row)
+ * Export formats: ndjson, csv (streamed from the repository cursor)
+ *
+ * Optional:
+ *   BODY_LIMIT=1mb   (max request body, also used for the JSON parser in server.js)
+ */
+
+export const BODY_LIMIT = process.env.BODY_LIMIT || '1mb';
+
+export const IMPORT_TYPES = ['application/json', 'application/x-ndjson', 'text/csv'];
+
+/** JSON is parsed globally; NDJSON/CSV arrive as text */
+export const importBodyParser = express.text({
+  type: ['application/x-ndjson', 'text/csv'],
+  limit: BODY_LIMIT
+});
+
+/** ?dryRun=true&atomic=true&upsert=true */
+export const ImportQuery = z.object({
+  dryRun: z.enum(['true', 'false']).default('false').transform((v) => v === 'true'),
+  atomic: z.enum(['true', 'false']).default('false').transform((v) => v === 'true'),
+  upsert: z.enum(['true', 'false']).default('false').transform((v) => v === 'true')
+});
+
+/* ---------------- CSV ---------------- */
+
+/** Minimal RFC 4180 parser: quoted fields, "" escapes, CRLF/LF, newlines inside quotes */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (quoted) throw httpError(400, 'Malformed CSV: unterminated quoted field');
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => !(r.length === 1 && r[0] === ''));
+};
+
+/** CSV text -> array of { header: value } records ('' cells dropped so optional fields stay optional) */
+export const csvToRecords = (text) => {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header) return [];
+  const columns = header.map((h) => h.trim());
+  return rows.map((cells) => {
+    const record = {};
+    columns.forEach((col, i) => {
+      if (cells[i] !== undefined && cells[i] !== '') record[col] = cells[i];
+    });
+    return record;
+  });
+};
+
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  const s = String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export const csvLine = (values) => `${values.map(csvCell).join(',')}\r\n`;
+
+/** CSV cell coercions for typed fields; bad input is passed through so Zod reports it */
+export const csvNumber = (v) => (v === undefined ? undefined : Number(v));
+export const csvBoolean = (v) => (v === 'true' ? true : v === 'false' ? false : v);
+export const csvList = (v) =>
+  v === undefined ? undefined : v.split(';').map((s) => s.trim()).filter(Boolean);
+
+/* ---------------- Import ---------------- */
+
+/**
+ * Turn the request body into raw row objects according to its Content-Type.
+ * @param {import('express').Request} req
+ * @param {(record: object) => object} fromCsv  per-resource typing of CSV cells
+ * @returns {object[]|null} rows, or null when the media type is unsupported
+ */
+export const readImportRows = (req, fromCsv) => {
+  if (req.is('application/json')) {
+    if (!Array.isArray(req.body)) throw httpError(400, 'JSON import body must be an array');
+    return req.body;
+  }
+  if (req.is('application/x-ndjson')) {
+    return String(req.body ?? '')
+      .split(/\r?\n/)
+      .map((line, i) => ({ line: line.trim(), i }))
+      .filter(({ line }) => line)
+      .map(({ line, i }) => {
+        try {
+          return JSON.parse(line);
+        } catch {
+          throw httpError(400, `Malformed NDJSON on line ${i + 1}`);
+        }
+      });
+  }
+  if (req.is('text/csv')) return csvToRecords(String(req.body ?? '')).map(fromCsv);
+  return null;
+};
+
+export const unsupportedImportType = () =>
+  httpError(415, `Content-Type must be one of: ${IMPORT_TYPES.join(', ')}`);
+
+const writeError = (err) => (err?.code === 11000 ? 'Duplicate key' : 'Write failed');
+
+/**
+ * Validate and write import rows, returning a per-row report.
+ *
+ * @param {object} opts
+ * @param {object} opts.repo            books/authors repository
+ * @param {(fn: Function) => Promise<any>} opts.withTransaction  storage transaction runner
+ * @param {object[]} opts.rows          raw rows (already typed for CSV)
+ * @param {import('zod').ZodTypeAny} opts.schema  BookSchema / AuthorSchema
+ * @param {string} opts.key             natural key used for upserts (isbn / email)
+ * @param {{ dryRun: boolean, atomic: boolean, upsert: boolean }} opts.options
+ * @param {(entries: object[]) => Promise<void>} [opts.check]
+ *        extra async validation over valid entries; set entry.errors ([{ field, message, code }]) to reject a row
+ * @param {(writes: { _id: object, before: object|null }[]) => Promise<void>} [opts.audit]
+ *        called once with every committed write (before = the document an upsert replaced)
+ * @param {object} [opts.defaults]  fields set on inserted documents only (e.g. a book's stock)
+ * @returns {Promise<{ status: number, body: object }>}
+ * Atomic imports that are rejected (422) or rolled back (409) throw a problem carrying the report.
+ */
+export const runImport = async ({
+  repo,
+  withTransaction,
+  rows,
+  schema,
+  key,
+  options,
+  check,
+  audit,
+  defaults = {}
+}) => {
+  const { dryRun, atomic, upsert } = options;
+
+  const entries = rows.map((raw, i) => {
+    const result = schema.safeParse(raw);
+    return result.success
+      ? { row: i + 1, doc: result.data }
+      : { row: i + 1, errors: fieldErrors(result.error) };
+  });
+  if (check) await check(entries.filter((e) => !e.errors));
+
+  const invalid = entries.filter((e) => e.errors).length;
+  const report = (results) => ({
+    dryRun,
+    atomic,
+    upsert,
+    total: entries.length,
+    succeeded: results.filter((r) => ['created', 'updated', 'valid'].includes(r.status)).length,
+    failed: results.filter((r) => ['invalid', 'failed'].includes(r.status)).length,
+    results
+  });
+  const invalidResult = (e) => ({ row: e.row, status: 'invalid', errors: e.errors });
+
+  if (dryRun || (atomic && invalid > 0)) {
+    const results = entries.map((e) =>
+      e.errors ? invalidResult(e) : { row: e.row, status: dryRun ? 'valid' : 'skipped' }
+    );
+    if (!dryRun) {
+      throw httpError(422, `Atomic import rejected: ${invalid} invalid row(s)`, report(results));
+    }
+    return { status: 200, body: report(results) };
+  }
+
+  const writes = [];
+  const writeOne = async (doc, session) => {
+    if (upsert) {
+      const before = audit ? await repo.findOne({ [key]: doc[key] }) : null;
+      const { _id, created } = await repo.upsert(
+        { [key]: doc[key] },
+        { $set: doc, $inc: { version: 1 }, ...(Object.keys(defaults).length > 0 && { $setOnInsert: defaults }) },
+        { session }
+      );
+      writes.push({ _id, before: created ? null : before });
+      return { status: created ? 'created' : 'updated', id: _id.toString() };
+    }
+    const stored = await repo.insertOne({ ...defaults, ...doc, version: 1 }, { session });
+    writes.push({ _id: stored._id, before: null });
+    return { status: 'created', id: stored._id.toString() };
+  };
+  const audited = async (result) => {
+    if (audit && writes.length) await audit(writes);
+    return result;
+  };
+
+  if (atomic) {
+    const results = [];
+    let failedRow;
+    try {
+      await withTransaction(async (session) => {
+        results.length = 0;
+        writes.length = 0;
+        for (const e of entries) {
+          failedRow = e.row;
+          results.push({ row: e.row, ...(await writeOne(e.doc, session)) });
+        }
+      });
+    } catch (err) {
+      if (err?.code !== 11000) throw err;
+      const rolledBack = entries.map((e) =>
+        e.row === failedRow
+          ? { row: e.row, status: 'failed', error: writeError(err) }
+          : { row: e.row, status: 'rolledBack' }
+      );
+      throw httpError(409, `Atomic import rolled back: row ${failedRow} conflicts with an existing record`, {
+        type: 'duplicate-key',
+        ...report(rolledBack)
+      });
+    }
+    return audited({ status: 200, body: report(results) });
+  }
+
+  const results = [];
+  for (const e of entries) {
+    if (e.errors) {
+      results.push(invalidResult(e));
+      continue;
+    }
+    try {
+      results.push({ row: e.row, ...(await writeOne(e.doc)) });
+    } catch (err) {
+      logger.warn('import row failed', { row: e.row, err });
+      results.push({ row: e.row, status: 'failed', error: writeError(err) });
+    }
+  }
+  return audited({ status: 200, body: report(results) });
+};
+
+/* ---------------- Export ---------------- */
+
+/**
+ * Stream a cursor to the response as NDJSON or CSV, honouring backpressure.
+ * @param {import('express').Response} res
+ * @param {AsyncIterable<object> & { close?: () => Promise<void> }} cursor  repo.stream(...)
+ * @param {object} opts
+ * @param {'csv'|'ndjson'} opts.format
+ * @param {string} opts.name        download filename stem (books / authors)
+ * @param {string[]} opts.columns   CSV columns, in order
+ * @param {(doc: object) => object} opts.toRecord  document -> flat JSON-safe record
+ */
+export const streamExport = async (res, cursor, { format, name, columns, toRecord }) => {
+  const csv = format === 'csv';
+  res.status(200);
+  res.set('Content-Type', csv ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${name}.${csv ? 'csv' : 'ndjson'}"`);
+
+  const write = async (chunk) => {
+    if (!res.write(chunk)) await Promise.race([once(res, 'drain'), once(res, 'close')]);
+  };
+
+  try {
+    if (csv) await write(csvLine(columns));
+    for await (const doc of cursor) {
+      if (res.destroyed) break;
+      const record = toRecord(doc);
+      await write(csv ? csvLine(columns.map((c) => record[c])) : `${JSON.stringify(record)}\n`);
+    }
+  } finally {
+    await cursor.close?.();
+  }
+  res.end();
+};
@@ -0,0 +1,429 @@
+// lib/circulation.js
+import { getStorage } from '../repositories/index.js';
+import { z } from 'zod';
+import { CirculationEnv, loadConfig } from './config.js';
+import { concurrentModification, nextVersion, versionFilter } from './concurrency.js';
+import { httpError } from './errors.js';
+import { PRICE_CURRENCIES, RATES, convert, formatAmount, parseAmount, sameMoney } from './money.js';
+import { ACTIVE } from './trash.js';
+import { CIRCULATING } from '../models/copy.js';
+import { ACTIVE_LOAN, OPEN_HOLD } from '../models/loan.js';
+import { TIER_LIMITS } from '../models/member.js';
+
+/**
+ * Lending: copies, loans, hold queues and fines (models/copy.js, models/loan.js, models/member.js).
+ *
+ * - Checkout takes an available copy (or the copy set aside for the member's ready hold)
+ *   and opens a loan due in LOAN_DAYS. Renewing extends it to LOAN_DAYS from today, at most
+ *   LOAN_MAX_RENEWALS times, and never while others are waiting for the book.
+ * - Only members in good standing (active, not expired) borrow or place holds, up to their
+ *   tier's limits (TIER_LIMITS). A loan returned late leaves an unpaid fine of FINE_PER_DAY per
+ *   started day, capped at FINE_MAX. Fines are money (lib/money.js) in FINE_CURRENCY.
+ * - Returning a copy hands it to the first waiting hold (status `ready`, copy `on_hold`), or
+ *   puts it back on the shelf. A ready hold not picked up within HOLD_PICKUP_DAYS expires and
+ *   the copy moves on to the next in line; expiry is applied whenever the book's queue is touched.
+ * - A book's `inStock` / `availableCopies` are derived from its copies here, never set by clients;
+ *   so is a member's `activeLoans`, which checkout raises only while under the limit.
+ *
+ * Every copy status change is a compare-and-swap on the copy's version, so two desks cannot
+ * lend the same copy; the copy update and the loan/hold write share a transaction.
+ */
+
+/** The fine settings as money; a bad currency or amount fails at boot like any other setting */
+const finesAsMoney = (env, ctx) => {
+  const currency = env.fineCurrency ?? RATES.base;
+  if (!PRICE_CURRENCIES.includes(currency)) {
+    const message = `Must be a currency the rates table has: ${PRICE_CURRENCIES.join(', ')}`;
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['FINE_CURRENCY'], message });
+    return z.NEVER;
+  }
+  const money = (key, decimal) => {
+    const { amount, error } = parseAmount(decimal, currency);
+    if (error) ctx.addIssue({ code: z.ZodIssueCode.custom, path: [key], message: error });
+    return { amount, currency };
+  };
+  return { ...env, finePerDay: money('FINE_PER_DAY', env.finePerDay), fineMax: money('FINE_MAX', env.fineMax) };
+};
+
+export const CirculationConfig = CirculationEnv.transform(finesAsMoney);
+
+export const CIRCULATION = loadConfig(CirculationConfig);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+/** Started days past due: as of `now` while active, as of the return once returned */
+export const daysOverdue = (loan, now = new Date()) => {
+  const end = loan.returnedAt ?? now;
+  return end > loan.dueAt ? Math.ceil((end - loan.dueAt) / DAY_MS) : 0;
+};
+
+/** Overdue fine for a loan as of `now` (or its return), as money in FINE_CURRENCY */
+export const fineFor = (loan, now = new Date()) => {
+  const { finePerDay, fineMax } = CIRCULATION;
+  return { amount: Math.min(daysOverdue(loan, now) * finePerDay.amount, fineMax.amount), currency: fineMax.currency };
+};
+
+/**
+ * Sum of `fines` ({ _id, amount }) in FINE_CURRENCY; fines recorded under an earlier currency are
+ * converted. One that can't be (a plain number migration 011 left, a currency the rates table no
+ * longer has) is left out and its id listed in `uncounted`.
+ */
+const total = (fines) => {
+  const { currency } = CIRCULATION.fineMax;
+  const sum = { amount: 0, currency };
+  const uncounted = [];
+  for (const { _id, amount } of fines) {
+    if (!Number.isSafeInteger(amount?.amount)) {
+      uncounted.push(_id);
+      continue;
+    }
+    try {
+      sum.amount += convert(amount, currency).amount;
+    } catch (err) {
+      if (!(err instanceof RangeError)) throw err;
+      uncounted.push(_id);
+    }
+  }
+  return { sum, uncounted };
+};
+
+/** Loan as returned by the API: `overdue` (still out past due) and `daysOverdue` worked out */
+export const toLoanView = (loan, now = new Date()) => ({
+  ...loan,
+  overdue: !loan.returnedAt && loan.dueAt < now,
+  daysOverdue: daysOverdue(loan, now)
+});
+
+/** The live member `memberId`, or 422 */
+const findBorrower = async (memberId) => {
+  const member = await getStorage().members.findOne({ _id: memberId, ...ACTIVE });
+  if (!member) {
+    throw httpError(422, 'Unknown member', {
+      errors: [{ field: 'memberId', message: 'No member has this id', code: 'unknown_reference' }]
+    });
+  }
+  return member;
+};
+
+/** 409 unless the member may borrow: active, and not past the end of their expiry date */
+export const assertInGoodStanding = (member, now = new Date()) => {
+  if (member.status !== 'active') throw httpError(409, `Membership is ${member.status}`);
+  if (member.expiresAt && addDays(member.expiresAt, 1) <= now) {
+    throw httpError(409, `Membership expired on ${member.expiresAt.toISOString().slice(0, 10)}`);
+  }
+};
+
+/** Move a copy to `status`; 412 if it changed since it was read */
+const setCopyStatus = async (copy, status, { session } = {}) => {
+  const doc = { ...copy, status, version: nextVersion(copy) };
+  if (!(await getStorage().copies.replaceOne(versionFilter(copy), doc, { session }))) {
+    throw concurrentModification();
+  }
+  return doc;
+};
+
+/**
+ * Staff edits may take a copy out of circulation or back, but not into or out of a loan/hold.
+ * @param {string|undefined} from  current status (undefined for a new copy)
+ * @param {string} to
+ */
+export const assertStatusChange = (from, to) => {
+  if (from === to) return;
+  if (CIRCULATING.includes(from)) {
+    throw httpError(409, `Copy is ${from.replace('_', ' ')}; return it or cancel the hold first`);
+  }
+  if (CIRCULATING.includes(to)) {
+    throw httpError(422, `Status ${to} is set by checkout and holds`, {
+      errors: [{ field: 'status', message: 'Must be available, lost or withdrawn', code: 'invalid_status' }]
+    });
+  }
+};
+
+/**
+ * Recompute the book's derived stock fields from its copies. They aren't edits, so the version
+ * stays (revisions and If-Match are about edits); the ETag varies on them instead (stockVariant).
+ */
+export const syncStock = async (bookId) => {
+  const { books, copies } = getStorage();
+  const available = await copies.count({ bookId, status: 'available' });
+  await books.updateMany({ _id: bookId }, { $set: { inStock: available > 0, availableCopies: available } });
+};
+
+/** Ready holds past pickup: expire them and put their copies back */
+const expireHolds = async (bookId, now) => {
+  const { copies, holds } = getStorage();
+  const stale = await holds.find({ bookId, status: 'ready', expiresAt: { $lt: now } });
+  for (const hold of stale) {
+    if (!(await holds.updateMany({ _id: hold._id, status: 'ready' }, { $set: { status: 'expired', closedAt: now } }))) {
+      continue; // picked up or cancelled meanwhile
+    }
+    const copy = await copies.findOne({ _id: hold.copyId, status: 'on_hold' });
+    if (copy) await setCopyStatus(copy, 'available');
+  }
+};
+
+/** Give available copies to waiting holds, oldest hold first */
+const fillHolds = async (bookId, now) => {
+  const { copies, holds } = getStorage();
+  const waiting = await holds.find({ bookId, status: 'waiting' }, { sort: [['placedAt', 1], ['_id', 1]] });
+  if (!waiting.length) return;
+  const shelf = await copies.find({ bookId, status: 'available' }, { sort: [['_id', 1]] });
+  for (const [i, hold] of waiting.slice(0, shelf.length).entries()) {
+    let copy;
+    try {
+      copy = await setCopyStatus(shelf[i], 'on_hold');
+    } catch (err) {
+      if (err.statusCode === 412) continue; // lent or edited meanwhile; the next refresh catches up
+      throw err;
+    }
+    const ready = {
+      status: 'ready',
+      copyId: copy._id,
+      readyAt: now,
+      expiresAt: addDays(now, CIRCULATION.holdPickupDays)
+    };
+    if (!(await holds.updateMany({ _id: hold._id, status: 'waiting' }, { $set: ready }))) {
+      await setCopyStatus(copy, 'available');
+    }
+  }
+};
+
+/** Bring a book's hold queue and stock up to date (after any copy, loan or hold change) */
+export const refreshBook = async (bookId, now = new Date()) => {
+  await expireHolds(bookId, now);
+  await fillHolds(bookId, now);
+  await syncStock(bookId);
+};
+
+/**
+ * Lend a copy.
+ * @param {{ copyFilter: object, field: string, memberId: import('mongodb').ObjectId,
+ *           actor: string|null, now?: Date }} input
+ *        copyFilter finds the copy ({ _id } or { barcode }); field names it in a 422
+ * @returns {Promise<object>} the new loan
+ */
+export const checkout = async ({ copyFilter, field, memberId, actor, now = new Date() }) => {
+  const { books, copies, loans, holds, members, withTransaction } = getStorage();
+  const member = await findBorrower(memberId);
+  assertInGoodStanding(member, now);
+  const { maxLoans } = TIER_LIMITS[member.tier];
+  const limitReached = () => httpError(409, `Loan limit reached (${maxLoans} for the ${member.tier} tier)`);
+  if (member.activeLoans >= maxLoans) throw limitReached();
+
+  const found = await copies.findOne(copyFilter);
+  if (!found) {
+    throw httpError(422, 'Unknown copy', {
+      errors: [{ field, message: 'No copy matches', code: 'unknown_reference' }]
+    });
+  }
+  if (!(await books.exists({ _id: found.bookId, ...ACTIVE }))) throw httpError(409, 'The copy\'s book is in the trash');
+  await refreshBook(found.bookId, now);
+
+  const copy = await copies.findById(found._id);
+  let hold = null;
+  if (copy.status === 'on_hold') {
+    hold = await holds.findOne({ copyId: copy._id, status: 'ready' });
+    if (!hold?.memberId?.equals(memberId)) throw httpError(409, 'Copy is set aside for another member\'s hold');
+  } else if (copy.status !== 'available') {
+    throw httpError(409, `Copy is not available (${copy.status.replace('_', ' ')})`);
+  }
+
+  const loan = await withTransaction(async (session) => {
+    // Count the loan against the limit first: a conditional increment, so two desks lending to
+    // the same member at once cannot both take the last slot
+    const counted = await members.updateMany(
+      { _id: memberId, activeLoans: { $lt: maxLoans } },
+      { $inc: { activeLoans: 1 } },
+      { session }
+    );
+    if (!counted) throw limitReached();
+    await setCopyStatus(copy, 'on_loan', { session });
+    const stored = await loans.insertOne(
+      {
+        copyId: copy._id,
+        bookId: copy.bookId,
+        barcode: copy.barcode,
+        memberId,
+        checkedOutAt: now,
+        checkedOutBy: actor,
+        dueAt: addDays(now, CIRCULATION.loanDays),
+        renewals: 0,
+        lastRenewedAt: null,
+        returnedAt: null,
+        returnedBy: null
+      },
+      { session }
+    );
+    if (hold) {
+      await holds.updateMany(
+        { _id: hold._id },
+        { $set: { status: 'fulfilled', closedAt: now, loanId: stored._id } },
+        { session }
+      );
+    }
+    return stored;
+  });
+  await syncStock(copy.bookId);
+  return loan;
+};
+
+/**
+ * Check a loan's copy back in; it goes to the next hold or back on the shelf.
+ * A late return leaves an unpaid fine on the member.
+ */
+export const returnLoan = async ({ loan, actor, now = new Date() }) => {
+  const { copies, fines, loans, members, withTransaction } = getStorage();
+  if (loan.returnedAt) throw httpError(409, 'Loan is already returned');
+  await withTransaction(async (session) => {
+    const returned = await loans.updateMany(
+      { _id: loan._id, ...ACTIVE_LOAN },
+      { $set: { returnedAt: now, returnedBy: actor } },
+      { session }
+    );
+    if (!returned) throw concurrentModification();
+    if (loan.memberId) {
+      await members.updateMany({ _id: loan.memberId }, { $inc: { activeLoans: -1 } }, { session });
+    }
+    const copy = await copies.findOne({ _id: loan.copyId, status: 'on_loan' }, { session });
+    if (copy) await setCopyStatus(copy, 'available', { session });
+    const amount = fineFor({ ...loan, returnedAt: now });
+    if (amount.amount > 0 && loan.memberId) {
+      await fines.insertOne(
+        {
+          memberId: loan.memberId,
+          loanId: loan._id,
+          bookId: loan.bookId,
+          reason: 'overdue',
+          days: daysOverdue({ ...loan, returnedAt: now }),
+          amount,
+          status: 'unpaid',
+          createdAt: now,
+          closedAt: null,
+          closedBy: null
+        },
+        { session }
+      );
+    }
+  });
+  await refreshBook(loan.bookId, now);
+  return loans.findById(loan._id);
+};
+
+/** Extend an active loan to LOAN_DAYS from now (never shortening it), for members in good standing */
+export const renewLoan = async ({ loan, now = new Date() }) => {
+  const { holds, loans } = getStorage();
+  if (loan.returnedAt) throw httpError(409, 'Loan is already returned');
+  if (loan.renewals >= CIRCULATION.maxRenewals) {
+    throw httpError(409, `Renewal limit reached (${CIRCULATION.maxRenewals})`);
+  }
+  if (loan.memberId) assertInGoodStanding(await findBorrower(loan.memberId), now);
+  await refreshBook(loan.bookId, now);
+  if (await holds.exists({ bookId: loan.bookId, status: 'waiting' })) {
+    throw httpError(409, 'Other members are waiting for this book');
+  }
+  const dueAt = new Date(Math.max(loan.dueAt.getTime(), addDays(now, CIRCULATION.loanDays).getTime()));
+  const renewed = await loans.updateMany(
+    { _id: loan._id, renewals: loan.renewals, ...ACTIVE_LOAN },
+    { $set: { dueAt, lastRenewedAt: now }, $inc: { renewals: 1 } }
+  );
+  if (!renewed) throw concurrentModification();
+  return loans.findById(loan._id);
+};
+
+/**
+ * Join a book's hold queue. If a copy is on the shelf it is set aside at once (status `ready`).
+ * @returns {Promise<object>} the hold
+ */
+export const placeHold = async ({ bookId, memberId, actor, now = new Date() }) => {
+  const { holds, loans } = getStorage();
+  const member = await findBorrower(memberId);
+  assertInGoodStanding(member, now);
+  if (await holds.exists({ bookId, memberId, ...OPEN_HOLD })) {
+    throw httpError(409, 'This member already has a hold on this book');
+  }
+  if (await loans.exists({ bookId, memberId, ...ACTIVE_LOAN })) {
+    throw httpError(409, 'This member already has this book on loan');
+  }
+  const { maxHolds } = TIER_LIMITS[member.tier];
+  if ((await holds.count({ memberId, ...OPEN_HOLD })) >= maxHolds) {
+    throw httpError(409, `Hold limit reached (${maxHolds} for the ${member.tier} tier)`);
+  }
+  const hold = await holds.insertOne({
+    bookId,
+    memberId,
+    placedAt: now,
+    placedBy: actor,
+    status: 'waiting',
+    copyId: null,
+    readyAt: null,
+    expiresAt: null,
+    closedAt: null
+  });
+  await refreshBook(bookId, now);
+  return holds.findById(hold._id);
+};
+
+/** Leave the queue; a copy set aside for the hold goes to the next in line */
+export const cancelHold = async ({ hold, now = new Date() }) => {
+  const { copies, holds } = getStorage();
+  if (!OPEN_HOLD.status.$in.includes(hold.status)) throw httpError(409, `Hold is already ${hold.status}`);
+  if (!(await holds.updateMany({ _id: hold._id, status: hold.status }, { $set: { status: 'cancelled', closedAt: now } }))) {
+    throw concurrentModification();
+  }
+  if (hold.status === 'ready') {
+    const copy = await copies.findOne({ _id: hold.copyId, status: 'on_hold' });
+    if (copy) await setCopyStatus(copy, 'available');
+  }
+  await refreshBook(hold.bookId, now);
+  return holds.findById(hold._id);
+};
+
+/** Open holds on a book in queue order; waiting ones carry their 1-based `position` */
+export const holdQueue = async (bookId, now = new Date()) => {
+  await refreshBook(bookId, now);
+  const open = await getStorage().holds.find({ bookId, ...OPEN_HOLD }, { sort: [['placedAt', 1], ['_id', 1]] });
+  let position = 0;
+  return open.map((h) => (h.status === 'waiting' ? { ...h, position: (position += 1) } : h));
+};
+
+/**
+ * A member's fines: recorded ones (optionally by status), what they owe, and what their
+ * overdue loans would add if returned now. Unpaid fines `owed` can't count are listed in `uncounted`.
+ * @returns {Promise<{ owed: object, accruing: object, uncounted?: import('mongodb').ObjectId[], fines: object[] }>}
+ *          owed / accruing as money
+ */
+export const fineAccount = async (memberId, { status } = {}, now = new Date()) => {
+  const { fines, loans } = getStorage();
+  const recorded = await fines.find({ memberId }, { sort: [['createdAt', -1], ['_id', -1]] });
+  const overdue = await loans.find({ memberId, ...ACTIVE_LOAN, dueAt: { $lt: now } });
+  const owed = total(recorded.filter((f) => f.status === 'unpaid'));
+  return {
+    owed: owed.sum,
+    accruing: total(overdue.map((l) => ({ _id: l._id, amount: fineFor(l, now) }))).sum,
+    ...(owed.uncounted.length ? { uncounted: owed.uncounted } : {}),
+    fines: status ? recorded.filter((f) => f.status === status) : recorded
+  };
+};
+
+/**
+ * Close an unpaid fine as `paid` or `waived`. `amount` (money), when given, is what the desk
+ * takes the fine to be: 422 unless it is exactly the fine's amount and currency.
+ */
+export const closeFine = async ({ fine, status, amount, actor, now = new Date() }) => {
+  const { fines } = getStorage();
+  if (fine.status !== 'unpaid') throw httpError(409, `Fine is already ${fine.status}`);
+  if (amount && !sameMoney(amount, fine.amount)) {
+    const shown = (m) => (m?.currency ? `${formatAmount(m)} ${m.currency}` : String(m)); // plain: not migrated
+    throw httpError(422, `The fine is ${shown(fine.amount)}, not ${shown(amount)}`, {
+      errors: [{ field: 'amount', message: 'Must equal the fine\'s amount', code: 'amount_mismatch' }]
+    });
+  }
+  const closed = await fines.updateMany(
+    { _id: fine._id, status: 'unpaid' },
+    { $set: { status, closedAt: now, closedBy: actor } }
+  );
+  if (!closed) throw concurrentModification();
+  return fines.findById(fine._id);
+};
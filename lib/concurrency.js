@@ -0,0 +1,71 @@
+// lib/concurrency.js
+
+/**
+ * Optimistic concurrency via a per-document `version` counter.
+ *
+ * - Every write sets/bumps `version`; documents written before versioning count as 0.
+ * - GET returns a strong ETag derived from it and honours If-None-Match (304). Where one version
+ *   can read differently (a book's stock, its prices: currency, running discounts) the tag carries
+ *   a `variant` too, so a cached copy of another reading is not revalidated.
+ * - If-Match compares versions only: any variant's tag of the current version matches.
+ * - PUT/PATCH/DELETE honour If-Match (412 on mismatch) and use the version as a
+ *   compare-and-swap filter, so a concurrent writer cannot be silently overwritten.
+ *
+ * Optional:
+ *   REQUIRE_IF_MATCH=true   (428 when a PUT/PATCH/DELETE omits If-Match)
+ */
+
+import { httpError } from './errors.js';
+
+export const REQUIRE_IF_MATCH = String(process.env.REQUIRE_IF_MATCH || '').toLowerCase() === 'true';
+
+export const versionOf = (doc) => doc.version ?? 0;
+export const nextVersion = (doc) => versionOf(doc) + 1;
+
+/** Filter matching the exact version we read (`null` also matches legacy docs without the field) */
+export const versionFilter = (doc) => ({ _id: doc._id, version: doc.version ?? null });
+
+/** `"<id>-v<version>"`, or `"<id>-v<version>-<variant>"` for a variant (letters, digits and dashes) */
+export const etagFor = (doc, variant) => `"${doc._id}-v${versionOf(doc)}${variant ? `-${variant}` : ''}"`;
+
+export const setETag = (res, doc, variant) => res.set('ETag', etagFor(doc, variant));
+
+/** Parse an If-Match / If-None-Match header into a list of tags ('*' kept as-is) */
+const parseTags = (header) =>
+  header
+    .split(',')
+    .map((t) => t.trim())
+    .filter(Boolean);
+
+/** If-None-Match uses weak comparison: W/"x" matches "x" */
+const weak = (tag) => tag.replace(/^W\//, '');
+
+/** The version part of a tag: `"x-v3-s2-pab12"` -> `"x-v3"` */
+const withoutVariant = (tag) => tag.replace(/(-v\d+)-[0-9a-z-]+"$/, '$1"');
+
+/** True when a conditional GET of `variant` can be answered with 304 */
+export const notModified = (req, doc, variant) => {
+  const header = req.get('If-None-Match');
+  if (!header) return false;
+  const etag = etagFor(doc, variant);
+  return parseTags(header).some((t) => t === '*' || weak(t) === etag);
+};
+
+/**
+ * Enforce If-Match for an unsafe method against the current document.
+ * Throws 428 when required but missing, 412 when no tag matches (strong comparison).
+ */
+export const checkIfMatch = (req, doc) => {
+  const header = req.get('If-Match');
+  if (!header) {
+    if (REQUIRE_IF_MATCH) throw httpError(428, 'If-Match header is required for this request');
+    return;
+  }
+  const etag = etagFor(doc);
+  const ok = parseTags(header).some((t) => t === '*' || withoutVariant(t) === etag);
+  if (!ok) throw httpError(412, 'Precondition failed: resource has been modified');
+};
+
+/** The compare-and-swap write matched nothing: someone else wrote in between */
+export const concurrentModification = () =>
+  httpError(412, 'Precondition failed: resource was modified concurrently');
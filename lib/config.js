@@ -0,0 +1,139 @@
+// lib/config.js
+import { z } from 'zod';
+
+/**
+ * Validated process configuration. Invalid values fail at boot with every problem listed,
+ * instead of surfacing later as a driver error or NaN.
+ *
+ * Server:
+ *   PORT=8080
+ *   SHUTDOWN_TIMEOUT_MS=10000              time to drain in-flight requests on SIGTERM/SIGINT
+ *
+ * MongoDB (STORAGE=mongo):
+ *   MONGODB_URI, DB_NAME                   required
+ *   MONGO_MAX_POOL_SIZE=20, MONGO_MIN_POOL_SIZE=0
+ *   MONGO_SERVER_SELECTION_TIMEOUT_MS=10000, MONGO_CONNECT_TIMEOUT_MS=10000, MONGO_SOCKET_TIMEOUT_MS=45000
+ *   MONGO_READ_CONCERN=local               local | available | majority | linearizable | snapshot
+ *   MONGO_READ_PREFERENCE=primary          primary | primaryPreferred | secondary | secondaryPreferred | nearest
+ *   MONGO_WRITE_CONCERN=majority           majority or a number of nodes
+ *   MONGO_WRITE_TIMEOUT_MS=0               how long a write waits for that concern (0 = no limit)
+ *   MONGO_CONNECT_RETRIES=5                attempts after the first at boot, with exponential backoff
+ *   MONGO_CONNECT_BACKOFF_MS=1000          first wait (doubles per attempt, capped at 30s)
+ *
+ * Circulation (lib/circulation.js):
+ *   LOAN_DAYS=21                           loan period, also what a renewal extends to (from today)
+ *   LOAN_MAX_RENEWALS=2                    renewals per loan
+ *   HOLD_PICKUP_DAYS=7                     how long a copy set aside for a hold waits for pickup
+ *   FINE_CURRENCY                          currency of fines, one the rates table has (default: its base currency)
+ *   FINE_PER_DAY=0.25                      overdue fine per started day late, in FINE_CURRENCY
+ *   FINE_MAX=10                            cap on the fine for one loan
+ *
+ * Pricing (lib/money.js):
+ *   EXCHANGE_RATES_FILE                    rates table for ?currency= conversion (default data/exchange-rates.json)
+ */
+
+/** Unset and empty (`KEY=` in .env) both mean "use the default" */
+const unsetIfEmpty = (schema) => z.preprocess((v) => (v === '' ? undefined : v), schema);
+
+const int = (fallback, { min = 0, max = Number.MAX_SAFE_INTEGER } = {}) =>
+  unsetIfEmpty(z.coerce.number().int().min(min).max(max).default(fallback));
+
+// a decimal string; lib/circulation.js turns it into money once the currency is known
+const decimal = (fallback) => unsetIfEmpty(z.string().trim().default(fallback));
+
+export const ServerEnv = z
+  .object({
+    PORT: int(8080, { max: 65535 }),
+    SHUTDOWN_TIMEOUT_MS: int(10000, { min: 1 })
+  })
+  .transform((env) => ({ port: env.PORT, shutdownTimeoutMs: env.SHUTDOWN_TIMEOUT_MS }));
+
+export const MongoEnv = z
+  .object({
+    MONGODB_URI: unsetIfEmpty(
+      z
+        .string({ required_error: 'MONGODB_URI is not defined' })
+        .regex(/^mongodb(\+srv)?:\/\//, 'Expected a mongodb:// or mongodb+srv:// connection string')
+    ),
+    DB_NAME: unsetIfEmpty(z.string({ required_error: 'DB_NAME is not defined' }).trim().min(1)),
+    MONGO_MAX_POOL_SIZE: int(20, { min: 1 }),
+    MONGO_MIN_POOL_SIZE: int(0),
+    MONGO_SERVER_SELECTION_TIMEOUT_MS: int(10000, { min: 1 }),
+    MONGO_CONNECT_TIMEOUT_MS: int(10000, { min: 1 }),
+    MONGO_SOCKET_TIMEOUT_MS: int(45000),
+    MONGO_READ_CONCERN: unsetIfEmpty(
+      z.enum(['local', 'available', 'majority', 'linearizable', 'snapshot']).default('local')
+    ),
+    MONGO_READ_PREFERENCE: unsetIfEmpty(
+      z.enum(['primary', 'primaryPreferred', 'secondary', 'secondaryPreferred', 'nearest']).default('primary')
+    ),
+    MONGO_WRITE_CONCERN: unsetIfEmpty(
+      z
+        .union([z.literal('majority'), z.coerce.number().int().min(0)], {
+          errorMap: () => ({ message: 'Expected "majority" or a number of nodes' })
+        })
+        .default('majority')
+    ),
+    MONGO_WRITE_TIMEOUT_MS: int(0),
+    MONGO_CONNECT_RETRIES: int(5),
+    MONGO_CONNECT_BACKOFF_MS: int(1000, { min: 1 })
+  })
+  .refine((env) => env.MONGO_MIN_POOL_SIZE <= env.MONGO_MAX_POOL_SIZE, {
+    message: 'MONGO_MIN_POOL_SIZE must not exceed MONGO_MAX_POOL_SIZE',
+    path: ['MONGO_MIN_POOL_SIZE']
+  })
+  .transform((env) => ({
+    uri: env.MONGODB_URI,
+    dbName: env.DB_NAME,
+    /** Passed to new MongoClient() as-is */
+    clientOptions: {
+      maxPoolSize: env.MONGO_MAX_POOL_SIZE,
+      minPoolSize: env.MONGO_MIN_POOL_SIZE,
+      serverSelectionTimeoutMS: env.MONGO_SERVER_SELECTION_TIMEOUT_MS,
+      connectTimeoutMS: env.MONGO_CONNECT_TIMEOUT_MS,
+      socketTimeoutMS: env.MONGO_SOCKET_TIMEOUT_MS,
+      readConcern: { level: env.MONGO_READ_CONCERN },
+      readPreference: env.MONGO_READ_PREFERENCE,
+      writeConcern: { w: env.MONGO_WRITE_CONCERN, wtimeoutMS: env.MONGO_WRITE_TIMEOUT_MS }
+    },
+    retries: env.MONGO_CONNECT_RETRIES,
+    backoffMs: env.MONGO_CONNECT_BACKOFF_MS
+  }));
+
+export const CirculationEnv = z
+  .object({
+    LOAN_DAYS: int(21, { min: 1, max: 365 }),
+    LOAN_MAX_RENEWALS: int(2, { max: 100 }),
+    HOLD_PICKUP_DAYS: int(7, { min: 1, max: 365 }),
+    FINE_CURRENCY: unsetIfEmpty(z.string().trim().toUpperCase().optional()),
+    FINE_PER_DAY: decimal('0.25'),
+    FINE_MAX: decimal('10')
+  })
+  .transform((env) => ({
+    loanDays: env.LOAN_DAYS,
+    maxRenewals: env.LOAN_MAX_RENEWALS,
+    holdPickupDays: env.HOLD_PICKUP_DAYS,
+    fineCurrency: env.FINE_CURRENCY,
+    finePerDay: env.FINE_PER_DAY,
+    fineMax: env.FINE_MAX
+  }));
+
+export const PricingEnv = z
+  .object({
+    EXCHANGE_RATES_FILE: unsetIfEmpty(z.string().trim().min(1).optional())
+  })
+  .transform((env) => ({ ratesFile: env.EXCHANGE_RATES_FILE }));
+
+/**
+ * Parse `env` with `schema`, or throw one error naming every invalid variable.
+ * @template {z.ZodTypeAny} S
+ * @param {S} schema
+ * @param {Record<string, string | undefined>} [env]
+ * @returns {z.output<S>}
+ */
+export const loadConfig = (schema, env = process.env) => {
+  const result = schema.safeParse(env);
+  if (result.success) return result.data;
+  const problems = result.error.issues.map((i) => `${i.path.join('.') || 'env'}: ${i.message}`);
+  throw new Error(`Invalid configuration: ${problems.join('; ')}`);
+};
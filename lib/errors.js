@@ -0,0 +1,267 @@
+// lib/errors.js
+import { z } from 'zod';
+import { ObjectId } from 'mongodb';
+import { UnauthorizedError } from 'express-oauth2-jwt-bearer';
+
+/**
+ * Error model: every error response is RFC 7807 `application/problem+json`.
+ *
+ *   { "type": "/problems/not-found", "title": "Not found", "status": 404,
+ *     "detail": "Book not found", "instance": "/books/66...", "requestId": "..." }
+ *
+ * Routes throw (or pass to next) and app.js renders through toProblem():
+ *   - httpError(status, detail, options)   our own errors
+ *   - ZodError                             400 validation-error, field-level `errors`
+ *   - invalid ObjectId (BSONError)          400 invalid-id
+ *   - duplicate key (code 11000)           409 duplicate-key, naming the field
+ *   - express-oauth2-jwt-bearer errors     400/401/403 with their WWW-Authenticate header
+ *   - body parser errors (bad JSON, size)  400 / 413 / 415
+ *   - anything else                        500, details only in the logs
+ *
+ * `type` URIs are relative to the API and stable; GET /problems/<name> describes each.
+ */
+
+export const PROBLEM_TYPES = {
+  'bad-request': { status: 400, title: 'Bad request', description: 'The request is malformed.' },
+  'validation-error': {
+    status: 400,
+    title: 'Validation error',
+    description: 'The body, query or path failed validation; `errors` lists each field.'
+  },
+  'invalid-id': { status: 400, title: 'Invalid id', description: 'An id is not a 24-character hex ObjectId.' },
+  unauthorized: {
+    status: 401,
+    title: 'Unauthorized',
+    description: 'No valid credentials: the token or API key is missing, expired or invalid.'
+  },
+  forbidden: { status: 403, title: 'Forbidden', description: 'The caller lacks the permission this operation needs.' },
+  'not-found': { status: 404, title: 'Not found', description: 'No such resource (or route).' },
+  conflict: { status: 409, title: 'Conflict', description: 'The request conflicts with the current state.' },
+  'duplicate-key': {
+    status: 409,
+    title: 'Duplicate key',
+    description: 'A unique field (e.g. ISBN or email) already belongs to another record.'
+  },
+  'precondition-failed': {
+    status: 412,
+    title: 'Precondition failed',
+    description: 'If-Match did not match: the resource changed since it was read.'
+  },
+  'payload-too-large': { status: 413, title: 'Payload too large', description: 'The body exceeds BODY_LIMIT.' },
+  'unsupported-media-type': {
+    status: 415,
+    title: 'Unsupported media type',
+    description: 'The Content-Type is not accepted by this operation.'
+  },
+  'unprocessable-entity': {
+    status: 422,
+    title: 'Unprocessable entity',
+    description: 'The request is well-formed but cannot be applied (e.g. it references a missing record).'
+  },
+  'precondition-required': {
+    status: 428,
+    title: 'Precondition required',
+    description: 'This operation needs an If-Match header (REQUIRE_IF_MATCH=true).'
+  },
+  'rate-limited': { status: 429, title: 'Too many requests', description: 'Rate limit exceeded; see Retry-After.' },
+  'internal-error': { status: 500, title: 'Internal server error', description: 'Unexpected failure; see the logs.' },
+  unavailable: { status: 503, title: 'Service unavailable', description: 'A dependency is not reachable.' }
+};
+
+export const problemType = (name) => `/problems/${name}`;
+
+/** Default type for a status without a more specific one */
+const TYPE_BY_STATUS = {
+  400: 'bad-request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not-found',
+  409: 'conflict',
+  412: 'precondition-failed',
+  413: 'payload-too-large',
+  415: 'unsupported-media-type',
+  422: 'unprocessable-entity',
+  428: 'precondition-required',
+  429: 'rate-limited',
+  503: 'unavailable'
+};
+
+/**
+ * An error whose message is safe to show. Renders as a problem of `type` (default: by status).
+ * @param {number} status
+ * @param {string} detail
+ * @param {{ type?: string, errors?: { field: string, message: string, code?: string }[],
+ *   headers?: Record<string, string>, [extension: string]: any }} [options]
+ *        headers: set on the response (e.g. WWW-Authenticate); other keys become problem members
+ */
+export const httpError = (status, detail, { type, errors, headers, ...extensions } = {}) => {
+  const e = new Error(detail);
+  e.statusCode = status;
+  e.expose = true;
+  e.problemType = type;
+  if (errors) e.errors = errors;
+  if (headers) e.headers = headers;
+  e.extensions = extensions;
+  return e;
+};
+
+/** Route param -> ObjectId, or 400 invalid-id */
+export const parseId = (id) => {
+  try {
+    return new ObjectId(id);
+  } catch {
+    throw httpError(400, 'Invalid id format', { type: 'invalid-id' });
+  }
+};
+
+/** ZodError -> [{ field: 'genres.0', message, code }] ('' = the value as a whole) */
+export const fieldErrors = (zodError) =>
+  zodError.issues.map((i) => ({ field: i.path.join('.'), message: i.message, code: i.code }));
+
+const duplicateKey = (err) => {
+  const field = Object.keys(err.keyPattern ?? err.keyValue ?? {})[0];
+  return httpError(409, field ? `Another record already has this ${field}` : 'Duplicate key', {
+    type: 'duplicate-key',
+    ...(field && { errors: [{ field, message: 'Must be unique', code: 'duplicate' }] })
+  });
+};
+
+/** body-parser errors carry `type` (e.g. entity.parse.failed) and a safe status */
+const bodyParserError = (err) => {
+  if (err.type === 'entity.parse.failed') return httpError(400, 'Malformed JSON body');
+  if (err.type === 'entity.too.large') return httpError(413, `Body exceeds the ${err.limit}-byte limit`);
+  return httpError(err.statusCode, err.message);
+};
+
+/** Map anything thrown to the httpError it should be shown as (null: unexpected -> 500) */
+const normalize = (err) => {
+  if (err instanceof z.ZodError) {
+    return httpError(400, 'Request failed validation', { type: 'validation-error', errors: fieldErrors(err) });
+  }
+  if (err?.name === 'BSONError') return httpError(400, 'Invalid id format', { type: 'invalid-id' });
+  if (err?.code === 11000) return duplicateKey(err);
+  if (err instanceof UnauthorizedError) {
+    return httpError(err.statusCode, err.message, { headers: err.headers, ...(err.code && { code: err.code }) });
+  }
+  if (typeof err?.type === 'string' && (err.type.startsWith('entity.') || err.type === 'encoding.unsupported')) {
+    return bodyParserError(err);
+  }
+  if (err?.expose && err.statusCode >= 400 && err.statusCode < 500) return err;
+  return null;
+};
+
+/**
+ * Build the problem response for an error.
+ * @returns {{ status: number, headers: Record<string, string>, body: object }}
+ */
+export const toProblem = (err, req) => {
+  const known = normalize(err);
+  const status = known?.statusCode ?? 500;
+  const name = known?.problemType ?? TYPE_BY_STATUS[status] ?? (status >= 500 ? 'internal-error' : 'bad-request');
+  return {
+    status,
+    headers: known?.headers ?? {},
+    body: {
+      type: problemType(name),
+      title: PROBLEM_TYPES[name]?.title ?? 'Error',
+      status,
+      detail: known ? known.message : 'Internal Server Error',
+      instance: req.originalUrl.split('?')[0],
+      requestId: req.id,
+      ...known?.extensions,
+      ...(known?.errors && { errors: known.errors })
+    }
+  };
+};
+
+export const sendProblem = (res, { status, headers, body }) =>
+  res.status(status).set(headers).type('application/problem+json').json(body);
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     Problem:
+ *       type: object
+ *       description: RFC 7807 problem details (`application/problem+json`)
+ *       required: [type, title, status]
+ *       properties:
+ *         type: { type: string, format: uri-reference, example: /problems/not-found }
+ *         title: { type: string, example: Not found }
+ *         status: { type: integer, example: 404 }
+ *         detail: { type: string, example: Book not found }
+ *         instance: { type: string, example: /books/665f1c2a9b1e8a3d4c5b6a79 }
+ *         requestId: { type: string, description: Same as the X-Request-Id header and the logs }
+ *         errors:
+ *           type: array
+ *           description: Field-level details (validation, duplicate keys, unknown references)
+ *           items: { $ref: '#/components/schemas/FieldError' }
+ *       additionalProperties: true
+ *     FieldError:
+ *       type: object
+ *       properties:
+ *         field: { type: string, description: 'Dotted path, e.g. genres.0; empty for the value as a whole', example: pages }
+ *         message: { type: string, example: Number must be greater than 0 }
+ *         code: { type: string, example: too_small }
+ *   responses:
+ *     BadRequest:
+ *       description: Validation error, invalid id or malformed request
+ *       content:
+ *         application/problem+json:
+ *           schema: { $ref: '#/components/schemas/Problem' }
+ *           example:
+ *             type: /problems/validation-error
+ *             title: Validation error
+ *             status: 400
+ *             detail: Request failed validation
+ *             instance: /books
+ *             errors: [{ field: pages, message: Number must be greater than 0, code: too_small }]
+ *     Unauthorized:
+ *       description: Missing or invalid credentials
+ *       headers:
+ *         WWW-Authenticate: { schema: { type: string } }
+ *       content:
+ *         application/problem+json:
+ *           schema: { $ref: '#/components/schemas/Problem' }
+ *     Forbidden:
+ *       description: The caller lacks the permission in `x-permission`
+ *       content:
+ *         application/problem+json:
+ *           schema: { $ref: '#/components/schemas/Problem' }
+ *     NotFound:
+ *       description: Not found
+ *       content:
+ *         application/problem+json:
+ *           schema: { $ref: '#/components/schemas/Problem' }
+ *     DuplicateKey:
+ *       description: >
+ *         A unique field (ISBN, email) is already taken. For an ISBN the problem also has
+ *         `existing: { id, href }` (or `{ id, trashed: true }`) and a `Link: <href>; rel="duplicate"` header.
+ *       headers:
+ *         Link: { schema: { type: string }, description: 'Duplicate ISBN only: </books/{id}>; rel="duplicate"' }
+ *       content:
+ *         application/problem+json:
+ *           schema: { $ref: '#/components/schemas/Problem' }
+ *     PreconditionFailed:
+ *       description: If-Match did not match the current ETag
+ *       content:
+ *         application/problem+json:
+ *           schema: { $ref: '#/components/schemas/Problem' }
+ *     UnsupportedMediaType:
+ *       description: Unsupported Content-Type
+ *       content:
+ *         application/problem+json:
+ *           schema: { $ref: '#/components/schemas/Problem' }
+ *     PreconditionRequired:
+ *       description: If-Match required (REQUIRE_IF_MATCH=true)
+ *       content:
+ *         application/problem+json:
+ *           schema: { $ref: '#/components/schemas/Problem' }
+ *     TooManyRequests:
+ *       description: Rate limited; retry after `Retry-After` seconds
+ *       headers:
+ *         Retry-After: { schema: { type: integer } }
+ *       content:
+ *         application/problem+json:
+ *           schema: { $ref: '#/components/schemas/Problem' }
+ */
@@ -0,0 +1,47 @@
+// lib/isbn.js
+
+/**
+ * ISBNs: checksum validation and the canonical stored form.
+ *
+ * Clients may send an ISBN-10 or ISBN-13, with or without hyphens/spaces
+ * ("0-201-61622-X", "978 0 201 61622 4"). Books store the ISBN-13 as bare digits; an ISBN-10
+ * is converted by prefixing 978 and recomputing the check digit, so both forms of the same
+ * book hit the same unique index entry.
+ */
+
+const SEPARATORS = /[\s-]/g;
+
+/** ISBN-13 check digit over its first 12 digits (weights 1,3,1,3,...; mod 10) */
+export const isbn13CheckDigit = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < 12; i += 1) sum += Number(digits[i]) * (i % 2 ? 3 : 1);
+  return String((10 - (sum % 10)) % 10);
+};
+
+/** ISBN-10 check digit over its first 9 digits (weights 10..2; mod 11, 10 = X) */
+const isbn10CheckDigit = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < 9; i += 1) sum += Number(digits[i]) * (10 - i);
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? 'X' : String(check);
+};
+
+/**
+ * Canonical ISBN-13 for an ISBN-10 or ISBN-13.
+ * @param {string} raw
+ * @returns {{ isbn: string } | { error: string }}  error: a message safe to show
+ */
+export const normalizeIsbn = (raw) => {
+  const s = String(raw).replace(SEPARATORS, '').toUpperCase();
+  if (/^\d{9}[\dX]$/.test(s)) {
+    if (isbn10CheckDigit(s) !== s[9]) return { error: 'Invalid ISBN-10 check digit' };
+    const body = `978${s.slice(0, 9)}`;
+    return { isbn: body + isbn13CheckDigit(body) };
+  }
+  if (/^\d{13}$/.test(s)) {
+    if (!/^97[89]/.test(s)) return { error: 'ISBN-13 must start with 978 or 979' };
+    if (isbn13CheckDigit(s) !== s[12]) return { error: 'Invalid ISBN-13 check digit' };
+    return { isbn: s };
+  }
+  return { error: 'Must be an ISBN-10 or ISBN-13' };
+};
@@ -0,0 +1,25 @@
+// lib/jwt.js
+import { generateKeyPairSync, sign } from 'node:crypto';
+
+/**
+ * Minimal RS256 signing for locally issued tokens (dev issuer, tests). Verification is
+ * always left to express-oauth2-jwt-bearer via the published JWKS.
+ */
+
+const base64url = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+/** Sign an RS256 JWT (no library needed for the compact serialization) */
+export const signJwt = (payload, { privateKey, kid, alg = 'RS256' }) => {
+  const input = `${base64url({ alg, typ: 'JWT', kid })}.${base64url(payload)}`;
+  return `${input}.${sign('RSA-SHA256', Buffer.from(input), privateKey).toString('base64url')}`;
+};
+
+export const generateRsaKey = () => generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+/** Public JWKS for `publicKey` */
+export const toJwks = (publicKey, kid) => ({
+  keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }]
+});
+
+/** Seconds since the epoch (JWT NumericDate) */
+export const nowSeconds = () => Math.floor(Date.now() / 1000);
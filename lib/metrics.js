@@ -0,0 +1,87 @@
+// lib/metrics.js
+import client from 'prom-client';
+import { requestContext } from './logger.js';
+
+export { client };
+
+/**
+ * Prometheus metrics, served by GET /metrics (routes/health.js).
+ *
+ *   http_requests_total{method,route,status}            counter
+ *   http_request_duration_seconds{method,route}          histogram
+ *   http_request_errors_total{method,route,status}       counter, status >= 400
+ *   mongodb_pool_connections{state="open"|"in_use"}      gauge, from driver pool events
+ *   mongodb_pool_checkout_failures_total{reason}         counter
+ *   library_books / library_books_in_stock               gauges, counted at scrape time (routes/health.js)
+ * plus the prom-client process/runtime defaults.
+ *
+ * `route` is the matched pattern (e.g. /books/:id, recorded by middleware/requestLog.js), or
+ * "unmatched" (404s, static assets), so labels stay bounded.
+ */
+
+export const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+const httpRequests = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by route and status',
+  labelNames: ['method', 'route', 'status'],
+  registers: [registry]
+});
+
+const httpDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency',
+  labelNames: ['method', 'route'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [registry]
+});
+
+const httpErrors = new client.Counter({
+  name: 'http_request_errors_total',
+  help: 'HTTP responses with status >= 400',
+  labelNames: ['method', 'route', 'status'],
+  registers: [registry]
+});
+
+const poolConnections = new client.Gauge({
+  name: 'mongodb_pool_connections',
+  help: 'MongoDB connection pool size (open) and connections checked out (in_use)',
+  labelNames: ['state'],
+  registers: [registry]
+});
+
+const poolCheckoutFailures = new client.Counter({
+  name: 'mongodb_pool_checkout_failures_total',
+  help: 'Failed MongoDB connection checkouts',
+  labelNames: ['reason'],
+  registers: [registry]
+});
+
+/** Count and time every request; mount after withRequestContext */
+export const httpMetrics = (req, res, next) => {
+  const stop = httpDuration.startTimer();
+  const ctx = requestContext.getStore();
+  res.once('finish', () => {
+    const labels = { method: req.method, route: ctx?.route ?? 'unmatched' };
+    const status = String(res.statusCode);
+    stop(labels);
+    httpRequests.inc({ ...labels, status });
+    if (res.statusCode >= 400) httpErrors.inc({ ...labels, status });
+  });
+  next();
+};
+
+/**
+ * Track a MongoClient's pool through CMAP events (db/connect.js calls this before connect).
+ * @param {import('mongodb').MongoClient} mongoClient
+ */
+export const monitorPool = (mongoClient) => {
+  poolConnections.set({ state: 'open' }, 0);
+  poolConnections.set({ state: 'in_use' }, 0);
+  mongoClient.on('connectionCreated', () => poolConnections.inc({ state: 'open' }));
+  mongoClient.on('connectionClosed', () => poolConnections.dec({ state: 'open' }));
+  mongoClient.on('connectionCheckedOut', () => poolConnections.inc({ state: 'in_use' }));
+  mongoClient.on('connectionCheckedIn', () => poolConnections.dec({ state: 'in_use' }));
+  mongoClient.on('connectionCheckOutFailed', (e) => poolCheckoutFailures.inc({ reason: e.reason ?? 'unknown' }));
+};
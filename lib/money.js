@@ -0,0 +1,153 @@
+// lib/money.js
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { z } from 'zod';
+import { PricingEnv, loadConfig } from './config.js';
+
+/**
+ * Money: an integer amount of minor units plus an ISO 4217 currency code,
+ *   { amount: 1299, currency: 'EUR' }  is €12.99,  { amount: 1500, currency: 'JPY' }  is ¥1500.
+ *
+ * No floats anywhere: decimal strings (query bounds, CSV cells, the rates table) are parsed
+ * digit by digit and the maths is BigInt. A result between two minor units is rounded half to
+ * even (12.345 -> 12.34, 12.355 -> 12.36), so repeated conversions don't drift one way.
+ *
+ * Conversion uses the local rates table (data/exchange-rates.json, or EXCHANGE_RATES_FILE):
+ *   { "base": "USD", "asOf": "2026-10-01", "rates": { "EUR": "0.92", "JPY": "151.2" } }
+ * i.e. 1 USD = 0.92 EUR. Rates are strings so they stay exact. Prices may be in the base
+ * currency or any currency the table has a rate for (PRICE_CURRENCIES).
+ */
+
+/** Minor-unit digits of the ISO 4217 currencies the API knows */
+export const CURRENCY_DIGITS = {
+  AUD: 2, BHD: 3, BRL: 2, CAD: 2, CHF: 2, CNY: 2, CZK: 2, DKK: 2, EUR: 2, GBP: 2, HKD: 2, HUF: 2,
+  INR: 2, ISK: 0, JPY: 0, KRW: 0, KWD: 3, MXN: 2, NOK: 2, NZD: 2, PLN: 2, SEK: 2, SGD: 2, USD: 2,
+  ZAR: 2
+};
+
+const DECIMAL = /^(\d+)(?:\.(\d+))?$/;
+
+const pow10 = (n) => 10n ** BigInt(n);
+
+/** "12.50" -> { digits: 1250n, scale: 2 }, or null when not a plain non-negative decimal */
+const parseDecimal = (s) => {
+  const m = DECIMAL.exec(String(s).trim());
+  if (!m) return null;
+  const fraction = m[2] ?? '';
+  return { digits: BigInt(m[1] + fraction), scale: fraction.length };
+};
+
+/** num / den rounded half to even (den > 0, num >= 0) */
+const roundDiv = (num, den) => {
+  const q = num / den;
+  const twice = (num % den) * 2n;
+  if (twice > den || (twice === den && q % 2n === 1n)) return q + 1n;
+  return q;
+};
+
+const toSafeNumber = (n) => {
+  if (n > BigInt(Number.MAX_SAFE_INTEGER)) throw new RangeError('Amount is too large');
+  return Number(n);
+};
+
+/**
+ * Decimal string in major units -> minor units of `currency`.
+ * More fractional digits than the currency has are an error, or rounded with `round`.
+ * @param {string} decimal  e.g. "12.5"
+ * @param {string} currency
+ * @param {{ round?: boolean }} [options]
+ * @returns {{ amount: number } | { error: string }}
+ */
+export const parseAmount = (decimal, currency, { round = false } = {}) => {
+  const digits = CURRENCY_DIGITS[currency];
+  if (digits === undefined) return { error: `Unknown currency ${currency}` };
+  const parsed = parseDecimal(decimal);
+  if (!parsed) return { error: 'Must be a non-negative decimal amount, e.g. 12.99' };
+  if (parsed.scale > digits && !round) {
+    return {
+      error: digits ? `${currency} amounts have at most ${digits} decimal places` : `${currency} has no minor units`
+    };
+  }
+  const amount =
+    parsed.scale > digits
+      ? roundDiv(parsed.digits, pow10(parsed.scale - digits))
+      : parsed.digits * pow10(digits - parsed.scale);
+  if (amount > BigInt(Number.MAX_SAFE_INTEGER)) return { error: 'Amount is too large' };
+  return { amount: Number(amount) };
+};
+
+/** { amount: 1250, currency: 'EUR' } -> "12.50" */
+export const formatAmount = ({ amount, currency }) => {
+  const digits = CURRENCY_DIGITS[currency];
+  if (!digits) return String(amount);
+  const s = String(amount).padStart(digits + 1, '0');
+  return `${s.slice(0, -digits)}.${s.slice(-digits)}`;
+};
+
+/** Same amount in the same currency */
+export const sameMoney = (a, b) => a.amount === b.amount && a.currency === b.currency;
+
+/** `money` less `percent` per cent (an integer 0-100), rounded half to even */
+export const percentOff = ({ amount, currency }, percent) => ({
+  amount: toSafeNumber(roundDiv(BigInt(amount) * BigInt(100 - percent), 100n)),
+  currency
+});
+
+const currencyCode = z.string().refine((c) => c in CURRENCY_DIGITS, { message: 'Unknown ISO 4217 currency code' });
+
+const RatesTable = z.object({
+  base: currencyCode,
+  asOf: z.string().optional(),
+  rates: z.record(
+    currencyCode,
+    z.string().refine((r) => parseDecimal(r)?.digits > 0n, {
+      message: 'Must be a positive decimal string, e.g. "0.92"'
+    })
+  )
+});
+
+/**
+ * Read and validate a rates table file.
+ * @returns {{ base: string, asOf?: string, rates: Map<string, { num: bigint, den: bigint }> }}
+ *          each rate as a fraction: units of that currency per unit of `base`
+ */
+export const loadRates = (file) => {
+  let table;
+  try {
+    table = RatesTable.parse(JSON.parse(readFileSync(file, 'utf8')));
+  } catch (err) {
+    const detail =
+      err instanceof z.ZodError ? err.issues.map((i) => `${i.path.join('.')}: ${i.message}`).join('; ') : err.message;
+    throw new Error(`Invalid exchange rates (${file}): ${detail}`);
+  }
+  const rates = new Map([[table.base, { num: 1n, den: 1n }]]);
+  for (const [code, rate] of Object.entries(table.rates)) {
+    const { digits, scale } = parseDecimal(rate);
+    if (code !== table.base) rates.set(code, { num: digits, den: pow10(scale) });
+  }
+  return { base: table.base, asOf: table.asOf, rates };
+};
+
+const DEFAULT_RATES_FILE = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../data/exchange-rates.json');
+
+export const RATES = loadRates(loadConfig(PricingEnv).ratesFile ?? DEFAULT_RATES_FILE);
+
+/** Currencies a price may be stored in or converted to: the base and every currency with a rate */
+export const PRICE_CURRENCIES = [...RATES.rates.keys()];
+
+/**
+ * Convert `money` into `currency` at the table's rates (through the base currency).
+ * @param {{ amount: number, currency: string }} money
+ * @param {string} currency
+ * @returns {{ amount: number, currency: string }}
+ */
+export const convert = (money, currency, rates = RATES) => {
+  if (money.currency === currency) return { ...money };
+  const from = rates.rates.get(money.currency);
+  const to = rates.rates.get(currency);
+  if (!from || !to) throw new RangeError(`No exchange rate for ${from ? currency : money.currency}`);
+  const num = BigInt(money.amount) * to.num * from.den * pow10(CURRENCY_DIGITS[currency]);
+  const den = to.den * from.num * pow10(CURRENCY_DIGITS[money.currency]);
+  return { amount: toSafeNumber(roundDiv(num, den)), currency };
+};
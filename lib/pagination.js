@@ -0,0 +1,158 @@
+// lib/pagination.js
+import { z } from 'zod';
+import { ObjectId } from 'mongodb';
+import { httpError } from './errors.js';
+
+export const MAX_LIMIT = 100;
+export const DEFAULT_LIMIT = 20;
+
+/**
+ * Query-string helpers. Everything arrives as a string, so coerce/transform here.
+ */
+export const queryBoolean = z
+  .enum(['true', 'false'])
+  .transform((v) => v === 'true');
+
+export const queryObjectId = z
+  .string()
+  .regex(/^[0-9a-fA-F]{24}$/, 'Must be a 24-character hex string')
+  .transform((s) => new ObjectId(s));
+
+/** Comma-separated list: "a,b" -> ['a', 'b'] */
+export const queryList = z
+  .string()
+  .transform((s) => s.split(',').map((v) => v.trim()).filter(Boolean))
+  .refine((arr) => arr.length > 0, { message: 'Must contain at least one value' });
+
+/**
+ * `sort` query field: "-price,title" -> ['-price', 'title'], restricted to `sortable`.
+ * @param {string[]} sortable  fields the client may sort on
+ */
+export const sortParam = (sortable) =>
+  z
+    .string()
+    .optional()
+    .transform((s, ctx) => {
+      if (!s) return undefined;
+      const fields = s.split(',').map((f) => f.trim()).filter(Boolean);
+      const bad = fields.map((f) => f.replace(/^[-+]/, '')).filter((f) => !sortable.includes(f));
+      if (bad.length) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: `Unsupported sort field(s): ${bad.join(', ')}. Allowed: ${sortable.join(', ')}`
+        });
+        return z.NEVER;
+      }
+      return fields;
+    });
+
+/**
+ * Build the shared paging/sorting fields for a list schema.
+ * @param {string[]} sortable  fields the client may sort on
+ */
+export const pagingShape = (sortable) => ({
+  sort: sortParam(sortable),
+  limit: z.coerce.number().int().min(1).max(MAX_LIMIT).default(DEFAULT_LIMIT),
+  page: z.coerce.number().int().min(1).default(1),
+  after: queryObjectId.optional()
+});
+
+/**
+ * ["-price", "title"] -> [["price", -1], ["title", 1], ["_id", 1]]
+ * _id is always appended as a tiebreaker so ordering (and cursors) are stable.
+ */
+export const toSortSpec = (fields = []) => {
+  const spec = fields.map((f) => (f.startsWith('-') ? [f.slice(1), -1] : [f.replace(/^\+/, ''), 1]));
+  if (!spec.some(([f]) => f === '_id')) spec.push(['_id', 1]);
+  return spec;
+};
+
+/**
+ * Keyset condition for "everything after this document" under the given sort.
+ * For sort [a, b, _id] this is: a > A OR (a = A AND b > B) OR (a = A AND b = B AND _id > ID)
+ *
+ * Missing/null values sort first ascending and last descending, and `$gt`/`$lt` never match
+ * them (type bracketing), so "after A" is spelled out for them: ascending, a null A is followed
+ * by every non-null value; descending, a non-null A is followed by the nulls and nothing
+ * follows a null A.
+ */
+const afterField = (field, dir, value) => {
+  if (value === null) return dir === 1 ? { [field]: { $ne: null } } : null;
+  if (dir === 1) return { [field]: { $gt: value } };
+  return { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+const afterCondition = (anchor, sortSpec) => ({
+  $or: sortSpec
+    .map(([field, dir], i) => {
+      const after = afterField(field, dir, anchor[field] ?? null);
+      if (!after) return null;
+      const cond = {};
+      for (const [prev] of sortSpec.slice(0, i)) cond[prev] = anchor[prev] ?? null;
+      return { ...cond, ...after };
+    })
+    .filter(Boolean)
+});
+
+const buildUrl = (req, params) => {
+  const qs = new URLSearchParams();
+  for (const [k, v] of Object.entries({ ...req.query, ...params })) {
+    if (v === undefined || v === null) continue;
+    for (const item of [].concat(v)) qs.append(k, String(item));
+  }
+  return `${req.baseUrl}${req.path === '/' ? '' : req.path}?${qs}`;
+};
+
+/**
+ * Run a paginated find and set the X-Total-Count / Link response headers.
+ * Supports offset paging (page/limit) and cursor paging (after=<ObjectId>).
+ * When `after` is given, `page` is ignored.
+ *
+ * @param {object} repo     repository (see repositories/index.js)
+ * @param {object} filter   Mongo-style filter built from the validated query
+ * @param {object} query    validated paging fields: { sort, limit, page, after }
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {object} [options]
+ * @param {(filter: object, opts: object) => Promise<object[]>} [options.find]
+ *        page loader; defaults to repo.find (e.g. pass repo.findWithAuthors for ?expand=authors)
+ * @returns {Promise<object[]>}
+ */
+export const findPage = async (repo, filter, query, req, res, { find } = {}) => {
+  const { limit, page, after } = query;
+  const sortSpec = toSortSpec(query.sort);
+
+  let pageFilter = filter;
+  let skip = (page - 1) * limit;
+  if (after) {
+    const anchor = await repo.findById(after);
+    if (!anchor) {
+      throw httpError(400, 'Cursor `after` does not reference an existing document');
+    }
+    pageFilter = { $and: [filter, afterCondition(anchor, sortSpec)] };
+    skip = 0;
+  }
+
+  const [total, docs] = await Promise.all([
+    repo.count(filter),
+    (find ?? repo.find.bind(repo))(pageFilter, { sort: sortSpec, skip, limit })
+  ]);
+
+  const links = [];
+  if (after) {
+    if (docs.length === limit) {
+      links.push(`<${buildUrl(req, { after: docs[docs.length - 1]._id })}>; rel="next"`);
+    }
+    links.push(`<${buildUrl(req, { after: undefined, page: 1 })}>; rel="first"`);
+  } else {
+    const lastPage = Math.max(1, Math.ceil(total / limit));
+    links.push(`<${buildUrl(req, { page: 1, limit })}>; rel="first"`);
+    if (page > 1) links.push(`<${buildUrl(req, { page: Math.min(page - 1, lastPage), limit })}>; rel="prev"`);
+    if (page < lastPage) links.push(`<${buildUrl(req, { page: page + 1, limit })}>; rel="next"`);
+    links.push(`<${buildUrl(req, { page: lastPage, limit })}>; rel="last"`);
+  }
+
+  res.set('X-Total-Count', String(total));
+  res.set('Link', links.join(', '));
+  return docs;
+};
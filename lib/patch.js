@@ -0,0 +1,194 @@
+// lib/patch.js
+import { z } from 'zod';
+import { fieldErrors, httpError } from './errors.js';
+
+/**
+ * PATCH helpers:
+ *  - application/merge-patch+json (RFC 7396)
+ *  - application/json-patch+json  (RFC 6902)
+ *
+ * Patches are applied to the plain-JSON (request-shaped) form of a document, so the
+ * result can be run back through the Zod schemas exactly like a PUT body.
+ */
+
+export const MERGE_PATCH = 'application/merge-patch+json';
+export const JSON_PATCH = 'application/json-patch+json';
+export const PATCH_TYPES = [MERGE_PATCH, JSON_PATCH];
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+/** Which supported patch media type the request uses, or false */
+export const patchType = (req) => req.is(PATCH_TYPES) || false;
+
+/** 415 error advertising what we accept (RFC 5789 Accept-Patch) */
+export const unsupportedPatchType = () =>
+  httpError(415, `Content-Type must be ${PATCH_TYPES.join(' or ')}`, {
+    headers: { 'Accept-Patch': PATCH_TYPES.join(', ') }
+  });
+
+/* ---------------- RFC 7396 JSON Merge Patch ---------------- */
+
+export const applyMergePatch = (target, patch) => {
+  if (!isPlainObject(patch)) return structuredClone(patch);
+  const result = isPlainObject(target) ? { ...target } : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) delete result[key];
+    else result[key] = applyMergePatch(result[key], value);
+  }
+  return result;
+};
+
+/* ---------------- RFC 6902 JSON Patch ---------------- */
+
+const JsonPatchOp = z
+  .object({
+    op: z.enum(['add', 'remove', 'replace', 'move', 'copy', 'test']),
+    path: z.string(),
+    from: z.string().optional(),
+    value: z.unknown().optional()
+  })
+  .superRefine((o, ctx) => {
+    if (['add', 'replace', 'test'].includes(o.op) && !('value' in o)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: `"${o.op}" requires "value"`, path: ['value'] });
+    }
+    if (['move', 'copy'].includes(o.op) && o.from === undefined) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: `"${o.op}" requires "from"`, path: ['from'] });
+    }
+  });
+
+const JsonPatchDocument = z.array(JsonPatchOp);
+
+/** "/a/b~1c" -> ['a', 'b/c'] (RFC 6901) */
+const parsePointer = (pointer) => {
+  if (pointer === '') return [];
+  if (!pointer.startsWith('/')) throw httpError(400, `Invalid JSON Pointer: "${pointer}"`);
+  return pointer
+    .slice(1)
+    .split('/')
+    .map((t) => t.replace(/~1/g, '/').replace(/~0/g, '~'));
+};
+
+const arrayIndex = (arr, token, { allowEnd = false } = {}) => {
+  if (allowEnd && token === '-') return arr.length;
+  if (!/^(0|[1-9]\d*)$/.test(token)) return -1;
+  const i = Number(token);
+  return i < arr.length || (allowEnd && i === arr.length) ? i : -1;
+};
+
+const getAt = (doc, tokens, pointer) => {
+  let node = doc;
+  for (const token of tokens) {
+    if (Array.isArray(node)) {
+      const i = arrayIndex(node, token);
+      if (i === -1) throw httpError(422, `Path not found: "${pointer}"`);
+      node = node[i];
+    } else if (isPlainObject(node) && Object.hasOwn(node, token)) {
+      node = node[token];
+    } else {
+      throw httpError(422, `Path not found: "${pointer}"`);
+    }
+  }
+  return node;
+};
+
+const addAt = (doc, tokens, value, pointer) => {
+  if (tokens.length === 0) return value;
+  const parent = getAt(doc, tokens.slice(0, -1), pointer);
+  const key = tokens[tokens.length - 1];
+  if (Array.isArray(parent)) {
+    const i = arrayIndex(parent, key, { allowEnd: true });
+    if (i === -1) throw httpError(422, `Invalid array index in "${pointer}"`);
+    parent.splice(i, 0, value);
+  } else if (isPlainObject(parent)) {
+    parent[key] = value;
+  } else {
+    throw httpError(422, `Path not found: "${pointer}"`);
+  }
+  return doc;
+};
+
+const removeAt = (doc, tokens, pointer) => {
+  if (tokens.length === 0) throw httpError(422, 'Cannot remove the whole document');
+  const parent = getAt(doc, tokens.slice(0, -1), pointer);
+  const key = tokens[tokens.length - 1];
+  if (Array.isArray(parent)) {
+    const i = arrayIndex(parent, key);
+    if (i === -1) throw httpError(422, `Path not found: "${pointer}"`);
+    return parent.splice(i, 1)[0];
+  }
+  if (isPlainObject(parent) && Object.hasOwn(parent, key)) {
+    const old = parent[key];
+    delete parent[key];
+    return old;
+  }
+  throw httpError(422, `Path not found: "${pointer}"`);
+};
+
+const deepEqual = (a, b) => {
+  if (a === b) return true;
+  if (Array.isArray(a)) {
+    return Array.isArray(b) && a.length === b.length && a.every((v, i) => deepEqual(v, b[i]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const ka = Object.keys(a);
+    const kb = Object.keys(b);
+    return ka.length === kb.length && ka.every((k) => Object.hasOwn(b, k) && deepEqual(a[k], b[k]));
+  }
+  return false;
+};
+
+/**
+ * Apply an RFC 6902 patch. Operations run in order against a copy; any failure aborts
+ * the whole patch (400 malformed, 422 unresolvable path, 409 failed "test").
+ */
+export const applyJsonPatch = (target, operations) => {
+  const result = JsonPatchDocument.safeParse(operations);
+  if (!result.success) {
+    throw httpError(400, 'Invalid JSON Patch document', { type: 'validation-error', errors: fieldErrors(result.error) });
+  }
+
+  let doc = structuredClone(target);
+  for (const op of result.data) {
+    const path = parsePointer(op.path);
+    switch (op.op) {
+      case 'add':
+        doc = addAt(doc, path, structuredClone(op.value), op.path);
+        break;
+      case 'remove':
+        removeAt(doc, path, op.path);
+        break;
+      case 'replace':
+        getAt(doc, path, op.path); // must exist
+        if (path.length === 0) doc = structuredClone(op.value);
+        else {
+          removeAt(doc, path, op.path);
+          doc = addAt(doc, path, structuredClone(op.value), op.path);
+        }
+        break;
+      case 'move': {
+        const from = parsePointer(op.from);
+        if (op.path !== op.from && op.path.startsWith(`${op.from}/`)) {
+          throw httpError(422, `Cannot move "${op.from}" into its own child "${op.path}"`);
+        }
+        const value = removeAt(doc, from, op.from);
+        doc = addAt(doc, path, value, op.path);
+        break;
+      }
+      case 'copy': {
+        const value = structuredClone(getAt(doc, parsePointer(op.from), op.from));
+        doc = addAt(doc, path, value, op.path);
+        break;
+      }
+      case 'test':
+        if (!deepEqual(getAt(doc, path, op.path), op.value)) {
+          throw httpError(409, `Test failed at "${op.path}"`);
+        }
+        break;
+    }
+  }
+  return doc;
+};
+
+/** Dispatch on the negotiated patch media type */
+export const applyPatch = (type, target, body) =>
+  type === JSON_PATCH ? applyJsonPatch(target, body) : applyMergePatch(target, body);
@@ -0,0 +1,92 @@
+// lib/pricing.js
+import { createHash } from 'node:crypto';
+import { getStorage } from '../repositories/index.js';
+import { ACTIVE } from './trash.js';
+import { convert, percentOff, sameMoney } from './money.js';
+import { creditedAuthorIds, stockVariant } from '../models/book.js';
+import { runningAt } from '../models/discount.js';
+
+/**
+ * Prices as clients see them. A book stores only its list `price`; book reads add
+ *  - `listPrice`       that price in the requested currency (?currency=, else the book's own)
+ *  - `effectivePrice`  listPrice less the best discount running now
+ *  - `discount`        { id, name, percentOff, endsAt } of that discount, when there is one
+ * Discounts (models/discount.js) don't stack: the largest percentage wins, then the one ending first.
+ *
+ * These are worked out per request and are not part of the stored document, so they don't change
+ * the book's version. They do change what it reads as, so they go into the ETag as a variant
+ * (bookVariant, next to the stock one); the plain reading (own currency, no discount) adds none.
+ */
+
+const appliesTo = (rule, book) => {
+  if (rule.bookId) return rule.bookId.equals(book._id);
+  if (rule.authorId) return creditedAuthorIds(book).some((id) => rule.authorId.equals(id));
+  return (book.genres ?? []).includes(rule.genre);
+};
+
+/** The better of two rules for the customer: larger percentage, then the one ending first */
+const better = (a, b) => {
+  if (!b || a.percentOff > b.percentOff) return a;
+  return a.percentOff === b.percentOff && a.endsAt < b.endsAt ? a : b;
+};
+
+/** Running rules that could apply to any of `books` (one query) */
+const runningRules = async (books, now) => {
+  const authorIds = books.flatMap(creditedAuthorIds);
+  return getStorage().discounts.find({
+    ...runningAt(now),
+    ...ACTIVE,
+    $or: [
+      { bookId: { $in: books.map((b) => b._id) } },
+      { authorId: { $in: authorIds } },
+      { genre: { $in: [...new Set(books.flatMap((b) => b.genres ?? []))] } }
+    ]
+  });
+};
+
+/**
+ * Books with the price fields added (books without a money price are returned as they are).
+ * @param {object[]} books  stored books, expanded or not
+ * @param {{ currency?: string, now?: Date }} [options]
+ * @returns {Promise<object[]>}
+ */
+export const withPrices = async (books, { currency, now = new Date() } = {}) => {
+  const priced = books.filter((b) => b.price?.currency);
+  if (!priced.length) return books;
+  const rules = await runningRules(priced, now);
+  return books.map((book) => {
+    if (!book.price?.currency) return book;
+    const discount = rules.filter((r) => appliesTo(r, book)).reduce((best, r) => better(r, best), undefined);
+    const listPrice = convert(book.price, currency ?? book.price.currency);
+    return {
+      ...book,
+      listPrice,
+      effectivePrice: discount ? percentOff(listPrice, discount.percentOff) : listPrice,
+      ...(discount && {
+        discount: { id: discount._id, name: discount.name, percentOff: discount.percentOff, endsAt: discount.endsAt }
+      })
+    };
+  });
+};
+
+/** withPrices for one book */
+export const withPrice = async (book, options) => (await withPrices([book], options))[0];
+
+/**
+ * Price part of an ETag variant: `p` and a short hash of the price fields, or undefined when
+ * they only repeat the stored price (own currency, no running discount).
+ */
+const pricingVariant = ({ price, listPrice, effectivePrice, discount }) => {
+  if (!listPrice || (!discount && sameMoney(listPrice, price))) return undefined;
+  const fields = JSON.stringify({ listPrice, effectivePrice, discount });
+  return `p${createHash('sha256').update(fields).digest('hex').slice(0, 12)}`;
+};
+
+/**
+ * ETag variant of a priced book (lib/concurrency.js): its stock and price parts, or undefined
+ * for a book with nothing available read at its stored price.
+ * @param {object} priced  a book from withPrices
+ * @returns {string|undefined}
+ */
+export const bookVariant = (priced) =>
+  [stockVariant(priced), pricingVariant(priced)].filter(Boolean).join('-') || undefined;
@@ -0,0 +1,123 @@
+// lib/rateLimit.js
+import { z } from 'zod';
+import { getDb } from '../db/connect.js';
+import { timeDbOperation } from './logger.js';
+
+/**
+ * Token buckets for middleware/rateLimit.js.
+ *
+ * A rule `{ limit, windowSeconds }` is a bucket holding at most `limit` tokens that refills
+ * continuously at `limit / windowSeconds` tokens per second; each request takes one token.
+ * So a client can burst up to `limit` requests, then sustain `limit` per window.
+ *
+ * Stores implement `take(key, rule) -> { allowed, tokens }` (tokens left afterwards):
+ *   MemoryBucketStore  per process (default)
+ *   MongoBucketStore   shared `rateLimits` collection, for several instances behind a balancer
+ */
+
+/** "300/60" -> { limit: 300, windowSeconds: 60 } */
+export const RateRule = z
+  .string()
+  .trim()
+  .regex(/^\d+\/\d+$/, 'Expected "<limit>/<windowSeconds>", e.g. "300/60"')
+  .transform((s) => {
+    const [limit, windowSeconds] = s.split('/').map(Number);
+    return { limit, windowSeconds };
+  })
+  .refine((r) => r.limit > 0 && r.windowSeconds > 0, 'Limit and window must be positive');
+
+const refillPerMs = (rule) => rule.limit / (rule.windowSeconds * 1000);
+
+/**
+ * Refill a bucket for the time elapsed since `updatedAt`, then try to take a token.
+ * @param {{ tokens: number, updatedAt: number } | undefined} state  undefined = full bucket
+ * @param {{ limit: number, windowSeconds: number }} rule
+ * @param {number} now  ms
+ */
+export const takeToken = (state, rule, now) => {
+  const refilled = state
+    ? Math.min(rule.limit, state.tokens + Math.max(0, now - state.updatedAt) * refillPerMs(rule))
+    : rule.limit;
+  const allowed = refilled >= 1;
+  return { allowed, tokens: allowed ? refilled - 1 : refilled, updatedAt: now };
+};
+
+/** Seconds until the bucket is full again (RateLimit-Reset) */
+export const secondsUntilFull = (tokens, rule) => Math.ceil((rule.limit - tokens) / refillPerMs(rule) / 1000);
+
+/** Seconds until the next token (Retry-After) */
+export const secondsUntilToken = (tokens, rule) => Math.max(1, Math.ceil((1 - tokens) / refillPerMs(rule) / 1000));
+
+export class MemoryBucketStore {
+  /** @param {{ now?: () => number }} [options]  clock override (tests) */
+  constructor({ now = Date.now } = {}) {
+    this.now = now;
+    /** @type {Map<string, { tokens: number, updatedAt: number, fullAt: number }>} */
+    this.buckets = new Map();
+    // Full buckets carry no information; drop them so the map doesn't grow with every IP seen
+    this.sweeper = setInterval(() => this.sweep(), 60 * 1000);
+    this.sweeper.unref();
+  }
+
+  async take(key, rule) {
+    const now = this.now();
+    const next = takeToken(this.buckets.get(key), rule, now);
+    this.buckets.set(key, { ...next, fullAt: now + secondsUntilFull(next.tokens, rule) * 1000 });
+    return { allowed: next.allowed, tokens: next.tokens };
+  }
+
+  sweep() {
+    const now = this.now();
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.fullAt <= now) this.buckets.delete(key);
+    }
+  }
+}
+
+/**
+ * One document per bucket: { _id: key, tokens, updatedAt, expiresAt }. Refill and take happen
+ * in a single pipeline update on the server (using its clock), so concurrent instances can't
+ * both spend the last token. `expiresAt` (TTL index, migrations/005) removes buckets once full.
+ */
+export class MongoBucketStore {
+  /** @param {{ db?: () => import('mongodb').Db }} [options] */
+  constructor({ db = getDb } = {}) {
+    this.db = db;
+  }
+
+  async take(key, rule) {
+    const rate = refillPerMs(rule);
+    const refilled = {
+      $min: [
+        rule.limit,
+        {
+          $add: [
+            { $ifNull: ['$tokens', rule.limit] },
+            { $multiply: [{ $max: [0, { $subtract: ['$$NOW', { $ifNull: ['$updatedAt', '$$NOW'] }] }] }, rate] }
+          ]
+        }
+      ]
+    };
+    const doc = await timeDbOperation({ collection: 'rateLimits', op: 'findOneAndUpdate' }, () =>
+      this.db()
+        .collection('rateLimits')
+        .findOneAndUpdate(
+          { _id: key },
+          [
+            { $set: { tokens: refilled, updatedAt: '$$NOW' } },
+            { $set: { allowed: { $gte: ['$tokens', 1] } } },
+            { $set: { tokens: { $cond: ['$allowed', { $subtract: ['$tokens', 1] }, '$tokens'] } } },
+            {
+              $set: {
+                expiresAt: {
+                  $add: ['$$NOW', { $multiply: [{ $subtract: [rule.limit, '$tokens'] }, 1 / rate] }]
+                }
+              }
+            }
+          ],
+          { upsert: true, returnDocument: 'after' }
+        )
+    );
+    return { allowed: doc.allowed, tokens: doc.tokens };
+  }
+}
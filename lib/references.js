@@ -0,0 +1,64 @@
+// lib/references.js
+import { getStorage } from '../repositories/index.js';
+import { httpError } from './errors.js';
+import { ACTIVE } from './trash.js';
+import { creditedAuthorIds } from '../models/book.js';
+
+/**
+ * Referential checks for book writes: every credited author, the work and the series a book
+ * points at must be live (not missing, not in the trash); likewise a discount's book or author.
+ * Failures are 422 with the same field-level `errors` as a validation problem, so clients
+ * handle both alike:
+ *   { field: 'authors.1.authorId', message: 'Author 665f... does not exist', code: 'unknown_reference' }
+ */
+
+const unknown = (field, what, id) => ({ field, message: `${what} ${id} does not exist`, code: 'unknown_reference' });
+
+/**
+ * Hex ids of the live records among the ones referenced by `books` (one query per collection).
+ * @param {object[]} books  parsed or stored books
+ * @returns {Promise<{ authors: Set<string>, works: Set<string>, series: Set<string> }>}
+ */
+export const liveReferences = async (books) => {
+  const storage = getStorage();
+  const live = async (repo, ids) => {
+    const unique = [...new Map(ids.filter(Boolean).map((id) => [id.toString(), id])).values()];
+    if (!unique.length) return new Set();
+    return new Set((await repo.find({ _id: { $in: unique }, ...ACTIVE })).map((d) => d._id.toString()));
+  };
+  return {
+    authors: await live(storage.authors, books.flatMap(creditedAuthorIds)),
+    works: await live(storage.works, books.map((b) => b.workId)),
+    series: await live(storage.series, books.map((b) => b.seriesId))
+  };
+};
+
+/** Field errors for the references of `book` missing from `live` (see liveReferences) */
+export const referenceErrors = (book, live) => {
+  const errors = [];
+  (book.authors ?? []).forEach(({ authorId }, i) => {
+    if (!live.authors.has(authorId?.toString())) errors.push(unknown(`authors.${i}.authorId`, 'Author', authorId));
+  });
+  if (book.workId && !live.works.has(book.workId.toString())) errors.push(unknown('workId', 'Work', book.workId));
+  if (book.seriesId && !live.series.has(book.seriesId.toString())) {
+    errors.push(unknown('seriesId', 'Series', book.seriesId));
+  }
+  return errors;
+};
+
+/** Throw 422 unless every reference of `book` resolves */
+export const assertReferences = async (book) => {
+  const errors = referenceErrors(book, await liveReferences([book]));
+  if (errors.length) throw httpError(422, 'Unknown reference', { errors });
+};
+
+/** Throw 422 unless the book or author a discount targets is live (a genre needs no check) */
+export const assertDiscountTarget = async (rule) => {
+  const { authors, books } = getStorage();
+  if (rule.bookId && !(await books.exists({ _id: rule.bookId, ...ACTIVE }))) {
+    throw httpError(422, 'Unknown reference', { errors: [unknown('bookId', 'Book', rule.bookId)] });
+  }
+  if (rule.authorId && !(await authors.exists({ _id: rule.authorId, ...ACTIVE }))) {
+    throw httpError(422, 'Unknown reference', { errors: [unknown('authorId', 'Author', rule.authorId)] });
+  }
+};
@@ -0,0 +1,29 @@
+// lib/retry.js
+import { setTimeout as delay } from 'node:timers/promises';
+
+/** Wait before retry `attempt` (1-based): backoffMs, 2x, 4x, ... capped at maxBackoffMs */
+export const backoffDelay = (attempt, backoffMs, maxBackoffMs = 30000) =>
+  Math.min(maxBackoffMs, backoffMs * 2 ** (attempt - 1));
+
+/**
+ * Run `fn` until it resolves, retrying up to `retries` times with exponential backoff.
+ * The last error is rethrown.
+ * @template T
+ * @param {(attempt: number) => Promise<T>} fn  attempt is 1-based
+ * @param {{ retries: number, backoffMs: number, maxBackoffMs?: number,
+ *   onRetry?: (err: unknown, attempt: number, waitMs: number) => void,
+ *   sleep?: (ms: number) => Promise<unknown> }} options  sleep: override for tests
+ * @returns {Promise<T>}
+ */
+export const retry = async (fn, { retries, backoffMs, maxBackoffMs, onRetry, sleep = delay }) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (attempt > retries) throw err;
+      const waitMs = backoffDelay(attempt, backoffMs, maxBackoffMs);
+      onRetry?.(err, attempt, waitMs);
+      await sleep(waitMs);
+    }
+  }
+};
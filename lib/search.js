@@ -0,0 +1,84 @@
+// lib/search.js
+
+/**
+ * Search helpers for GET /search.
+ *
+ * The Mongo repository uses `$text` (indexes from migrations/001-initial-indexes.js). If a
+ * collection has no text index, or storage is in memory, documents are ranked in process by
+ * `rankDocuments` using the same field weights, so results stay comparable.
+ */
+
+/** Max documents considered per collection before ranking/faceting */
+export const MAX_CANDIDATES = 200;
+
+export const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export const tokenize = (q) =>
+  [...new Set(q.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter((t) => t.length > 1))];
+
+/**
+ * Score one document: per token, a whole-word hit counts the full field weight,
+ * a substring hit half of it. Array fields (genres) score their best element.
+ */
+export const scoreDocument = (doc, tokens, weights) => {
+  let score = 0;
+  for (const [field, weight] of Object.entries(weights)) {
+    const values = [].concat(doc[field] ?? []).map((v) => String(v).toLowerCase());
+    for (const token of tokens) {
+      const word = new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegex(token)}($|[^\\p{L}\\p{N}])`, 'u');
+      if (values.some((v) => word.test(v))) score += weight;
+      else if (values.some((v) => v.includes(token))) score += weight / 2;
+    }
+  }
+  return score;
+};
+
+/** Rank documents in process; drops non-matching ones */
+export const rankDocuments = (docs, q, weights) => {
+  const tokens = tokenize(q);
+  return docs
+    .map((doc) => ({ doc, score: scoreDocument(doc, tokens, weights) }))
+    .filter((h) => h.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_CANDIDATES);
+};
+
+/** Regex prefilter for the fallback path (null when q has no usable tokens) */
+export const fallbackFilter = (q, weights) => {
+  const tokens = tokenize(q);
+  if (tokens.length === 0) return null;
+  const pattern = new RegExp(tokens.map(escapeRegex).join('|'), 'i');
+  return { $or: Object.keys(weights).map((field) => ({ [field]: pattern })) };
+};
+
+export const isMissingTextIndex = (err) => err?.code === 27 || err?.codeName === 'IndexNotFound';
+
+/** Count values into [{ value, count }] sorted by count desc, then value */
+const countBy = (items, keyFn) => {
+  const counts = new Map();
+  for (const item of items) {
+    for (const value of [].concat(keyFn(item) ?? [])) {
+      counts.set(value, (counts.get(value) ?? 0) + 1);
+    }
+  }
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+};
+
+/**
+ * Sidebar facets over the matched books.
+ * @param {object[]} books
+ * @param {Map<string, object>} authorsById  author docs keyed by id string (for nationality)
+ */
+export const bookFacets = (books, authorsById) => ({
+  genre: countBy(books, (b) => b.genres),
+  // A book counts once per distinct nationality among its credited authors
+  nationality: countBy(books, (b) => [
+    ...new Set((b.authors ?? []).map((c) => authorsById.get(String(c.authorId))?.nationality).filter(Boolean))
+  ]),
+  decade: countBy(books, (b) =>
+    Number.isInteger(b.publishedYear) ? Math.floor(b.publishedYear / 10) * 10 : undefined
+  ).sort((a, b) => a.value - b.value),
+  inStock: countBy(books, (b) => (typeof b.inStock === 'boolean' ? b.inStock : undefined))
+});
@@ -0,0 +1,63 @@
+// lib/shutdown.js
+import { logger as rootLogger } from './logger.js';
+
+/**
+ * Graceful shutdown for SIGTERM (every Render deploy) and SIGINT:
+ *   1. stop accepting connections; responses still in flight get `Connection: close`
+ *   2. wait for in-flight requests, at most `timeoutMs`, then cut whatever is left
+ *   3. run the `close` steps in order (e.g. the MongoDB client) and exit
+ * Exit code is 0, or 1 if draining timed out or a step failed. A second signal exits at once.
+ *
+ * @param {{ server: import('node:http').Server, timeoutMs: number, close?: (() => Promise<void>)[],
+ *   log?: ReturnType<import('./logger.js').createLogger>, exit?: (code: number) => void }} options
+ *        exit: override for tests (default process.exit)
+ * @returns {(signal: string) => Promise<void>}
+ */
+export const createShutdown = ({ server, timeoutMs, close = [], log = rootLogger, exit = (code) => process.exit(code) }) => {
+  let running = null;
+
+  const drain = () =>
+    new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        server.closeAllConnections();
+        resolve(false);
+      }, timeoutMs);
+      server.close(() => {
+        clearTimeout(timer);
+        resolve(true);
+      });
+      server.closeIdleConnections();
+    });
+
+  const run = async (signal) => {
+    const started = Date.now();
+    log.info('shutting down', { signal, timeoutMs });
+    // Before the app's handler, so the header is set even on synchronous responses
+    server.prependListener('request', (_req, res) => res.setHeader('Connection', 'close'));
+
+    const drained = await drain();
+    if (!drained) log.warn('shutdown timed out; closed remaining connections', { timeoutMs });
+
+    let code = drained ? 0 : 1;
+    for (const step of close) {
+      try {
+        await step();
+      } catch (err) {
+        code = 1;
+        log.error('shutdown step failed', { err });
+      }
+    }
+    log.info('shutdown complete', { durationMs: Date.now() - started, exitCode: code });
+    exit(code);
+  };
+
+  return (signal) => {
+    if (running) {
+      log.warn('second signal; exiting now', { signal });
+      exit(1);
+      return running;
+    }
+    running = run(signal);
+    return running;
+  };
+};
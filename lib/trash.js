@@ -0,0 +1,47 @@
+// lib/trash.js
+import { z } from 'zod';
+import { subjectOf } from '../middleware/auth.js';
+import { pagingShape } from './pagination.js';
+
+/**
+ * Soft delete. DELETE marks a document with `deletedAt` / `deletedBy` instead of removing it;
+ * trashed documents are hidden from normal reads and writes until restored, and only
+ * removed for good by a purge (admin scope), per document or once past the retention period.
+ *
+ * Trashed documents keep their unique keys (ISBN / email) until purged.
+ *
+ * Optional:
+ *   TRASH_RETENTION_DAYS=30   age after which DELETE /<resource>/trash purges an item
+ */
+
+export const TRASH_RETENTION_DAYS = z.coerce
+  .number()
+  .nonnegative()
+  .parse(process.env.TRASH_RETENTION_DAYS || 30);
+
+/** Filter for live documents (`null` also matches documents without the field) */
+export const ACTIVE = { deletedAt: null };
+
+/** Filter for trashed documents */
+export const TRASHED = { deletedAt: { $ne: null } };
+
+export const isTrashed = (doc) => doc?.deletedAt != null;
+
+/** Fields set on soft delete; `deletedBy` is the JWT subject when auth is enforced */
+export const trashMark = (req) => ({
+  deletedAt: new Date(),
+  deletedBy: subjectOf(req)
+});
+
+/** Document without its trash marks (for restore) */
+export const withoutTrashMark = ({ deletedAt, deletedBy, ...doc }) => doc;
+
+/** GET /<resource>/trash query string: paging, sortable by deletedAt as well */
+export const trashQuery = (sortable) => z.object(pagingShape([...sortable, 'deletedAt']));
+
+/** Items deleted before this instant are past retention */
+export const retentionCutoff = (now = new Date()) =>
+  new Date(now.getTime() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+/** Filter for trashed documents past retention */
+export const expiredTrash = (now) => ({ deletedAt: { $ne: null, $lt: retentionCutoff(now) } });
@@ -0,0 +1,42 @@
+// middleware/apiKey.js
+import { getStorage } from '../repositories/index.js';
+import { httpError } from '../lib/errors.js';
+import {
+  LAST_USED_RESOLUTION_MS,
+  apiKeyFromRequest,
+  hashApiKey,
+  isWellFormedApiKey
+} from '../lib/apiKeys.js';
+
+/**
+ * Authenticate a request by API key instead of a JWT (see lib/apiKeys.js). On success
+ * `req.auth.payload` looks like a token's ({ sub, scope }), so the policy layer and
+ * subjectOf() treat both the same; `req.auth.apiKey` identifies the key.
+ */
+
+const unauthorized = (message) => httpError(401, message, { headers: { 'WWW-Authenticate': 'ApiKey realm="api"' } });
+
+export const hasApiKey = (req) => apiKeyFromRequest(req) !== null;
+
+export const apiKeyCheck = async (req, res, next) => {
+  try {
+    const presented = apiKeyFromRequest(req);
+    const { apiKeys } = getStorage();
+    const key = isWellFormedApiKey(presented)
+      ? await apiKeys.findOne({ hash: hashApiKey(presented), revokedAt: null })
+      : null;
+    if (!key) throw unauthorized('Invalid or revoked API key');
+
+    const now = new Date();
+    if (!key.lastUsedAt || now - key.lastUsedAt >= LAST_USED_RESOLUTION_MS) {
+      await apiKeys.updateMany({ _id: key._id }, { $set: { lastUsedAt: now } });
+    }
+    req.auth = {
+      payload: { sub: `apikey|${key._id}`, scope: key.scopes.join(' ') },
+      apiKey: { id: key._id, name: key.name, prefix: key.prefix }
+    };
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
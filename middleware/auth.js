@@ -1,5 +1,9 @@
 // middleware/auth.js
-import { auth, requiredScopes } from 'express-oauth2-jwt-bearer';
+import { randomUUID } from 'node:crypto';
+import { auth } from 'express-oauth2-jwt-bearer';
+import { generateRsaKey, nowSeconds, signJwt, toJwks } from '../lib/jwt.js';
+import { apiKeyCheck, hasApiKey } from './apiKey.js';
+import { logger } from '../lib/logger.js';
 
 /**
  * Secure-by-default:
@@ -12,9 +16,15 @@ import { auth, requiredScopes } from 'express-oauth2-jwt-bearer';
  *
  * Optional:
  *   AUTH_DISABLE=true         (bypass all auth checks; NOT for prod)
+ *   AUTH_DEV=true             local issuer instead of Auth0 (refused in production):
+ *                             an RS256 key generated at boot, its JWKS at /.well-known/jwks.json
+ *                             and POST /dev/token to mint tokens (routes/dev.js)
+ *   AUTH_DEV_ISSUER           public base URL of this server (default http://localhost:$PORT);
+ *                             the issuer claim, and where the JWKS is fetched from
  */
 
 const AUTH_DISABLED = String(process.env.AUTH_DISABLE || '').toLowerCase() === 'true';
+const AUTH_DEV = String(process.env.AUTH_DEV || '').toLowerCase() === 'true';
 const hasAuthConfig =
   !!process.env.AUTH0_AUDIENCE &&
   (!!process.env.AUTH0_ISSUER_BASE_URL || !!process.env.AUTH0_DOMAIN);
@@ -26,12 +36,52 @@ const ISSUER_BASE_URL =
 // Treat NODE_ENV=production as prod (Render sets this)
 const PROD = String(process.env.NODE_ENV || '').toLowerCase() === 'production';
 
-// Determine enforcement: in prod (and not disabled) OR properly configured
-const ENFORCE = (hasAuthConfig && !AUTH_DISABLED) || (PROD && !AUTH_DISABLED);
+if (PROD && AUTH_DEV) {
+  // Anyone could mint themselves an admin token
+  throw new Error('[AUTH] AUTH_DEV=true is not allowed in production.');
+}
+
+const DEV = AUTH_DEV && !AUTH_DISABLED;
+
+// Determine enforcement: in prod (and not disabled) OR properly configured OR dev issuer
+const ENFORCE = DEV || (hasAuthConfig && !AUTH_DISABLED) || (PROD && !AUTH_DISABLED);
+
+/**
+ * The local issuer (AUTH_DEV=true), or null.
+ * @type {null | { issuer: string, audience: string, jwks: object,
+ *   mint: (claims: object, expiresIn: number) => string }}
+ */
+export const devIssuer = DEV
+  ? (() => {
+      const issuer = (process.env.AUTH_DEV_ISSUER || `http://localhost:${process.env.PORT || 8080}`).replace(/\/+$/, '');
+      const audience = process.env.AUTH0_AUDIENCE || 'http://localhost/library-api';
+      const kid = `dev-${randomUUID()}`;
+      const { publicKey, privateKey } = generateRsaKey();
+      return {
+        issuer,
+        audience,
+        jwks: toJwks(publicKey, kid),
+        mint: (claims, expiresIn) => {
+          const iat = nowSeconds();
+          return signJwt({ iss: issuer, aud: audience, iat, exp: iat + expiresIn, ...claims }, { privateKey, kid });
+        }
+      };
+    })()
+  : null;
 
 // Boot diagnostics
-const MODE = AUTH_DISABLED ? 'disabled' : (hasAuthConfig ? 'secure' : (PROD ? 'INVALID (prod missing config)' : 'unconfigured'));
-console.log(`[AUTH] mode=${MODE} audience=${process.env.AUTH0_AUDIENCE || '-'} issuer=${ISSUER_BASE_URL || '-'}`);
+const MODE = AUTH_DISABLED
+  ? 'disabled'
+  : DEV
+    ? 'dev (local issuer)'
+    : hasAuthConfig
+      ? 'secure'
+      : PROD
+        ? 'INVALID (prod missing config)'
+        : 'unconfigured';
+const SHOWN_AUDIENCE = devIssuer?.audience ?? process.env.AUTH0_AUDIENCE;
+const SHOWN_ISSUER = devIssuer?.issuer ?? ISSUER_BASE_URL;
+logger.info('auth mode', { mode: MODE, audience: SHOWN_AUDIENCE ?? null, issuer: SHOWN_ISSUER ?? null });
 
 if (PROD && !AUTH_DISABLED && !hasAuthConfig) {
   // Fail fast in production if you forgot to configure Auth0
@@ -40,27 +90,54 @@ if (PROD && !AUTH_DISABLED && !hasAuthConfig) {
 
 function noop(_req, _res, next) { next(); }
 
-/**
- * jwtCheck:
- *  - Validates RS256 JWTs when ENFORCE=true.
- *  - No-op when auth is disabled/unconfigured (dev only).
- */
-export const jwtCheck = ENFORCE
+const verifyJwt = devIssuer
   ? auth({
-      audience: process.env.AUTH0_AUDIENCE,
-      issuerBaseURL: ISSUER_BASE_URL,
+      audience: devIssuer.audience,
+      issuer: devIssuer.issuer,
+      jwksUri: `${devIssuer.issuer}/.well-known/jwks.json`,
       tokenSigningAlg: 'RS256'
     })
-  : noop;
+  : ENFORCE
+    ? auth({
+        audience: process.env.AUTH0_AUDIENCE,
+        issuerBaseURL: ISSUER_BASE_URL,
+        tokenSigningAlg: 'RS256'
+      })
+    : noop;
 
 /**
- * Scope guards:
- *  - Use with routes that require write/read scopes.
- *  - No-op if not enforcing.
+ * jwtCheck:
+ *  - Validates RS256 JWTs when ENFORCE=true (against the local issuer in dev mode).
+ *  - No-op when auth is disabled/unconfigured (dev only).
+ *  - Accepts an API key (`X-API-Key` or `Authorization: ApiKey ...`) instead of a JWT;
+ *    see middleware/apiKey.js.
+ *  - The library rejects any JSON body that isn't an object (it looks there for a token),
+ *    so array bodies (JSON imports) are hidden from it while it runs.
  */
-const reqScopes = (scopes) => (ENFORCE ? requiredScopes(scopes) : noop);
+export function jwtCheck(req, res, next) {
+  if (req.auth) return next(); // already verified (e.g. by the rate limiter)
+  if (ENFORCE && hasApiKey(req)) return apiKeyCheck(req, res, next);
+  if (!Array.isArray(req.body)) return verifyJwt(req, res, next);
+  const { body } = req;
+  req.body = undefined;
+  verifyJwt(req, res, (err) => {
+    req.body = body;
+    next(err);
+  });
+}
+
+/** Whether tokens are validated at all; authorization (middleware/policy.js) is skipped otherwise */
+export const AUTH_ENFORCED = ENFORCE;
+
+/** disabled | dev (local issuer) | secure | unconfigured (reported by GET /readyz) */
+export const AUTH_MODE = MODE;
 
-export const needWrite = reqScopes('write:library'); // POST/PUT/DELETE
-export const needRead  = reqScopes('read:library');  // optional for GETs
+/** Token subject of the caller, or null when auth is not enforced / no token */
+export const subjectOf = (req) => req.auth?.payload?.sub ?? null;
 
-export const SCOPES = { READ: 'read:library', WRITE: 'write:library' };
+export const SCOPES = {
+  READ: 'read:library',
+  WRITE: 'write:library',
+  ADMIN: 'admin:library',
+  AUTHOR_SELF: 'author:self'
+};
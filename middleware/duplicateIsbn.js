@@ -0,0 +1,32 @@
+// middleware/duplicateIsbn.js
+import { getStorage } from '../repositories/index.js';
+import { httpError } from '../lib/errors.js';
+import { isTrashed } from '../lib/trash.js';
+
+/**
+ * Router error middleware for book writes: a duplicate ISBN (code 11000 on `isbn`) becomes the
+ * usual 409 duplicate-key problem plus a pointer to the book that already has it:
+ * `existing: { id, href }` and `Link: <href>; rel="duplicate"`. A trashed holder has no href
+ * (it is not readable) and `trashed: true`. Other errors pass through untouched.
+ */
+export const linkDuplicateIsbn = async (err, _req, _res, next) => {
+  const isbn = err?.code === 11000 ? err.keyValue?.isbn : undefined;
+  if (isbn === undefined) return next(err);
+  try {
+    const holder = await getStorage().books.findOne({ isbn });
+    if (!holder) return next(err); // gone since the write failed; the generic 409 will do
+    const id = holder._id.toString();
+    const trashed = isTrashed(holder);
+    const href = `/books/${id}`;
+    next(
+      httpError(409, `Book ${id} already has ISBN ${isbn}${trashed ? ' (it is in the trash)' : ''}`, {
+        type: 'duplicate-key',
+        errors: [{ field: 'isbn', message: 'Must be unique', code: 'duplicate' }],
+        ...(!trashed && { headers: { Link: `<${href}>; rel="duplicate"` } }),
+        existing: trashed ? { id, trashed } : { id, href }
+      })
+    );
+  } catch (lookupErr) {
+    next(lookupErr);
+  }
+};
@@ -0,0 +1,129 @@
+// middleware/policy.js
+import { AUTH_ENFORCED, SCOPES, jwtCheck } from './auth.js';
+import { getStorage } from '../repositories/index.js';
+import { ACTIVE } from '../lib/trash.js';
+import { httpError } from '../lib/errors.js';
+import { sameMoney } from '../lib/money.js';
+
+/**
+ * Authorization on top of jwtCheck: token grants -> roles -> permissions.
+ *
+ * Grants are the token's `scope` string plus its `permissions` claim (Auth0 RBAC); API keys
+ * present their scopes the same way (middleware/apiKey.js):
+ *   read:library  -> viewer       read
+ *   write:library -> editor       read, create, update, circulate (loans, holds, members),
+ *                                 price (discounts, changing a book's price)
+ *   admin:library -> admin        everything (delete/restore, purge, import, audit, API keys)
+ *   author:self   -> author-self  read; create/update only its own author record and books,
+ *                                 matched by the token's email claim (AUTH_EMAIL_CLAIM, default `email`),
+ *                                 without changing a book's price once it has one
+ *
+ * Skipped entirely when auth is not enforced (see middleware/auth.js), like jwtCheck.
+ *
+ * Optional:
+ *   REQUIRE_READ_AUTH=true   GETs need a token with the `read` permission (public by default)
+ *   AUTH_EMAIL_CLAIM=...     claim holding the caller's email, e.g. https://library-api/email
+ */
+
+export const PERMISSIONS = ['read', 'create', 'update', 'circulate', 'price', 'delete', 'purge', 'import', 'audit', 'keys'];
+
+export const ROLES = {
+  viewer: ['read'],
+  editor: ['read', 'create', 'update', 'circulate', 'price'],
+  admin: PERMISSIONS,
+  'author-self': ['read']
+};
+
+/** Permissions author-self gets for records it owns (checked in the handler via assertOwnAuthor) */
+const SELF_PERMISSIONS = ['create', 'update'];
+
+const ROLE_GRANTS = {
+  [SCOPES.READ]: 'viewer',
+  [SCOPES.WRITE]: 'editor',
+  [SCOPES.ADMIN]: 'admin',
+  [SCOPES.AUTHOR_SELF]: 'author-self'
+};
+
+const REQUIRE_READ_AUTH = String(process.env.REQUIRE_READ_AUTH || '').toLowerCase() === 'true';
+const EMAIL_CLAIM = process.env.AUTH_EMAIL_CLAIM || 'email';
+
+const forbidden = (message) => httpError(403, message);
+
+/**
+ * Roles and permissions of the caller's validated token.
+ * @returns {{ sub: string|null, email: string|null, roles: string[], permissions: Set<string> }}
+ */
+export const principalOf = (req) => {
+  const payload = req.auth?.payload ?? {};
+  const grants = [
+    ...(typeof payload.scope === 'string' ? payload.scope.split(' ') : []),
+    ...(Array.isArray(payload.permissions) ? payload.permissions : [])
+  ];
+  const roles = [...new Set(grants.map((g) => ROLE_GRANTS[g]).filter(Boolean))];
+  const email = typeof payload[EMAIL_CLAIM] === 'string' ? payload[EMAIL_CLAIM].toLowerCase() : null;
+  return {
+    sub: payload.sub ?? null,
+    email,
+    roles,
+    permissions: new Set(roles.flatMap((r) => ROLES[r]))
+  };
+};
+
+/**
+ * Require `permission`. Author-self callers are let through for create/update with
+ * `req.principal.selfOnly` set; the handler must then call assertOwnAuthor.
+ * @param {string} permission  one of PERMISSIONS
+ */
+export const authorize = (permission) => (req, _res, next) => {
+  if (!AUTH_ENFORCED) return next();
+  const principal = principalOf(req);
+  req.principal = principal;
+  if (principal.permissions.has(permission)) return next();
+  if (principal.roles.includes('author-self') && principal.email && SELF_PERMISSIONS.includes(permission)) {
+    principal.selfOnly = true;
+    return next();
+  }
+  next(forbidden(`Forbidden: requires the "${permission}" permission`));
+};
+
+/** Middleware chain for an operation: token check, then permission */
+export const can = (permission) => [jwtCheck, authorize(permission)];
+
+/** Middleware chain for GETs: public unless REQUIRE_READ_AUTH=true */
+export const canRead = REQUIRE_READ_AUTH ? can('read') : [];
+
+/** The caller's own (live) author record, matched by the token's email claim */
+const ownAuthor = (req) => getStorage().authors.findOne({ email: req.principal.email, ...ACTIVE });
+
+const notOwn = () => forbidden('Forbidden: author accounts may only change their own record and books');
+
+/**
+ * For author-self callers, throw 403 unless `authorId` is the caller's own (live) author
+ * record. A no-op for everyone else.
+ */
+export const assertOwnAuthor = async (req, authorId) => {
+  if (!req.principal?.selfOnly) return;
+  const own = await ownAuthor(req);
+  if (!own || !authorId || !own._id.equals(authorId)) throw notOwn();
+};
+
+/**
+ * For author-self callers, throw 403 unless the caller's own author record is credited on
+ * `book` (any role in `authors`). A no-op for everyone else.
+ */
+export const assertOwnBook = async (req, book) => {
+  if (!req.principal?.selfOnly) return;
+  const own = await ownAuthor(req);
+  if (!own || !book?.authors?.some((c) => own._id.equals(c.authorId))) throw notOwn();
+};
+
+/**
+ * Throw 403 when a caller without the `price` permission (author-self) changes a book's price
+ * from `before` to `after`. Pricing a new book is part of creating it. A no-op without auth.
+ */
+export const assertMayPrice = (req, before, after) => {
+  if (!AUTH_ENFORCED || req.principal?.permissions.has('price')) return;
+  if (!sameMoney(before.price, after.price)) {
+    throw forbidden('Forbidden: changing a book\'s price requires the "price" permission');
+  }
+};
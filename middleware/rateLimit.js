@@ -0,0 +1,106 @@
+// middleware/rateLimit.js
+import { z } from 'zod';
+import { AUTH_ENFORCED, jwtCheck } from './auth.js';
+import { hasApiKey } from './apiKey.js';
+import { STORAGE } from '../repositories/index.js';
+import { logger } from '../lib/logger.js';
+import { httpError } from '../lib/errors.js';
+import {
+  MemoryBucketStore,
+  MongoBucketStore,
+  RateRule,
+  secondsUntilFull,
+  secondsUntilToken
+} from '../lib/rateLimit.js';
+
+/**
+ * Per-client rate limiting (token buckets, see lib/rateLimit.js). Clients are keyed by the
+ * verified token subject (API keys count as `apikey|<id>`), else by IP (`trust proxy` is set,
+ * so that's the real client behind Render). Reads and writes have separate buckets.
+ *
+ * Responses carry RateLimit-Policy / -Limit / -Remaining / -Reset; over the limit -> 429
+ * with Retry-After. If the store fails, requests are let through (and the error logged).
+ *
+ * Optional:
+ *   RATE_LIMIT_ENABLED=true       false turns limiting off
+ *   RATE_LIMIT_READ=300/60        <limit>/<windowSeconds> for GET/HEAD/OPTIONS
+ *   RATE_LIMIT_WRITE=60/60        same for everything else
+ *   RATE_LIMIT_STORE=memory       memory | mongo (shared across instances; needs STORAGE=mongo)
+ */
+
+const RateLimitEnv = z.object({
+  RATE_LIMIT_ENABLED: z
+    .string()
+    .default('true')
+    .transform((v) => v.toLowerCase() !== 'false'),
+  RATE_LIMIT_READ: RateRule.default('300/60'),
+  RATE_LIMIT_WRITE: RateRule.default('60/60'),
+  RATE_LIMIT_STORE: z.enum(['memory', 'mongo']).default('memory')
+});
+
+const READ_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+const hasCredentials = (req) => hasApiKey(req) || /^Bearer\s/i.test(req.get('Authorization') || '');
+
+/**
+ * Verify credentials up front so the bucket can key on the subject. A failure just means the
+ * client is keyed by IP; routes that need auth report it from their own jwtCheck.
+ */
+const identify = (req, res) =>
+  new Promise((resolve) => {
+    if (!AUTH_ENFORCED || !hasCredentials(req)) return resolve();
+    jwtCheck(req, res, (err) => {
+      if (err) delete req.auth;
+      resolve();
+    });
+  });
+
+const clientKey = (req) => {
+  const sub = req.auth?.payload?.sub;
+  return sub ? `sub:${sub}` : `ip:${req.ip}`;
+};
+
+const tooManyRequests = (kind) => httpError(429, `Too many ${kind} requests; slow down`);
+
+/**
+ * @param {{ read: { limit: number, windowSeconds: number }, write: { limit: number, windowSeconds: number },
+ *   store?: { take: (key: string, rule: object) => Promise<{ allowed: boolean, tokens: number }> } }} options
+ */
+export const createRateLimiter = ({ read, write, store = new MemoryBucketStore() }) =>
+  async (req, res, next) => {
+    try {
+      await identify(req, res);
+      const kind = READ_METHODS.has(req.method) ? 'read' : 'write';
+      const rule = kind === 'read' ? read : write;
+      let result;
+      try {
+        result = await store.take(`${kind}:${clientKey(req)}`, rule);
+      } catch (err) {
+        logger.error('rate limit store unavailable; request not limited', { err });
+        return next();
+      }
+      res.set('RateLimit-Policy', `${rule.limit};w=${rule.windowSeconds}`);
+      res.set('RateLimit-Limit', String(rule.limit));
+      res.set('RateLimit-Remaining', String(Math.floor(result.tokens)));
+      res.set('RateLimit-Reset', String(secondsUntilFull(result.tokens, rule)));
+      if (result.allowed) return next();
+      res.set('Retry-After', String(secondsUntilToken(result.tokens, rule)));
+      next(tooManyRequests(kind));
+    } catch (err) {
+      next(err);
+    }
+  };
+
+/** The limiter configured by RATE_LIMIT_* env, or null when disabled */
+export const rateLimitFromEnv = () => {
+  const config = RateLimitEnv.parse(process.env);
+  if (!config.RATE_LIMIT_ENABLED) return null;
+  if (config.RATE_LIMIT_STORE === 'mongo' && STORAGE !== 'mongo') {
+    throw new Error('RATE_LIMIT_STORE=mongo needs STORAGE=mongo');
+  }
+  return createRateLimiter({
+    read: config.RATE_LIMIT_READ,
+    write: config.RATE_LIMIT_WRITE,
+    store: config.RATE_LIMIT_STORE === 'mongo' ? new MongoBucketStore() : new MemoryBucketStore()
+  });
+};
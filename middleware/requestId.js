@@ -0,0 +1,15 @@
+// middleware/requestId.js
+import { randomUUID } from 'node:crypto';
+
+/**
+ * Correlation id per request: reuse a sane incoming X-Request-Id (e.g. from a proxy),
+ * otherwise generate one. Available as `req.id` and echoed in the response header.
+ */
+const VALID_ID = /^[\w.:-]{1,128}$/;
+
+export const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && VALID_ID.test(incoming) ? incoming : randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
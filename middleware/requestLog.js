@@ -0,0 +1,59 @@
+// middleware/requestLog.js
+import { logger as rootLogger, requestContext } from '../lib/logger.js';
+
+/**
+ * Record the matched route pattern (`/books/:id`; `/books` for a router's `/`) on `ctx` as the
+ * router sets `req.route`. Reading it later is not enough: once an error leaves a sub-router
+ * for the app-level handler, Express has restored `req.baseUrl`.
+ */
+const trackRoute = (req, ctx) => {
+  let route;
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set: (value) => {
+      route = value;
+      ctx.route = req.baseUrl && value.path === '/' ? req.baseUrl : `${req.baseUrl}${value.path}`;
+    }
+  });
+};
+
+/**
+ * Run the rest of the request inside a logging context (request id, database totals, matched
+ * route; see lib/logger.js). Mount right after requestId.
+ */
+export const withRequestContext = (req, _res, next) => {
+  const ctx = { requestId: req.id, db: { ops: 0, ms: 0 }, route: null };
+  trackRoute(req, ctx);
+  requestContext.run(ctx, next);
+};
+
+const round = (ms) => Math.round(ms * 100) / 100;
+
+/**
+ * One access-log line per request, once the response is done (or the client went away):
+ * route pattern, status, latency, auth subject and database time.
+ * @param {ReturnType<import('../lib/logger.js').createLogger>} [log]
+ */
+export const requestLog = (log = rootLogger) => (req, res, next) => {
+  const started = process.hrtime.bigint();
+  const ctx = requestContext.getStore();
+  res.once('close', () => {
+    const status = res.writableFinished ? res.statusCode : null;
+    const level = status === null || status >= 500 ? 'error' : 'info';
+    log[level]('request', {
+      requestId: req.id,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      route: ctx?.route ?? null,
+      status,
+      ...(status === null && { aborted: true }),
+      latencyMs: round(Number(process.hrtime.bigint() - started) / 1e6),
+      sub: req.auth?.payload?.sub ?? null,
+      ip: req.ip,
+      ...(ctx && { dbOps: ctx.db.ops, dbMs: round(ctx.db.ms) })
+    });
+  });
+  next();
+};
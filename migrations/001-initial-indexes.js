@@ -0,0 +1,38 @@
+// migrations/001-initial-indexes.js
+
+/**
+ * Indexes the API relies on:
+ *  - unique ISBN / author email (import upserts key on these)
+ *  - books.authorId for referential checks and /authors/:id/books
+ *  - text indexes for search
+ */
+export const up = async (db) => {
+  await db.collection('books').createIndexes([
+    { key: { isbn: 1 }, name: 'isbn_unique', unique: true },
+    { key: { authorId: 1 }, name: 'authorId' },
+    { key: { title: 'text', genres: 'text' }, name: 'books_text', weights: { title: 10, genres: 5 } }
+  ]);
+  await db.collection('authors').createIndexes([
+    { key: { email: 1 }, name: 'email_unique', unique: true },
+    {
+      key: { lastName: 'text', firstName: 'text' },
+      name: 'authors_text',
+      weights: { lastName: 10, firstName: 5 }
+    }
+  ]);
+};
+
+export const down = async (db) => {
+  const drop = async (collection, name) => {
+    try {
+      await db.collection(collection).dropIndex(name);
+    } catch (err) {
+      if (err.codeName !== 'IndexNotFound' && err.codeName !== 'NamespaceNotFound') throw err;
+    }
+  };
+  await drop('books', 'isbn_unique');
+  await drop('books', 'authorId');
+  await drop('books', 'books_text');
+  await drop('authors', 'email_unique');
+  await drop('authors', 'authors_text');
+};
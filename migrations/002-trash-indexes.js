@@ -0,0 +1,21 @@
+// migrations/002-trash-indexes.js
+
+/**
+ * Soft delete: every read filters on deletedAt (null = live), and the trash
+ * listing / retention purge range over it.
+ */
+export const up = async (db) => {
+  for (const collection of ['books', 'authors']) {
+    await db.collection(collection).createIndex({ deletedAt: 1 }, { name: 'deletedAt' });
+  }
+};
+
+export const down = async (db) => {
+  for (const collection of ['books', 'authors']) {
+    try {
+      await db.collection(collection).dropIndex('deletedAt');
+    } catch (err) {
+      if (err.codeName !== 'IndexNotFound' && err.codeName !== 'NamespaceNotFound') throw err;
+    }
+  }
+};
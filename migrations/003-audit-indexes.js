@@ -0,0 +1,21 @@
+// migrations/003-audit-indexes.js
+
+/**
+ * Audit log lookups: per-document history (revisions, revert) and filtering by actor.
+ */
+export const up = async (db) => {
+  await db.collection('audit').createIndexes([
+    { key: { resource: 1, resourceId: 1, version: 1 }, name: 'resource_history' },
+    { key: { actor: 1, at: 1 }, name: 'actor_at' }
+  ]);
+};
+
+export const down = async (db) => {
+  for (const name of ['resource_history', 'actor_at']) {
+    try {
+      await db.collection('audit').dropIndex(name);
+    } catch (err) {
+      if (err.codeName !== 'IndexNotFound' && err.codeName !== 'NamespaceNotFound') throw err;
+    }
+  }
+};
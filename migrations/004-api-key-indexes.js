@@ -0,0 +1,16 @@
+// migrations/004-api-key-indexes.js
+
+/**
+ * API keys are looked up by hash on every authenticated request; the hash is unique.
+ */
+export const up = async (db) => {
+  await db.collection('apiKeys').createIndexes([{ key: { hash: 1 }, name: 'hash_unique', unique: true }]);
+};
+
+export const down = async (db) => {
+  try {
+    await db.collection('apiKeys').dropIndex('hash_unique');
+  } catch (err) {
+    if (err.codeName !== 'IndexNotFound' && err.codeName !== 'NamespaceNotFound') throw err;
+  }
+};
@@ -0,0 +1,18 @@
+// migrations/005-rate-limit-ttl.js
+
+/**
+ * Rate-limit buckets (RATE_LIMIT_STORE=mongo) expire once they would be full again.
+ */
+export const up = async (db) => {
+  await db
+    .collection('rateLimits')
+    .createIndexes([{ key: { expiresAt: 1 }, name: 'expiresAt_ttl', expireAfterSeconds: 0 }]);
+};
+
+export const down = async (db) => {
+  try {
+    await db.collection('rateLimits').dropIndex('expiresAt_ttl');
+  } catch (err) {
+    if (err.codeName !== 'IndexNotFound' && err.codeName !== 'NamespaceNotFound') throw err;
+  }
+};
@@ -0,0 +1,73 @@
+// migrations/006-circulation.js
+
+/**
+ * Lending (lib/circulation.js): copies, loans and holds.
+ *  - copies: unique barcode; looked up by book and status
+ *  - loans: at most one open loan per copy; listed by borrower, scanned by due date for overdues
+ *  - holds: each book's queue in placedAt order
+ *
+ * A book's inStock is now derived from its copies, so every book that was marked in stock
+ * gets one available copy (barcode `<bookId>-1`) and all books get `availableCopies`.
+ * Rolling back drops the indexes and `availableCopies`; copies, loans and holds are kept.
+ */
+const INDEXES = {
+  copies: [
+    { key: { barcode: 1 }, name: 'barcode_unique', unique: true },
+    { key: { bookId: 1, status: 1 }, name: 'bookId_status' }
+  ],
+  loans: [
+    // Open loans store returnedAt: null explicitly ($type, as partial indexes can't test for null)
+    {
+      key: { copyId: 1 },
+      name: 'copyId_open_unique',
+      unique: true,
+      partialFilterExpression: { returnedAt: { $type: 'null' } }
+    },
+    { key: { borrower: 1, checkedOutAt: -1 }, name: 'borrower_checkedOutAt' },
+    { key: { returnedAt: 1, dueAt: 1 }, name: 'returnedAt_dueAt' }
+  ],
+  holds: [{ key: { bookId: 1, status: 1, placedAt: 1 }, name: 'bookId_status_placedAt' }]
+};
+
+export const up = async (db) => {
+  for (const [collection, indexes] of Object.entries(INDEXES)) {
+    await db.collection(collection).createIndexes(indexes);
+  }
+
+  const books = db.collection('books');
+  const copies = db.collection('copies');
+  for await (const book of books.find({ availableCopies: { $exists: false } }, { projection: { inStock: 1 } })) {
+    const stocked = book.inStock === true;
+    if (stocked) {
+      const barcode = `${book._id}-1`;
+      await copies.updateOne(
+        { barcode },
+        {
+          $setOnInsert: {
+            bookId: book._id,
+            barcode,
+            condition: 'good',
+            status: 'available',
+            acquiredAt: new Date(),
+            version: 1
+          }
+        },
+        { upsert: true }
+      );
+    }
+    await books.updateOne({ _id: book._id }, { $set: { inStock: stocked, availableCopies: stocked ? 1 : 0 } });
+  }
+};
+
+export const down = async (db) => {
+  for (const [collection, indexes] of Object.entries(INDEXES)) {
+    for (const { name } of indexes) {
+      try {
+        await db.collection(collection).dropIndex(name);
+      } catch (err) {
+        if (err.codeName !== 'IndexNotFound' && err.codeName !== 'NamespaceNotFound') throw err;
+      }
+    }
+  }
+  await db.collection('books').updateMany({}, { $unset: { availableCopies: '' } });
+};
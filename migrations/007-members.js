@@ -0,0 +1,55 @@
+// migrations/007-members.js
+
+/**
+ * Members (routes/members.js) and their fines; loans and holds now point at a member.
+ *  - members: unique email; unique token subject where one is linked
+ *  - loans: a member's history by checkout date (replaces the free-form borrower index)
+ *  - holds: a member's open holds, for the tier limit
+ *  - fines: at most one per loan; a member's fines by status
+ *
+ * Loans and holds written before members existed keep their `borrower` string and no
+ * `memberId`; they stay readable through /loans and /holds but belong to no member.
+ */
+const INDEXES = {
+  members: [
+    { key: { email: 1 }, name: 'email_unique', unique: true },
+    {
+      key: { sub: 1 },
+      name: 'sub_unique',
+      unique: true,
+      partialFilterExpression: { sub: { $type: 'string' } }
+    }
+  ],
+  loans: [{ key: { memberId: 1, checkedOutAt: -1 }, name: 'memberId_checkedOutAt' }],
+  holds: [{ key: { memberId: 1, status: 1 }, name: 'memberId_status' }],
+  fines: [
+    { key: { loanId: 1 }, name: 'loanId_unique', unique: true },
+    { key: { memberId: 1, status: 1, createdAt: -1 }, name: 'memberId_status_createdAt' }
+  ]
+};
+
+const BORROWER_INDEX = { key: { borrower: 1, checkedOutAt: -1 }, name: 'borrower_checkedOutAt' };
+
+const dropIndex = async (collection, name) => {
+  try {
+    await collection.dropIndex(name);
+  } catch (err) {
+    if (err.codeName !== 'IndexNotFound' && err.codeName !== 'NamespaceNotFound') throw err;
+  }
+};
+
+export const up = async (db) => {
+  for (const [collection, indexes] of Object.entries(INDEXES)) {
+    await db.collection(collection).createIndexes(indexes);
+  }
+  await dropIndex(db.collection('loans'), BORROWER_INDEX.name);
+};
+
+export const down = async (db) => {
+  for (const [collection, indexes] of Object.entries(INDEXES)) {
+    for (const { name } of indexes) {
+      await dropIndex(db.collection(collection), name);
+    }
+  }
+  await db.collection('loans').createIndexes([BORROWER_INDEX]);
+};
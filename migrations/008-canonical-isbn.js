@@ -0,0 +1,37 @@
+// migrations/008-canonical-isbn.js
+import { normalizeIsbn } from '../lib/isbn.js';
+
+/**
+ * ISBNs are now checksum-validated and stored as the bare ISBN-13 (lib/isbn.js).
+ * Rewrites existing books to that form so lookups and the isbn_unique index see one spelling:
+ *   "0-201-61622-X" -> "9780201616224"
+ *
+ * Left as they are (and listed, so they can be fixed by hand):
+ *  - ISBNs that fail the checksum
+ *  - books whose canonical ISBN another book already has (e.g. one stored as ISBN-10, one as ISBN-13)
+ * Such a book reads fine but must get a valid, unique ISBN before its next PUT/PATCH.
+ *
+ * Not reversible: the original spelling is not kept, so down() is a no-op.
+ */
+export const up = async (db) => {
+  const books = db.collection('books');
+  const skipped = [];
+  for await (const { _id, isbn } of books.find({}, { projection: { isbn: 1 } })) {
+    const result = normalizeIsbn(isbn ?? '');
+    if (result.error) {
+      skipped.push(`${_id} (${isbn}: ${result.error})`);
+    } else if (result.isbn !== isbn) {
+      try {
+        await books.updateOne({ _id }, { $set: { isbn: result.isbn } });
+      } catch (err) {
+        if (err?.code !== 11000) throw err;
+        skipped.push(`${_id} (${isbn}: ${result.isbn} belongs to another book)`);
+      }
+    }
+  }
+  if (skipped.length) {
+    console.warn(`008-canonical-isbn: left ${skipped.length} book(s) unchanged:\n  ${skipped.join('\n  ')}`);
+  }
+};
+
+export const down = async () => {};
@@ -0,0 +1,69 @@
+// migrations/009-book-credits.js
+
+/**
+ * Multi-author books, works and series (models/book.js, routes/works.js, routes/series.js).
+ *  - books: `authorId` becomes `authors: [{ authorId, role: 'author' }]`; a null authorId (left by
+ *    an author delete with onDelete=nullify) becomes `authors: []`, still listed by /books/orphans
+ *  - books: indexes for credited authors, a work's editions and a series in order
+ *    (replaces the single `authorId` index)
+ *  - works / series: sortable by title / name
+ *
+ * Rolling back keeps each book's first `author` credit (else its first credit) as `authorId`;
+ * other credits are lost. Works and series are kept; the book fields pointing at them too.
+ */
+const BOOK_INDEXES = [
+  { key: { 'authors.authorId': 1 }, name: 'authors_authorId' },
+  {
+    key: { workId: 1, publishedYear: 1 },
+    name: 'workId_publishedYear',
+    partialFilterExpression: { workId: { $exists: true } }
+  },
+  {
+    key: { seriesId: 1, seriesPosition: 1 },
+    name: 'seriesId_seriesPosition',
+    partialFilterExpression: { seriesId: { $exists: true } }
+  }
+];
+
+const INDEXES = {
+  works: [{ key: { title: 1 }, name: 'title' }],
+  series: [{ key: { name: 1 }, name: 'name' }]
+};
+
+const AUTHOR_ID_INDEX = { key: { authorId: 1 }, name: 'authorId' };
+
+const dropIndex = async (collection, name) => {
+  try {
+    await collection.dropIndex(name);
+  } catch (err) {
+    if (err.codeName !== 'IndexNotFound' && err.codeName !== 'NamespaceNotFound') throw err;
+  }
+};
+
+export const up = async (db) => {
+  const books = db.collection('books');
+  for await (const { _id, authorId } of books.find({ authorId: { $exists: true } }, { projection: { authorId: 1 } })) {
+    await books.updateOne(
+      { _id },
+      { $set: { authors: authorId ? [{ authorId, role: 'author' }] : [] }, $unset: { authorId: '' } }
+    );
+  }
+  await books.createIndexes(BOOK_INDEXES);
+  await dropIndex(books, AUTHOR_ID_INDEX.name);
+  for (const [collection, indexes] of Object.entries(INDEXES)) {
+    await db.collection(collection).createIndexes(indexes);
+  }
+};
+
+export const down = async (db) => {
+  const books = db.collection('books');
+  for await (const { _id, authors } of books.find({ authors: { $exists: true } }, { projection: { authors: 1 } })) {
+    const primary = authors.find((c) => c.role === 'author') ?? authors[0];
+    await books.updateOne({ _id }, { $set: { authorId: primary?.authorId ?? null }, $unset: { authors: '' } });
+  }
+  await books.createIndexes([AUTHOR_ID_INDEX]);
+  for (const { name } of BOOK_INDEXES) await dropIndex(books, name);
+  for (const [collection, indexes] of Object.entries(INDEXES)) {
+    for (const { name } of indexes) await dropIndex(db.collection(collection), name);
+  }
+};
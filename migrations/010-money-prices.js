@@ -0,0 +1,48 @@
+// migrations/010-money-prices.js
+import { RATES, formatAmount, parseAmount } from '../lib/money.js';
+
+/**
+ * Book prices become money (lib/money.js): `price: 29.99` -> `price: { amount: 2999, currency: 'USD' }`.
+ * Existing prices had no currency; they are taken to be in the rates table's base currency
+ * (data/exchange-rates.json or EXCHANGE_RATES_FILE). Extra decimals are rounded half to even.
+ * A price that isn't a non-negative number is listed and left as is; such a book reads fine
+ * but must get a valid price before its next PUT/PATCH.
+ *
+ * discounts: index for the rules running at a time, by target.
+ *
+ * Rolling back turns money into a plain number again, in whatever currency each price is.
+ */
+const DISCOUNT_INDEXES = [
+  { key: { startsAt: 1, endsAt: 1 }, name: 'startsAt_endsAt' },
+  { key: { bookId: 1 }, name: 'bookId', partialFilterExpression: { bookId: { $exists: true } } },
+  { key: { authorId: 1 }, name: 'authorId', partialFilterExpression: { authorId: { $exists: true } } },
+  { key: { genre: 1 }, name: 'genre', partialFilterExpression: { genre: { $exists: true } } }
+];
+
+export const up = async (db) => {
+  const books = db.collection('books');
+  const skipped = [];
+  for await (const { _id, price } of books.find({ price: { $type: 'number' } }, { projection: { price: 1 } })) {
+    const { amount, error } = parseAmount(String(price), RATES.base, { round: true });
+    if (error) skipped.push(`${_id} (${price}: ${error})`);
+    else await books.updateOne({ _id }, { $set: { price: { amount, currency: RATES.base } } });
+  }
+  if (skipped.length) {
+    console.warn(`010-money-prices: left ${skipped.length} book(s) unchanged:\n  ${skipped.join('\n  ')}`);
+  }
+  await db.collection('discounts').createIndexes(DISCOUNT_INDEXES);
+};
+
+export const down = async (db) => {
+  const books = db.collection('books');
+  for await (const { _id, price } of books.find({ 'price.amount': { $exists: true } }, { projection: { price: 1 } })) {
+    await books.updateOne({ _id }, { $set: { price: Number(formatAmount(price)) } });
+  }
+  for (const { name } of DISCOUNT_INDEXES) {
+    try {
+      await db.collection('discounts').dropIndex(name);
+    } catch (err) {
+      if (err.codeName !== 'IndexNotFound' && err.codeName !== 'NamespaceNotFound') throw err;
+    }
+  }
+};
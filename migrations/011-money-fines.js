@@ -0,0 +1,32 @@
+// migrations/011-money-fines.js
+import { formatAmount, parseAmount } from '../lib/money.js';
+import { CIRCULATION } from '../lib/circulation.js';
+
+/**
+ * Fines become money (lib/money.js), like book prices in 010: `amount: 0.75` ->
+ * `amount: { amount: 75, currency: 'USD' }`. Existing fines had no currency; they are taken
+ * to be in FINE_CURRENCY (default: the rates table's base currency). Extra decimals are
+ * rounded half to even. An amount that isn't a non-negative number is listed and left as is.
+ *
+ * Rolling back turns money into a plain number again, in whatever currency each fine is.
+ */
+export const up = async (db) => {
+  const fines = db.collection('fines');
+  const { currency } = CIRCULATION.fineMax;
+  const skipped = [];
+  for await (const { _id, amount } of fines.find({ amount: { $type: 'number' } }, { projection: { amount: 1 } })) {
+    const parsed = parseAmount(String(amount), currency, { round: true });
+    if (parsed.error) skipped.push(`${_id} (${amount}: ${parsed.error})`);
+    else await fines.updateOne({ _id }, { $set: { amount: { amount: parsed.amount, currency } } });
+  }
+  if (skipped.length) {
+    console.warn(`011-money-fines: left ${skipped.length} fine(s) unchanged:\n  ${skipped.join('\n  ')}`);
+  }
+};
+
+export const down = async (db) => {
+  const fines = db.collection('fines');
+  for await (const { _id, amount } of fines.find({ 'amount.amount': { $exists: true } }, { projection: { amount: 1 } })) {
+    await fines.updateOne({ _id }, { $set: { amount: Number(formatAmount(amount)) } });
+  }
+};
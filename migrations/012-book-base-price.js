@@ -0,0 +1,31 @@
+// migrations/012-book-base-price.js
+import { basePriceOf } from '../models/book.js';
+
+/**
+ * Books get `basePrice`, their money price in the rates table's base currency (minor units),
+ * which sort=price orders by so that prices in different currencies compare by value.
+ * Writes keep it up to date from then on; run `db:rollback -- --steps=1` and `db:migrate`
+ * again to re-derive it after changing the rates table. A price whose currency has no rate
+ * is listed and left without one (such a book sorts first).
+ *
+ * Rolling back removes the field.
+ */
+export const up = async (db) => {
+  const books = db.collection('books');
+  const skipped = [];
+  for await (const { _id, price } of books.find({ 'price.currency': { $exists: true } }, { projection: { price: 1 } })) {
+    try {
+      await books.updateOne({ _id }, { $set: { basePrice: basePriceOf(price) } });
+    } catch (err) {
+      if (!(err instanceof RangeError)) throw err;
+      skipped.push(`${_id} (${err.message})`);
+    }
+  }
+  if (skipped.length) {
+    console.warn(`012-book-base-price: left ${skipped.length} book(s) without one:\n  ${skipped.join('\n  ')}`);
+  }
+};
+
+export const down = async (db) => {
+  await db.collection('books').updateMany({ basePrice: { $exists: true } }, { $unset: { basePrice: '' } });
+};
@@ -0,0 +1,85 @@
+// models/author.js
+import { z } from 'zod';
+import { pagingShape, sortParam } from '../lib/pagination.js';
+
+/**
+ * Zod helpers
+ */
+const nonEmptyTrimmed = z.string().trim().min(1);
+const emailLower = z.string().email().transform((e) => e.toLowerCase().trim());
+
+// birthdate: RFC3339 full-date string (YYYY-MM-DD), convert to Date, ensure not in the future
+const birthdateAsDate = z
+  .string()
+  .date()
+  .transform((s) => new Date(`${s}T00:00:00.000Z`))
+  .refine((d) => d <= new Date(), { message: 'birthdate cannot be in the future' });
+
+/**
+ * Author schema (client never sends _id)
+ * We store:
+ *  - firstName / lastName trimmed
+ *  - email lowercased
+ *  - birthdate as Date (Mongo Date type)
+ */
+export const AuthorSchema = z.object({
+  firstName: nonEmptyTrimmed,
+  lastName: nonEmptyTrimmed,
+  email: emailLower,
+  birthdate: birthdateAsDate, // stored as Date
+  nationality: nonEmptyTrimmed,
+  website: z.string().url().trim().optional()
+});
+
+export const AUTHOR_SORTABLE = ['firstName', 'lastName', 'email', 'birthdate', 'nationality'];
+
+/** GET /authors query string: filters + paging */
+export const AuthorListQuery = z.object({
+  nationality: nonEmptyTrimmed.optional(),
+  ...pagingShape(AUTHOR_SORTABLE)
+});
+
+/** GET /authors/export query string: filters + sort, no paging */
+export const AuthorExportQuery = z.object({
+  nationality: nonEmptyTrimmed.optional(),
+  format: z.enum(['csv', 'ndjson']).default('ndjson'),
+  sort: sortParam(AUTHOR_SORTABLE)
+});
+
+export const toAuthorFilter = (q) => {
+  const filter = {};
+  if (q.nationality) filter.nationality = q.nationality;
+  return filter;
+};
+
+/**
+ * Stored document -> request-shaped JSON (no _id, birthdate back to YYYY-MM-DD),
+ * i.e. what AuthorSchema.parse expects. Used to re-validate PATCH results.
+ */
+export const toAuthorInput = ({ _id, ...doc }) => {
+  const input = JSON.parse(JSON.stringify(doc));
+  if (doc.birthdate instanceof Date) input.birthdate = doc.birthdate.toISOString().slice(0, 10);
+  return input;
+};
+
+/** CSV layout for import/export */
+export const AUTHOR_CSV_COLUMNS = [
+  '_id',
+  'firstName',
+  'lastName',
+  'email',
+  'birthdate',
+  'nationality',
+  'website'
+];
+
+/** Stored document -> flat export record (birthdate as YYYY-MM-DD) */
+export const authorToRecord = (doc) => ({
+  _id: doc._id?.toString(),
+  firstName: doc.firstName,
+  lastName: doc.lastName,
+  email: doc.email,
+  birthdate: doc.birthdate instanceof Date ? doc.birthdate.toISOString().slice(0, 10) : doc.birthdate,
+  nationality: doc.nationality,
+  ...(doc.website && { website: doc.website })
+});
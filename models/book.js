@@ -0,0 +1,353 @@
+// models/book.js
+import { z } from 'zod';
+import { ObjectId } from 'mongodb';
+import { csvList, csvNumber } from '../lib/bulk.js';
+import {
+  pagingShape,
+  queryBoolean,
+  queryList,
+  queryObjectId,
+  sortParam
+} from '../lib/pagination.js';
+import { normalizeIsbn } from '../lib/isbn.js';
+import { PRICE_CURRENCIES, RATES, convert, formatAmount, parseAmount } from '../lib/money.js';
+
+/** Validate 24-char hex and transform to ObjectId for storage */
+export const ObjectIdString = z
+  .string()
+  .regex(/^[0-9a-fA-F]{24}$/, 'Must be a 24-character hex string')
+  .transform((s) => new ObjectId(s));
+
+/** ISBN-10 or ISBN-13 (hyphens/spaces allowed), checksum-validated; becomes the bare ISBN-13 */
+export const Isbn = z.string().transform((s, ctx) => {
+  const { isbn, error } = normalizeIsbn(s);
+  if (error) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: error });
+    return z.NEVER;
+  }
+  return isbn;
+});
+
+/** Integer minor units plus currency: { amount: 1299, currency: 'EUR' } is €12.99 (lib/money.js) */
+export const MoneySchema = z.object({
+  amount: z.number().int().nonnegative().max(Number.MAX_SAFE_INTEGER),
+  currency: z.enum(PRICE_CURRENCIES)
+});
+
+/** A price's amount in the rates table's base currency: the stored sort key for sort=price */
+export const basePriceOf = (price) => convert(price, RATES.base).amount;
+
+/** How an author is credited on a book */
+export const CREDIT_ROLES = ['author', 'editor', 'translator', 'illustrator'];
+
+/** One credit: { authorId, role } (role defaults to author) */
+export const CreditSchema = z.object({
+  authorId: ObjectIdString,
+  role: z.enum(CREDIT_ROLES).default('author')
+});
+
+/**
+ * Main Book schema (request payload). _id is never client-supplied, and neither are the
+ * stock fields: `inStock` / `availableCopies` are derived from the book's copies (lib/circulation.js).
+ * Nor is `basePrice`, the price converted to the rates table's base currency (minor units) that
+ * sort=price orders by; it is derived here on every write, at the rates of the day.
+ *
+ * `authors` credits one or more authors, each once per role. A book may be one edition of a
+ * work (`workId`, `edition`) and part of a series (`seriesId`, ordered by `seriesPosition`).
+ * `price` is the list price in any currency of the rates table; discounts apply on read (lib/pricing.js).
+ */
+export const BookSchema = z
+  .object({
+    title: z.string().min(1),
+    isbn: Isbn,
+    authors: z
+      .array(CreditSchema)
+      .min(1)
+      .max(20)
+      .superRefine((credits, ctx) => {
+        const seen = new Set();
+        credits.forEach(({ authorId, role }, i) => {
+          const key = `${authorId}:${role}`;
+          if (seen.has(key)) {
+            ctx.addIssue({ code: z.ZodIssueCode.custom, message: `Author is already credited as ${role}`, path: [i] });
+          }
+          seen.add(key);
+        });
+      }),
+    publishedYear: z.number().int().gte(1400).lte(new Date().getFullYear() + 1),
+    genres: z.array(z.string()).min(1),
+    pages: z.number().int().positive(),
+    price: MoneySchema,
+    workId: ObjectIdString.optional(),
+    edition: z.string().trim().min(1).max(100).optional(),
+    seriesId: ObjectIdString.optional(),
+    seriesPosition: z.number().positive().optional()
+  })
+  .refine((b) => b.seriesPosition === undefined || b.seriesId !== undefined, {
+    message: 'seriesPosition needs a seriesId',
+    path: ['seriesPosition']
+  })
+  .transform((b) => ({ ...b, basePrice: basePriceOf(b.price) }));
+
+/** Distinct author ids credited on a (stored or parsed) book */
+export const creditedAuthorIds = (book) => [
+  ...new Map((book?.authors ?? []).map((c) => [c.authorId.toString(), c.authorId])).values()
+];
+
+/** Stock fields of a book without copies (new books) */
+export const NO_STOCK = { inStock: false, availableCopies: 0 };
+
+/** The derived stock fields of a stored book, carried over when its other fields are replaced */
+export const stockOf = (doc) => ({
+  inStock: doc.inStock ?? NO_STOCK.inStock,
+  availableCopies: doc.availableCopies ?? NO_STOCK.availableCopies
+});
+
+/**
+ * ETag variant for a book's stock (lib/concurrency.js): lending and returning copies doesn't bump
+ * the book's version, so the available count tells the readings of one version apart.
+ */
+export const stockVariant = (doc) => (doc.availableCopies ? `s${doc.availableCopies}` : undefined);
+
+export const BOOK_SORTABLE = ['title', 'isbn', 'publishedYear', 'pages', 'price', 'seriesPosition'];
+
+/**
+ * `sort` over `sortable` book fields, with price read as basePrice so that prices in different
+ * currencies compare by value: "-price,title" -> ['-basePrice', 'title'].
+ */
+export const bookSortParam = (sortable = BOOK_SORTABLE) =>
+  sortParam(sortable).transform((fields) => fields?.map((f) => f.replace(/^([-+]?)price$/, '$1basePrice')));
+
+/** Filter fields shared by GET /books, GET /authors/:id/books and GET /books/export */
+const bookFilterShape = {
+  genre: queryList.optional(),
+  authorId: queryObjectId.optional(),
+  workId: queryObjectId.optional(),
+  seriesId: queryObjectId.optional(),
+  inStock: queryBoolean.optional(),
+  currency: z.enum(PRICE_CURRENCIES).optional(),
+  minPrice: z.string().optional(),
+  maxPrice: z.string().optional(),
+  minPublishedYear: z.coerce.number().int().optional(),
+  maxPublishedYear: z.coerce.number().int().optional()
+};
+
+/** minPrice/maxPrice: decimal major units of `currency` (default: the rates table's base) -> Money */
+const priceBound = (q, key, ctx) => {
+  if (q[key] === undefined) return undefined;
+  const currency = q.currency ?? RATES.base;
+  const { amount, error } = parseAmount(q[key], currency);
+  if (error) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: error, path: [key] });
+    return undefined;
+  }
+  return { amount, currency };
+};
+
+const withRangeChecks = (schema) =>
+  schema
+    .transform((q, ctx) => ({
+      ...q,
+      minPrice: priceBound(q, 'minPrice', ctx),
+      maxPrice: priceBound(q, 'maxPrice', ctx)
+    }))
+    .refine((q) => q.minPrice === undefined || q.maxPrice === undefined || q.minPrice.amount <= q.maxPrice.amount, {
+      message: 'minPrice must be <= maxPrice',
+      path: ['minPrice']
+    })
+    .refine(
+      (q) =>
+        q.minPublishedYear === undefined ||
+        q.maxPublishedYear === undefined ||
+        q.minPublishedYear <= q.maxPublishedYear,
+      { message: 'minPublishedYear must be <= maxPublishedYear', path: ['minPublishedYear'] }
+    );
+
+// ?expand=authors; `author` (the name before multi-author credits) is a deprecated alias
+const expandParam = z
+  .enum(['authors', 'author'])
+  .transform(() => 'authors')
+  .optional();
+
+/** GET /books query string: filters + paging */
+export const BookListQuery = withRangeChecks(
+  z.object({
+    ...bookFilterShape,
+    expand: expandParam,
+    ...pagingShape(BOOK_SORTABLE),
+    sort: bookSortParam()
+  })
+);
+
+/** GET /books/export query string: filters + sort, no paging */
+export const BookExportQuery = withRangeChecks(
+  z.object({
+    ...bookFilterShape,
+    format: z.enum(['csv', 'ndjson']).default('ndjson'),
+    sort: bookSortParam()
+  })
+);
+
+/** GET /books/:id query string */
+export const BookGetQuery = z.object({
+  expand: expandParam,
+  currency: z.enum(PRICE_CURRENCIES).optional()
+});
+
+/** Translate a validated list query into a Mongo filter */
+export const toBookFilter = (q) => {
+  const filter = {};
+  if (q.genre) filter.genres = { $in: q.genre };
+  if (q.authorId) filter['authors.authorId'] = q.authorId; // credited in any role
+  if (q.workId) filter.workId = q.workId;
+  if (q.seriesId) filter.seriesId = q.seriesId;
+  if (q.inStock !== undefined) filter.inStock = q.inStock ? true : { $ne: true };
+  if (q.minPrice !== undefined || q.maxPrice !== undefined) {
+    // List prices are in several currencies: one range per currency, the bounds converted into it
+    filter.$or = PRICE_CURRENCIES.map((currency) => {
+      const amount = {};
+      if (q.minPrice !== undefined) amount.$gte = convert(q.minPrice, currency).amount;
+      if (q.maxPrice !== undefined) amount.$lte = convert(q.maxPrice, currency).amount;
+      return { 'price.currency': currency, 'price.amount': amount };
+    });
+  }
+  if (q.minPublishedYear !== undefined || q.maxPublishedYear !== undefined) {
+    filter.publishedYear = {};
+    if (q.minPublishedYear !== undefined) filter.publishedYear.$gte = q.minPublishedYear;
+    if (q.maxPublishedYear !== undefined) filter.publishedYear.$lte = q.maxPublishedYear;
+  }
+  return filter;
+};
+
+/**
+ * Stored document -> request-shaped JSON (no _id, ObjectIds as hex strings),
+ * i.e. what BookSchema.parse expects. Used to re-validate PATCH results and reverted revisions;
+ * a revision from before multi-author books (single `authorId`) becomes a one-author `authors`,
+ * one from before money prices (a bare number) a price in the rates table's base currency.
+ */
+export const toBookInput = ({ _id, authorId, ...doc }) => {
+  const input = JSON.parse(JSON.stringify(doc));
+  if (input.authors === undefined && authorId) input.authors = [{ authorId: authorId.toString(), role: 'author' }];
+  if (typeof input.price === 'number') {
+    const { amount } = parseAmount(String(input.price), RATES.base, { round: true });
+    input.price = amount === undefined ? input.price : { amount, currency: RATES.base };
+  }
+  return input;
+};
+
+/**
+ * CSV layout for import/export; genres are ';'-separated in one cell, authors `<authorId>:<role>;...`,
+ * price in major units ("12.99") of `currency` (default: the rates table's base)
+ */
+export const BOOK_CSV_COLUMNS = [
+  '_id',
+  'title',
+  'isbn',
+  'authors',
+  'publishedYear',
+  'genres',
+  'pages',
+  'price',
+  'currency',
+  'workId',
+  'edition',
+  'seriesId',
+  'seriesPosition',
+  'inStock',
+  'availableCopies'
+];
+
+/** `<authorId>[:<role>]` cells -> credits (a bare id is an author credit) */
+const csvCredits = (v) =>
+  csvList(v)?.map((cell) => {
+    const [authorId, role] = cell.split(':').map((s) => s.trim());
+    return { authorId, ...(role && { role }) };
+  });
+
+/** Price and currency cells -> money (an unparseable price is kept as is, for BookSchema to reject) */
+const csvPrice = (price, currency = RATES.base) => {
+  if (price === undefined) return undefined;
+  const { amount } = parseAmount(price, currency);
+  return { amount: amount ?? price, currency };
+};
+
+/**
+ * CSV record (all strings) -> BookSchema input (export-only columns such as inStock are ignored).
+ * An `authorId` column (files exported before multi-author books) is read as the sole author.
+ */
+export const bookFromCsv = ({ authorId, currency, ...r }) => ({
+  ...r,
+  authors: r.authors !== undefined ? csvCredits(r.authors) : authorId && [{ authorId }],
+  publishedYear: csvNumber(r.publishedYear),
+  genres: csvList(r.genres),
+  pages: csvNumber(r.pages),
+  price: csvPrice(r.price, currency || undefined),
+  seriesPosition: csvNumber(r.seriesPosition)
+});
+
+/** Stored document -> flat export record */
+export const bookToRecord = (doc) => ({
+  _id: doc._id?.toString(),
+  title: doc.title,
+  isbn: doc.isbn,
+  authors: (doc.authors ?? []).map((c) => ({ authorId: c.authorId?.toString() ?? null, role: c.role })),
+  publishedYear: doc.publishedYear,
+  genres: doc.genres,
+  pages: doc.pages,
+  price: doc.price,
+  workId: doc.workId?.toString() ?? null,
+  edition: doc.edition ?? null,
+  seriesId: doc.seriesId?.toString() ?? null,
+  seriesPosition: doc.seriesPosition ?? null,
+  inStock: doc.inStock ?? false,
+  availableCopies: doc.availableCopies ?? 0
+});
+
+/** bookToRecord for CSV cells */
+export const bookToCsvRecord = (doc) => {
+  const record = bookToRecord(doc);
+  return {
+    ...record,
+    authors: record.authors.map((c) => `${c.authorId}:${c.role}`).join(';'),
+    genres: record.genres?.join(';'),
+    price: record.price?.currency ? formatAmount(record.price) : record.price,
+    currency: record.price?.currency
+  };
+};
+
+/**
+ * Aggregation stages that embed each credited author as `authors[].author`
+ * (null when the authorId does not resolve). Used for ?expand=authors.
+ */
+export const authorLookupStages = [
+  { $lookup: { from: 'authors', localField: 'authors.authorId', foreignField: '_id', as: '_authorDocs' } },
+  {
+    $set: {
+      authors: {
+        $map: {
+          input: { $ifNull: ['$authors', []] },
+          as: 'credit',
+          in: {
+            $mergeObjects: [
+              '$$credit',
+              {
+                author: {
+                  $ifNull: [
+                    {
+                      $arrayElemAt: [
+                        { $filter: { input: '$_authorDocs', cond: { $eq: ['$$this._id', '$$credit.authorId'] } } },
+                        0
+                      ]
+                    },
+                    null
+                  ]
+                }
+              }
+            ]
+          }
+        }
+      }
+    }
+  },
+  { $unset: '_authorDocs' }
+];
@@ -0,0 +1,41 @@
+// models/copy.js
+import { z } from 'zod';
+import { pagingShape } from '../lib/pagination.js';
+
+/**
+ * A physical copy of a book (`copies` collection):
+ *   { bookId, barcode, condition, note?, status, acquiredAt, version }
+ *
+ * Status:
+ *   available   on the shelf
+ *   on_loan     checked out (set by checkout, cleared by return)
+ *   on_hold     set aside for the first hold in the book's queue (set and cleared by holds)
+ *   lost, withdrawn   out of circulation; set by staff
+ */
+
+export const COPY_STATUSES = ['available', 'on_loan', 'on_hold', 'lost', 'withdrawn'];
+
+/** Statuses owned by circulation; staff cannot set or leave them by editing the copy */
+export const CIRCULATING = ['on_loan', 'on_hold'];
+
+export const COPY_CONDITIONS = ['new', 'good', 'fair', 'poor'];
+
+/** POST /books/:id/copies body, and the re-validated result of PATCH /copies/:id */
+export const CopySchema = z.object({
+  barcode: z.string().trim().min(1).max(50),
+  condition: z.enum(COPY_CONDITIONS).default('good'),
+  note: z.string().trim().max(500).optional(),
+  status: z.enum(COPY_STATUSES).default('available')
+});
+
+export const COPY_SORTABLE = ['barcode', 'status', 'acquiredAt'];
+
+/** GET /books/:id/copies query string */
+export const CopyListQuery = z.object({
+  status: z.enum(COPY_STATUSES).optional(),
+  ...pagingShape(COPY_SORTABLE)
+});
+
+/** Stored copy -> the fields PATCH may change, as plain JSON */
+export const toCopyInput = ({ barcode, condition, note, status }) =>
+  JSON.parse(JSON.stringify({ barcode, condition, note, status }));
@@ -0,0 +1,64 @@
+// models/discount.js
+import { z } from 'zod';
+import { pagingShape, queryBoolean, queryObjectId } from '../lib/pagination.js';
+import { ObjectIdString } from './book.js';
+
+/**
+ * Discount rules (`discounts` collection): a percentage off the list price of one book, of every
+ * book credited to an author, or of every book in a genre, for a limited time.
+ *   { name, percentOff, bookId? | authorId? | genre?, startsAt, endsAt, version }
+ * A rule runs from `startsAt` (inclusive) to `endsAt` (exclusive). Rules don't stack: a book
+ * gets the largest running percentage (lib/pricing.js).
+ */
+
+const TARGETS = ['bookId', 'authorId', 'genre'];
+
+// startsAt / endsAt: RFC 3339 date-time with offset, stored as a Date
+const dateTime = z
+  .string()
+  .datetime({ offset: true })
+  .transform((s) => new Date(s));
+
+/** Discount schema (request payload; client never sends _id) */
+export const DiscountSchema = z
+  .object({
+    name: z.string().trim().min(1).max(200),
+    percentOff: z.number().int().min(1).max(100),
+    bookId: ObjectIdString.optional(),
+    authorId: ObjectIdString.optional(),
+    genre: z.string().trim().min(1).optional(),
+    startsAt: dateTime,
+    endsAt: dateTime
+  })
+  .refine((d) => TARGETS.filter((t) => d[t] !== undefined).length === 1, {
+    message: 'Set exactly one of bookId, authorId or genre',
+    path: ['bookId']
+  })
+  .refine((d) => d.endsAt > d.startsAt, { message: 'endsAt must be after startsAt', path: ['endsAt'] });
+
+export const DISCOUNT_SORTABLE = ['name', 'percentOff', 'startsAt', 'endsAt'];
+
+/** GET /discounts query string: filters + paging */
+export const DiscountListQuery = z.object({
+  bookId: queryObjectId.optional(),
+  authorId: queryObjectId.optional(),
+  genre: z.string().trim().min(1).optional(),
+  running: queryBoolean.optional(),
+  ...pagingShape(DISCOUNT_SORTABLE)
+});
+
+/** Filter for rules running at `now` */
+export const runningAt = (now) => ({ startsAt: { $lte: now }, endsAt: { $gt: now } });
+
+export const toDiscountFilter = (q, now = new Date()) => {
+  const filter = {};
+  if (q.bookId) filter.bookId = q.bookId;
+  if (q.authorId) filter.authorId = q.authorId;
+  if (q.genre) filter.genre = q.genre;
+  if (q.running === true) Object.assign(filter, runningAt(now));
+  if (q.running === false) filter.$or = [{ startsAt: { $gt: now } }, { endsAt: { $lte: now } }];
+  return filter;
+};
+
+/** Stored document -> request-shaped JSON (dates back to ISO strings), for PATCH */
+export const toDiscountInput = ({ _id, ...doc }) => JSON.parse(JSON.stringify(doc));
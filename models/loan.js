@@ -0,0 +1,86 @@
+// models/loan.js
+import { z } from 'zod';
+import { ObjectIdString } from './book.js';
+import { pagingShape, queryObjectId } from '../lib/pagination.js';
+
+/**
+ * Loans (`loans` collection):
+ *   { copyId, bookId, barcode, memberId, checkedOutAt, checkedOutBy, dueAt, renewals,
+ *     lastRenewedAt, returnedAt, returnedBy }
+ * A loan is active while `returnedAt` is null, and overdue while active past `dueAt`.
+ *
+ * Holds (`holds` collection), one queue per book in `placedAt` order:
+ *   { bookId, memberId, placedAt, placedBy, status, copyId, readyAt, expiresAt, closedAt, loanId }
+ * Status: waiting -> ready (a copy is set aside until expiresAt) -> fulfilled (checked out),
+ * or cancelled / expired.
+ */
+
+/** POST /loans body: the copy by id or by barcode (exactly one) */
+export const CheckoutSchema = z
+  .object({
+    copyId: ObjectIdString.optional(),
+    barcode: z.string().trim().min(1).optional(),
+    memberId: ObjectIdString
+  })
+  .refine((b) => (b.copyId === undefined) !== (b.barcode === undefined), {
+    message: 'Give either copyId or barcode',
+    path: ['copyId']
+  });
+
+export const LOAN_STATUSES = ['active', 'overdue', 'returned'];
+export const LOAN_SORTABLE = ['checkedOutAt', 'dueAt', 'returnedAt'];
+
+/** GET /loans query string */
+export const LoanListQuery = z.object({
+  status: z.enum(LOAN_STATUSES).optional(),
+  memberId: queryObjectId.optional(),
+  bookId: queryObjectId.optional(),
+  copyId: queryObjectId.optional(),
+  ...pagingShape(LOAN_SORTABLE)
+});
+
+/** GET /loans/overdue query string */
+export const OverdueQuery = z.object({
+  memberId: queryObjectId.optional(),
+  ...pagingShape(LOAN_SORTABLE)
+});
+
+/** Filter for active loans */
+export const ACTIVE_LOAN = { returnedAt: null };
+
+/** Translate a validated list query into a Mongo filter */
+export const toLoanFilter = (q, now = new Date()) => {
+  const filter = {};
+  if (q.status === 'active') filter.returnedAt = null;
+  if (q.status === 'overdue') Object.assign(filter, { returnedAt: null, dueAt: { $lt: now } });
+  if (q.status === 'returned') filter.returnedAt = { $ne: null };
+  if (q.memberId) filter.memberId = q.memberId;
+  if (q.bookId) filter.bookId = q.bookId;
+  if (q.copyId) filter.copyId = q.copyId;
+  return filter;
+};
+
+/** POST /books/:id/holds body */
+export const HoldSchema = z.object({ memberId: ObjectIdString });
+
+export const HOLD_STATUSES = ['waiting', 'ready', 'fulfilled', 'cancelled', 'expired'];
+export const HOLD_SORTABLE = ['placedAt', 'readyAt', 'expiresAt'];
+
+/** Filter for holds still in a queue */
+export const OPEN_HOLD = { status: { $in: ['waiting', 'ready'] } };
+
+/** GET /holds query string */
+export const HoldListQuery = z.object({
+  status: z.enum(HOLD_STATUSES).optional(),
+  memberId: queryObjectId.optional(),
+  bookId: queryObjectId.optional(),
+  ...pagingShape(HOLD_SORTABLE)
+});
+
+export const toHoldFilter = (q) => {
+  const filter = {};
+  if (q.status) filter.status = q.status;
+  if (q.memberId) filter.memberId = q.memberId;
+  if (q.bookId) filter.bookId = q.bookId;
+  return filter;
+};
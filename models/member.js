@@ -0,0 +1,88 @@
+// models/member.js
+import { z } from 'zod';
+import { pagingShape } from '../lib/pagination.js';
+import { CURRENCY_DIGITS } from '../lib/money.js';
+
+/**
+ * Library members (`members` collection):
+ *   { name, email, tier, status, expiresAt?, sub?, activeLoans, version }
+ * `sub` links the member to a token subject (GET /members/me); without it the token's email
+ * claim is matched instead. A member may borrow while `active` and not past `expiresAt`.
+ * `activeLoans` counts the loans they have out; checkout and return keep it (lib/circulation.js),
+ * clients never set it.
+ *
+ * Fines (`fines` collection), one per loan returned late (lib/circulation.js):
+ *   { memberId, loanId, bookId, reason, days, amount, status, createdAt, closedAt, closedBy }
+ * `amount` is money: { amount: 75, currency: 'USD' } (lib/money.js). Status: unpaid -> paid | waived.
+ */
+
+export const MEMBER_TIERS = ['basic', 'standard', 'premium'];
+export const MEMBER_STATUSES = ['active', 'suspended'];
+
+/** How much each tier may have out at once */
+export const TIER_LIMITS = {
+  basic: { maxLoans: 2, maxHolds: 2 },
+  standard: { maxLoans: 5, maxHolds: 5 },
+  premium: { maxLoans: 10, maxHolds: 10 }
+};
+
+/** Loan count of a new member */
+export const NO_LOANS = { activeLoans: 0 };
+
+// expiresAt: RFC3339 full-date string (YYYY-MM-DD), stored as a Date at midnight UTC
+const dateOnly = z
+  .string()
+  .date()
+  .transform((s) => new Date(`${s}T00:00:00.000Z`));
+
+/** Member schema (request payload; client never sends _id) */
+export const MemberSchema = z.object({
+  name: z.string().trim().min(1).max(200),
+  email: z.string().email().transform((e) => e.toLowerCase().trim()),
+  tier: z.enum(MEMBER_TIERS).default('standard'),
+  status: z.enum(MEMBER_STATUSES).default('active'),
+  expiresAt: dateOnly.optional(),
+  sub: z.string().trim().min(1).max(200).optional()
+});
+
+export const MEMBER_SORTABLE = ['name', 'email', 'tier', 'expiresAt'];
+
+/** GET /members query string: filters + paging */
+export const MemberListQuery = z.object({
+  tier: z.enum(MEMBER_TIERS).optional(),
+  status: z.enum(MEMBER_STATUSES).optional(),
+  email: z.string().trim().toLowerCase().optional(),
+  ...pagingShape(MEMBER_SORTABLE)
+});
+
+export const toMemberFilter = (q) => {
+  const filter = {};
+  if (q.tier) filter.tier = q.tier;
+  if (q.status) filter.status = q.status;
+  if (q.email) filter.email = q.email;
+  return filter;
+};
+
+/** Stored document -> request-shaped JSON (expiresAt back to YYYY-MM-DD), for PATCH */
+export const toMemberInput = ({ _id, ...doc }) => {
+  const input = JSON.parse(JSON.stringify(doc));
+  if (doc.expiresAt instanceof Date) input.expiresAt = doc.expiresAt.toISOString().slice(0, 10);
+  return input;
+};
+
+export const FINE_STATUSES = ['unpaid', 'paid', 'waived'];
+
+/** GET /members/:id/fines query string */
+export const FineListQuery = z.object({
+  status: z.enum(FINE_STATUSES).optional()
+});
+
+/** POST /members/:id/fines/:fineId/pay | waive body, optional: the amount being closed */
+export const FineCloseSchema = z.object({
+  amount: z
+    .object({
+      amount: z.number().int().nonnegative(),
+      currency: z.enum(Object.keys(CURRENCY_DIGITS))
+    })
+    .optional()
+});
@@ -0,0 +1,34 @@
+// models/series.js
+import { z } from 'zod';
+import { pagingShape } from '../lib/pagination.js';
+import { escapeRegex } from '../lib/search.js';
+
+/**
+ * Series (`series` collection): an ordered run of books.
+ *   { name, description?, version }
+ * Books join with `seriesId` and are ordered by `seriesPosition` (GET /series/:id/books).
+ */
+export const SeriesSchema = z.object({
+  name: z.string().trim().min(1).max(300),
+  description: z.string().trim().max(5000).optional()
+});
+
+export const SERIES_SORTABLE = ['name'];
+
+/** GET /series query string: name filter (case-insensitive substring) + paging */
+export const SeriesListQuery = z.object({
+  name: z.string().trim().min(1).optional(),
+  ...pagingShape(SERIES_SORTABLE)
+});
+
+export const toSeriesFilter = (q) => {
+  const filter = {};
+  if (q.name) filter.name = { $regex: escapeRegex(q.name), $options: 'i' };
+  return filter;
+};
+
+/** Stored document -> request-shaped JSON, for PATCH */
+export const toSeriesInput = ({ _id, ...doc }) => JSON.parse(JSON.stringify(doc));
+
+/** Default order of GET /series/:id/books */
+export const SERIES_ORDER = ['seriesPosition', 'publishedYear'];
@@ -0,0 +1,33 @@
+// models/work.js
+import { z } from 'zod';
+import { pagingShape } from '../lib/pagination.js';
+import { escapeRegex } from '../lib/search.js';
+
+/**
+ * Works (`works` collection): the creative work that one or more books are editions of.
+ *   { title, originalTitle?, firstPublishedYear?, description?, version }
+ * Books point at their work with `workId` (GET /works/:id/editions lists them).
+ */
+export const WorkSchema = z.object({
+  title: z.string().trim().min(1).max(300),
+  originalTitle: z.string().trim().min(1).max(300).optional(),
+  firstPublishedYear: z.number().int().gte(-3000).lte(new Date().getFullYear() + 1).optional(),
+  description: z.string().trim().max(5000).optional()
+});
+
+export const WORK_SORTABLE = ['title', 'firstPublishedYear'];
+
+/** GET /works query string: title filter (case-insensitive substring) + paging */
+export const WorkListQuery = z.object({
+  title: z.string().trim().min(1).optional(),
+  ...pagingShape(WORK_SORTABLE)
+});
+
+export const toWorkFilter = (q) => {
+  const filter = {};
+  if (q.title) filter.title = { $regex: escapeRegex(q.title), $options: 'i' };
+  return filter;
+};
+
+/** Stored document -> request-shaped JSON, for PATCH */
+export const toWorkInput = ({ _id, ...doc }) => JSON.parse(JSON.stringify(doc));
@@ -0,0 +1,81 @@
+// repositories/index.js
+import { connectToDb } from '../db/connect.js';
+import { seed } from '../db/seed.js';
+import { createMemoryStorage } from './memory.js';
+import { createMongoStorage } from './mongo.js';
+import { logger } from '../lib/logger.js';
+
+/**
+ * Storage selection. Routes talk to repositories, never to the driver directly.
+ *
+ *   STORAGE=mongo    (default) MongoDB via MONGODB_URI / DB_NAME (see lib/config.js)
+ *   STORAGE=memory   in-process; no database needed (demos, tests)
+ *   MEMORY_SEED=true load data/*.json into memory storage at boot
+ *
+ * Repository contract (both backends). Filters, sorts ([[field, 1|-1]]) and update
+ * documents ({ $set, $unset, $inc }) use MongoDB syntax; ids are ObjectIds.
+ *   find(filter, { sort, skip, limit })  -> docs
+ *   stream(filter, { sort })             -> async iterable with close()
+ *   findOne(filter) / findById(id)       -> doc | null
+ *   count(filter) / exists(filter)       -> number / boolean
+ *   insertOne(doc)                       -> stored doc (with _id)
+ *   replaceOne(filter, doc)              -> matched?
+ *   deleteOne(filter)                    -> deleted?
+ *   deleteMany(filter) / updateMany(filter, update) -> count
+ *   upsert(filter, update)               -> { _id, created } ($setOnInsert applies to inserts only)
+ *   textSearch(q, weights)               -> { engine, hits: [{ doc, score }] }
+ * Books also: findWithAuthors(filter, opts), findOrphans(filter).
+ * `audit` holds the write log (lib/audit.js) and `apiKeys` the hashed API keys
+ * (lib/apiKeys.js); both use the plain contract, as do `copies`, `loans`, `holds`, `members`
+ * and `fines` (lib/circulation.js), `works` / `series` (groupings of books) and `discounts` (lib/pricing.js).
+ * Write methods and findOne accept { session } from withTransaction(fn).
+ * Unique key violations throw an error with code 11000 in both backends.
+ *
+ * @typedef {{ kind: 'mongo'|'memory', books: object, authors: object, audit: object, apiKeys: object,
+ *   copies: object, loans: object, holds: object, members: object, fines: object,
+ *   works: object, series: object, discounts: object,
+ *   withTransaction: (fn: (session?: object) => Promise<any>) => Promise<any> }} Storage
+ */
+
+export const STORAGE = (process.env.STORAGE || 'mongo').toLowerCase();
+const MEMORY_SEED = String(process.env.MEMORY_SEED || '').toLowerCase() === 'true';
+
+/** @type {Storage|undefined} */
+let storage;
+
+/**
+ * Create the storage selected by STORAGE (connecting to MongoDB if needed).
+ * @param {{ mongo?: object }} [options]  mongo: MongoEnv config (default: read from env)
+ * @returns {Promise<Storage>}
+ */
+export const initStorage = async ({ mongo } = {}) => {
+  if (storage) return storage;
+  if (STORAGE === 'memory') {
+    const memory = createMemoryStorage();
+    if (MEMORY_SEED) {
+      const counts = await seed(memory);
+      logger.info('memory storage seeded', counts);
+    }
+    storage = memory;
+  } else if (STORAGE === 'mongo') {
+    const db = await connectToDb(mongo);
+    storage = createMongoStorage(db);
+  } else {
+    throw new Error(`Unknown STORAGE "${STORAGE}" (expected "mongo" or "memory")`);
+  }
+  return storage;
+};
+
+/**
+ * Install a storage bundle directly (tests, CLI).
+ * @param {Storage} value
+ */
+export const setStorage = (value) => {
+  storage = value;
+};
+
+/** @returns {Storage} */
+export const getStorage = () => {
+  if (!storage) throw new Error('Storage not initialized. Call initStorage first.');
+  return storage;
+};
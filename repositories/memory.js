@@ -0,0 +1,225 @@
+// repositories/memory.js
+import { ObjectId } from 'mongodb';
+import { rankDocuments } from '../lib/search.js';
+import {
+  applyUpdate,
+  clone,
+  equalityFields,
+  getPath,
+  matches,
+  sorter,
+  valuesEqual
+} from './memoryQuery.js';
+
+/**
+ * In-process repositories with the same contract and error semantics as the Mongo ones
+ * (see repositories/index.js). Data lives in a Map per collection and is lost on restart.
+ *
+ * Unique keys are always enforced (the Mongo side gets them from migrations), and a
+ * violation throws an error with `code: 11000` exactly like the driver does.
+ */
+
+const duplicateKeyError = (collection, key, value) => {
+  const e = new Error(`E11000 duplicate key error collection: ${collection} index: ${key}_unique dup key: { ${key}: ${JSON.stringify(value)} }`);
+  e.code = 11000;
+  e.keyPattern = { [key]: 1 };
+  e.keyValue = { [key]: value };
+  return e;
+};
+
+export class MemoryRepository {
+  /**
+   * @param {string} name  collection name
+   * @param {{ uniqueKeys?: string[] }} [options]
+   */
+  constructor(name, { uniqueKeys = [] } = {}) {
+    this.name = name;
+    this.uniqueKeys = uniqueKeys;
+    /** @type {Map<string, object>} hex id -> document */
+    this.docs = new Map();
+  }
+
+  /** Documents matching `filter` (internal references; clone before handing out) */
+  select(filter = {}, { sort, skip = 0, limit = 0 } = {}) {
+    let docs = [...this.docs.values()].filter((d) => matches(d, filter));
+    if (sort) docs.sort(sorter(sort));
+    docs = docs.slice(skip);
+    return limit ? docs.slice(0, limit) : docs;
+  }
+
+  assertUnique(doc) {
+    for (const key of this.uniqueKeys) {
+      const value = getPath(doc, key);
+      if (value === undefined) continue;
+      for (const other of this.docs.values()) {
+        if (!other._id.equals(doc._id) && valuesEqual(getPath(other, key), value)) {
+          throw duplicateKeyError(this.name, key, value);
+        }
+      }
+    }
+  }
+
+  async find(filter, options) {
+    return this.select(filter, options).map(clone);
+  }
+
+  stream(filter, { sort } = {}) {
+    const docs = this.select(filter, { sort }).map(clone);
+    return {
+      async *[Symbol.asyncIterator]() {
+        yield* docs;
+      },
+      close: async () => {}
+    };
+  }
+
+  async findOne(filter) {
+    const [doc] = this.select(filter, { limit: 1 });
+    return doc ? clone(doc) : null;
+  }
+
+  async findById(_id) {
+    const doc = this.docs.get(_id.toString());
+    return doc ? clone(doc) : null;
+  }
+
+  async count(filter) {
+    return this.select(filter).length;
+  }
+
+  async exists(filter) {
+    return this.select(filter, { limit: 1 }).length > 0;
+  }
+
+  async insertOne(doc) {
+    const stored = clone({ _id: doc._id ?? new ObjectId(), ...doc });
+    if (this.docs.has(stored._id.toString())) throw duplicateKeyError(this.name, '_id', stored._id);
+    this.assertUnique(stored);
+    this.docs.set(stored._id.toString(), stored);
+    return clone(stored);
+  }
+
+  async replaceOne(filter, doc) {
+    const [current] = this.select(filter, { limit: 1 });
+    if (!current) return false;
+    const next = clone({ ...doc, _id: current._id });
+    this.assertUnique(next);
+    this.docs.set(current._id.toString(), next);
+    return true;
+  }
+
+  async deleteOne(filter) {
+    const [current] = this.select(filter, { limit: 1 });
+    return current ? this.docs.delete(current._id.toString()) : false;
+  }
+
+  async deleteMany(filter) {
+    const victims = this.select(filter);
+    for (const d of victims) this.docs.delete(d._id.toString());
+    return victims.length;
+  }
+
+  async updateMany(filter, update) {
+    const targets = this.select(filter);
+    const updated = targets.map((d) => applyUpdate(clone(d), update));
+    updated.forEach((d) => this.assertUnique(d));
+    for (const d of updated) this.docs.set(d._id.toString(), d);
+    return targets.length;
+  }
+
+  async upsert(filter, update) {
+    const [current] = this.select(filter, { limit: 1 });
+    const doc = applyUpdate(
+      current ? clone(current) : { _id: new ObjectId(), ...clone(equalityFields(filter)) },
+      update,
+      { inserting: !current }
+    );
+    this.assertUnique(doc);
+    this.docs.set(doc._id.toString(), doc);
+    return { _id: doc._id, created: !current };
+  }
+
+  async textSearch(q, weights) {
+    return { engine: 'fallback', hits: rankDocuments(this.select().map(clone), q, weights) };
+  }
+}
+
+export class MemoryBookRepository extends MemoryRepository {
+  /** @param {MemoryAuthorRepository} authors  for author joins */
+  constructor(authors) {
+    super('books', { uniqueKeys: ['isbn'] });
+    this.authors = authors;
+  }
+
+  async findWithAuthors(filter, options) {
+    return this.select(filter, options).map((d) => {
+      const doc = clone(d);
+      if (doc.authors) {
+        doc.authors = doc.authors.map((credit) => {
+          const author = this.authors.docs.get(credit.authorId?.toString());
+          return { ...credit, author: author ? clone(author) : null };
+        });
+      }
+      return doc;
+    });
+  }
+
+  async findOrphans(filter = {}) {
+    return this.select(filter, { sort: [['_id', 1]] })
+      .filter((d) => !d.authors?.length || d.authors.some((c) => !this.authors.docs.has(c.authorId?.toString())))
+      .map(clone);
+  }
+}
+
+export class MemoryAuthorRepository extends MemoryRepository {
+  constructor() {
+    super('authors', { uniqueKeys: ['email'] });
+  }
+}
+
+/** Build a fresh, empty in-memory storage bundle */
+export const createMemoryStorage = () => {
+  const authors = new MemoryAuthorRepository();
+  const books = new MemoryBookRepository(authors);
+  const audit = new MemoryRepository('audit');
+  const apiKeys = new MemoryRepository('apiKeys', { uniqueKeys: ['hash'] });
+  const copies = new MemoryRepository('copies', { uniqueKeys: ['barcode'] });
+  const loans = new MemoryRepository('loans');
+  const holds = new MemoryRepository('holds');
+  const members = new MemoryRepository('members', { uniqueKeys: ['email', 'sub'] });
+  const fines = new MemoryRepository('fines', { uniqueKeys: ['loanId'] });
+  const works = new MemoryRepository('works');
+  const series = new MemoryRepository('series');
+  const discounts = new MemoryRepository('discounts');
+  const repositories = [books, authors, audit, apiKeys, copies, loans, holds, members, fines, works, series, discounts];
+  return {
+    kind: 'memory',
+    books,
+    authors,
+    audit,
+    apiKeys,
+    copies,
+    loans,
+    holds,
+    members,
+    fines,
+    works,
+    series,
+    discounts,
+    /**
+     * All-or-nothing: snapshot every collection and restore it if `fn` throws.
+     * (Not isolated from concurrent requests; good enough for demos and tests.)
+     */
+    withTransaction: async (fn) => {
+      const snapshot = repositories.map((r) => new Map(r.docs));
+      try {
+        return await fn(undefined);
+      } catch (err) {
+        repositories.forEach((r, i) => {
+          r.docs = snapshot[i];
+        });
+        throw err;
+      }
+    }
+  };
+};
@@ -0,0 +1,224 @@
+// repositories/memoryQuery.js
+import { ObjectId } from 'mongodb';
+
+/**
+ * The subset of MongoDB query/update semantics the API relies on, evaluated in process:
+ *  - filters: equality (incl. ObjectId/Date/array-element, and dotted paths through arrays of
+ *    subdocuments), $eq $ne $gt $gte $lt $lte
+ *    $in $nin $exists $type $regex $size, and $and / $or / $nor
+ *  - comparisons are type-bracketed like MongoDB ($gt: 5 never matches a string); embedded
+ *    documents compare field by field ({ amount, currency } orders by amount first)
+ *  - updates: $set $unset $inc, and $setOnInsert when an upsert inserts
+ * Filters are built once (models/*.js) and used unchanged by both backends.
+ */
+
+const isPlainObject = (v) =>
+  v !== null && typeof v === 'object' && !Array.isArray(v) && !(v instanceof ObjectId) && !(v instanceof Date) && !(v instanceof RegExp);
+
+/** Deep copy that keeps ObjectId/Date instances intact (structuredClone would not) */
+export const clone = (v) => {
+  if (v instanceof ObjectId) return new ObjectId(v.toHexString());
+  if (v instanceof Date) return new Date(v.getTime());
+  if (Array.isArray(v)) return v.map(clone);
+  if (isPlainObject(v)) return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, clone(x)]));
+  return v;
+};
+
+/**
+ * Value at a dotted path. As in MongoDB, a non-index key applied to an array reaches into its
+ * elements: getPath({ authors: [{ authorId: 1 }, { authorId: 2 }] }, 'authors.authorId') -> [1, 2]
+ */
+export const getPath = (doc, path) =>
+  path.split('.').reduce((node, key) => {
+    if (node == null) return undefined;
+    if (Array.isArray(node) && !/^\d+$/.test(key)) {
+      const values = node.map((el) => (isPlainObject(el) ? el[key] : undefined)).filter((v) => v !== undefined);
+      return values.length ? values.flat() : undefined;
+    }
+    return node[key];
+  }, doc);
+
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  let node = doc;
+  for (const key of keys.slice(0, -1)) {
+    if (!isPlainObject(node[key])) node[key] = {};
+    node = node[key];
+  }
+  node[keys[keys.length - 1]] = value;
+};
+
+const unsetPath = (doc, path) => {
+  const keys = path.split('.');
+  const parent = keys.length > 1 ? getPath(doc, keys.slice(0, -1).join('.')) : doc;
+  if (isPlainObject(parent)) delete parent[keys[keys.length - 1]];
+};
+
+/** BSON comparison order (subset): null < numbers < strings < objects < arrays < ObjectId < booleans < dates */
+const typeRank = (v) => {
+  if (v === null || v === undefined) return 0;
+  if (typeof v === 'number') return 1;
+  if (typeof v === 'string') return 2;
+  if (Array.isArray(v)) return 4;
+  if (v instanceof ObjectId) return 5;
+  if (typeof v === 'boolean') return 6;
+  if (v instanceof Date) return 7;
+  return 3;
+};
+
+export const compareValues = (a, b) => {
+  const ra = typeRank(a);
+  const rb = typeRank(b);
+  if (ra !== rb) return ra - rb;
+  switch (ra) {
+    case 0:
+      return 0;
+    case 1:
+    case 6:
+      return Number(a) - Number(b);
+    case 2:
+      return a < b ? -1 : a > b ? 1 : 0;
+    case 5:
+      return compareValues(a.toHexString(), b.toHexString());
+    case 7:
+      return a.getTime() - b.getTime();
+    case 4: {
+      for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        const c = compareValues(a[i], b[i]);
+        if (c) return c;
+      }
+      return a.length - b.length;
+    }
+    default: {
+      // Embedded documents compare field by field in stored order: name, then value
+      const ea = Object.entries(a);
+      const eb = Object.entries(b);
+      for (let i = 0; i < Math.min(ea.length, eb.length); i++) {
+        const c = compareValues(ea[i][0], eb[i][0]) || compareValues(ea[i][1], eb[i][1]);
+        if (c) return c;
+      }
+      return ea.length - eb.length;
+    }
+  }
+};
+
+export const valuesEqual = (a, b) => {
+  if (a === b) return true;
+  if (a == null || b == null) return a == null && b == null;
+  if (typeRank(a) !== typeRank(b)) return false;
+  if (Array.isArray(a)) return a.length === b.length && a.every((x, i) => valuesEqual(x, b[i]));
+  if (isPlainObject(a)) {
+    const ka = Object.keys(a);
+    return ka.length === Object.keys(b).length && ka.every((k) => valuesEqual(a[k], b[k]));
+  }
+  return compareValues(a, b) === 0;
+};
+
+/** Array fields match when the array itself or any element matches (Mongo semantics) */
+const anyValue = (value, test) => test(value) || (Array.isArray(value) && value.some(test));
+
+const compareOp = (value, operand, ok) => {
+  if (operand === null) return false;
+  return anyValue(value, (v) => typeRank(v) === typeRank(operand) && ok(compareValues(v, operand)));
+};
+
+/** $type by alias (the ones the migrations use, and a few more) */
+const TYPE_ALIASES = {
+  null: (v) => v === null,
+  number: (v) => typeof v === 'number',
+  string: (v) => typeof v === 'string',
+  bool: (v) => typeof v === 'boolean',
+  object: isPlainObject,
+  array: Array.isArray,
+  objectId: (v) => v instanceof ObjectId,
+  date: (v) => v instanceof Date
+};
+
+const OPERATORS = {
+  $eq: (value, operand) => anyValue(value, (v) => valuesEqual(v, operand)),
+  $ne: (value, operand) => !OPERATORS.$eq(value, operand),
+  $gt: (value, operand) => compareOp(value, operand, (c) => c > 0),
+  $gte: (value, operand) => (operand === null ? value == null : compareOp(value, operand, (c) => c >= 0)),
+  $lt: (value, operand) => compareOp(value, operand, (c) => c < 0),
+  $lte: (value, operand) => (operand === null ? value == null : compareOp(value, operand, (c) => c <= 0)),
+  $in: (value, operand) => operand.some((o) => matchValue(value, o)),
+  $nin: (value, operand) => !OPERATORS.$in(value, operand),
+  $exists: (value, operand) => (value !== undefined) === Boolean(operand),
+  $size: (value, operand) => Array.isArray(value) && value.length === operand,
+  $type: (value, operand) => {
+    const is = TYPE_ALIASES[operand];
+    if (!is) throw new Error(`Unsupported $type in memory storage: ${operand}`);
+    return value !== undefined && anyValue(value, is);
+  },
+  $regex: (value, operand, cond) => {
+    const re = operand instanceof RegExp ? operand : new RegExp(operand, cond.$options || '');
+    return anyValue(value, (v) => typeof v === 'string' && re.test(v));
+  },
+  $options: () => true
+};
+
+const isOperatorObject = (cond) =>
+  isPlainObject(cond) && Object.keys(cond).length > 0 && Object.keys(cond).every((k) => k.startsWith('$'));
+
+/** Does a field value satisfy a filter condition (literal, RegExp or operator object)? */
+const matchValue = (value, cond) => {
+  if (cond instanceof RegExp) return anyValue(value, (v) => typeof v === 'string' && cond.test(v));
+  if (isOperatorObject(cond)) {
+    return Object.entries(cond).every(([op, operand]) => {
+      const fn = OPERATORS[op];
+      if (!fn) throw new Error(`Unsupported query operator in memory storage: ${op}`);
+      return fn(value, operand, cond);
+    });
+  }
+  return OPERATORS.$eq(value, cond);
+};
+
+/** Evaluate a Mongo-style filter against one document */
+export const matches = (doc, filter = {}) =>
+  Object.entries(filter).every(([key, cond]) => {
+    if (key === '$and') return cond.every((f) => matches(doc, f));
+    if (key === '$or') return cond.some((f) => matches(doc, f));
+    if (key === '$nor') return !cond.some((f) => matches(doc, f));
+    if (key.startsWith('$')) throw new Error(`Unsupported query operator in memory storage: ${key}`);
+    return matchValue(getPath(doc, key), cond);
+  });
+
+/**
+ * Comparator for a sort spec ([[field, 1|-1], ...] or { field: 1|-1 }).
+ * Arrays sort by their smallest element ascending / largest descending, as in MongoDB.
+ */
+export const sorter = (spec = []) => {
+  const entries = Array.isArray(spec) ? spec : Object.entries(spec);
+  const sortKey = (value, dir) => {
+    if (!Array.isArray(value) || value.length === 0) return value;
+    const sorted = [...value].sort(compareValues);
+    return dir === 1 ? sorted[0] : sorted[sorted.length - 1];
+  };
+  return (a, b) => {
+    for (const [field, dir] of entries) {
+      const c = compareValues(sortKey(getPath(a, field), dir), sortKey(getPath(b, field), dir));
+      if (c) return c * dir;
+    }
+    return 0;
+  };
+};
+
+/** Apply a { $set, $unset, $inc } update document in place ($setOnInsert only when `inserting`) */
+export const applyUpdate = (doc, update, { inserting = false } = {}) => {
+  for (const op of Object.keys(update)) {
+    if (!['$set', '$unset', '$inc', '$setOnInsert'].includes(op)) {
+      throw new Error(`Unsupported update operator in memory storage: ${op}`);
+    }
+  }
+  if (inserting) for (const [path, value] of Object.entries(update.$setOnInsert ?? {})) setPath(doc, path, clone(value));
+  for (const [path, value] of Object.entries(update.$set ?? {})) setPath(doc, path, clone(value));
+  for (const path of Object.keys(update.$unset ?? {})) unsetPath(doc, path);
+  for (const [path, by] of Object.entries(update.$inc ?? {})) setPath(doc, path, (getPath(doc, path) ?? 0) + by);
+  return doc;
+};
+
+/** Equality fields of a filter (used to build the document on upsert) */
+export const equalityFields = (filter) =>
+  Object.fromEntries(
+    Object.entries(filter).filter(([k, v]) => !k.startsWith('$') && !isOperatorObject(v) && !(v instanceof RegExp))
+  );
@@ -0,0 +1,200 @@
+// repositories/mongo.js
+import { getClient } from '../db/connect.js';
+import { authorLookupStages } from '../models/book.js';
+import { MAX_CANDIDATES, fallbackFilter, isMissingTextIndex, rankDocuments } from '../lib/search.js';
+import { timeDbOperation } from '../lib/logger.js';
+
+/**
+ * MongoDB-backed repositories. Thin wrappers over a collection; filters, sorts and
+ * update documents are passed through unchanged (see repositories/index.js for the contract).
+ * Every round trip is timed (lib/logger.js#timeDbOperation) for the request log.
+ */
+export class MongoRepository {
+  /**
+   * @param {import('mongodb').Db} db
+   * @param {string} name  collection name
+   */
+  constructor(db, name) {
+    this.name = name;
+    this.collection = db.collection(name);
+  }
+
+  /** Run `fn` as a timed operation on this collection */
+  timed(op, fn) {
+    return timeDbOperation({ collection: this.name, op }, fn);
+  }
+
+  find(filter = {}, { sort, skip = 0, limit = 0 } = {}) {
+    let cursor = this.collection.find(filter);
+    if (sort) cursor = cursor.sort(sort);
+    return this.timed('find', () => cursor.skip(skip).limit(limit).toArray());
+  }
+
+  stream(filter = {}, { sort } = {}) {
+    const cursor = this.collection.find(filter);
+    return sort ? cursor.sort(sort) : cursor;
+  }
+
+  findOne(filter, { session } = {}) {
+    return this.timed('findOne', () => this.collection.findOne(filter, { session }));
+  }
+
+  findById(_id) {
+    return this.timed('findOne', () => this.collection.findOne({ _id }));
+  }
+
+  count(filter = {}) {
+    return this.timed('count', () => this.collection.countDocuments(filter));
+  }
+
+  async exists(filter) {
+    return (await this.timed('count', () => this.collection.countDocuments(filter, { limit: 1 }))) > 0;
+  }
+
+  /** @returns {Promise<object>} the stored document, including its new _id */
+  async insertOne(doc, { session } = {}) {
+    const stored = { ...doc };
+    await this.timed('insertOne', () => this.collection.insertOne(stored, { session }));
+    return stored;
+  }
+
+  /** @returns {Promise<boolean>} whether a document matched */
+  async replaceOne(filter, doc, { session } = {}) {
+    const result = await this.timed('replaceOne', () => this.collection.replaceOne(filter, doc, { session }));
+    return result.matchedCount > 0;
+  }
+
+  /** @returns {Promise<boolean>} whether a document was deleted */
+  async deleteOne(filter, { session } = {}) {
+    const result = await this.timed('deleteOne', () => this.collection.deleteOne(filter, { session }));
+    return result.deletedCount > 0;
+  }
+
+  /** @returns {Promise<number>} deleted count */
+  async deleteMany(filter, { session } = {}) {
+    const result = await this.timed('deleteMany', () => this.collection.deleteMany(filter, { session }));
+    return result.deletedCount;
+  }
+
+  /** @returns {Promise<number>} matched count */
+  async updateMany(filter, update, { session } = {}) {
+    const result = await this.timed('updateMany', () => this.collection.updateMany(filter, update, { session }));
+    return result.matchedCount;
+  }
+
+  /**
+   * Update the first match or insert a new document from the filter's equality fields.
+   * @returns {Promise<{ _id: import('mongodb').ObjectId, created: boolean }>}
+   */
+  async upsert(filter, update, { session } = {}) {
+    const result = await this.timed('upsert', () => this.collection.updateOne(filter, update, { upsert: true, session }));
+    if (result.upsertedId) return { _id: result.upsertedId, created: true };
+    const existing = await this.timed('findOne', () =>
+      this.collection.findOne(filter, { projection: { _id: 1 }, session })
+    );
+    return { _id: existing._id, created: false };
+  }
+
+  /**
+   * Ranked full-text search; uses the collection's text index, or ranks a regex
+   * prefilter in process when there is none.
+   * @returns {Promise<{ engine: 'text'|'fallback', hits: { doc: object, score: number }[] }>}
+   */
+  async textSearch(q, weights) {
+    try {
+      const docs = await this.timed('textSearch', () =>
+        this.collection
+          .find({ $text: { $search: q } }, { projection: { score: { $meta: 'textScore' } } })
+          .sort({ score: { $meta: 'textScore' } })
+          .limit(MAX_CANDIDATES)
+          .toArray()
+      );
+      return { engine: 'text', hits: docs.map(({ score, ...doc }) => ({ doc, score })) };
+    } catch (err) {
+      if (!isMissingTextIndex(err)) throw err;
+    }
+    const filter = fallbackFilter(q, weights);
+    if (!filter) return { engine: 'fallback', hits: [] };
+    const docs = await this.timed('find', () => this.collection.find(filter).limit(MAX_CANDIDATES * 5).toArray());
+    return { engine: 'fallback', hits: rankDocuments(docs, q, weights) };
+  }
+}
+
+export class MongoBookRepository extends MongoRepository {
+  constructor(db) {
+    super(db, 'books');
+  }
+
+  /** Like find(), with each credited author embedded as `authors[].author` via $lookup */
+  findWithAuthors(filter = {}, { sort, skip = 0, limit = 0 } = {}) {
+    return this.timed('aggregate', () =>
+      this.collection
+        .aggregate([
+          { $match: filter },
+          ...(sort ? [{ $sort: Object.fromEntries(Array.isArray(sort) ? sort : Object.entries(sort)) }] : []),
+          ...(skip ? [{ $skip: skip }] : []),
+          ...(limit ? [{ $limit: limit }] : []),
+          ...authorLookupStages
+        ])
+        .toArray()
+    );
+  }
+
+  /** Books matching `filter` without credits, or crediting an authorId that does not resolve */
+  findOrphans(filter = {}) {
+    const creditedIds = { $setUnion: [{ $ifNull: ['$authors.authorId', []] }, []] };
+    return this.timed('aggregate', () =>
+      this.collection
+        .aggregate([
+          { $match: filter },
+          { $lookup: { from: 'authors', localField: 'authors.authorId', foreignField: '_id', as: '_found' } },
+          {
+            $match: {
+              $expr: {
+                $or: [{ $eq: [{ $size: creditedIds }, 0] }, { $lt: [{ $size: '$_found' }, { $size: creditedIds }] }]
+              }
+            }
+          },
+          { $project: { _found: 0 } },
+          { $sort: { _id: 1 } }
+        ])
+        .toArray()
+    );
+  }
+}
+
+export class MongoAuthorRepository extends MongoRepository {
+  constructor(db) {
+    super(db, 'authors');
+  }
+}
+
+/** Build the Mongo storage bundle for a connected database */
+export const createMongoStorage = (db) => ({
+  kind: 'mongo',
+  books: new MongoBookRepository(db),
+  authors: new MongoAuthorRepository(db),
+  audit: new MongoRepository(db, 'audit'),
+  apiKeys: new MongoRepository(db, 'apiKeys'),
+  copies: new MongoRepository(db, 'copies'),
+  loans: new MongoRepository(db, 'loans'),
+  holds: new MongoRepository(db, 'holds'),
+  members: new MongoRepository(db, 'members'),
+  fines: new MongoRepository(db, 'fines'),
+  works: new MongoRepository(db, 'works'),
+  series: new MongoRepository(db, 'series'),
+  discounts: new MongoRepository(db, 'discounts'),
+  /** Run `fn(session)` in a multi-document transaction */
+  withTransaction: async (fn) => {
+    const session = getClient().startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        result = await fn(session);
+      });
+      return result;
+    } finally {
+      await session.endSession();
+    }
+  }
+});
@@ -0,0 +1,281 @@
+// routes/apiKeys.js
+import { Router } from 'express';
+import { getStorage } from '../repositories/index.js';
+import { subjectOf } from '../middleware/auth.js';
+import { can } from '../middleware/policy.js';
+import { findPage } from '../lib/pagination.js';
+import { httpError, parseId } from '../lib/errors.js';
+import {
+  ApiKeyInput,
+  ApiKeyListQuery,
+  generateApiKey,
+  toApiKeyFilter,
+  toApiKeyView
+} from '../lib/apiKeys.js';
+
+const router = Router();
+
+
+/** Responses carrying a secret must not be cached anywhere */
+const sendSecret = (res, status, doc, key) => {
+  res.set('Cache-Control', 'no-store');
+  res.status(status).json({ ...toApiKeyView(doc), key });
+};
+
+/**
+ * @openapi
+ * tags:
+ *   - name: API keys
+ *     description: 'Keys for machine clients (admin only). Send as `X-API-Key` or `Authorization: ApiKey <key>`.'
+ *
+ * components:
+ *   schemas:
+ *     ApiKeyInput:
+ *       type: object
+ *       required: [name, scopes]
+ *       properties:
+ *         name: { type: string, example: nightly-inventory-sync }
+ *         scopes:
+ *           type: array
+ *           minItems: 1
+ *           items: { type: string, enum: [read:library, write:library, admin:library] }
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         _id: { type: string }
+ *         name: { type: string }
+ *         prefix: { type: string, description: 'Recognisable part of the key (lib_<prefix>_...)' }
+ *         scopes: { type: array, items: { type: string } }
+ *         createdAt: { type: string, format: date-time }
+ *         createdBy: { type: string, nullable: true }
+ *         lastUsedAt: { type: string, format: date-time, nullable: true, description: Updated at most once a minute }
+ *         rotatedAt: { type: string, format: date-time, nullable: true }
+ *         revokedAt: { type: string, format: date-time, nullable: true }
+ *         revokedBy: { type: string, nullable: true }
+ *     ApiKeySecret:
+ *       allOf:
+ *         - $ref: '#/components/schemas/ApiKey'
+ *         - type: object
+ *           properties:
+ *             key: { type: string, description: The full key. Shown only in this response. }
+ */
+
+/**
+ * @openapi
+ * /api-keys:
+ *   get:
+ *     summary: List API keys (never includes secrets)
+ *     tags: [API keys]
+ *     x-permission: keys
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [admin:library]
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: revoked
+ *         schema: { type: boolean }
+ *       - in: query
+ *         name: sort
+ *         description: Sortable by `name`, `createdAt`, `lastUsedAt`
+ *         schema: { type: string }
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/AfterParam'
+ *     responses:
+ *       200:
+ *         description: API keys
+ *         headers:
+ *           X-Total-Count: { $ref: '#/components/headers/X-Total-Count' }
+ *           Link: { $ref: '#/components/headers/Link' }
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/ApiKey' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ */
+router.get('/', can('keys'), async (req, res, next) => {
+  try {
+    const query = ApiKeyListQuery.parse(req.query);
+    const docs = await findPage(getStorage().apiKeys, toApiKeyFilter(query), query, req, res);
+    res.status(200).json(docs.map(toApiKeyView));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api-keys:
+ *   post:
+ *     summary: Create an API key (the secret is returned once)
+ *     tags: [API keys]
+ *     x-permission: keys
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [admin:library]
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/ApiKeyInput' }
+ *     responses:
+ *       201:
+ *         description: Created
+ *         headers:
+ *           Location: { schema: { type: string } }
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ApiKeySecret' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ */
+router.post('/', can('keys'), async (req, res, next) => {
+  try {
+    const parsed = ApiKeyInput.parse(req.body);
+    const { key, prefix, hash } = generateApiKey();
+    const doc = await getStorage().apiKeys.insertOne({
+      ...parsed,
+      prefix,
+      hash,
+      createdAt: new Date(),
+      createdBy: subjectOf(req),
+      lastUsedAt: null,
+      rotatedAt: null,
+      revokedAt: null,
+      revokedBy: null
+    });
+    res.location(`/api-keys/${doc._id}`);
+    sendSecret(res, 201, doc, key);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api-keys/{id}:
+ *   get:
+ *     summary: Get an API key (never includes the secret)
+ *     tags: [API keys]
+ *     x-permission: keys
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [admin:library]
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: API key
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ApiKey' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ */
+router.get('/:id', can('keys'), async (req, res, next) => {
+  try {
+    const doc = await getStorage().apiKeys.findById(parseId(req.params.id));
+    if (!doc) throw httpError(404, 'API key not found');
+    res.status(200).json(toApiKeyView(doc));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api-keys/{id}/rotate:
+ *   post:
+ *     summary: Replace an API key's secret (the old one stops working immediately)
+ *     description: Name, scopes and id (and so the `apikey|<id>` subject) are kept.
+ *     tags: [API keys]
+ *     x-permission: keys
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [admin:library]
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: The key with its new secret (shown once)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ApiKeySecret' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       409:
+ *         description: Key is revoked, or was rotated concurrently
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ */
+router.post('/:id/rotate', can('keys'), async (req, res, next) => {
+  try {
+    const { apiKeys } = getStorage();
+    const current = await apiKeys.findById(parseId(req.params.id));
+    if (!current) throw httpError(404, 'API key not found');
+    if (current.revokedAt) throw httpError(409, 'API key is revoked');
+    const { key, prefix, hash } = generateApiKey();
+    const doc = { ...current, prefix, hash, rotatedAt: new Date() };
+    if (!(await apiKeys.replaceOne({ _id: current._id, hash: current.hash, revokedAt: null }, doc))) {
+      throw httpError(409, 'API key was changed concurrently; retry');
+    }
+    sendSecret(res, 200, doc, key);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     description: The key stops working immediately and stays listed with `revokedAt`. Idempotent.
+ *     tags: [API keys]
+ *     x-permission: keys
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [admin:library]
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       204: { description: Revoked }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ */
+router.delete('/:id', can('keys'), async (req, res, next) => {
+  try {
+    const { apiKeys } = getStorage();
+    const _id = parseId(req.params.id);
+    const current = await apiKeys.findById(_id);
+    if (!current) throw httpError(404, 'API key not found');
+    if (!current.revokedAt) {
+      await apiKeys.updateMany(
+        { _id, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedBy: subjectOf(req) } }
+      );
+    }
+    res.status(204).send();
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
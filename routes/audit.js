@@ -0,0 +1,109 @@
+// routes/audit.js
+import { Router } from 'express';
+import { getStorage } from '../repositories/index.js';
+import { can } from '../middleware/policy.js';
+import { findPage } from '../lib/pagination.js';
+import { AuditQuery, toAuditFilter } from '../lib/audit.js';
+
+const router = Router();
+
+/**
+ * @openapi
+ * tags:
+ *   - name: Audit
+ *     description: Who changed what (every write to books and authors)
+ *
+ * components:
+ *   schemas:
+ *     AuditEntry:
+ *       type: object
+ *       properties:
+ *         _id: { type: string }
+ *         resource: { type: string, enum: [books, authors, copies, members, fines, works, series, discounts] }
+ *         resourceId: { type: string }
+ *         operation:
+ *           type: string
+ *           enum: [create, replace, patch, delete, restore, purge, import, nullify, revert, pay, waive]
+ *         actor:
+ *           type: string
+ *           nullable: true
+ *           description: Token `sub` of the caller (null when auth is not enforced)
+ *         at: { type: string, format: date-time }
+ *         requestId: { type: string, description: X-Request-Id of the write }
+ *         version:
+ *           type: integer
+ *           description: Document version the write produced (the revision number)
+ *         changes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               field: { type: string }
+ *               from: {}
+ *               to: {}
+ *         before: { type: object, nullable: true, description: Snapshot before the write (null on create) }
+ *         after: { type: object, nullable: true, description: Snapshot after the write (null on purge) }
+ *         revertedTo: { type: integer, description: Present on revert entries }
+ */
+
+/**
+ * @openapi
+ * /audit:
+ *   get:
+ *     summary: Query the audit log
+ *     tags: [Audit]
+ *     x-permission: audit
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [admin:library]
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: resource
+ *         schema: { type: string, enum: [books, authors, copies, members, fines, works, series, discounts] }
+ *       - in: query
+ *         name: id
+ *         description: Document ObjectId
+ *         schema: { type: string }
+ *       - in: query
+ *         name: actor
+ *         description: Token subject
+ *         schema: { type: string }
+ *       - in: query
+ *         name: operation
+ *         schema:
+ *           type: string
+ *           enum: [create, replace, patch, delete, restore, purge, import, nullify, revert, pay, waive]
+ *       - in: query
+ *         name: sort
+ *         description: Oldest first by default; sortable by `at` and `version` (e.g. `-at`)
+ *         schema: { type: string }
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/AfterParam'
+ *     responses:
+ *       200:
+ *         description: Audit entries
+ *         headers:
+ *           X-Total-Count: { $ref: '#/components/headers/X-Total-Count' }
+ *           Link: { $ref: '#/components/headers/Link' }
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/AuditEntry' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ */
+router.get('/', can('audit'), async (req, res, next) => {
+  try {
+    const query = AuditQuery.parse(req.query);
+    const docs = await findPage(getStorage().audit, toAuditFilter(query), query, req, res);
+    res.status(200).json(docs);
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -1,52 +1,81 @@
 // routes/authors.js
 import { Router } from 'express';
 import { z } from 'zod';
-import { getDb } from '../db/connect.js';
-import { ObjectId } from 'mongodb';
-import { jwtCheck, needWrite } from '../middleware/auth.js';
+import { getStorage } from '../repositories/index.js';
+import { assertOwnAuthor, can, canRead } from '../middleware/policy.js';
+import { findPage, toSortSpec } from '../lib/pagination.js';
+import {
+  ImportQuery,
+  importBodyParser,
+  readImportRows,
+  runImport,
+  streamExport,
+  unsupportedImportType
+} from '../lib/bulk.js';
+import { applyPatch, patchType, unsupportedPatchType } from '../lib/patch.js';
+import { httpError, parseId } from '../lib/errors.js';
+import {
+  checkIfMatch,
+  concurrentModification,
+  nextVersion,
+  notModified,
+  setETag,
+  versionFilter
+} from '../lib/concurrency.js';
+import {
+  ACTIVE,
+  TRASHED,
+  expiredTrash,
+  retentionCutoff,
+  trashMark,
+  trashQuery,
+  withoutTrashMark
+} from '../lib/trash.js';
+import { auditImport, recordAudit, recordAuditMany } from '../lib/audit.js';
+import {
+  AUTHOR_CSV_COLUMNS,
+  AUTHOR_SORTABLE,
+  AuthorExportQuery,
+  AuthorListQuery,
+  AuthorSchema,
+  authorToRecord,
+  toAuthorFilter,
+  toAuthorInput
+} from '../models/author.js';
+import { BookListQuery, BookSchema, NO_STOCK, creditedAuthorIds, toBookFilter } from '../models/book.js';
+import { linkDuplicateIsbn } from '../middleware/duplicateIsbn.js';
+import { assertReferences } from '../lib/references.js';
+import { bookVariant, withPrice, withPrices } from '../lib/pricing.js';
 
 const router = Router();
 
 /**
- * Zod helpers
+ * What DELETE /authors/:id does with books that still credit the author:
+ *  - restrict: refuse with 409 while any live book credits the author (default)
+ *  - cascade:  move the books it is the only author of to the trash too; co-credited books
+ *              just lose its credits
+ *  - nullify:  keep the books but remove its credits (books left without any show up in /books/orphans)
+ * Pick per request with ?onDelete=..., or set AUTHOR_DELETE_POLICY for the default.
  */
-const nonEmptyTrimmed = z.string().trim().min(1);
-const emailLower = z.string().email().transform((e) => e.toLowerCase().trim());
-
-// birthdate: RFC3339 full-date string (YYYY-MM-DD), convert to Date, ensure not in the future
-const birthdateAsDate = z
-  .string()
-  .date()
-  .transform((s) => new Date(`${s}T00:00:00.000Z`))
-  .refine((d) => d <= new Date(), { message: 'birthdate cannot be in the future' });
-
-/**
- * Author schema (client never sends _id)
- * We store:
- *  - firstName / lastName trimmed
- *  - email lowercased
- *  - birthdate as Date (Mongo Date type)
- */
-const AuthorSchema = z.object({
-  firstName: nonEmptyTrimmed,
-  lastName: nonEmptyTrimmed,
-  email: emailLower,
-  birthdate: birthdateAsDate, // stored as Date
-  nationality: nonEmptyTrimmed,
-  website: z.string().url().trim().optional()
+const DeletePolicy = z.enum(['restrict', 'cascade', 'nullify']);
+const DEFAULT_DELETE_POLICY = DeletePolicy.parse(
+  (process.env.AUTHOR_DELETE_POLICY || 'restrict').toLowerCase()
+);
+const AuthorDeleteQuery = z.object({
+  onDelete: DeletePolicy.default(DEFAULT_DELETE_POLICY)
 });
 
-const parseId = (id) => {
-  try {
-    return new ObjectId(id);
-  } catch {
-    const e = new Error('Invalid id format');
-    e.statusCode = 400;
-    e.expose = true;
-    throw e;
+const AuthorTrashQuery = trashQuery(AUTHOR_SORTABLE);
+
+/** Remove `authorId`'s credits from each of `affected` (their other credits stay) */
+const dropCredits = async (books, affected, authorId) => {
+  for (const book of affected) {
+    const authors = book.authors.filter((c) => !authorId.equals(c.authorId));
+    await books.updateMany({ _id: book._id }, { $set: { authors }, $inc: { version: 1 } });
   }
 };
 
+
 /**
  * @openapi
  * tags:
@@ -84,72 +113,479 @@ const parseId = (id) => {
  *           type: string
  *           format: uri
  *           example: https://tolkien.co.uk
+ *         version:
+ *           type: integer
+ *           readOnly: true
+ *           description: Incremented on every write; the ETag is derived from it
+ *           example: 3
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *           description: Set while the author is in the trash
+ *         deletedBy:
+ *           type: string
+ *           readOnly: true
+ *           nullable: true
+ *           description: JWT subject that moved the author to the trash
  */
 
 /**
  * @openapi
  * /authors:
  *   get:
- *     summary: Get all authors
+ *     summary: List authors (filter, sort, paginate)
  *     tags: [Authors]
+ *     x-permission: read
+ *     parameters:
+ *       - in: query
+ *         name: nationality
+ *         description: Exact nationality match
+ *         schema: { type: string }
+ *         example: British
+ *       - $ref: '#/components/parameters/SortParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/AfterParam'
  *     responses:
  *       200:
  *         description: List of authors
+ *         headers:
+ *           X-Total-Count: { $ref: '#/components/headers/X-Total-Count' }
+ *           Link: { $ref: '#/components/headers/Link' }
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/Author' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ */
+router.get('/', canRead, async (req, res, next) => {
+  try {
+    const query = AuthorListQuery.parse(req.query);
+    const docs = await findPage(getStorage().authors, { ...toAuthorFilter(query), ...ACTIVE }, query, req, res);
+    res.status(200).json(docs);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /authors/import:
+ *   post:
+ *     summary: Bulk import authors (JSON array, NDJSON or CSV)
+ *     description: >
+ *       Every row is validated with the Author schema; the response is a per-row report.
+ *       CSV needs a header row.
+ *     tags: [Authors]
+ *     x-permission: import
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [admin:library]
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ImportDryRun'
+ *       - $ref: '#/components/parameters/ImportAtomic'
+ *       - in: query
+ *         name: upsert
+ *         description: Update existing authors with the same email instead of inserting duplicates
+ *         schema: { type: boolean, default: false }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items: { $ref: '#/components/schemas/Author' }
+ *         application/x-ndjson:
+ *           schema: { type: string, description: One Author JSON object per line }
+ *         text/csv:
+ *           schema: { type: string }
+ *           example: |
+ *             firstName,lastName,email,birthdate,nationality,website
+ *             J.R.R.,Tolkien,tolkien@example.com,1892-01-03,British,https://tolkien.co.uk
+ *     responses:
+ *       200:
+ *         description: Per-row report (rows may individually be invalid/failed unless atomic)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ImportReport' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       409:
+ *         description: Atomic import rolled back on a write conflict (problem with the report fields)
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ *       415: { $ref: '#/components/responses/UnsupportedMediaType' }
+ *       422:
+ *         description: Atomic import rejected because some rows are invalid (problem with the report fields)
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ */
+router.post('/import', can('import'), importBodyParser, async (req, res, next) => {
+  try {
+    const rows = readImportRows(req, (record) => record);
+    if (!rows) throw unsupportedImportType();
+    const options = ImportQuery.parse(req.query);
+    const storage = getStorage();
+    const { status, body } = await runImport({
+      repo: storage.authors,
+      withTransaction: storage.withTransaction,
+      rows,
+      schema: AuthorSchema,
+      key: 'email',
+      options,
+      audit: auditImport(req, 'authors', storage.authors)
+    });
+    res.status(status).json(body);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /authors/export:
+ *   get:
+ *     summary: Export authors as CSV or NDJSON (streamed; accepts the GET /authors filters)
+ *     tags: [Authors]
+ *     x-permission: read
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema: { type: string, enum: [ndjson, csv], default: ndjson }
+ *       - in: query
+ *         name: nationality
+ *         schema: { type: string }
+ *       - $ref: '#/components/parameters/SortParam'
+ *     responses:
+ *       200:
+ *         description: Export file
+ *         content:
+ *           application/x-ndjson:
+ *             schema: { type: string }
+ *           text/csv:
+ *             schema: { type: string }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ */
+router.get('/export', canRead, async (req, res, next) => {
+  try {
+    const query = AuthorExportQuery.parse(req.query);
+    const cursor = getStorage().authors.stream({ ...toAuthorFilter(query), ...ACTIVE }, {
+      sort: toSortSpec(query.sort)
+    });
+    await streamExport(res, cursor, {
+      format: query.format,
+      name: 'authors',
+      columns: AUTHOR_CSV_COLUMNS,
+      toRecord: authorToRecord
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /authors/trash:
+ *   get:
+ *     summary: List authors in the trash
+ *     tags: [Authors]
+ *     x-permission: read
+ *     parameters:
+ *       - in: query
+ *         name: sort
+ *         description: Like SortParam; `deletedAt` is sortable too (e.g. `-deletedAt`)
+ *         schema: { type: string }
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/AfterParam'
+ *     responses:
+ *       200:
+ *         description: Trashed authors
+ *         headers:
+ *           X-Total-Count: { $ref: '#/components/headers/X-Total-Count' }
+ *           Link: { $ref: '#/components/headers/Link' }
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items: { $ref: '#/components/schemas/Author' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *   delete:
+ *     summary: Purge authors that have been in the trash longer than the retention period
+ *     description: Retention is TRASH_RETENTION_DAYS (default 30). Requires the admin scope.
+ *     tags: [Authors]
+ *     x-permission: purge
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [admin:library]
+ *       - apiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Purge summary
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/PurgeResult' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
  */
-router.get('/', async (_req, res, next) => {
+router.get('/trash', canRead, async (req, res, next) => {
   try {
-    const docs = await getDb().collection('authors').find({}).toArray();
+    const query = AuthorTrashQuery.parse(req.query);
+    const docs = await findPage(getStorage().authors, TRASHED, query, req, res);
     res.status(200).json(docs);
   } catch (err) {
     next(err);
   }
 });
 
+router.delete('/trash', can('purge'), async (req, res, next) => {
+  try {
+    const now = new Date();
+    const { authors } = getStorage();
+    const expired = await authors.find(expiredTrash(now));
+    const purged = await authors.deleteMany({ _id: { $in: expired.map((d) => d._id) }, ...TRASHED });
+    await recordAuditMany(req, 'authors', 'purge', null, expired);
+    res.status(200).json({ purged, deletedBefore: retentionCutoff(now) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /authors/trash/{id}:
+ *   delete:
+ *     summary: Permanently delete a trashed author
+ *     tags: [Authors]
+ *     x-permission: purge
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [admin:library]
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       204: { description: Purged }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       404:
+ *         description: Not in the trash
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ */
+router.delete('/trash/:id', can('purge'), async (req, res, next) => {
+  try {
+    const _id = parseId(req.params.id);
+    const { authors } = getStorage();
+    const current = await authors.findOne({ _id, ...TRASHED });
+    if (!current) throw httpError(404, 'Author not found in trash');
+    if (!(await authors.deleteOne({ ...versionFilter(current), ...TRASHED }))) throw concurrentModification();
+    await recordAudit(req, 'authors', 'purge', { before: current });
+    res.status(204).send();
+  } catch (err) {
+    next(err);
+  }
+});
+
 /**
  * @openapi
  * /authors/{id}:
  *   get:
  *     summary: Get an author by id
  *     tags: [Authors]
+ *     x-permission: read
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema: { type: string }
+ *       - $ref: '#/components/parameters/IfNoneMatch'
  *     responses:
  *       200:
  *         description: An author
+ *         headers:
+ *           ETag: { $ref: '#/components/headers/ETag' }
  *         content:
  *           application/json:
  *             schema: { $ref: '#/components/schemas/Author' }
- *       400: { description: Invalid id }
- *       404: { description: Not found }
+ *       304: { description: Not modified (If-None-Match matched) }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       404: { $ref: '#/components/responses/NotFound' }
  */
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', canRead, async (req, res, next) => {
   try {
     const _id = parseId(req.params.id);
-    const doc = await getDb().collection('authors').findOne({ _id });
-    if (!doc) return res.status(404).json({ message: 'Author not found' });
+    const doc = await getStorage().authors.findOne({ _id, ...ACTIVE });
+    if (!doc) throw httpError(404, 'Author not found');
+    setETag(res, doc);
+    if (notModified(req, doc)) return res.status(304).end();
     res.status(200).json(doc);
   } catch (err) {
     next(err);
   }
 });
 
+/**
+ * @openapi
+ * /authors/{id}/books:
+ *   get:
+ *     summary: List an author's books (same filters, sort and paging as GET /books)
+ *     tags: [Authors]
+ *     x-permission: read
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: genre
+ *         schema: { type: string }
+ *       - in: query
+ *         name: inStock
+ *         schema: { type: boolean }
+ *       - in: query
+ *         name: minPrice
+ *         description: Lowest list price, in major units of `currency` (e.g. 9.99)
+ *         schema: { type: string }
+ *       - in: query
+ *         name: maxPrice
+ *         description: Highest list price, in major units of `currency`
+ *         schema: { type: string }
+ *       - in: query
+ *         name: minPublishedYear
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: maxPublishedYear
+ *         schema: { type: integer }
+ *       - $ref: '#/components/parameters/CurrencyParam'
+ *       - $ref: '#/components/parameters/SortParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/AfterParam'
+ *     responses:
+ *       200:
+ *         description: The author's books
+ *         headers:
+ *           X-Total-Count: { $ref: '#/components/headers/X-Total-Count' }
+ *           Link: { $ref: '#/components/headers/Link' }
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/Book' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       404:
+ *         description: Author not found
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ */
+router.get('/:id/books', canRead, async (req, res, next) => {
+  try {
+    const _id = parseId(req.params.id);
+    const query = BookListQuery.parse(req.query);
+    const { authors, books } = getStorage();
+    if (!(await authors.exists({ _id, ...ACTIVE }))) throw httpError(404, 'Author not found');
+    const filter = { ...toBookFilter(query), 'authors.authorId': _id, ...ACTIVE }; // path wins over ?authorId
+    const docs = await findPage(books, filter, query, req, res);
+    res.status(200).json(await withPrices(docs, query));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /authors/{id}/books:
+ *   post:
+ *     summary: Create a book for this author
+ *     description: >
+ *       The author in the path is credited as `author` (first) unless `authors` in the body
+ *       already credits it; other entries in `authors` add co-authors, editors and so on.
+ *     tags: [Authors]
+ *     x-permission: create
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [write:library]
+ *       - oauth2: [author:self]
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/Book' }
+ *           example:
+ *             title: The Hobbit
+ *             isbn: "9780547928227"
+ *             publishedYear: 1937
+ *             genres: ["Fantasy"]
+ *             pages: 310
+ *             price: { amount: 1499, currency: USD }
+ *     responses:
+ *       201:
+ *         description: Created; returns new book id
+ *         content:
+ *           application/json:
+ *             schema: { type: object, properties: { id: { type: string } } }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       404:
+ *         description: Author not found
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ *       409: { $ref: '#/components/responses/DuplicateKey' }
+ *       415: { $ref: '#/components/responses/UnsupportedMediaType' }
+ *       422:
+ *         description: A co-credited author, the work or the series does not exist (field `errors`)
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ */
+router.post('/:id/books', can('create'), async (req, res, next) => {
+  try {
+    if (!req.is('application/json')) {
+      throw httpError(415, 'Content-Type must be application/json');
+    }
+    const _id = parseId(req.params.id);
+    const credits = Array.isArray(req.body?.authors) ? req.body.authors : [];
+    const credited = credits.some((c) => _id.equals(c?.authorId));
+    const parsed = BookSchema.parse({
+      ...req.body,
+      authors: credited ? credits : [{ authorId: req.params.id, role: 'author' }, ...credits]
+    });
+    const { authors, books } = getStorage();
+    if (!(await authors.exists({ _id, ...ACTIVE }))) throw httpError(404, 'Author not found');
+    await assertOwnAuthor(req, _id);
+    await assertReferences(parsed);
+    const doc = await books.insertOne({ ...parsed, ...NO_STOCK, version: 1 });
+    await recordAudit(req, 'books', 'create', { after: doc });
+    setETag(res, doc, bookVariant(await withPrice(doc)));
+    res
+      .status(201)
+      .location(`/books/${doc._id}`)
+      .json({ id: doc._id.toString() });
+  } catch (err) {
+    next(err);
+  }
+});
+
 /**
  * @openapi
  * /authors:
  *   post:
  *     summary: Create a new author
  *     tags: [Authors]
+ *     x-permission: create
  *     security:
  *       - bearerAuth: []
  *       - oauth2: [write:library]
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -171,26 +607,27 @@ router.get('/:id', async (req, res, next) => {
  *               type: object
  *               properties:
  *                 id: { type: string }
- *       400: { description: Validation error }
- *       401: { description: Unauthorized }
- *       403: { description: Forbidden (missing scope) }
- *       415: { description: Unsupported Media Type }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       409: { $ref: '#/components/responses/DuplicateKey' }
+ *       415: { $ref: '#/components/responses/UnsupportedMediaType' }
  */
-router.post('/', jwtCheck, needWrite, async (req, res, next) => {
+router.post('/', can('create'), async (req, res, next) => {
   try {
     if (!req.is('application/json')) {
-      return res.status(415).json({ message: 'Content-Type must be application/json' });
+      throw httpError(415, 'Content-Type must be application/json');
     }
     const parsed = AuthorSchema.parse(req.body);
-    const result = await getDb().collection('authors').insertOne(parsed);
+    await assertOwnAuthor(req, null); // author accounts can't create other authors
+    const doc = await getStorage().authors.insertOne({ ...parsed, version: 1 });
+    await recordAudit(req, 'authors', 'create', { after: doc });
+    setETag(res, doc);
     res
       .status(201)
-      .location(`/authors/${result.insertedId}`)
-      .json({ id: result.insertedId.toString() });
+      .location(`/authors/${doc._id}`)
+      .json({ id: doc._id.toString() });
   } catch (err) {
-    if (err instanceof z.ZodError) {
-      return res.status(400).json({ message: 'Validation error', errors: err.flatten() });
-    }
     next(err);
   }
 });
@@ -201,14 +638,18 @@ router.post('/', jwtCheck, needWrite, async (req, res, next) => {
  *   put:
  *     summary: Replace an author
  *     tags: [Authors]
+ *     x-permission: update
  *     security:
  *       - bearerAuth: []
  *       - oauth2: [write:library]
+ *       - oauth2: [author:self]
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema: { type: string }
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -216,26 +657,33 @@ router.post('/', jwtCheck, needWrite, async (req, res, next) => {
  *           schema: { $ref: '#/components/schemas/Author' }
  *     responses:
  *       204: { description: Updated (no content) }
- *       400: { description: Validation/ID error }
- *       401: { description: Unauthorized }
- *       403: { description: Forbidden (missing scope) }
- *       404: { description: Not found }
- *       415: { description: Unsupported Media Type }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       409: { $ref: '#/components/responses/DuplicateKey' }
+ *       415: { $ref: '#/components/responses/UnsupportedMediaType' }
+ *       412: { $ref: '#/components/responses/PreconditionFailed' }
+ *       428: { $ref: '#/components/responses/PreconditionRequired' }
  */
-router.put('/:id', jwtCheck, needWrite, async (req, res, next) => {
+router.put('/:id', can('update'), async (req, res, next) => {
   try {
     if (!req.is('application/json')) {
-      return res.status(415).json({ message: 'Content-Type must be application/json' });
+      throw httpError(415, 'Content-Type must be application/json');
     }
     const _id = parseId(req.params.id);
     const parsed = AuthorSchema.parse(req.body);
-    const result = await getDb().collection('authors').replaceOne({ _id }, parsed);
-    if (result.matchedCount === 0) return res.status(404).json({ message: 'Author not found' });
+    const { authors } = getStorage();
+    const current = await authors.findOne({ _id, ...ACTIVE });
+    if (!current) throw httpError(404, 'Author not found');
+    checkIfMatch(req, current);
+    await assertOwnAuthor(req, _id);
+    const doc = { _id, ...parsed, version: nextVersion(current) };
+    if (!(await authors.replaceOne(versionFilter(current), doc))) throw concurrentModification();
+    await recordAudit(req, 'authors', 'replace', { before: current, after: doc });
+    setETag(res, doc);
     res.status(204).send();
   } catch (err) {
-    if (err instanceof z.ZodError) {
-      return res.status(400).json({ message: 'Validation error', errors: err.flatten() });
-    }
     next(err);
   }
 });
@@ -243,33 +691,213 @@ router.put('/:id', jwtCheck, needWrite, async (req, res, next) => {
 /**
  * @openapi
  * /authors/{id}:
- *   delete:
- *     summary: Delete an author
+ *   patch:
+ *     summary: Partially update an author (JSON Merge Patch or JSON Patch)
+ *     description: >
+ *       The patched result is re-validated against the full Author schema before it is saved.
  *     tags: [Authors]
+ *     x-permission: update
  *     security:
  *       - bearerAuth: []
  *       - oauth2: [write:library]
+ *       - oauth2: [author:self]
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema: { type: string }
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/merge-patch+json:
+ *           schema: { type: object, description: RFC 7396 merge patch; null removes a field }
+ *           examples:
+ *             mergePatch:
+ *               summary: Change website (null removes it)
+ *               value: { website: "https://example.org" }
+ *         application/json-patch+json:
+ *           schema:
+ *             type: array
+ *             items: { $ref: '#/components/schemas/JsonPatchOperation' }
+ *           examples:
+ *             jsonPatch:
+ *               summary: Change nationality
+ *               value:
+ *                 - { op: replace, path: /nationality, value: British }
  *     responses:
- *       204: { description: Deleted }
- *       400: { description: Invalid id }
- *       401: { description: Unauthorized }
- *       403: { description: Forbidden (missing scope) }
- *       404: { description: Not found }
+ *       200:
+ *         description: Updated author
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Author' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       409:
+ *         description: A JSON Patch "test" operation failed, or a unique field (isbn/email) is taken
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ *       415: { $ref: '#/components/responses/UnsupportedMediaType' }
+ *       422:
+ *         description: Patch path cannot be applied
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ *       412: { $ref: '#/components/responses/PreconditionFailed' }
+ *       428: { $ref: '#/components/responses/PreconditionRequired' }
+ */
+router.patch('/:id', can('update'), async (req, res, next) => {
+  try {
+    const type = patchType(req);
+    if (!type) throw unsupportedPatchType();
+    const _id = parseId(req.params.id);
+    const { authors } = getStorage();
+    const current = await authors.findOne({ _id, ...ACTIVE });
+    if (!current) throw httpError(404, 'Author not found');
+    checkIfMatch(req, current);
+    await assertOwnAuthor(req, _id);
+    const parsed = AuthorSchema.parse(applyPatch(type, toAuthorInput(current), req.body));
+    const doc = { _id, ...parsed, version: nextVersion(current) };
+    if (!(await authors.replaceOne(versionFilter(current), doc))) throw concurrentModification();
+    await recordAudit(req, 'authors', 'patch', { before: current, after: doc });
+    setETag(res, doc);
+    res.status(200).json(doc);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /authors/{id}:
+ *   delete:
+ *     summary: Delete an author (moves it to the trash)
+ *     description: Sets `deletedAt` / `deletedBy`; restore with POST /authors/{id}/restore.
+ *     tags: [Authors]
+ *     x-permission: delete
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [admin:library]
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - $ref: '#/components/parameters/IfMatch'
+ *       - in: query
+ *         name: onDelete
+ *         description: >
+ *           What to do with books referencing this author. `restrict` refuses while live books exist,
+ *           `cascade` moves the books only this author is credited on to the trash too and removes
+ *           its credits from co-credited ones, `nullify` removes its credits from all of them.
+ *           Defaults to the AUTHOR_DELETE_POLICY env var (or `restrict`).
+ *         schema: { type: string, enum: [restrict, cascade, nullify] }
+ *     responses:
+ *       204: { description: Moved to the trash }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       409:
+ *         description: Author is still referenced by books (restrict policy)
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ *       412: { $ref: '#/components/responses/PreconditionFailed' }
+ *       428: { $ref: '#/components/responses/PreconditionRequired' }
  */
-router.delete('/:id', jwtCheck, needWrite, async (req, res, next) => {
+router.delete('/:id', can('delete'), async (req, res, next) => {
   try {
     const _id = parseId(req.params.id);
-    const result = await getDb().collection('authors').deleteOne({ _id });
-    if (result.deletedCount === 0) return res.status(404).json({ message: 'Author not found' });
+    const { onDelete } = AuthorDeleteQuery.parse(req.query);
+    const { authors, books } = getStorage();
+    const current = await authors.findOne({ _id, ...ACTIVE });
+    if (!current) throw httpError(404, 'Author not found');
+    checkIfMatch(req, current);
+
+    if (onDelete === 'restrict') {
+      const count = await books.count({ 'authors.authorId': _id, ...ACTIVE });
+      if (count > 0) {
+        throw httpError(409, `Author is still referenced by ${count} book(s)`, { books: count });
+      }
+    }
+
+    const mark = trashMark(req);
+    const doc = { ...current, ...mark, version: nextVersion(current) };
+    if (!(await authors.replaceOne(versionFilter(current), doc))) throw concurrentModification();
+    await recordAudit(req, 'authors', 'delete', { before: current, after: doc });
+
+    if (onDelete === 'cascade') {
+      const affected = await books.find({ 'authors.authorId': _id, ...ACTIVE });
+      const soleAuthor = (book) => creditedAuthorIds(book).every((id) => _id.equals(id));
+      const trashed = affected.filter(soleAuthor);
+      const shared = affected.filter((book) => !soleAuthor(book));
+      await books.updateMany({ _id: { $in: trashed.map((b) => b._id) } }, { $set: mark, $inc: { version: 1 } });
+      await recordAuditMany(req, 'books', 'delete', books, trashed);
+      await dropCredits(books, shared, _id);
+      await recordAuditMany(req, 'books', 'nullify', books, shared);
+    } else if (onDelete === 'nullify') {
+      const affected = await books.find({ 'authors.authorId': _id });
+      await dropCredits(books, affected, _id);
+      await recordAuditMany(req, 'books', 'nullify', books, affected);
+    }
     res.status(204).send();
   } catch (err) {
     next(err);
   }
 });
 
+/**
+ * @openapi
+ * /authors/{id}/restore:
+ *   post:
+ *     summary: Restore an author from the trash
+ *     description: Books trashed by a cascade delete stay in the trash; restore them individually.
+ *     tags: [Authors]
+ *     x-permission: delete
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [admin:library]
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     responses:
+ *       200:
+ *         description: Restored author
+ *         headers:
+ *           ETag: { $ref: '#/components/headers/ETag' }
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Author' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       404:
+ *         description: Not in the trash
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ *       412: { $ref: '#/components/responses/PreconditionFailed' }
+ */
+router.post('/:id/restore', can('delete'), async (req, res, next) => {
+  try {
+    const _id = parseId(req.params.id);
+    const { authors } = getStorage();
+    const current = await authors.findOne({ _id, ...TRASHED });
+    if (!current) throw httpError(404, 'Author not found in trash');
+    checkIfMatch(req, current);
+    const doc = { ...withoutTrashMark(current), version: nextVersion(current) };
+    if (!(await authors.replaceOne(versionFilter(current), doc))) throw concurrentModification();
+    await recordAudit(req, 'authors', 'restore', { before: current, after: doc });
+    setETag(res, doc);
+    res.status(200).json(doc);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Duplicate ISBNs from POST /authors/:id/books: 409 pointing at the book that has it
+router.use(linkDuplicateIsbn);
+
 export default router;
@@ -1,38 +1,117 @@
 // routes/books.js
 import { Router } from 'express';
 import { z } from 'zod';
-import { getDb } from '../db/connect.js';
-import { ObjectId } from 'mongodb';
-import { jwtCheck, needWrite } from '../middleware/auth.js';
+import { getStorage } from '../repositories/index.js';
+import { assertMayPrice, assertOwnBook, can, canRead } from '../middleware/policy.js';
+import { findPage, toSortSpec } from '../lib/pagination.js';
+import {
+  ImportQuery,
+  importBodyParser,
+  readImportRows,
+  runImport,
+  streamExport,
+  unsupportedImportType
+} from '../lib/bulk.js';
+import { applyPatch, patchType, unsupportedPatchType } from '../lib/patch.js';
+import { fieldErrors, httpError, parseId } from '../lib/errors.js';
+import {
+  checkIfMatch,
+  concurrentModification,
+  nextVersion,
+  notModified,
+  setETag,
+  versionFilter
+} from '../lib/concurrency.js';
+import {
+  ACTIVE,
+  TRASHED,
+  expiredTrash,
+  retentionCutoff,
+  trashMark,
+  trashQuery,
+  withoutTrashMark
+} from '../lib/trash.js';
+import {
+  RevisionsQuery,
+  auditImport,
+  findRevision,
+  recordAudit,
+  recordAuditMany
+} from '../lib/audit.js';
+import {
+  BOOK_CSV_COLUMNS,
+  BOOK_SORTABLE,
+  BookExportQuery,
+  BookGetQuery,
+  BookListQuery,
+  BookSchema,
+  Isbn,
+  NO_STOCK,
+  bookFromCsv,
+  bookSortParam,
+  bookToCsvRecord,
+  bookToRecord,
+  stockOf,
+  toBookFilter,
+  toBookInput
+} from '../models/book.js';
+import { CopyListQuery, CopySchema } from '../models/copy.js';
+import { HoldSchema } from '../models/loan.js';
+import { assertStatusChange, holdQueue, placeHold, refreshBook } from '../lib/circulation.js';
+import { subjectOf } from '../middleware/auth.js';
+import { linkDuplicateIsbn } from '../middleware/duplicateIsbn.js';
+import { assertReferences, liveReferences, referenceErrors } from '../lib/references.js';
+import { bookVariant, withPrice, withPrices } from '../lib/pricing.js';
 
 const router = Router();
 
-/** Validate 24-char hex and transform to ObjectId for storage */
-const ObjectIdString = z
-  .string()
-  .regex(/^[0-9a-fA-F]{24}$/, 'Must be a 24-character hex string')
-  .transform((s) => new ObjectId(s));
-
-/** Main Book schema (request payload). _id is never client-supplied */
-const BookSchema = z.object({
-  title: z.string().min(1),
-  isbn: z.string().min(10),
-  authorId: ObjectIdString, // accept string, store as ObjectId
-  publishedYear: z.number().int().gte(1400).lte(new Date().getFullYear() + 1),
-  genres: z.array(z.string()).min(1),
-  pages: z.number().int().positive(),
-  inStock: z.boolean(),
-  price: z.number().nonnegative()
-});
+const BookTrashQuery = trashQuery(BOOK_SORTABLE).extend({ sort: bookSortParam([...BOOK_SORTABLE, 'deletedAt']) });
+const RevisionParam = z.coerce.number().int().min(1);
+const IsbnParams = z.object({ isbn: Isbn });
 
-const parseId = (id) => {
-  try {
-    return new ObjectId(id);
-  } catch {
-    const e = new Error('Invalid id format');
-    e.statusCode = 400;
-    e.expose = true;
-    throw e;
+/** Send the live book matching `filter` (GET /books/:id, /books/isbn/:isbn), honouring ?expand */
+const sendBook = async (req, res, filter) => {
+  const { expand, currency } = BookGetQuery.parse(req.query);
+  const { books } = getStorage();
+  const doc =
+    expand === 'authors'
+      ? (await books.findWithAuthors({ ...filter, ...ACTIVE }, { limit: 1 }))[0]
+      : await books.findOne({ ...filter, ...ACTIVE });
+  if (!doc) throw httpError(404, 'Book not found');
+  const priced = await withPrice(doc, { currency });
+  // The expanded form also depends on the authors, so only the plain form gets the version ETag
+  if (!expand) {
+    const variant = bookVariant(priced);
+    setETag(res, doc, variant);
+    if (notModified(req, doc, variant)) return res.status(304).end();
+  }
+  res.status(200).json(priced);
+};
+
+/**
+ * Compare-and-swap filter for rewriting a stored book: its version and the stock it carries over,
+ * since lending doesn't bump the version. A copy lent or returned in between fails the write (412).
+ */
+const bookFilter = (current) => ({ ...versionFilter(current), availableCopies: current.availableCopies ?? null });
+
+/** Set the ETag GET /books/:id would send for `doc`; returns the priced book */
+const setBookETag = async (res, doc) => {
+  const priced = await withPrice(doc);
+  setETag(res, doc, bookVariant(priced));
+  return priced;
+};
+
+/** Send a book just written (PATCH, restore, revert) as GET /books/:id would, prices included */
+const sendWrittenBook = async (res, doc) => {
+  res.status(200).json(await setBookETag(res, doc));
+};
+
+/** Import check: reject rows whose authors, work or series do not resolve (one query per collection) */
+const checkImportReferences = async (entries) => {
+  const live = await liveReferences(entries.map((e) => e.doc));
+  for (const e of entries) {
+    const errors = referenceErrors(e.doc, live);
+    if (errors.length) e.errors = errors;
   }
 };
 
@@ -49,11 +128,10 @@ const parseId = (id) => {
  *       required:
  *         - title
  *         - isbn
- *         - authorId
+ *         - authors
  *         - publishedYear
  *         - genres
  *         - pages
- *         - inStock
  *         - price
  *       properties:
  *         _id:
@@ -65,11 +143,15 @@ const parseId = (id) => {
  *           example: The Hobbit
  *         isbn:
  *           type: string
+ *           description: >
+ *             ISBN-10 or ISBN-13, hyphens and spaces allowed; the check digit must be valid.
+ *             Stored and returned as the bare ISBN-13 (an ISBN-10 is converted).
  *           example: 9780547928227
- *         authorId:
- *           type: string
- *           description: Author's ObjectId (24 hex chars)
- *           example: 665f6a0f2c3d4b1a9f0a1234
+ *         authors:
+ *           type: array
+ *           minItems: 1
+ *           description: Credited authors; each author at most once per role
+ *           items: { $ref: '#/components/schemas/BookCredit' }
  *         publishedYear:
  *           type: integer
  *           example: 1937
@@ -80,64 +162,663 @@ const parseId = (id) => {
  *         pages:
  *           type: integer
  *           example: 310
+ *         price:
+ *           description: List price, in the base currency or any currency of the rates table
+ *           allOf:
+ *             - $ref: '#/components/schemas/Money'
+ *         listPrice:
+ *           description: The list price in the requested `currency` (else the book's own); reads only
+ *           readOnly: true
+ *           allOf:
+ *             - $ref: '#/components/schemas/Money'
+ *         effectivePrice:
+ *           description: listPrice less the best discount running now; reads only
+ *           readOnly: true
+ *           allOf:
+ *             - $ref: '#/components/schemas/Money'
+ *         discount:
+ *           type: object
+ *           readOnly: true
+ *           description: The discount in effectivePrice, when one is running
+ *           properties:
+ *             id: { type: string }
+ *             name: { type: string }
+ *             percentOff: { type: integer }
+ *             endsAt: { type: string, format: date-time }
+ *         workId:
+ *           type: string
+ *           description: The work this book is an edition of (GET /works/{id}/editions)
+ *           example: 665f6a0f2c3d4b1a9f0a5678
+ *         edition:
+ *           type: string
+ *           description: Free-form edition statement
+ *           example: 75th anniversary edition
+ *         seriesId:
+ *           type: string
+ *           description: The series this book belongs to (GET /series/{id}/books)
+ *           example: 665f6a0f2c3d4b1a9f0a9abc
+ *         seriesPosition:
+ *           type: number
+ *           minimum: 0
+ *           exclusiveMinimum: true
+ *           description: Order within the series (needs seriesId; 2.5 sits between 2 and 3)
+ *           example: 1
  *         inStock:
  *           type: boolean
+ *           readOnly: true
+ *           description: Whether a copy is on the shelf; derived from the book's copies
  *           example: true
- *         price:
- *           type: number
- *           example: 14.99
+ *         availableCopies:
+ *           type: integer
+ *           readOnly: true
+ *           description: Copies on the shelf (not on loan, on hold, lost or withdrawn)
+ *           example: 2
+ *         basePrice:
+ *           type: integer
+ *           readOnly: true
+ *           description: >
+ *             The price in the rates table's base currency (minor units), as of the book's last write;
+ *             what sort=price orders by
+ *           example: 2999
+ *         version:
+ *           type: integer
+ *           readOnly: true
+ *           description: Incremented on every write; the ETag is derived from it
+ *           example: 3
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *           description: Set while the book is in the trash
+ *         deletedBy:
+ *           type: string
+ *           readOnly: true
+ *           nullable: true
+ *           description: JWT subject that moved the book to the trash
+ *     Money:
+ *       type: object
+ *       required: [amount, currency]
+ *       properties:
+ *         amount:
+ *           type: integer
+ *           minimum: 0
+ *           description: Minor units of the currency (cents; yen for JPY)
+ *           example: 1499
+ *         currency:
+ *           type: string
+ *           description: ISO 4217 code with an exchange rate configured
+ *           example: USD
+ *     BookCredit:
+ *       type: object
+ *       required: [authorId]
+ *       properties:
+ *         authorId:
+ *           type: string
+ *           description: Author's ObjectId (24 hex chars)
+ *           example: 665f6a0f2c3d4b1a9f0a1234
+ *         role:
+ *           type: string
+ *           enum: [author, editor, translator, illustrator]
+ *           default: author
+ *         author:
+ *           description: Present only with expand=authors (null if the author is missing)
+ *           readOnly: true
+ *           nullable: true
+ *           allOf:
+ *             - $ref: '#/components/schemas/Author'
+ */
+
+/**
+ * @openapi
+ * components:
+ *   parameters:
+ *     SortParam:
+ *       in: query
+ *       name: sort
+ *       description: Comma-separated sort fields; prefix with `-` for descending (e.g. `-price,title`)
+ *       schema: { type: string }
+ *     LimitParam:
+ *       in: query
+ *       name: limit
+ *       description: Page size (1-100)
+ *       schema: { type: integer, minimum: 1, maximum: 100, default: 20 }
+ *     PageParam:
+ *       in: query
+ *       name: page
+ *       description: 1-based page number (ignored when `after` is set)
+ *       schema: { type: integer, minimum: 1, default: 1 }
+ *     AfterParam:
+ *       in: query
+ *       name: after
+ *       description: Cursor paging; return items after the document with this ObjectId (in the current sort order)
+ *       schema: { type: string }
+ *     IfMatch:
+ *       in: header
+ *       name: If-Match
+ *       description: ETag from a previous GET; the write fails with 412 if the resource changed since
+ *       schema: { type: string }
+ *     IfNoneMatch:
+ *       in: header
+ *       name: If-None-Match
+ *       description: ETag from a previous GET; returns 304 if unchanged
+ *       schema: { type: string }
+ *     ImportDryRun:
+ *       in: query
+ *       name: dryRun
+ *       description: Validate and report only; nothing is written
+ *       schema: { type: boolean, default: false }
+ *     ImportAtomic:
+ *       in: query
+ *       name: atomic
+ *       description: All-or-nothing; any invalid row rejects the import and writes run in one transaction
+ *       schema: { type: boolean, default: false }
+ *     ExpandAuthorsParam:
+ *       in: query
+ *       name: expand
+ *       description: >
+ *         Set to `authors` to embed each credited author document as `authors[].author` (null if missing);
+ *         `author` is a deprecated alias
+ *       schema: { type: string, enum: [authors, author] }
+ *     CurrencyParam:
+ *       in: query
+ *       name: currency
+ *       description: >
+ *         Show `listPrice` / `effectivePrice` in this currency (converted at the local rates table);
+ *         also the currency of `minPrice` / `maxPrice` (default: the table's base currency)
+ *       schema: { type: string, example: EUR }
+ *   schemas:
+ *     ImportReport:
+ *       type: object
+ *       properties:
+ *         dryRun: { type: boolean }
+ *         atomic: { type: boolean }
+ *         upsert: { type: boolean }
+ *         total: { type: integer }
+ *         succeeded: { type: integer }
+ *         failed: { type: integer }
+ *         results:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               row: { type: integer, description: 1-based data row }
+ *               status:
+ *                 type: string
+ *                 enum: [created, updated, valid, invalid, failed, skipped, rolledBack]
+ *               id: { type: string }
+ *               errors:
+ *                 type: array
+ *                 items: { $ref: '#/components/schemas/FieldError' }
+ *               error: { type: string }
+ *     JsonPatchOperation:
+ *       type: object
+ *       required: [op, path]
+ *       properties:
+ *         op:
+ *           type: string
+ *           enum: [add, remove, replace, move, copy, test]
+ *         path:
+ *           type: string
+ *           description: JSON Pointer (RFC 6901)
+ *           example: /price
+ *         from:
+ *           type: string
+ *           description: Source pointer for move/copy
+ *         value:
+ *           description: Value for add/replace/test
+ *   headers:
+ *     ETag:
+ *       description: Strong validator derived from the document version
+ *       schema: { type: string }
+ *     X-Total-Count:
+ *       description: Total number of items matching the filters
+ *       schema: { type: integer }
+ *     Link:
+ *       description: RFC 8288 pagination links (first, prev, next, last)
+ *       schema: { type: string }
  */
 
 /**
  * @openapi
  * /books:
  *   get:
- *     summary: Get all books
+ *     summary: List books (filter, sort, paginate)
  *     tags: [Books]
+ *     x-permission: read
+ *     parameters:
+ *       - in: query
+ *         name: genre
+ *         description: Comma-separated genres; matches books having any of them
+ *         schema: { type: string }
+ *         example: Fantasy,Classic
+ *       - in: query
+ *         name: authorId
+ *         description: Author's ObjectId (24 hex chars); matches books crediting the author in any role
+ *         schema: { type: string }
+ *       - in: query
+ *         name: workId
+ *         schema: { type: string }
+ *       - in: query
+ *         name: seriesId
+ *         schema: { type: string }
+ *       - in: query
+ *         name: inStock
+ *         schema: { type: boolean }
+ *       - in: query
+ *         name: minPrice
+ *         description: Lowest list price, in major units of `currency` (e.g. 9.99)
+ *         schema: { type: string }
+ *       - in: query
+ *         name: maxPrice
+ *         description: Highest list price, in major units of `currency`
+ *         schema: { type: string }
+ *       - in: query
+ *         name: minPublishedYear
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: maxPublishedYear
+ *         schema: { type: integer }
+ *       - $ref: '#/components/parameters/ExpandAuthorsParam'
+ *       - $ref: '#/components/parameters/CurrencyParam'
+ *       - $ref: '#/components/parameters/SortParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/AfterParam'
  *     responses:
  *       200:
  *         description: List of books
+ *         headers:
+ *           X-Total-Count: { $ref: '#/components/headers/X-Total-Count' }
+ *           Link: { $ref: '#/components/headers/Link' }
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items: { $ref: '#/components/schemas/Book' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ */
+router.get('/', canRead, async (req, res, next) => {
+  try {
+    const query = BookListQuery.parse(req.query);
+    const { books } = getStorage();
+    const docs = await findPage(books, { ...toBookFilter(query), ...ACTIVE }, query, req, res, {
+      find: query.expand === 'authors' ? books.findWithAuthors.bind(books) : undefined
+    });
+    res.status(200).json(await withPrices(docs, query));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /books/orphans:
+ *   get:
+ *     summary: Consistency check - books with no author, or crediting an author that does not exist
+ *     tags: [Books]
+ *     x-permission: read
+ *     responses:
+ *       200:
+ *         description: Orphaned books (no credits, or a credited authorId that does not resolve)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count: { type: integer }
+ *                 books:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/Book' }
+ */
+router.get('/orphans', canRead, async (_req, res, next) => {
+  try {
+    const books = await getStorage().books.findOrphans(ACTIVE);
+    res.status(200).json({ count: books.length, books });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /books/import:
+ *   post:
+ *     summary: Bulk import books (JSON array, NDJSON or CSV)
+ *     description: >
+ *       Every row is validated with the Book schema (and its authors, work and series must exist).
+ *       The response is a per-row report. CSV needs a header row; `genres` is `;`-separated and
+ *       `authors` is `<authorId>:<role>;...` (a bare id is an author; an `authorId` column also works).
+ *       CSV `price` is in major units (`14.99`) of the `currency` column (default: the rates table's base).
+ *     tags: [Books]
+ *     x-permission: import
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [admin:library]
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ImportDryRun'
+ *       - $ref: '#/components/parameters/ImportAtomic'
+ *       - in: query
+ *         name: upsert
+ *         description: Update existing books with the same ISBN instead of inserting duplicates
+ *         schema: { type: boolean, default: false }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items: { $ref: '#/components/schemas/Book' }
+ *         application/x-ndjson:
+ *           schema: { type: string, description: One Book JSON object per line }
+ *         text/csv:
+ *           schema: { type: string }
+ *           example: |
+ *             title,isbn,authors,publishedYear,genres,pages,price,currency
+ *             The Hobbit,9780547928227,665f6a0f2c3d4b1a9f0a1234:author,1937,Fantasy;Classic,310,14.99,USD
+ *     responses:
+ *       200:
+ *         description: Per-row report (rows may individually be invalid/failed unless atomic)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ImportReport' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       409:
+ *         description: Atomic import rolled back on a write conflict (problem with the report fields)
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ *       415: { $ref: '#/components/responses/UnsupportedMediaType' }
+ *       422:
+ *         description: Atomic import rejected because some rows are invalid (problem with the report fields)
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
  */
-router.get('/', async (_req, res, next) => {
+router.post('/import', can('import'), importBodyParser, async (req, res, next) => {
   try {
-    const docs = await getDb().collection('books').find({}).toArray();
+    const rows = readImportRows(req, bookFromCsv);
+    if (!rows) throw unsupportedImportType();
+    const options = ImportQuery.parse(req.query);
+    const storage = getStorage();
+    const { status, body } = await runImport({
+      repo: storage.books,
+      withTransaction: storage.withTransaction,
+      rows,
+      schema: BookSchema,
+      key: 'isbn',
+      options,
+      check: checkImportReferences,
+      audit: auditImport(req, 'books', storage.books),
+      defaults: NO_STOCK
+    });
+    res.status(status).json(body);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /books/export:
+ *   get:
+ *     summary: Export books as CSV or NDJSON (streamed; accepts the GET /books filters)
+ *     tags: [Books]
+ *     x-permission: read
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema: { type: string, enum: [ndjson, csv], default: ndjson }
+ *       - in: query
+ *         name: genre
+ *         schema: { type: string }
+ *       - in: query
+ *         name: authorId
+ *         schema: { type: string }
+ *       - in: query
+ *         name: workId
+ *         schema: { type: string }
+ *       - in: query
+ *         name: seriesId
+ *         schema: { type: string }
+ *       - in: query
+ *         name: inStock
+ *         schema: { type: boolean }
+ *       - in: query
+ *         name: minPrice
+ *         description: Lowest list price, in major units of `currency` (e.g. 9.99)
+ *         schema: { type: string }
+ *       - in: query
+ *         name: maxPrice
+ *         description: Highest list price, in major units of `currency`
+ *         schema: { type: string }
+ *       - in: query
+ *         name: currency
+ *         description: Currency of minPrice / maxPrice (default the rates table's base); prices are exported as stored
+ *         schema: { type: string }
+ *       - in: query
+ *         name: minPublishedYear
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: maxPublishedYear
+ *         schema: { type: integer }
+ *       - $ref: '#/components/parameters/SortParam'
+ *     responses:
+ *       200:
+ *         description: Export file
+ *         content:
+ *           application/x-ndjson:
+ *             schema: { type: string }
+ *           text/csv:
+ *             schema: { type: string }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ */
+router.get('/export', canRead, async (req, res, next) => {
+  try {
+    const query = BookExportQuery.parse(req.query);
+    const cursor = getStorage().books.stream({ ...toBookFilter(query), ...ACTIVE }, {
+      sort: toSortSpec(query.sort)
+    });
+    await streamExport(res, cursor, {
+      format: query.format,
+      name: 'books',
+      columns: BOOK_CSV_COLUMNS,
+      toRecord: query.format === 'csv' ? bookToCsvRecord : bookToRecord
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     PurgeResult:
+ *       type: object
+ *       properties:
+ *         purged: { type: integer, description: Number of documents removed for good }
+ *         deletedBefore:
+ *           type: string
+ *           format: date-time
+ *           description: Retention cutoff; trashed items deleted before it were purged
+ */
+
+/**
+ * @openapi
+ * /books/trash:
+ *   get:
+ *     summary: List books in the trash
+ *     tags: [Books]
+ *     x-permission: read
+ *     parameters:
+ *       - in: query
+ *         name: sort
+ *         description: Like SortParam; `deletedAt` is sortable too (e.g. `-deletedAt`)
+ *         schema: { type: string }
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/AfterParam'
+ *     responses:
+ *       200:
+ *         description: Trashed books
+ *         headers:
+ *           X-Total-Count: { $ref: '#/components/headers/X-Total-Count' }
+ *           Link: { $ref: '#/components/headers/Link' }
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/Book' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *   delete:
+ *     summary: Purge books that have been in the trash longer than the retention period
+ *     description: Retention is TRASH_RETENTION_DAYS (default 30). Requires the admin scope.
+ *     tags: [Books]
+ *     x-permission: purge
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [admin:library]
+ *       - apiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Purge summary
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/PurgeResult' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ */
+router.get('/trash', canRead, async (req, res, next) => {
+  try {
+    const query = BookTrashQuery.parse(req.query);
+    const docs = await findPage(getStorage().books, TRASHED, query, req, res);
     res.status(200).json(docs);
   } catch (err) {
     next(err);
   }
 });
 
+router.delete('/trash', can('purge'), async (req, res, next) => {
+  try {
+    const now = new Date();
+    const { books } = getStorage();
+    const expired = await books.find(expiredTrash(now));
+    const purged = await books.deleteMany({ _id: { $in: expired.map((d) => d._id) }, ...TRASHED });
+    await recordAuditMany(req, 'books', 'purge', null, expired);
+    res.status(200).json({ purged, deletedBefore: retentionCutoff(now) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /books/trash/{id}:
+ *   delete:
+ *     summary: Permanently delete a trashed book
+ *     tags: [Books]
+ *     x-permission: purge
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [admin:library]
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       204: { description: Purged }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       404:
+ *         description: Not in the trash
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ */
+router.delete('/trash/:id', can('purge'), async (req, res, next) => {
+  try {
+    const _id = parseId(req.params.id);
+    const { books } = getStorage();
+    const current = await books.findOne({ _id, ...TRASHED });
+    if (!current) throw httpError(404, 'Book not found in trash');
+    if (!(await books.deleteOne({ ...versionFilter(current), ...TRASHED }))) throw concurrentModification();
+    await recordAudit(req, 'books', 'purge', { before: current });
+    res.status(204).send();
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /books/isbn/{isbn}:
+ *   get:
+ *     summary: Get a book by ISBN
+ *     description: >
+ *       Accepts an ISBN-10 or ISBN-13, with or without hyphens; an ISBN-10 finds the book
+ *       stored under its ISBN-13.
+ *     tags: [Books]
+ *     x-permission: read
+ *     parameters:
+ *       - in: path
+ *         name: isbn
+ *         required: true
+ *         schema: { type: string }
+ *         example: 0-201-61622-X
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *       - $ref: '#/components/parameters/ExpandAuthorsParam'
+ *       - $ref: '#/components/parameters/CurrencyParam'
+ *     responses:
+ *       200:
+ *         description: A book (with each `authors[].author` embedded when expand=authors)
+ *         headers:
+ *           ETag: { $ref: '#/components/headers/ETag' }
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Book' }
+ *       304: { description: Not modified (If-None-Match matched) }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ */
+router.get('/isbn/:isbn', canRead, async (req, res, next) => {
+  try {
+    const { isbn } = IsbnParams.parse(req.params);
+    await sendBook(req, res, { isbn });
+  } catch (err) {
+    next(err);
+  }
+});
+
 /**
  * @openapi
  * /books/{id}:
  *   get:
  *     summary: Get a book by id
  *     tags: [Books]
+ *     x-permission: read
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema: { type: string }
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *       - $ref: '#/components/parameters/ExpandAuthorsParam'
+ *       - $ref: '#/components/parameters/CurrencyParam'
  *     responses:
  *       200:
- *         description: A book
+ *         description: A book (with each `authors[].author` embedded when expand=authors)
+ *         headers:
+ *           ETag: { $ref: '#/components/headers/ETag' }
  *         content:
  *           application/json:
  *             schema: { $ref: '#/components/schemas/Book' }
- *       400: { description: Invalid id }
- *       404: { description: Not found }
+ *       304: { description: Not modified (If-None-Match matched) }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       404: { $ref: '#/components/responses/NotFound' }
  */
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', canRead, async (req, res, next) => {
   try {
-    const _id = parseId(req.params.id);
-    const doc = await getDb().collection('books').findOne({ _id });
-    if (!doc) return res.status(404).json({ message: 'Book not found' });
-    res.status(200).json(doc);
+    await sendBook(req, res, { _id: parseId(req.params.id) });
   } catch (err) {
     next(err);
   }
@@ -149,9 +830,12 @@ router.get('/:id', async (req, res, next) => {
  *   post:
  *     summary: Create a new book
  *     tags: [Books]
+ *     x-permission: create
  *     security:
  *       - bearerAuth: []
  *       - oauth2: [write:library]
+ *       - oauth2: [author:self]
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -160,38 +844,42 @@ router.get('/:id', async (req, res, next) => {
  *           example:
  *             title: The Hobbit
  *             isbn: "9780547928227"
- *             authorId: "665f6a0f2c3d4b1a9f0a1234"
+ *             authors: [{ authorId: "665f6a0f2c3d4b1a9f0a1234", role: author }]
  *             publishedYear: 1937
  *             genres: ["Fantasy"]
  *             pages: 310
- *             inStock: true
- *             price: 14.99
+ *             price: { amount: 1499, currency: USD }
  *     responses:
  *       201:
  *         description: Created; returns new book id
  *         content:
  *           application/json:
  *             schema: { type: object, properties: { id: { type: string } } }
- *       400: { description: Validation error }
- *       401: { description: Unauthorized }
- *       403: { description: Forbidden (missing scope) }
- *       415: { description: Unsupported Media Type }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       409: { $ref: '#/components/responses/DuplicateKey' }
+ *       415: { $ref: '#/components/responses/UnsupportedMediaType' }
+ *       422:
+ *         description: A credited author, the work or the series does not exist (field `errors`)
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
  */
-router.post('/', jwtCheck, needWrite, async (req, res, next) => {
+router.post('/', can('create'), async (req, res, next) => {
   try {
     if (!req.is('application/json')) {
-      return res.status(415).json({ message: 'Content-Type must be application/json' });
+      throw httpError(415, 'Content-Type must be application/json');
     }
-    const parsed = BookSchema.parse(req.body); // authorId now an ObjectId
-    const result = await getDb().collection('books').insertOne(parsed);
+    const parsed = BookSchema.parse(req.body); // ids now ObjectIds
+    await assertOwnBook(req, parsed);
+    await assertReferences(parsed);
+    const doc = await getStorage().books.insertOne({ ...parsed, ...NO_STOCK, version: 1 });
+    await recordAudit(req, 'books', 'create', { after: doc });
+    await setBookETag(res, doc);
     res
       .status(201)
-      .location(`/books/${result.insertedId}`)
-      .json({ id: result.insertedId.toString() });
+      .location(`/books/${doc._id}`)
+      .json({ id: doc._id.toString() });
   } catch (err) {
-    if (err instanceof z.ZodError) {
-      return res.status(400).json({ message: 'Validation error', errors: err.flatten() });
-    }
     next(err);
   }
 });
@@ -201,15 +889,20 @@ router.post('/', jwtCheck, needWrite, async (req, res, next) => {
  * /books/{id}:
  *   put:
  *     summary: Replace a book
+ *     description: Changing `price` also needs the `price` permission (not author accounts).
  *     tags: [Books]
+ *     x-permission: update
  *     security:
  *       - bearerAuth: []
  *       - oauth2: [write:library]
+ *       - oauth2: [author:self]
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema: { type: string }
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -217,26 +910,39 @@ router.post('/', jwtCheck, needWrite, async (req, res, next) => {
  *           schema: { $ref: '#/components/schemas/Book' }
  *     responses:
  *       204: { description: Updated }
- *       400: { description: Validation/ID error }
- *       401: { description: Unauthorized }
- *       403: { description: Forbidden (missing scope) }
- *       404: { description: Not found }
- *       415: { description: Unsupported Media Type }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       409: { $ref: '#/components/responses/DuplicateKey' }
+ *       415: { $ref: '#/components/responses/UnsupportedMediaType' }
+ *       422:
+ *         description: A credited author, the work or the series does not exist (field `errors`)
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ *       412: { $ref: '#/components/responses/PreconditionFailed' }
+ *       428: { $ref: '#/components/responses/PreconditionRequired' }
  */
-router.put('/:id', jwtCheck, needWrite, async (req, res, next) => {
+router.put('/:id', can('update'), async (req, res, next) => {
   try {
     if (!req.is('application/json')) {
-      return res.status(415).json({ message: 'Content-Type must be application/json' });
+      throw httpError(415, 'Content-Type must be application/json');
     }
     const _id = parseId(req.params.id);
-    const parsed = BookSchema.parse(req.body); // authorId now an ObjectId
-    const result = await getDb().collection('books').replaceOne({ _id }, parsed);
-    if (result.matchedCount === 0) return res.status(404).json({ message: 'Book not found' });
+    const parsed = BookSchema.parse(req.body); // ids now ObjectIds
+    const { books } = getStorage();
+    const current = await books.findOne({ _id, ...ACTIVE });
+    if (!current) throw httpError(404, 'Book not found');
+    checkIfMatch(req, current);
+    await assertOwnBook(req, current);
+    await assertOwnBook(req, parsed);
+    assertMayPrice(req, current, parsed);
+    await assertReferences(parsed);
+    const doc = { _id, ...parsed, ...stockOf(current), version: nextVersion(current) };
+    if (!(await books.replaceOne(bookFilter(current), doc))) throw concurrentModification();
+    await recordAudit(req, 'books', 'replace', { before: current, after: doc });
+    await setBookETag(res, doc);
     res.status(204).send();
   } catch (err) {
-    if (err instanceof z.ZodError) {
-      return res.status(400).json({ message: 'Validation error', errors: err.flatten() });
-    }
     next(err);
   }
 });
@@ -244,33 +950,529 @@ router.put('/:id', jwtCheck, needWrite, async (req, res, next) => {
 /**
  * @openapi
  * /books/{id}:
- *   delete:
- *     summary: Delete a book
+ *   patch:
+ *     summary: Partially update a book (JSON Merge Patch or JSON Patch)
+ *     description: >
+ *       The patched result is re-validated against the full Book schema before it is saved.
+ *       Changing `price` also needs the `price` permission (not author accounts).
  *     tags: [Books]
+ *     x-permission: update
  *     security:
  *       - bearerAuth: []
  *       - oauth2: [write:library]
+ *       - oauth2: [author:self]
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema: { type: string }
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/merge-patch+json:
+ *           schema: { type: object, description: RFC 7396 merge patch; null removes a field }
+ *           examples:
+ *             mergePatch:
+ *               summary: Change the price
+ *               value: { price: { amount: 999 } }
+ *         application/json-patch+json:
+ *           schema:
+ *             type: array
+ *             items: { $ref: '#/components/schemas/JsonPatchOperation' }
+ *           examples:
+ *             jsonPatch:
+ *               summary: Test then change price
+ *               value:
+ *                 - { op: test, path: /price/amount, value: 1499 }
+ *                 - { op: replace, path: /price/amount, value: 999 }
+ *     responses:
+ *       200:
+ *         description: Updated book
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Book' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       409:
+ *         description: A JSON Patch "test" operation failed, or a unique field (isbn/email) is taken
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ *       415: { $ref: '#/components/responses/UnsupportedMediaType' }
+ *       422:
+ *         description: Patch path cannot be applied, or a credited author, the work or the series does not exist
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ *       412: { $ref: '#/components/responses/PreconditionFailed' }
+ *       428: { $ref: '#/components/responses/PreconditionRequired' }
+ */
+router.patch('/:id', can('update'), async (req, res, next) => {
+  try {
+    const type = patchType(req);
+    if (!type) throw unsupportedPatchType();
+    const _id = parseId(req.params.id);
+    const { books } = getStorage();
+    const current = await books.findOne({ _id, ...ACTIVE });
+    if (!current) throw httpError(404, 'Book not found');
+    checkIfMatch(req, current);
+    await assertOwnBook(req, current);
+    const parsed = BookSchema.parse(applyPatch(type, toBookInput(current), req.body));
+    await assertOwnBook(req, parsed);
+    assertMayPrice(req, current, parsed);
+    await assertReferences(parsed);
+    const doc = { _id, ...parsed, ...stockOf(current), version: nextVersion(current) };
+    if (!(await books.replaceOne(bookFilter(current), doc))) throw concurrentModification();
+    await recordAudit(req, 'books', 'patch', { before: current, after: doc });
+    await sendWrittenBook(res, doc);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /books/{id}:
+ *   delete:
+ *     summary: Delete a book (moves it to the trash)
+ *     description: Sets `deletedAt` / `deletedBy`; restore with POST /books/{id}/restore.
+ *     tags: [Books]
+ *     x-permission: delete
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [admin:library]
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
- *       204: { description: Deleted }
- *       400: { description: Invalid id }
- *       401: { description: Unauthorized }
- *       403: { description: Forbidden (missing scope) }
- *       404: { description: Not found }
+ *       204: { description: Moved to the trash }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       409:
+ *         description: Copies of the book are on loan
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ *       412: { $ref: '#/components/responses/PreconditionFailed' }
+ *       428: { $ref: '#/components/responses/PreconditionRequired' }
  */
-router.delete('/:id', jwtCheck, needWrite, async (req, res, next) => {
+router.delete('/:id', can('delete'), async (req, res, next) => {
   try {
     const _id = parseId(req.params.id);
-    const result = await getDb().collection('books').deleteOne({ _id });
-    if (result.deletedCount === 0) return res.status(404).json({ message: 'Book not found' });
+    const { books } = getStorage();
+    const current = await books.findOne({ _id, ...ACTIVE });
+    if (!current) throw httpError(404, 'Book not found');
+    checkIfMatch(req, current);
+    if (await getStorage().copies.exists({ bookId: _id, status: 'on_loan' })) {
+      throw httpError(409, 'Book has copies on loan; return them first');
+    }
+    const doc = { ...current, ...trashMark(req), version: nextVersion(current) };
+    if (!(await books.replaceOne(bookFilter(current), doc))) throw concurrentModification();
+    await recordAudit(req, 'books', 'delete', { before: current, after: doc });
     res.status(204).send();
   } catch (err) {
     next(err);
   }
 });
 
+/**
+ * @openapi
+ * /books/{id}/restore:
+ *   post:
+ *     summary: Restore a book from the trash
+ *     tags: [Books]
+ *     x-permission: delete
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [admin:library]
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     responses:
+ *       200:
+ *         description: Restored book
+ *         headers:
+ *           ETag: { $ref: '#/components/headers/ETag' }
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Book' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       404:
+ *         description: Not in the trash
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ *       412: { $ref: '#/components/responses/PreconditionFailed' }
+ *       422:
+ *         description: The book's author no longer exists or is in the trash
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ */
+router.post('/:id/restore', can('delete'), async (req, res, next) => {
+  try {
+    const _id = parseId(req.params.id);
+    const { books } = getStorage();
+    const current = await books.findOne({ _id, ...TRASHED });
+    if (!current) throw httpError(404, 'Book not found in trash');
+    checkIfMatch(req, current);
+    // Credits removed by an author delete are gone from `authors`, so only live references remain to check
+    await assertReferences(current);
+    const doc = { ...withoutTrashMark(current), version: nextVersion(current) };
+    if (!(await books.replaceOne(bookFilter(current), doc))) throw concurrentModification();
+    await recordAudit(req, 'books', 'restore', { before: current, after: doc });
+    await sendWrittenBook(res, doc);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/** The live book a nested copies/holds route refers to, or 404 */
+const findLiveBook = async (id) => {
+  const book = await getStorage().books.findOne({ _id: parseId(id), ...ACTIVE });
+  if (!book) throw httpError(404, 'Book not found');
+  return book;
+};
+
+/**
+ * @openapi
+ * /books/{id}/copies:
+ *   get:
+ *     summary: List the physical copies of a book
+ *     tags: [Copies]
+ *     x-permission: read
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [available, on_loan, on_hold, lost, withdrawn] }
+ *       - in: query
+ *         name: sort
+ *         description: Sortable by `barcode`, `status`, `acquiredAt`
+ *         schema: { type: string }
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/AfterParam'
+ *     responses:
+ *       200:
+ *         description: Copies
+ *         headers:
+ *           X-Total-Count: { $ref: '#/components/headers/X-Total-Count' }
+ *           Link: { $ref: '#/components/headers/Link' }
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/Copy' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *   post:
+ *     summary: Add a copy of a book
+ *     description: >
+ *       A new available copy goes to the first waiting hold, if any. The book's `inStock` and
+ *       `availableCopies` follow its copies.
+ *     tags: [Copies]
+ *     x-permission: create
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [write:library]
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/CopyInput' }
+ *     responses:
+ *       201:
+ *         description: Created copy
+ *         headers:
+ *           Location: { schema: { type: string } }
+ *           ETag: { $ref: '#/components/headers/ETag' }
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Copy' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       409: { $ref: '#/components/responses/DuplicateKey' }
+ *       415: { $ref: '#/components/responses/UnsupportedMediaType' }
+ *       422:
+ *         description: Status on_loan / on_hold cannot be set directly
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ */
+router.get('/:id/copies', canRead, async (req, res, next) => {
+  try {
+    const book = await findLiveBook(req.params.id);
+    const query = CopyListQuery.parse(req.query);
+    const filter = { bookId: book._id, ...(query.status && { status: query.status }) };
+    const docs = await findPage(getStorage().copies, filter, query, req, res);
+    res.status(200).json(docs);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post('/:id/copies', can('create'), async (req, res, next) => {
+  try {
+    if (!req.is('application/json')) {
+      throw httpError(415, 'Content-Type must be application/json');
+    }
+    const book = await findLiveBook(req.params.id);
+    await assertOwnBook(req, book);
+    const parsed = CopySchema.parse(req.body);
+    assertStatusChange(undefined, parsed.status);
+    const { copies } = getStorage();
+    const stored = await copies.insertOne({ bookId: book._id, ...parsed, acquiredAt: new Date(), version: 1 });
+    await recordAudit(req, 'copies', 'create', { after: stored });
+    await refreshBook(book._id);
+    const doc = await copies.findById(stored._id); // may already be set aside for a hold
+    setETag(res, doc);
+    res.status(201).location(`/copies/${doc._id}`).json(doc);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /books/{id}/holds:
+ *   get:
+ *     summary: The book's hold queue (waiting and ready holds, oldest first)
+ *     description: Waiting holds carry their 1-based `position`; ready holds have a copy set aside until `expiresAt`.
+ *     tags: [Holds]
+ *     x-permission: circulate
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [write:library]
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Open holds in queue order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/Hold' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *   post:
+ *     summary: Place a hold (join the book's queue)
+ *     description: If a copy is on the shelf it is set aside at once and the hold is `ready`.
+ *     tags: [Holds]
+ *     x-permission: circulate
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [write:library]
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/HoldInput' }
+ *     responses:
+ *       201:
+ *         description: Hold placed
+ *         headers:
+ *           Location: { schema: { type: string } }
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Hold' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       409:
+ *         description: >
+ *           The member already has an open hold on, or a loan of, this book; or is suspended,
+ *           expired or at their tier's hold limit
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ *       422:
+ *         description: No member has this id
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ */
+router.get('/:id/holds', can('circulate'), async (req, res, next) => {
+  try {
+    const book = await findLiveBook(req.params.id);
+    res.status(200).json(await holdQueue(book._id));
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post('/:id/holds', can('circulate'), async (req, res, next) => {
+  try {
+    const book = await findLiveBook(req.params.id);
+    const { memberId } = HoldSchema.parse(req.body);
+    const hold = await placeHold({ bookId: book._id, memberId, actor: subjectOf(req) });
+    res.status(201).location(`/holds/${hold._id}`).json(hold);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /books/{id}/revisions:
+ *   get:
+ *     summary: Revision history of a book (its audit entries, oldest first)
+ *     description: >
+ *       Each entry's `version` is the revision number to use with revert. Entries carry who
+ *       made each change and full snapshots, so this needs the same permission as revert
+ *       (author-self: only books crediting the caller, and not once purged).
+ *     tags: [Books]
+ *     x-permission: update
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [write:library]
+ *       - oauth2: [author:self]
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: sort
+ *         description: Sortable by `at` and `version` (e.g. `-version`)
+ *         schema: { type: string }
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/AfterParam'
+ *     responses:
+ *       200:
+ *         description: Revisions
+ *         headers:
+ *           X-Total-Count: { $ref: '#/components/headers/X-Total-Count' }
+ *           Link: { $ref: '#/components/headers/Link' }
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/AuditEntry' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       404:
+ *         description: No such book and no history
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ */
+router.get('/:id/revisions', can('update'), async (req, res, next) => {
+  try {
+    const _id = parseId(req.params.id);
+    const query = RevisionsQuery.parse(req.query);
+    const { audit, books } = getStorage();
+    const filter = { resource: 'books', resourceId: _id };
+    const book = await books.findOne({ _id });
+    if (!book && !(await audit.exists(filter))) throw httpError(404, 'Book not found');
+    await assertOwnBook(req, book);
+    const docs = await findPage(audit, filter, query, req, res);
+    res.status(200).json(docs);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /books/{id}/revisions/{rev}/revert:
+ *   post:
+ *     summary: Restore the book's fields to an earlier revision
+ *     description: >
+ *       Writes the fields as they were after revision `rev` as a new version (history is kept).
+ *       The book must not be in the trash. Restoring another `price` also needs the `price` permission.
+ *     tags: [Books]
+ *     x-permission: update
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [write:library]
+ *       - oauth2: [author:self]
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - in: path
+ *         name: rev
+ *         required: true
+ *         description: Revision (version) number from GET /books/{id}/revisions
+ *         schema: { type: integer, minimum: 1 }
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     responses:
+ *       200:
+ *         description: Reverted book
+ *         headers:
+ *           ETag: { $ref: '#/components/headers/ETag' }
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Book' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       404:
+ *         description: Book or revision not found
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ *       412: { $ref: '#/components/responses/PreconditionFailed' }
+ *       422:
+ *         description: The revision is no longer valid (e.g. its author no longer exists)
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ */
+router.post('/:id/revisions/:rev/revert', can('update'), async (req, res, next) => {
+  try {
+    const _id = parseId(req.params.id);
+    const rev = RevisionParam.parse(req.params.rev);
+    const { books } = getStorage();
+    const current = await books.findOne({ _id, ...ACTIVE });
+    if (!current) throw httpError(404, 'Book not found');
+    checkIfMatch(req, current);
+    await assertOwnBook(req, current);
+    const revision = await findRevision('books', _id, rev);
+    if (!revision) throw httpError(404, `Revision ${rev} not found`);
+
+    const result = BookSchema.safeParse(toBookInput(withoutTrashMark(revision.after)));
+    if (!result.success) {
+      throw httpError(422, 'Revision is no longer valid', { errors: fieldErrors(result.error) });
+    }
+    await assertOwnBook(req, result.data);
+    assertMayPrice(req, current, result.data);
+    await assertReferences(result.data);
+    const doc = { _id, ...result.data, ...stockOf(current), version: nextVersion(current) };
+    if (!(await books.replaceOne(bookFilter(current), doc))) throw concurrentModification();
+    await recordAudit(req, 'books', 'revert', { before: current, after: doc, revertedTo: rev });
+    await sendWrittenBook(res, doc);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Duplicate ISBNs from any write above: 409 pointing at the book that has it
+router.use(linkDuplicateIsbn);
+
 export default router;
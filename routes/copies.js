@@ -0,0 +1,167 @@
+// routes/copies.js
+import { Router } from 'express';
+import { getStorage } from '../repositories/index.js';
+import { assertOwnBook, can, canRead } from '../middleware/policy.js';
+import { applyPatch, patchType, unsupportedPatchType } from '../lib/patch.js';
+import { httpError, parseId } from '../lib/errors.js';
+import {
+  checkIfMatch,
+  concurrentModification,
+  nextVersion,
+  notModified,
+  setETag,
+  versionFilter
+} from '../lib/concurrency.js';
+import { recordAudit } from '../lib/audit.js';
+import { assertStatusChange, refreshBook } from '../lib/circulation.js';
+import { CopySchema, toCopyInput } from '../models/copy.js';
+
+/** Single copies; a book's copies are listed and added under /books/{id}/copies */
+const router = Router();
+
+/**
+ * @openapi
+ * tags:
+ *   - name: Copies
+ *     description: Physical copies of books; a book's `inStock` / `availableCopies` are derived from them
+ *
+ * components:
+ *   schemas:
+ *     CopyInput:
+ *       type: object
+ *       required: [barcode]
+ *       properties:
+ *         barcode: { type: string, description: Unique, example: LIB-000123 }
+ *         condition: { type: string, enum: [new, good, fair, poor], default: good }
+ *         note: { type: string, example: Signed by the author }
+ *         status:
+ *           type: string
+ *           enum: [available, lost, withdrawn]
+ *           default: available
+ *           description: on_loan and on_hold are set by checkout and holds only
+ *     Copy:
+ *       allOf:
+ *         - $ref: '#/components/schemas/CopyInput'
+ *         - type: object
+ *           properties:
+ *             _id: { type: string }
+ *             bookId: { type: string }
+ *             status: { type: string, enum: [available, on_loan, on_hold, lost, withdrawn] }
+ *             acquiredAt: { type: string, format: date-time }
+ *             version: { type: integer }
+ */
+
+/**
+ * @openapi
+ * /copies/{id}:
+ *   get:
+ *     summary: Get a copy by id
+ *     tags: [Copies]
+ *     x-permission: read
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *     responses:
+ *       200:
+ *         description: A copy
+ *         headers:
+ *           ETag: { $ref: '#/components/headers/ETag' }
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Copy' }
+ *       304: { description: Not modified (If-None-Match matched) }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ */
+router.get('/:id', canRead, async (req, res, next) => {
+  try {
+    const doc = await getStorage().copies.findById(parseId(req.params.id));
+    if (!doc) throw httpError(404, 'Copy not found');
+    setETag(res, doc);
+    if (notModified(req, doc)) return res.status(304).end();
+    res.status(200).json(doc);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /copies/{id}:
+ *   patch:
+ *     summary: Update a copy (barcode, condition, note; status available / lost / withdrawn)
+ *     description: >
+ *       A copy on loan or on hold cannot change status until it is returned or the hold ends.
+ *     tags: [Copies]
+ *     x-permission: update
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [write:library]
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/merge-patch+json:
+ *           schema: { type: object }
+ *           example: { status: withdrawn, note: Water damage }
+ *         application/json-patch+json:
+ *           schema:
+ *             type: array
+ *             items: { $ref: '#/components/schemas/JsonPatchOperation' }
+ *     responses:
+ *       200:
+ *         description: Updated copy
+ *         headers:
+ *           ETag: { $ref: '#/components/headers/ETag' }
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Copy' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       409:
+ *         description: The copy is on loan or on hold, a JSON Patch test failed, or the barcode is taken
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ *       412: { $ref: '#/components/responses/PreconditionFailed' }
+ *       415: { $ref: '#/components/responses/UnsupportedMediaType' }
+ *       422:
+ *         description: Status on_loan / on_hold cannot be set directly
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ *       428: { $ref: '#/components/responses/PreconditionRequired' }
+ */
+router.patch('/:id', can('update'), async (req, res, next) => {
+  try {
+    const type = patchType(req);
+    if (!type) throw unsupportedPatchType();
+    const _id = parseId(req.params.id);
+    const { books, copies } = getStorage();
+    const current = await copies.findById(_id);
+    if (!current) throw httpError(404, 'Copy not found');
+    checkIfMatch(req, current);
+    await assertOwnBook(req, await books.findById(current.bookId));
+    const parsed = CopySchema.parse(applyPatch(type, toCopyInput(current), req.body));
+    assertStatusChange(current.status, parsed.status);
+    const { note: _note, ...kept } = current; // a removed note must not survive the merge
+    const doc = { ...kept, ...parsed, version: nextVersion(current) };
+    if (!(await copies.replaceOne(versionFilter(current), doc))) throw concurrentModification();
+    await recordAudit(req, 'copies', 'patch', { before: current, after: doc });
+    await refreshBook(current.bookId);
+    const updated = await copies.findById(_id);
+    setETag(res, updated);
+    res.status(200).json(updated);
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,115 @@
+// routes/dev.js
+import express from 'express';
+import { z } from 'zod';
+import { devIssuer } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * Local issuer endpoints, mounted at the root only when AUTH_DEV=true (middleware/auth.js).
+ * Tokens are signed with a key generated at boot, so they stop working after a restart.
+ */
+
+/** Longest token lifetime the dev issuer hands out (seconds) */
+export const DEV_TOKEN_MAX_TTL = 24 * 60 * 60;
+
+const scopeList = z
+  .union([z.string(), z.array(z.string().trim().min(1))])
+  .transform((s) => (Array.isArray(s) ? s : s.split(' ').filter(Boolean)));
+
+export const DevTokenRequest = z.object({
+  sub: z.string().trim().min(1).default('dev|user'),
+  scope: scopeList.default([]),
+  permissions: z.array(z.string().trim().min(1)).optional(),
+  email: z.string().email().optional(),
+  expiresIn: z.coerce.number().int().positive().max(DEV_TOKEN_MAX_TTL).default(3600)
+});
+
+/**
+ * OAuth2 client_credentials form (what Swagger UI sends): the client id becomes the
+ * subject, from the body or a Basic Authorization header; the secret is ignored.
+ */
+const fromClientCredentials = (req) => {
+  const basic = /^Basic\s+(.+)$/i.exec(req.get('Authorization') || '');
+  const clientId = basic ? Buffer.from(basic[1], 'base64').toString().split(':')[0] : req.body.client_id;
+  return { sub: clientId || undefined, scope: req.body.scope, expiresIn: req.body.expires_in };
+};
+
+/**
+ * @openapi
+ * /dev/token:
+ *   post:
+ *     summary: Mint a token from the local dev issuer (AUTH_DEV=true only)
+ *     description: >
+ *       Accepts JSON, or an OAuth2 `client_credentials` form (the client id becomes `sub`).
+ *       Only mounted (and documented) when the server runs with AUTH_DEV=true; never in production.
+ *     tags: [Dev]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               sub: { type: string, default: 'dev|user' }
+ *               scope:
+ *                 oneOf:
+ *                   - { type: string, example: 'read:library write:library' }
+ *                   - { type: array, items: { type: string } }
+ *               permissions: { type: array, items: { type: string } }
+ *               email: { type: string, format: email, description: 'Matched against authors for author:self' }
+ *               expiresIn: { type: integer, default: 3600, maximum: 86400 }
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required: [grant_type]
+ *             properties:
+ *               grant_type: { type: string, enum: [client_credentials] }
+ *               client_id: { type: string }
+ *               scope: { type: string }
+ *     responses:
+ *       200:
+ *         description: Token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 access_token: { type: string }
+ *                 token_type: { type: string, example: Bearer }
+ *                 expires_in: { type: integer }
+ *                 scope: { type: string }
+ *       400:
+ *         description: 'Validation error (problem+json), or `{ "error": "unsupported_grant_type" }` for another OAuth grant'
+ */
+router.post('/dev/token', express.urlencoded({ extended: false }), (req, res) => {
+  const form = req.is('application/x-www-form-urlencoded');
+  // OAuth clients expect the RFC 6749 error shape here, not a problem document
+  if (form && req.body.grant_type !== 'client_credentials') {
+    return res.status(400).json({ error: 'unsupported_grant_type' });
+  }
+  const { sub, scope, permissions, email, expiresIn } = DevTokenRequest.parse(
+    form ? fromClientCredentials(req) : (req.body ?? {})
+  );
+  const token = devIssuer.mint(
+    { sub, scope: scope.join(' '), ...(permissions && { permissions }), ...(email && { email }) },
+    expiresIn
+  );
+  res.set('Cache-Control', 'no-store');
+  res.status(200).json({ access_token: token, token_type: 'Bearer', expires_in: expiresIn, scope: scope.join(' ') });
+});
+
+router.get('/.well-known/jwks.json', (_req, res) => {
+  res.status(200).json(devIssuer.jwks);
+});
+
+router.get('/.well-known/openid-configuration', (_req, res) => {
+  res.status(200).json({
+    issuer: devIssuer.issuer,
+    jwks_uri: `${devIssuer.issuer}/.well-known/jwks.json`,
+    token_endpoint: `${devIssuer.issuer}/dev/token`,
+    grant_types_supported: ['client_credentials'],
+    id_token_signing_alg_values_supported: ['RS256']
+  });
+});
+
+export default router;
@@ -0,0 +1,363 @@
+// routes/discounts.js
+import { Router } from 'express';
+import { getStorage } from '../repositories/index.js';
+import { can, canRead } from '../middleware/policy.js';
+import { findPage } from '../lib/pagination.js';
+import { applyPatch, patchType, unsupportedPatchType } from '../lib/patch.js';
+import { httpError, parseId } from '../lib/errors.js';
+import {
+  checkIfMatch,
+  concurrentModification,
+  nextVersion,
+  notModified,
+  setETag,
+  versionFilter
+} from '../lib/concurrency.js';
+import { ACTIVE, trashMark } from '../lib/trash.js';
+import { recordAudit } from '../lib/audit.js';
+import { assertDiscountTarget } from '../lib/references.js';
+import { DiscountListQuery, DiscountSchema, toDiscountFilter, toDiscountInput } from '../models/discount.js';
+
+/**
+ * Time-boxed discount rules; book reads show their effect as `effectivePrice` (lib/pricing.js).
+ * Writes need the `price` permission (editors, admins), which author accounts lack.
+ */
+const router = Router();
+
+const findDiscount = async (id) => {
+  const discount = await getStorage().discounts.findOne({ _id: parseId(id), ...ACTIVE });
+  if (!discount) throw httpError(404, 'Discount not found');
+  return discount;
+};
+
+/**
+ * @openapi
+ * tags:
+ *   - name: Discounts
+ *     description: Time-boxed percentage discounts on a book, an author's books or a genre
+ *
+ * components:
+ *   schemas:
+ *     Discount:
+ *       type: object
+ *       required: [name, percentOff, startsAt, endsAt]
+ *       description: Exactly one of `bookId`, `authorId` or `genre` says what the discount applies to.
+ *       properties:
+ *         _id: { type: string, readOnly: true }
+ *         name: { type: string, example: Summer fantasy sale }
+ *         percentOff: { type: integer, minimum: 1, maximum: 100, example: 20 }
+ *         bookId: { type: string }
+ *         authorId: { type: string, description: Every book crediting this author, in any role }
+ *         genre: { type: string, example: Fantasy }
+ *         startsAt: { type: string, format: date-time, description: Inclusive }
+ *         endsAt: { type: string, format: date-time, description: Exclusive; after startsAt }
+ *         version: { type: integer, readOnly: true }
+ */
+
+/**
+ * @openapi
+ * /discounts:
+ *   get:
+ *     summary: List discounts
+ *     tags: [Discounts]
+ *     x-permission: read
+ *     parameters:
+ *       - in: query
+ *         name: bookId
+ *         schema: { type: string }
+ *       - in: query
+ *         name: authorId
+ *         schema: { type: string }
+ *       - in: query
+ *         name: genre
+ *         schema: { type: string }
+ *       - in: query
+ *         name: running
+ *         description: true = running now, false = not yet started or already over
+ *         schema: { type: boolean }
+ *       - in: query
+ *         name: sort
+ *         description: Sortable by `name`, `percentOff`, `startsAt`, `endsAt`
+ *         schema: { type: string }
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/AfterParam'
+ *     responses:
+ *       200:
+ *         description: Discounts
+ *         headers:
+ *           X-Total-Count: { $ref: '#/components/headers/X-Total-Count' }
+ *           Link: { $ref: '#/components/headers/Link' }
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/Discount' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ */
+router.get('/', canRead, async (req, res, next) => {
+  try {
+    const query = DiscountListQuery.parse(req.query);
+    const filter = { ...toDiscountFilter(query), ...ACTIVE };
+    const docs = await findPage(getStorage().discounts, filter, query, req, res);
+    res.status(200).json(docs);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /discounts:
+ *   post:
+ *     summary: Create a discount
+ *     tags: [Discounts]
+ *     x-permission: price
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [write:library]
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/Discount' }
+ *           example:
+ *             name: Summer fantasy sale
+ *             percentOff: 20
+ *             genre: Fantasy
+ *             startsAt: 2026-07-01T00:00:00Z
+ *             endsAt: 2026-09-01T00:00:00Z
+ *     responses:
+ *       201:
+ *         description: Created
+ *         headers:
+ *           Location: { schema: { type: string } }
+ *         content:
+ *           application/json:
+ *             schema: { type: object, properties: { id: { type: string } } }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       415: { $ref: '#/components/responses/UnsupportedMediaType' }
+ *       422:
+ *         description: The book or author does not exist
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ */
+router.post('/', can('price'), async (req, res, next) => {
+  try {
+    if (!req.is('application/json')) {
+      throw httpError(415, 'Content-Type must be application/json');
+    }
+    const parsed = DiscountSchema.parse(req.body);
+    await assertDiscountTarget(parsed);
+    const doc = await getStorage().discounts.insertOne({ ...parsed, version: 1 });
+    await recordAudit(req, 'discounts', 'create', { after: doc });
+    setETag(res, doc);
+    res
+      .status(201)
+      .location(`/discounts/${doc._id}`)
+      .json({ id: doc._id.toString() });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /discounts/{id}:
+ *   get:
+ *     summary: Get a discount by id
+ *     tags: [Discounts]
+ *     x-permission: read
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *     responses:
+ *       200:
+ *         description: A discount
+ *         headers:
+ *           ETag: { $ref: '#/components/headers/ETag' }
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Discount' }
+ *       304: { description: Not modified (If-None-Match matched) }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ */
+router.get('/:id', canRead, async (req, res, next) => {
+  try {
+    const doc = await findDiscount(req.params.id);
+    setETag(res, doc);
+    if (notModified(req, doc)) return res.status(304).end();
+    res.status(200).json(doc);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /discounts/{id}:
+ *   put:
+ *     summary: Replace a discount
+ *     tags: [Discounts]
+ *     x-permission: price
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [write:library]
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/Discount' }
+ *     responses:
+ *       204: { description: Updated (no content) }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       412: { $ref: '#/components/responses/PreconditionFailed' }
+ *       415: { $ref: '#/components/responses/UnsupportedMediaType' }
+ *       422:
+ *         description: The book or author does not exist
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ *       428: { $ref: '#/components/responses/PreconditionRequired' }
+ */
+router.put('/:id', can('price'), async (req, res, next) => {
+  try {
+    if (!req.is('application/json')) {
+      throw httpError(415, 'Content-Type must be application/json');
+    }
+    const parsed = DiscountSchema.parse(req.body);
+    const current = await findDiscount(req.params.id);
+    checkIfMatch(req, current);
+    await assertDiscountTarget(parsed);
+    const doc = { _id: current._id, ...parsed, version: nextVersion(current) };
+    if (!(await getStorage().discounts.replaceOne(versionFilter(current), doc))) throw concurrentModification();
+    await recordAudit(req, 'discounts', 'replace', { before: current, after: doc });
+    setETag(res, doc);
+    res.status(204).send();
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /discounts/{id}:
+ *   patch:
+ *     summary: Partially update a discount (JSON Merge Patch or JSON Patch)
+ *     description: The patched result is re-validated against the full Discount schema.
+ *     tags: [Discounts]
+ *     x-permission: price
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [write:library]
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/merge-patch+json:
+ *           schema: { type: object }
+ *           example: { endsAt: 2026-09-15T00:00:00Z }
+ *         application/json-patch+json:
+ *           schema:
+ *             type: array
+ *             items: { $ref: '#/components/schemas/JsonPatchOperation' }
+ *     responses:
+ *       200:
+ *         description: Updated discount
+ *         headers:
+ *           ETag: { $ref: '#/components/headers/ETag' }
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Discount' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       409:
+ *         description: A JSON Patch "test" operation failed
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ *       412: { $ref: '#/components/responses/PreconditionFailed' }
+ *       415: { $ref: '#/components/responses/UnsupportedMediaType' }
+ *       422:
+ *         description: The book or author does not exist
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ *       428: { $ref: '#/components/responses/PreconditionRequired' }
+ */
+router.patch('/:id', can('price'), async (req, res, next) => {
+  try {
+    const type = patchType(req);
+    if (!type) throw unsupportedPatchType();
+    const current = await findDiscount(req.params.id);
+    checkIfMatch(req, current);
+    const parsed = DiscountSchema.parse(applyPatch(type, toDiscountInput(current), req.body));
+    await assertDiscountTarget(parsed);
+    const doc = { _id: current._id, ...parsed, version: nextVersion(current) };
+    if (!(await getStorage().discounts.replaceOne(versionFilter(current), doc))) throw concurrentModification();
+    await recordAudit(req, 'discounts', 'patch', { before: current, after: doc });
+    setETag(res, doc);
+    res.status(200).json(doc);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /discounts/{id}:
+ *   delete:
+ *     summary: Delete a discount (moves it to the trash; it stops applying at once)
+ *     tags: [Discounts]
+ *     x-permission: delete
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [admin:library]
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     responses:
+ *       204: { description: Moved to the trash }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       412: { $ref: '#/components/responses/PreconditionFailed' }
+ *       428: { $ref: '#/components/responses/PreconditionRequired' }
+ */
+router.delete('/:id', can('delete'), async (req, res, next) => {
+  try {
+    const current = await findDiscount(req.params.id);
+    checkIfMatch(req, current);
+    const doc = { ...current, ...trashMark(req), version: nextVersion(current) };
+    if (!(await getStorage().discounts.replaceOne(versionFilter(current), doc))) throw concurrentModification();
+    await recordAudit(req, 'discounts', 'delete', { before: current, after: doc });
+    res.status(204).send();
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
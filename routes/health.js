@@ -0,0 +1,213 @@
+// routes/health.js
+import { readFileSync } from 'node:fs';
+import { timingSafeEqual } from 'node:crypto';
+import { Router } from 'express';
+import { getDb, isDbAvailable } from '../db/connect.js';
+import { getStorage } from '../repositories/index.js';
+import { AUTH_MODE } from '../middleware/auth.js';
+import { ACTIVE } from '../lib/trash.js';
+import { client, registry } from '../lib/metrics.js';
+import { httpError } from '../lib/errors.js';
+
+/**
+ * Probes and metrics; mounted before the rate limiter and never authenticated with JWTs.
+ *   GET /healthz  liveness: the process answers (no dependencies checked)
+ *   GET /readyz   readiness: storage reachable (MongoDB has a primary and answers a ping), plus auth
+ *                 mode and build info. 503 while the driver is reconnecting, so the balancer waits
+ *   GET /metrics  Prometheus text format; `Authorization: Bearer $METRICS_TOKEN` when that is set
+ */
+
+const router = Router();
+
+const PING_TIMEOUT_MS = 2000;
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+
+const pkg = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+const startedAt = new Date();
+
+const build = () => ({
+  name: pkg.name,
+  version: pkg.version,
+  commit: process.env.RENDER_GIT_COMMIT || process.env.GIT_COMMIT || null,
+  node: process.version,
+  startedAt: startedAt.toISOString(),
+  uptimeSeconds: Math.round(process.uptime())
+});
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((_resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`No answer within ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/** Storage check: MongoDB must be up and answer a ping; memory storage only has to be installed */
+const checkStorage = async () => {
+  const started = Date.now();
+  let kind = null;
+  try {
+    kind = getStorage().kind;
+    if (kind === 'mongo') {
+      // Without a primary a ping would only wait out the timeout
+      if (!isDbAvailable()) throw new Error('MongoDB is unavailable; the driver is reconnecting');
+      await withTimeout(getDb().command({ ping: 1 }), PING_TIMEOUT_MS);
+    }
+    return { kind, status: 'ok', latencyMs: Date.now() - started };
+  } catch (err) {
+    return { kind, status: 'down', latencyMs: Date.now() - started, error: err.message };
+  }
+};
+
+// Counted when scraped, so the numbers are never stale; skipped while storage is down
+const countBooks = async (filter) => {
+  try {
+    return await getStorage().books.count(filter);
+  } catch {
+    return null;
+  }
+};
+
+new client.Gauge({
+  name: 'library_books',
+  help: 'Books in the catalogue (excluding trashed)',
+  registers: [registry],
+  async collect() {
+    const n = await countBooks(ACTIVE);
+    if (n !== null) this.set(n);
+  }
+});
+
+new client.Gauge({
+  name: 'library_books_in_stock',
+  help: 'Books currently in stock (excluding trashed)',
+  registers: [registry],
+  async collect() {
+    const n = await countBooks({ ...ACTIVE, inStock: true });
+    if (n !== null) this.set(n);
+  }
+});
+
+const sameToken = (given, expected) => {
+  const a = Buffer.from(given);
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+};
+
+/**
+ * @openapi
+ * tags:
+ *   - name: Health
+ *     description: Probes for the platform, metrics for Prometheus and error type docs (not rate limited)
+ *
+ * /healthz:
+ *   get:
+ *     summary: Liveness (the process is up; dependencies are not checked)
+ *     tags: [Health]
+ *     responses:
+ *       200:
+ *         description: Alive
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: ok }
+ */
+router.get('/healthz', (_req, res) => res.status(200).json({ status: 'ok' }));
+
+/**
+ * @openapi
+ * /readyz:
+ *   get:
+ *     summary: Readiness (storage reachable), with auth mode and build info
+ *     tags: [Health]
+ *     responses:
+ *       200:
+ *         description: Ready
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Readiness' }
+ *       503:
+ *         description: Not ready (storage not initialized, MongoDB down/reconnecting or not answering)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Readiness' }
+ *
+ * components:
+ *   schemas:
+ *     Readiness:
+ *       type: object
+ *       properties:
+ *         status: { type: string, enum: [ok, unavailable] }
+ *         checks:
+ *           type: object
+ *           properties:
+ *             storage:
+ *               type: object
+ *               properties:
+ *                 kind: { type: string, nullable: true, enum: [mongo, memory] }
+ *                 status: { type: string, enum: [ok, down] }
+ *                 latencyMs: { type: integer }
+ *                 error: { type: string }
+ *         auth:
+ *           type: object
+ *           properties:
+ *             mode: { type: string, example: secure }
+ *         build:
+ *           type: object
+ *           properties:
+ *             name: { type: string }
+ *             version: { type: string }
+ *             commit: { type: string, nullable: true, description: RENDER_GIT_COMMIT or GIT_COMMIT }
+ *             node: { type: string }
+ *             startedAt: { type: string, format: date-time }
+ *             uptimeSeconds: { type: integer }
+ */
+router.get('/readyz', async (_req, res) => {
+  const storage = await checkStorage();
+  const ready = storage.status === 'ok';
+  res.set('Cache-Control', 'no-store');
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ok' : 'unavailable',
+    checks: { storage },
+    auth: { mode: AUTH_MODE },
+    build: build()
+  });
+});
+
+/**
+ * @openapi
+ * /metrics:
+ *   get:
+ *     summary: Prometheus metrics
+ *     description: |
+ *       Request counts, latency histograms and errors per route and status; MongoDB pool
+ *       connections; book and in-stock gauges; process metrics. When `METRICS_TOKEN` is set,
+ *       send it as `Authorization: Bearer <token>`.
+ *     tags: [Health]
+ *     responses:
+ *       200:
+ *         description: Metrics in Prometheus text exposition format
+ *         content:
+ *           text/plain: { schema: { type: string } }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ */
+router.get('/metrics', async (req, res, next) => {
+  try {
+    if (METRICS_TOKEN) {
+      const [scheme, token] = (req.get('authorization') || '').split(' ');
+      if (scheme?.toLowerCase() !== 'bearer' || !token || !sameToken(token, METRICS_TOKEN)) {
+        throw httpError(401, 'Send METRICS_TOKEN as a bearer token', {
+          headers: { 'WWW-Authenticate': 'Bearer realm="metrics"' }
+        });
+      }
+    }
+    res.set('Content-Type', registry.contentType);
+    res.send(await registry.metrics());
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
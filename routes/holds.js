@@ -0,0 +1,178 @@
+// routes/holds.js
+import { Router } from 'express';
+import { getStorage } from '../repositories/index.js';
+import { can } from '../middleware/policy.js';
+import { findPage } from '../lib/pagination.js';
+import { httpError, parseId } from '../lib/errors.js';
+import { cancelHold } from '../lib/circulation.js';
+import { HoldListQuery, toHoldFilter } from '../models/loan.js';
+
+/** Holds across books; a book's queue is read and joined under /books/{id}/holds */
+const router = Router();
+
+const findHold = async (id) => {
+  const hold = await getStorage().holds.findById(parseId(id));
+  if (!hold) throw httpError(404, 'Hold not found');
+  return hold;
+};
+
+/**
+ * @openapi
+ * tags:
+ *   - name: Holds
+ *     description: Reservation queues; a returned copy goes to the first waiting hold on its book
+ *
+ * components:
+ *   schemas:
+ *     HoldInput:
+ *       type: object
+ *       required: [memberId]
+ *       properties:
+ *         memberId: { type: string, example: 665f6a0f2c3d4b1a9f0a5678 }
+ *     Hold:
+ *       type: object
+ *       properties:
+ *         _id: { type: string }
+ *         bookId: { type: string }
+ *         memberId: { type: string }
+ *         placedAt: { type: string, format: date-time }
+ *         placedBy: { type: string, nullable: true }
+ *         status: { type: string, enum: [waiting, ready, fulfilled, cancelled, expired] }
+ *         position: { type: integer, description: 'Place in the queue (waiting holds in GET /books/{id}/holds)' }
+ *         copyId: { type: string, nullable: true, description: Copy set aside while ready }
+ *         readyAt: { type: string, format: date-time, nullable: true }
+ *         expiresAt: { type: string, format: date-time, nullable: true, description: Pickup deadline (HOLD_PICKUP_DAYS) }
+ *         closedAt: { type: string, format: date-time, nullable: true }
+ *         loanId: { type: string, description: The loan that fulfilled the hold }
+ */
+
+/**
+ * @openapi
+ * /holds:
+ *   get:
+ *     summary: List holds
+ *     tags: [Holds]
+ *     x-permission: circulate
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [write:library]
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [waiting, ready, fulfilled, cancelled, expired] }
+ *       - in: query
+ *         name: memberId
+ *         schema: { type: string }
+ *       - in: query
+ *         name: bookId
+ *         schema: { type: string }
+ *       - in: query
+ *         name: sort
+ *         description: Sortable by `placedAt`, `readyAt`, `expiresAt`
+ *         schema: { type: string }
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/AfterParam'
+ *     responses:
+ *       200:
+ *         description: Holds
+ *         headers:
+ *           X-Total-Count: { $ref: '#/components/headers/X-Total-Count' }
+ *           Link: { $ref: '#/components/headers/Link' }
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/Hold' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ */
+router.get('/', can('circulate'), async (req, res, next) => {
+  try {
+    const query = HoldListQuery.parse(req.query);
+    const docs = await findPage(getStorage().holds, toHoldFilter(query), query, req, res);
+    res.status(200).json(docs);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /holds/{id}:
+ *   get:
+ *     summary: Get a hold by id
+ *     tags: [Holds]
+ *     x-permission: circulate
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [write:library]
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: A hold
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Hold' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ */
+router.get('/:id', can('circulate'), async (req, res, next) => {
+  try {
+    res.status(200).json(await findHold(req.params.id));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /holds/{id}/cancel:
+ *   post:
+ *     summary: Cancel a waiting or ready hold
+ *     description: A copy set aside for the hold goes to the next in the queue, or back on the shelf.
+ *     tags: [Holds]
+ *     x-permission: circulate
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [write:library]
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Cancelled hold
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Hold' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       409:
+ *         description: The hold is already fulfilled, cancelled or expired
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ *       412: { $ref: '#/components/responses/PreconditionFailed' }
+ */
+router.post('/:id/cancel', can('circulate'), async (req, res, next) => {
+  try {
+    const hold = await findHold(req.params.id);
+    res.status(200).json(await cancelHold({ hold }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,339 @@
+// routes/loans.js
+import { Router } from 'express';
+import { getStorage } from '../repositories/index.js';
+import { subjectOf } from '../middleware/auth.js';
+import { can } from '../middleware/policy.js';
+import { findPage } from '../lib/pagination.js';
+import { httpError, parseId } from '../lib/errors.js';
+import { checkout, renewLoan, returnLoan, toLoanView } from '../lib/circulation.js';
+import { CheckoutSchema, LoanListQuery, OverdueQuery, toLoanFilter } from '../models/loan.js';
+
+/** Circulation desk: every operation needs the `circulate` permission (editors and admins) */
+const router = Router();
+
+const findLoan = async (id) => {
+  const loan = await getStorage().loans.findById(parseId(id));
+  if (!loan) throw httpError(404, 'Loan not found');
+  return loan;
+};
+
+/**
+ * @openapi
+ * tags:
+ *   - name: Loans
+ *     description: Checkout, return and renewal of copies; overdue listing
+ *
+ * components:
+ *   schemas:
+ *     CheckoutInput:
+ *       type: object
+ *       required: [memberId]
+ *       description: Give the copy by `copyId` or by `barcode` (exactly one)
+ *       properties:
+ *         copyId: { type: string, example: 665f6a0f2c3d4b1a9f0a1234 }
+ *         barcode: { type: string, example: LIB-000123 }
+ *         memberId: { type: string, description: The borrowing member, example: 665f6a0f2c3d4b1a9f0a5678 }
+ *     Loan:
+ *       type: object
+ *       properties:
+ *         _id: { type: string }
+ *         copyId: { type: string }
+ *         bookId: { type: string }
+ *         barcode: { type: string }
+ *         memberId: { type: string }
+ *         checkedOutAt: { type: string, format: date-time }
+ *         checkedOutBy: { type: string, nullable: true, description: Token subject of the desk }
+ *         dueAt: { type: string, format: date-time }
+ *         renewals: { type: integer }
+ *         lastRenewedAt: { type: string, format: date-time, nullable: true }
+ *         returnedAt: { type: string, format: date-time, nullable: true }
+ *         returnedBy: { type: string, nullable: true }
+ *         overdue: { type: boolean, readOnly: true }
+ *         daysOverdue: { type: integer, readOnly: true }
+ */
+
+/**
+ * @openapi
+ * /loans:
+ *   get:
+ *     summary: List loans
+ *     tags: [Loans]
+ *     x-permission: circulate
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [write:library]
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [active, overdue, returned] }
+ *       - in: query
+ *         name: memberId
+ *         schema: { type: string }
+ *       - in: query
+ *         name: bookId
+ *         schema: { type: string }
+ *       - in: query
+ *         name: copyId
+ *         schema: { type: string }
+ *       - in: query
+ *         name: sort
+ *         description: Sortable by `checkedOutAt`, `dueAt`, `returnedAt`
+ *         schema: { type: string }
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/AfterParam'
+ *     responses:
+ *       200:
+ *         description: Loans
+ *         headers:
+ *           X-Total-Count: { $ref: '#/components/headers/X-Total-Count' }
+ *           Link: { $ref: '#/components/headers/Link' }
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/Loan' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ */
+router.get('/', can('circulate'), async (req, res, next) => {
+  try {
+    const now = new Date();
+    const query = LoanListQuery.parse(req.query);
+    const docs = await findPage(getStorage().loans, toLoanFilter(query, now), query, req, res);
+    res.status(200).json(docs.map((d) => toLoanView(d, now)));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /loans/overdue:
+ *   get:
+ *     summary: Active loans past their due date (most overdue first by default)
+ *     tags: [Loans]
+ *     x-permission: circulate
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [write:library]
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: memberId
+ *         schema: { type: string }
+ *       - in: query
+ *         name: sort
+ *         description: Sortable by `checkedOutAt`, `dueAt` (default `dueAt`)
+ *         schema: { type: string }
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/AfterParam'
+ *     responses:
+ *       200:
+ *         description: Overdue loans
+ *         headers:
+ *           X-Total-Count: { $ref: '#/components/headers/X-Total-Count' }
+ *           Link: { $ref: '#/components/headers/Link' }
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/Loan' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ */
+router.get('/overdue', can('circulate'), async (req, res, next) => {
+  try {
+    const now = new Date();
+    const query = OverdueQuery.parse(req.query);
+    const filter = toLoanFilter({ status: 'overdue', memberId: query.memberId }, now);
+    const docs = await findPage(getStorage().loans, filter, { ...query, sort: query.sort ?? ['dueAt'] }, req, res);
+    res.status(200).json(docs.map((d) => toLoanView(d, now)));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /loans/{id}:
+ *   get:
+ *     summary: Get a loan by id
+ *     tags: [Loans]
+ *     x-permission: circulate
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [write:library]
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: A loan
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Loan' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ */
+router.get('/:id', can('circulate'), async (req, res, next) => {
+  try {
+    res.status(200).json(toLoanView(await findLoan(req.params.id)));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /loans:
+ *   post:
+ *     summary: Check out a copy
+ *     description: >
+ *       The copy must be available, or set aside for this member's ready hold (which is then
+ *       fulfilled). The member must be active, not expired, and below their tier's loan limit.
+ *       The loan is due in LOAN_DAYS (default 21).
+ *     tags: [Loans]
+ *     x-permission: circulate
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [write:library]
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/CheckoutInput' }
+ *     responses:
+ *       201:
+ *         description: Loan opened
+ *         headers:
+ *           Location: { schema: { type: string } }
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Loan' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       409:
+ *         description: >
+ *           The copy is not available (on loan, held for someone else, lost, withdrawn) or its book is
+ *           trashed; or the member is suspended, expired or at their tier's loan limit
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ *       412: { $ref: '#/components/responses/PreconditionFailed' }
+ *       415: { $ref: '#/components/responses/UnsupportedMediaType' }
+ *       422:
+ *         description: No copy has this id / barcode, or no member has this id
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ */
+router.post('/', can('circulate'), async (req, res, next) => {
+  try {
+    if (!req.is('application/json')) {
+      throw httpError(415, 'Content-Type must be application/json');
+    }
+    const { copyId, barcode, memberId } = CheckoutSchema.parse(req.body);
+    const loan = await checkout({
+      copyFilter: copyId ? { _id: copyId } : { barcode },
+      field: copyId ? 'copyId' : 'barcode',
+      memberId,
+      actor: subjectOf(req)
+    });
+    res.status(201).location(`/loans/${loan._id}`).json(toLoanView(loan));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /loans/{id}/return:
+ *   post:
+ *     summary: Return a loan's copy
+ *     description: The copy goes to the first waiting hold on the book, or back on the shelf.
+ *     tags: [Loans]
+ *     x-permission: circulate
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [write:library]
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Returned loan (`daysOverdue` is how late it came back; a late return leaves a fine)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Loan' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       409:
+ *         description: Already returned
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ */
+router.post('/:id/return', can('circulate'), async (req, res, next) => {
+  try {
+    const loan = await findLoan(req.params.id);
+    res.status(200).json(toLoanView(await returnLoan({ loan, actor: subjectOf(req) })));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /loans/{id}/renew:
+ *   post:
+ *     summary: Renew a loan
+ *     description: >
+ *       Extends the due date to LOAN_DAYS from today (never earlier than it was), at most
+ *       LOAN_MAX_RENEWALS times (default 2), and not while other members hold the book.
+ *     tags: [Loans]
+ *     x-permission: circulate
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [write:library]
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Renewed loan
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Loan' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       409:
+ *         description: Returned, at the renewal limit, the book has waiting holds, or the member is suspended / expired
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ *       412: { $ref: '#/components/responses/PreconditionFailed' }
+ */
+router.post('/:id/renew', can('circulate'), async (req, res, next) => {
+  try {
+    const loan = await findLoan(req.params.id);
+    res.status(200).json(toLoanView(await renewLoan({ loan })));
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,759 @@
+// routes/members.js
+import { Router } from 'express';
+import { getStorage } from '../repositories/index.js';
+import { subjectOf } from '../middleware/auth.js';
+import { can, principalOf } from '../middleware/policy.js';
+import { findPage } from '../lib/pagination.js';
+import { applyPatch, patchType, unsupportedPatchType } from '../lib/patch.js';
+import { httpError, parseId } from '../lib/errors.js';
+import {
+  checkIfMatch,
+  concurrentModification,
+  nextVersion,
+  notModified,
+  setETag,
+  versionFilter
+} from '../lib/concurrency.js';
+import { ACTIVE, trashMark } from '../lib/trash.js';
+import { recordAudit } from '../lib/audit.js';
+import { cancelHold, closeFine, fineAccount, toLoanView } from '../lib/circulation.js';
+import { ACTIVE_LOAN, LoanListQuery, OPEN_HOLD, toLoanFilter } from '../models/loan.js';
+import {
+  FineCloseSchema,
+  FineListQuery,
+  MemberListQuery,
+  MemberSchema,
+  NO_LOANS,
+  toMemberFilter,
+  toMemberInput
+} from '../models/member.js';
+
+/**
+ * Library members. The desk (`circulate` permission) manages them; any signed-in caller
+ * linked to a member reads their own record, loans and fines under /members/me.
+ */
+const router = Router();
+
+const findMember = async (id) => {
+  const member = await getStorage().members.findOne({ _id: parseId(id), ...ACTIVE });
+  if (!member) throw httpError(404, 'Member not found');
+  return member;
+};
+
+/** The caller's member record: linked by token `sub`, else by email claim if not yet linked */
+const findMe = async (req) => {
+  const { sub, email } = principalOf(req);
+  const { members } = getStorage();
+  const member =
+    (sub && (await members.findOne({ sub, ...ACTIVE }))) ||
+    (email && (await members.findOne({ email, sub: null, ...ACTIVE })));
+  if (!member) throw httpError(404, 'No member is linked to this token');
+  return member;
+};
+
+/** A member's loans, newest first unless sorted (`status=active` for current loans) */
+const sendLoans = async (member, req, res) => {
+  const now = new Date();
+  const query = LoanListQuery.parse(req.query);
+  const filter = { ...toLoanFilter(query, now), memberId: member._id }; // path wins over ?memberId
+  const docs = await findPage(getStorage().loans, filter, { ...query, sort: query.sort ?? ['-checkedOutAt'] }, req, res);
+  res.status(200).json(docs.map((d) => toLoanView(d, now)));
+};
+
+/**
+ * Compare-and-swap filter for rewriting a stored member: its version and the loan count it carries
+ * over, which checkouts and returns change without bumping the version.
+ */
+const memberFilter = (current) => ({ ...versionFilter(current), activeLoans: current.activeLoans ?? null });
+
+const sendFines = async (member, req, res) => {
+  const query = FineListQuery.parse(req.query);
+  res.status(200).json(await fineAccount(member._id, query));
+};
+
+/**
+ * @openapi
+ * tags:
+ *   - name: Members
+ *     description: Library members, their loans and fines; tiers limit what they may borrow
+ *
+ * components:
+ *   schemas:
+ *     Member:
+ *       type: object
+ *       required: [name, email]
+ *       properties:
+ *         _id: { type: string, readOnly: true }
+ *         name: { type: string, example: Ada Lovelace }
+ *         email: { type: string, format: email, example: ada@example.com }
+ *         tier:
+ *           type: string
+ *           enum: [basic, standard, premium]
+ *           default: standard
+ *           description: 'Loans / holds at once: basic 2 / 2, standard 5 / 5, premium 10 / 10'
+ *         status: { type: string, enum: [active, suspended], default: active }
+ *         expiresAt:
+ *           type: string
+ *           format: date
+ *           description: Last day of membership (no expiry when absent)
+ *           example: 2027-06-30
+ *         sub:
+ *           type: string
+ *           description: Token subject of the member's login, resolved by GET /members/me
+ *           example: auth0|65f1c0ffee
+ *         activeLoans: { type: integer, readOnly: true, description: Loans out now }
+ *         version: { type: integer, readOnly: true }
+ *     Fine:
+ *       type: object
+ *       properties:
+ *         _id: { type: string }
+ *         memberId: { type: string }
+ *         loanId: { type: string }
+ *         bookId: { type: string }
+ *         reason: { type: string, enum: [overdue] }
+ *         days: { type: integer, description: Days late }
+ *         amount:
+ *           allOf: [{ $ref: '#/components/schemas/Money' }]
+ *           description: FINE_PER_DAY per day late, at most FINE_MAX, in FINE_CURRENCY
+ *         status: { type: string, enum: [unpaid, paid, waived] }
+ *         createdAt: { type: string, format: date-time }
+ *         closedAt: { type: string, format: date-time, nullable: true }
+ *         closedBy: { type: string, nullable: true }
+ *     FineAccount:
+ *       type: object
+ *       properties:
+ *         owed:
+ *           allOf: [{ $ref: '#/components/schemas/Money' }]
+ *           description: Sum of unpaid fines
+ *         accruing:
+ *           allOf: [{ $ref: '#/components/schemas/Money' }]
+ *           description: What overdue loans would add if returned now
+ *         uncounted:
+ *           type: array
+ *           items: { type: string }
+ *           description: >
+ *             Unpaid fines left out of `owed` because they can't be converted to FINE_CURRENCY
+ *             (no exchange rate, or an amount migration 011 couldn't turn into money); only when there are any
+ *         fines:
+ *           type: array
+ *           items: { $ref: '#/components/schemas/Fine' }
+ *     FineClose:
+ *       type: object
+ *       properties:
+ *         amount:
+ *           allOf: [{ $ref: '#/components/schemas/Money' }]
+ *           description: The fine's amount as the desk sees it; refused (422) unless it matches
+ */
+
+/**
+ * @openapi
+ * /members:
+ *   get:
+ *     summary: List members
+ *     tags: [Members]
+ *     x-permission: circulate
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [write:library]
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: tier
+ *         schema: { type: string, enum: [basic, standard, premium] }
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [active, suspended] }
+ *       - in: query
+ *         name: email
+ *         schema: { type: string }
+ *       - in: query
+ *         name: sort
+ *         description: Sortable by `name`, `email`, `tier`, `expiresAt`
+ *         schema: { type: string }
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/AfterParam'
+ *     responses:
+ *       200:
+ *         description: Members
+ *         headers:
+ *           X-Total-Count: { $ref: '#/components/headers/X-Total-Count' }
+ *           Link: { $ref: '#/components/headers/Link' }
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/Member' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ */
+router.get('/', can('circulate'), async (req, res, next) => {
+  try {
+    const query = MemberListQuery.parse(req.query);
+    const docs = await findPage(getStorage().members, { ...toMemberFilter(query), ...ACTIVE }, query, req, res);
+    res.status(200).json(docs);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /members:
+ *   post:
+ *     summary: Register a member
+ *     tags: [Members]
+ *     x-permission: circulate
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [write:library]
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/Member' }
+ *           example:
+ *             name: Ada Lovelace
+ *             email: ada@example.com
+ *             tier: standard
+ *             expiresAt: "2027-06-30"
+ *     responses:
+ *       201:
+ *         description: Created
+ *         headers:
+ *           Location: { schema: { type: string } }
+ *         content:
+ *           application/json:
+ *             schema: { type: object, properties: { id: { type: string } } }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       409: { $ref: '#/components/responses/DuplicateKey' }
+ *       415: { $ref: '#/components/responses/UnsupportedMediaType' }
+ */
+router.post('/', can('circulate'), async (req, res, next) => {
+  try {
+    if (!req.is('application/json')) {
+      throw httpError(415, 'Content-Type must be application/json');
+    }
+    const parsed = MemberSchema.parse(req.body);
+    const doc = await getStorage().members.insertOne({ ...parsed, ...NO_LOANS, version: 1 });
+    await recordAudit(req, 'members', 'create', { after: doc });
+    setETag(res, doc);
+    res
+      .status(201)
+      .location(`/members/${doc._id}`)
+      .json({ id: doc._id.toString() });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /members/me:
+ *   get:
+ *     summary: The caller's own member record
+ *     description: >
+ *       Resolved from the token: the member whose `sub` is the token subject, else a member
+ *       not yet linked whose email matches the token's email claim (AUTH_EMAIL_CLAIM).
+ *     tags: [Members]
+ *     x-permission: read
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [read:library]
+ *     responses:
+ *       200:
+ *         description: The caller's member record
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Member' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       404:
+ *         description: No member is linked to this token
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ */
+router.get('/me', can('read'), async (req, res, next) => {
+  try {
+    res.status(200).json(await findMe(req));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /members/me/loans:
+ *   get:
+ *     summary: The caller's loans (same query as GET /members/{id}/loans)
+ *     tags: [Members]
+ *     x-permission: read
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [read:library]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [active, overdue, returned] }
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/PageParam'
+ *     responses:
+ *       200:
+ *         description: Loans, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/Loan' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       404:
+ *         description: No member is linked to this token
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ */
+router.get('/me/loans', can('read'), async (req, res, next) => {
+  try {
+    await sendLoans(await findMe(req), req, res);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /members/me/fines:
+ *   get:
+ *     summary: The caller's fines
+ *     tags: [Members]
+ *     x-permission: read
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [read:library]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [unpaid, paid, waived] }
+ *     responses:
+ *       200:
+ *         description: Fines and balance
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/FineAccount' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       404:
+ *         description: No member is linked to this token
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ */
+router.get('/me/fines', can('read'), async (req, res, next) => {
+  try {
+    await sendFines(await findMe(req), req, res);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /members/{id}:
+ *   get:
+ *     summary: Get a member by id
+ *     tags: [Members]
+ *     x-permission: circulate
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [write:library]
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *     responses:
+ *       200:
+ *         description: A member
+ *         headers:
+ *           ETag: { $ref: '#/components/headers/ETag' }
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Member' }
+ *       304: { description: Not modified (If-None-Match matched) }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ */
+router.get('/:id', can('circulate'), async (req, res, next) => {
+  try {
+    const doc = await findMember(req.params.id);
+    setETag(res, doc);
+    if (notModified(req, doc)) return res.status(304).end();
+    res.status(200).json(doc);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /members/{id}:
+ *   put:
+ *     summary: Replace a member
+ *     tags: [Members]
+ *     x-permission: circulate
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [write:library]
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/Member' }
+ *     responses:
+ *       204: { description: Updated (no content) }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       409: { $ref: '#/components/responses/DuplicateKey' }
+ *       412: { $ref: '#/components/responses/PreconditionFailed' }
+ *       415: { $ref: '#/components/responses/UnsupportedMediaType' }
+ *       428: { $ref: '#/components/responses/PreconditionRequired' }
+ */
+router.put('/:id', can('circulate'), async (req, res, next) => {
+  try {
+    if (!req.is('application/json')) {
+      throw httpError(415, 'Content-Type must be application/json');
+    }
+    const parsed = MemberSchema.parse(req.body);
+    const current = await findMember(req.params.id);
+    checkIfMatch(req, current);
+    const doc = { _id: current._id, ...parsed, activeLoans: current.activeLoans, version: nextVersion(current) };
+    if (!(await getStorage().members.replaceOne(memberFilter(current), doc))) throw concurrentModification();
+    await recordAudit(req, 'members', 'replace', { before: current, after: doc });
+    setETag(res, doc);
+    res.status(204).send();
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /members/{id}:
+ *   patch:
+ *     summary: Partially update a member (JSON Merge Patch or JSON Patch)
+ *     description: The patched result is re-validated against the full Member schema.
+ *     tags: [Members]
+ *     x-permission: circulate
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [write:library]
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/merge-patch+json:
+ *           schema: { type: object }
+ *           example: { status: suspended }
+ *         application/json-patch+json:
+ *           schema:
+ *             type: array
+ *             items: { $ref: '#/components/schemas/JsonPatchOperation' }
+ *     responses:
+ *       200:
+ *         description: Updated member
+ *         headers:
+ *           ETag: { $ref: '#/components/headers/ETag' }
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Member' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       409:
+ *         description: A JSON Patch "test" operation failed, or the email / sub is taken
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ *       412: { $ref: '#/components/responses/PreconditionFailed' }
+ *       415: { $ref: '#/components/responses/UnsupportedMediaType' }
+ *       428: { $ref: '#/components/responses/PreconditionRequired' }
+ */
+router.patch('/:id', can('circulate'), async (req, res, next) => {
+  try {
+    const type = patchType(req);
+    if (!type) throw unsupportedPatchType();
+    const current = await findMember(req.params.id);
+    checkIfMatch(req, current);
+    const parsed = MemberSchema.parse(applyPatch(type, toMemberInput(current), req.body));
+    const doc = { _id: current._id, ...parsed, activeLoans: current.activeLoans, version: nextVersion(current) };
+    if (!(await getStorage().members.replaceOne(memberFilter(current), doc))) throw concurrentModification();
+    await recordAudit(req, 'members', 'patch', { before: current, after: doc });
+    setETag(res, doc);
+    res.status(200).json(doc);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /members/{id}:
+ *   delete:
+ *     summary: Close a member's account (moves it to the trash)
+ *     description: >
+ *       Refused while the member has loans out or unpaid fines; open holds are cancelled.
+ *       The record is kept (with its loans and fines) for the history.
+ *     tags: [Members]
+ *     x-permission: delete
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [admin:library]
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     responses:
+ *       204: { description: Moved to the trash }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       409:
+ *         description: The member has loans out or unpaid fines
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ *       412: { $ref: '#/components/responses/PreconditionFailed' }
+ *       428: { $ref: '#/components/responses/PreconditionRequired' }
+ */
+router.delete('/:id', can('delete'), async (req, res, next) => {
+  try {
+    const { fines, holds, loans, members } = getStorage();
+    const current = await findMember(req.params.id);
+    checkIfMatch(req, current);
+    const memberId = current._id;
+    const onLoan = await loans.count({ memberId, ...ACTIVE_LOAN });
+    if (onLoan > 0) throw httpError(409, `Member has ${onLoan} loan(s) out`, { loans: onLoan });
+    if (await fines.exists({ memberId, status: 'unpaid' })) throw httpError(409, 'Member has unpaid fines');
+
+    const doc = { ...current, ...trashMark(req), version: nextVersion(current) };
+    if (!(await members.replaceOne(memberFilter(current), doc))) throw concurrentModification();
+    await recordAudit(req, 'members', 'delete', { before: current, after: doc });
+    for (const hold of await holds.find({ memberId, ...OPEN_HOLD })) {
+      await cancelHold({ hold });
+    }
+    res.status(204).send();
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /members/{id}/loans:
+ *   get:
+ *     summary: A member's borrowing history (`status=active` for current loans)
+ *     tags: [Members]
+ *     x-permission: circulate
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [write:library]
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [active, overdue, returned] }
+ *       - in: query
+ *         name: sort
+ *         description: Sortable by `checkedOutAt`, `dueAt`, `returnedAt` (default `-checkedOutAt`)
+ *         schema: { type: string }
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/AfterParam'
+ *     responses:
+ *       200:
+ *         description: Loans, newest first
+ *         headers:
+ *           X-Total-Count: { $ref: '#/components/headers/X-Total-Count' }
+ *           Link: { $ref: '#/components/headers/Link' }
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/Loan' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ */
+router.get('/:id/loans', can('circulate'), async (req, res, next) => {
+  try {
+    await sendLoans(await findMember(req.params.id), req, res);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /members/{id}/fines:
+ *   get:
+ *     summary: A member's fines, what they owe and what is accruing
+ *     tags: [Members]
+ *     x-permission: circulate
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [write:library]
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [unpaid, paid, waived] }
+ *     responses:
+ *       200:
+ *         description: Fines (newest first) and balance
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/FineAccount' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ */
+router.get('/:id/fines', can('circulate'), async (req, res, next) => {
+  try {
+    await sendFines(await findMember(req.params.id), req, res);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/** Close an unpaid fine of the member in the path as `status` (paid / waived), audited as `operation` */
+const settleFine = (status, operation) => async (req, res, next) => {
+  try {
+    const { amount } = FineCloseSchema.parse(req.body ?? {});
+    const member = await findMember(req.params.id);
+    const fine = await getStorage().fines.findOne({ _id: parseId(req.params.fineId), memberId: member._id });
+    if (!fine) throw httpError(404, 'Fine not found');
+    const closed = await closeFine({ fine, status, amount, actor: subjectOf(req) });
+    await recordAudit(req, 'fines', operation, { before: fine, after: closed });
+    res.status(200).json(closed);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @openapi
+ * /members/{id}/fines/{fineId}/pay:
+ *   post:
+ *     summary: Record an unpaid fine as paid
+ *     tags: [Members]
+ *     x-permission: circulate
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [write:library]
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - in: path
+ *         name: fineId
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/FineClose' }
+ *     responses:
+ *       200:
+ *         description: The paid fine
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Fine' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       409:
+ *         description: The fine is already paid or waived
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ *       422:
+ *         description: The amount sent is not the fine's
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ */
+router.post('/:id/fines/:fineId/pay', can('circulate'), settleFine('paid', 'pay'));
+
+/**
+ * @openapi
+ * /members/{id}/fines/{fineId}/waive:
+ *   post:
+ *     summary: Waive an unpaid fine
+ *     tags: [Members]
+ *     x-permission: circulate
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [write:library]
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - in: path
+ *         name: fineId
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/FineClose' }
+ *     responses:
+ *       200:
+ *         description: The waived fine
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Fine' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       409:
+ *         description: The fine is already paid or waived
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ *       422:
+ *         description: The amount sent is not the fine's
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ */
+router.post('/:id/fines/:fineId/waive', can('circulate'), settleFine('waived', 'waive'));
+
+export default router;
@@ -0,0 +1,63 @@
+// routes/problems.js
+import { Router } from 'express';
+import { PROBLEM_TYPES, httpError, problemType } from '../lib/errors.js';
+
+/** The `type` URIs of error responses resolve here (RFC 7807 §3.1: type should be dereferenceable) */
+const router = Router();
+
+const describe = (name) => ({ type: problemType(name), ...PROBLEM_TYPES[name] });
+
+/**
+ * @openapi
+ * /problems:
+ *   get:
+ *     summary: List the error types used in problem+json responses
+ *     tags: [Health]
+ *     responses:
+ *       200:
+ *         description: Problem types
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/ProblemType' }
+ *
+ * components:
+ *   schemas:
+ *     ProblemType:
+ *       type: object
+ *       properties:
+ *         type: { type: string, example: /problems/validation-error }
+ *         status: { type: integer, example: 400 }
+ *         title: { type: string, example: Validation error }
+ *         description: { type: string }
+ */
+router.get('/', (_req, res) => {
+  res.status(200).json(Object.keys(PROBLEM_TYPES).map(describe));
+});
+
+/**
+ * @openapi
+ * /problems/{name}:
+ *   get:
+ *     summary: Describe one error type
+ *     tags: [Health]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema: { type: string, example: validation-error }
+ *     responses:
+ *       200:
+ *         description: Problem type
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ProblemType' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ */
+router.get('/:name', (req, res) => {
+  if (!Object.hasOwn(PROBLEM_TYPES, req.params.name)) throw httpError(404, 'Unknown problem type');
+  res.status(200).json(describe(req.params.name));
+});
+
+export default router;
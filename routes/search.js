@@ -0,0 +1,169 @@
+// routes/search.js
+import { Router } from 'express';
+import { z } from 'zod';
+import { getStorage } from '../repositories/index.js';
+import { bookFacets } from '../lib/search.js';
+import { ACTIVE, isTrashed } from '../lib/trash.js';
+import { canRead } from '../middleware/policy.js';
+import { creditedAuthorIds } from '../models/book.js';
+
+const router = Router();
+
+/** Same weights as the text indexes in migrations/001-initial-indexes.js */
+const BOOK_WEIGHTS = { title: 10, genres: 5 };
+const AUTHOR_WEIGHTS = { lastName: 10, firstName: 5 };
+
+/** A book written by a matching author ranks below a direct title/genre hit of the same score */
+const AUTHOR_BOOK_FACTOR = 0.5;
+
+/** Drop trashed documents from a textSearch result */
+const live = ({ engine, hits }) => ({ engine, hits: hits.filter((h) => !isTrashed(h.doc)) });
+
+const SearchQuery = z.object({
+  q: z.string().trim().min(1).max(200),
+  type: z.enum(['all', 'book', 'author']).default('all'),
+  limit: z.coerce.number().int().min(1).max(50).default(20)
+});
+
+/**
+ * @openapi
+ * tags:
+ *   - name: Search
+ *     description: Full-text search across books and authors
+ *
+ * components:
+ *   schemas:
+ *     FacetBucket:
+ *       type: object
+ *       properties:
+ *         value: {}
+ *         count: { type: integer }
+ *     SearchResult:
+ *       type: object
+ *       properties:
+ *         type: { type: string, enum: [book, author] }
+ *         id: { type: string }
+ *         score: { type: number }
+ *         item:
+ *           oneOf:
+ *             - $ref: '#/components/schemas/Book'
+ *             - $ref: '#/components/schemas/Author'
+ */
+
+/**
+ * @openapi
+ * /search:
+ *   get:
+ *     summary: Search book titles, genres and author names, with catalogue facets
+ *     description: >
+ *       Results from both collections are merged and ranked by relevance. Books by a matching
+ *       author are included as well. Uses MongoDB text indexes, or an in-process scorer when a
+ *       collection has none or storage is in memory (see `engine`). Facets count the matched books.
+ *     tags: [Search]
+ *     x-permission: read
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema: { type: string, maxLength: 200 }
+ *         example: tolkien fantasy
+ *       - in: query
+ *         name: type
+ *         description: Restrict results to one kind
+ *         schema: { type: string, enum: [all, book, author], default: all }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, minimum: 1, maximum: 50, default: 20 }
+ *     responses:
+ *       200:
+ *         description: Ranked results and facets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 q: { type: string }
+ *                 engine:
+ *                   type: object
+ *                   properties:
+ *                     books: { type: string, enum: [text, fallback] }
+ *                     authors: { type: string, enum: [text, fallback] }
+ *                 total:
+ *                   type: object
+ *                   properties:
+ *                     books: { type: integer }
+ *                     authors: { type: integer }
+ *                 results:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/SearchResult' }
+ *                 facets:
+ *                   type: object
+ *                   properties:
+ *                     genre: { type: array, items: { $ref: '#/components/schemas/FacetBucket' } }
+ *                     nationality: { type: array, items: { $ref: '#/components/schemas/FacetBucket' } }
+ *                     decade: { type: array, items: { $ref: '#/components/schemas/FacetBucket' } }
+ *                     inStock: { type: array, items: { $ref: '#/components/schemas/FacetBucket' } }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ */
+router.get('/', canRead, async (req, res, next) => {
+  try {
+    const { q, type, limit } = SearchQuery.parse(req.query);
+    const { books: bookRepo, authors: authorRepo } = getStorage();
+
+    const [bookSearch, authorSearch] = (
+      await Promise.all([bookRepo.textSearch(q, BOOK_WEIGHTS), authorRepo.textSearch(q, AUTHOR_WEIGHTS)])
+    ).map(live);
+
+    // Books: direct hits plus books by matching authors (scores add up when both apply)
+    const bookHits = new Map(bookSearch.hits.map((h) => [h.doc._id.toString(), h]));
+    const authorScore = new Map(authorSearch.hits.map((h) => [h.doc._id.toString(), h.score]));
+    if (authorScore.size) {
+      const byAuthors = await bookRepo.find({
+        'authors.authorId': { $in: authorSearch.hits.map((h) => h.doc._id) },
+        ...ACTIVE
+      });
+      for (const doc of byAuthors) {
+        // Co-credited books get the bonus of their best-matching author
+        const best = Math.max(...creditedAuthorIds(doc).map((id) => authorScore.get(id.toString()) ?? 0));
+        const bonus = best * AUTHOR_BOOK_FACTOR;
+        const existing = bookHits.get(doc._id.toString());
+        if (existing) existing.score += bonus;
+        else bookHits.set(doc._id.toString(), { doc, score: bonus });
+      }
+    }
+    const books = [...bookHits.values()];
+
+    // Nationality facet needs each matched book's authors
+    const authorsById = new Map(authorSearch.hits.map((h) => [h.doc._id.toString(), h.doc]));
+    const missing = books.flatMap((h) => creditedAuthorIds(h.doc)).filter((id) => !authorsById.has(id.toString()));
+    if (missing.length) {
+      const more = await authorRepo.find({ _id: { $in: missing } });
+      for (const a of more) authorsById.set(a._id.toString(), a);
+    }
+
+    const results = [
+      ...(type === 'author' ? [] : books.map((h) => ({ type: 'book', ...h }))),
+      ...(type === 'book' ? [] : authorSearch.hits.map((h) => ({ type: 'author', ...h })))
+    ]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ type: kind, doc, score }) => ({
+        type: kind,
+        id: doc._id.toString(),
+        score: Math.round(score * 1000) / 1000,
+        item: doc
+      }));
+
+    res.status(200).json({
+      q,
+      engine: { books: bookSearch.engine, authors: authorSearch.engine },
+      total: { books: books.length, authors: authorSearch.hits.length },
+      results,
+      facets: bookFacets(books.map((h) => h.doc), authorsById)
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,392 @@
+// routes/series.js
+import { Router } from 'express';
+import { getStorage } from '../repositories/index.js';
+import { assertOwnAuthor, can, canRead } from '../middleware/policy.js';
+import { findPage } from '../lib/pagination.js';
+import { applyPatch, patchType, unsupportedPatchType } from '../lib/patch.js';
+import { httpError, parseId } from '../lib/errors.js';
+import {
+  checkIfMatch,
+  concurrentModification,
+  nextVersion,
+  notModified,
+  setETag,
+  versionFilter
+} from '../lib/concurrency.js';
+import { ACTIVE, trashMark } from '../lib/trash.js';
+import { recordAudit } from '../lib/audit.js';
+import { withPrices } from '../lib/pricing.js';
+import { BookListQuery, toBookFilter } from '../models/book.js';
+import { SERIES_ORDER, SeriesListQuery, SeriesSchema, toSeriesFilter, toSeriesInput } from '../models/series.js';
+
+/**
+ * Series order books: each member book has `seriesId` and (usually) a `seriesPosition`.
+ * Catalogue editors manage them; author accounts cannot.
+ */
+const router = Router();
+
+const findSeries = async (id) => {
+  const series = await getStorage().series.findOne({ _id: parseId(id), ...ACTIVE });
+  if (!series) throw httpError(404, 'Series not found');
+  return series;
+};
+
+/**
+ * @openapi
+ * tags:
+ *   - name: Series
+ *     description: Series and their books in reading order
+ *
+ * components:
+ *   schemas:
+ *     Series:
+ *       type: object
+ *       required: [name]
+ *       properties:
+ *         _id: { type: string, readOnly: true }
+ *         name: { type: string, example: The Lord of the Rings }
+ *         description: { type: string }
+ *         version: { type: integer, readOnly: true }
+ */
+
+/**
+ * @openapi
+ * /series:
+ *   get:
+ *     summary: List series
+ *     tags: [Series]
+ *     x-permission: read
+ *     parameters:
+ *       - in: query
+ *         name: name
+ *         description: Case-insensitive substring of the name
+ *         schema: { type: string }
+ *       - in: query
+ *         name: sort
+ *         description: Sortable by `name`
+ *         schema: { type: string }
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/AfterParam'
+ *     responses:
+ *       200:
+ *         description: Series
+ *         headers:
+ *           X-Total-Count: { $ref: '#/components/headers/X-Total-Count' }
+ *           Link: { $ref: '#/components/headers/Link' }
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/Series' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ */
+router.get('/', canRead, async (req, res, next) => {
+  try {
+    const query = SeriesListQuery.parse(req.query);
+    const docs = await findPage(getStorage().series, { ...toSeriesFilter(query), ...ACTIVE }, query, req, res);
+    res.status(200).json(docs);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /series:
+ *   post:
+ *     summary: Create a series
+ *     tags: [Series]
+ *     x-permission: create
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [write:library]
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/Series' }
+ *           example:
+ *             name: The Lord of the Rings
+ *     responses:
+ *       201:
+ *         description: Created
+ *         headers:
+ *           Location: { schema: { type: string } }
+ *         content:
+ *           application/json:
+ *             schema: { type: object, properties: { id: { type: string } } }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       415: { $ref: '#/components/responses/UnsupportedMediaType' }
+ */
+router.post('/', can('create'), async (req, res, next) => {
+  try {
+    if (!req.is('application/json')) {
+      throw httpError(415, 'Content-Type must be application/json');
+    }
+    await assertOwnAuthor(req, null); // author accounts can't manage series
+    const parsed = SeriesSchema.parse(req.body);
+    const doc = await getStorage().series.insertOne({ ...parsed, version: 1 });
+    await recordAudit(req, 'series', 'create', { after: doc });
+    setETag(res, doc);
+    res
+      .status(201)
+      .location(`/series/${doc._id}`)
+      .json({ id: doc._id.toString() });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /series/{id}:
+ *   get:
+ *     summary: Get a series by id
+ *     tags: [Series]
+ *     x-permission: read
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *     responses:
+ *       200:
+ *         description: A series
+ *         headers:
+ *           ETag: { $ref: '#/components/headers/ETag' }
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Series' }
+ *       304: { description: Not modified (If-None-Match matched) }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ */
+router.get('/:id', canRead, async (req, res, next) => {
+  try {
+    const doc = await findSeries(req.params.id);
+    setETag(res, doc);
+    if (notModified(req, doc)) return res.status(304).end();
+    res.status(200).json(doc);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /series/{id}/books:
+ *   get:
+ *     summary: List the books of a series, in series order unless sorted
+ *     description: >
+ *       Ordered by `seriesPosition`, then `publishedYear` (books without a position come first).
+ *       Accepts the GET /books filters, sort and paging; the path's series wins over `?seriesId`.
+ *     tags: [Series]
+ *     x-permission: read
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - $ref: '#/components/parameters/ExpandAuthorsParam'
+ *       - $ref: '#/components/parameters/CurrencyParam'
+ *       - $ref: '#/components/parameters/SortParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/AfterParam'
+ *     responses:
+ *       200:
+ *         description: The series' books
+ *         headers:
+ *           X-Total-Count: { $ref: '#/components/headers/X-Total-Count' }
+ *           Link: { $ref: '#/components/headers/Link' }
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/Book' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ */
+router.get('/:id/books', canRead, async (req, res, next) => {
+  try {
+    const query = BookListQuery.parse(req.query);
+    const series = await findSeries(req.params.id);
+    const { books } = getStorage();
+    const filter = { ...toBookFilter(query), seriesId: series._id, ...ACTIVE };
+    const docs = await findPage(books, filter, { ...query, sort: query.sort ?? SERIES_ORDER }, req, res, {
+      find: query.expand === 'authors' ? books.findWithAuthors.bind(books) : undefined
+    });
+    res.status(200).json(await withPrices(docs, query));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /series/{id}:
+ *   put:
+ *     summary: Replace a series
+ *     tags: [Series]
+ *     x-permission: update
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [write:library]
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/Series' }
+ *     responses:
+ *       204: { description: Updated (no content) }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       412: { $ref: '#/components/responses/PreconditionFailed' }
+ *       415: { $ref: '#/components/responses/UnsupportedMediaType' }
+ *       428: { $ref: '#/components/responses/PreconditionRequired' }
+ */
+router.put('/:id', can('update'), async (req, res, next) => {
+  try {
+    if (!req.is('application/json')) {
+      throw httpError(415, 'Content-Type must be application/json');
+    }
+    await assertOwnAuthor(req, null);
+    const parsed = SeriesSchema.parse(req.body);
+    const current = await findSeries(req.params.id);
+    checkIfMatch(req, current);
+    const doc = { _id: current._id, ...parsed, version: nextVersion(current) };
+    if (!(await getStorage().series.replaceOne(versionFilter(current), doc))) throw concurrentModification();
+    await recordAudit(req, 'series', 'replace', { before: current, after: doc });
+    setETag(res, doc);
+    res.status(204).send();
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /series/{id}:
+ *   patch:
+ *     summary: Partially update a series (JSON Merge Patch or JSON Patch)
+ *     description: The patched result is re-validated against the full Series schema.
+ *     tags: [Series]
+ *     x-permission: update
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [write:library]
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/merge-patch+json:
+ *           schema: { type: object }
+ *           example: { description: Tolkien's epic in three volumes }
+ *         application/json-patch+json:
+ *           schema:
+ *             type: array
+ *             items: { $ref: '#/components/schemas/JsonPatchOperation' }
+ *     responses:
+ *       200:
+ *         description: Updated series
+ *         headers:
+ *           ETag: { $ref: '#/components/headers/ETag' }
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Series' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       409:
+ *         description: A JSON Patch "test" operation failed
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ *       412: { $ref: '#/components/responses/PreconditionFailed' }
+ *       415: { $ref: '#/components/responses/UnsupportedMediaType' }
+ *       428: { $ref: '#/components/responses/PreconditionRequired' }
+ */
+router.patch('/:id', can('update'), async (req, res, next) => {
+  try {
+    const type = patchType(req);
+    if (!type) throw unsupportedPatchType();
+    await assertOwnAuthor(req, null);
+    const current = await findSeries(req.params.id);
+    checkIfMatch(req, current);
+    const parsed = SeriesSchema.parse(applyPatch(type, toSeriesInput(current), req.body));
+    const doc = { _id: current._id, ...parsed, version: nextVersion(current) };
+    if (!(await getStorage().series.replaceOne(versionFilter(current), doc))) throw concurrentModification();
+    await recordAudit(req, 'series', 'patch', { before: current, after: doc });
+    setETag(res, doc);
+    res.status(200).json(doc);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /series/{id}:
+ *   delete:
+ *     summary: Delete a series (moves it to the trash)
+ *     description: Refused while live books belong to it; unlink or delete them first.
+ *     tags: [Series]
+ *     x-permission: delete
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [admin:library]
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     responses:
+ *       204: { description: Moved to the trash }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       409:
+ *         description: Books still belong to the series
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ *       412: { $ref: '#/components/responses/PreconditionFailed' }
+ *       428: { $ref: '#/components/responses/PreconditionRequired' }
+ */
+router.delete('/:id', can('delete'), async (req, res, next) => {
+  try {
+    const current = await findSeries(req.params.id);
+    checkIfMatch(req, current);
+    const { books, series } = getStorage();
+    const count = await books.count({ seriesId: current._id, ...ACTIVE });
+    if (count > 0) throw httpError(409, `Series still has ${count} book(s)`, { books: count });
+    const doc = { ...current, ...trashMark(req), version: nextVersion(current) };
+    if (!(await series.replaceOne(versionFilter(current), doc))) throw concurrentModification();
+    await recordAudit(req, 'series', 'delete', { before: current, after: doc });
+    res.status(204).send();
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
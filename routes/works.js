@@ -0,0 +1,393 @@
+// routes/works.js
+import { Router } from 'express';
+import { getStorage } from '../repositories/index.js';
+import { assertOwnAuthor, can, canRead } from '../middleware/policy.js';
+import { findPage } from '../lib/pagination.js';
+import { applyPatch, patchType, unsupportedPatchType } from '../lib/patch.js';
+import { httpError, parseId } from '../lib/errors.js';
+import {
+  checkIfMatch,
+  concurrentModification,
+  nextVersion,
+  notModified,
+  setETag,
+  versionFilter
+} from '../lib/concurrency.js';
+import { ACTIVE, trashMark } from '../lib/trash.js';
+import { recordAudit } from '../lib/audit.js';
+import { withPrices } from '../lib/pricing.js';
+import { BookListQuery, toBookFilter } from '../models/book.js';
+import { WorkListQuery, WorkSchema, toWorkFilter, toWorkInput } from '../models/work.js';
+
+/**
+ * Works group the editions of one title: each edition is a book (its own ISBN) with `workId`.
+ * Catalogue editors manage them; author accounts cannot.
+ */
+const router = Router();
+
+const findWork = async (id) => {
+  const work = await getStorage().works.findOne({ _id: parseId(id), ...ACTIVE });
+  if (!work) throw httpError(404, 'Work not found');
+  return work;
+};
+
+/**
+ * @openapi
+ * tags:
+ *   - name: Works
+ *     description: Works and their editions (books sharing a `workId`)
+ *
+ * components:
+ *   schemas:
+ *     Work:
+ *       type: object
+ *       required: [title]
+ *       properties:
+ *         _id: { type: string, readOnly: true }
+ *         title: { type: string, example: The Hobbit }
+ *         originalTitle: { type: string, example: "The Hobbit, or There and Back Again" }
+ *         firstPublishedYear: { type: integer, example: 1937 }
+ *         description: { type: string }
+ *         version: { type: integer, readOnly: true }
+ */
+
+/**
+ * @openapi
+ * /works:
+ *   get:
+ *     summary: List works
+ *     tags: [Works]
+ *     x-permission: read
+ *     parameters:
+ *       - in: query
+ *         name: title
+ *         description: Case-insensitive substring of the title
+ *         schema: { type: string }
+ *       - in: query
+ *         name: sort
+ *         description: Sortable by `title`, `firstPublishedYear`
+ *         schema: { type: string }
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/AfterParam'
+ *     responses:
+ *       200:
+ *         description: Works
+ *         headers:
+ *           X-Total-Count: { $ref: '#/components/headers/X-Total-Count' }
+ *           Link: { $ref: '#/components/headers/Link' }
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/Work' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ */
+router.get('/', canRead, async (req, res, next) => {
+  try {
+    const query = WorkListQuery.parse(req.query);
+    const docs = await findPage(getStorage().works, { ...toWorkFilter(query), ...ACTIVE }, query, req, res);
+    res.status(200).json(docs);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /works:
+ *   post:
+ *     summary: Create a work
+ *     tags: [Works]
+ *     x-permission: create
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [write:library]
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/Work' }
+ *           example:
+ *             title: The Hobbit
+ *             firstPublishedYear: 1937
+ *     responses:
+ *       201:
+ *         description: Created
+ *         headers:
+ *           Location: { schema: { type: string } }
+ *         content:
+ *           application/json:
+ *             schema: { type: object, properties: { id: { type: string } } }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       415: { $ref: '#/components/responses/UnsupportedMediaType' }
+ */
+router.post('/', can('create'), async (req, res, next) => {
+  try {
+    if (!req.is('application/json')) {
+      throw httpError(415, 'Content-Type must be application/json');
+    }
+    await assertOwnAuthor(req, null); // author accounts can't manage works
+    const parsed = WorkSchema.parse(req.body);
+    const doc = await getStorage().works.insertOne({ ...parsed, version: 1 });
+    await recordAudit(req, 'works', 'create', { after: doc });
+    setETag(res, doc);
+    res
+      .status(201)
+      .location(`/works/${doc._id}`)
+      .json({ id: doc._id.toString() });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /works/{id}:
+ *   get:
+ *     summary: Get a work by id
+ *     tags: [Works]
+ *     x-permission: read
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *     responses:
+ *       200:
+ *         description: A work
+ *         headers:
+ *           ETag: { $ref: '#/components/headers/ETag' }
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Work' }
+ *       304: { description: Not modified (If-None-Match matched) }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ */
+router.get('/:id', canRead, async (req, res, next) => {
+  try {
+    const doc = await findWork(req.params.id);
+    setETag(res, doc);
+    if (notModified(req, doc)) return res.status(304).end();
+    res.status(200).json(doc);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /works/{id}/editions:
+ *   get:
+ *     summary: List the editions (books) of a work, oldest first unless sorted
+ *     description: Accepts the GET /books filters, sort and paging; the path's work wins over `?workId`.
+ *     tags: [Works]
+ *     x-permission: read
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - $ref: '#/components/parameters/ExpandAuthorsParam'
+ *       - $ref: '#/components/parameters/CurrencyParam'
+ *       - $ref: '#/components/parameters/SortParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/AfterParam'
+ *     responses:
+ *       200:
+ *         description: The work's editions
+ *         headers:
+ *           X-Total-Count: { $ref: '#/components/headers/X-Total-Count' }
+ *           Link: { $ref: '#/components/headers/Link' }
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/Book' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ */
+router.get('/:id/editions', canRead, async (req, res, next) => {
+  try {
+    const query = BookListQuery.parse(req.query);
+    const work = await findWork(req.params.id);
+    const { books } = getStorage();
+    const filter = { ...toBookFilter(query), workId: work._id, ...ACTIVE };
+    const docs = await findPage(books, filter, { ...query, sort: query.sort ?? ['publishedYear'] }, req, res, {
+      find: query.expand === 'authors' ? books.findWithAuthors.bind(books) : undefined
+    });
+    res.status(200).json(await withPrices(docs, query));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /works/{id}:
+ *   put:
+ *     summary: Replace a work
+ *     tags: [Works]
+ *     x-permission: update
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [write:library]
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/Work' }
+ *     responses:
+ *       204: { description: Updated (no content) }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       412: { $ref: '#/components/responses/PreconditionFailed' }
+ *       415: { $ref: '#/components/responses/UnsupportedMediaType' }
+ *       428: { $ref: '#/components/responses/PreconditionRequired' }
+ */
+router.put('/:id', can('update'), async (req, res, next) => {
+  try {
+    if (!req.is('application/json')) {
+      throw httpError(415, 'Content-Type must be application/json');
+    }
+    await assertOwnAuthor(req, null);
+    const parsed = WorkSchema.parse(req.body);
+    const current = await findWork(req.params.id);
+    checkIfMatch(req, current);
+    const doc = { _id: current._id, ...parsed, version: nextVersion(current) };
+    if (!(await getStorage().works.replaceOne(versionFilter(current), doc))) throw concurrentModification();
+    await recordAudit(req, 'works', 'replace', { before: current, after: doc });
+    setETag(res, doc);
+    res.status(204).send();
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /works/{id}:
+ *   patch:
+ *     summary: Partially update a work (JSON Merge Patch or JSON Patch)
+ *     description: The patched result is re-validated against the full Work schema.
+ *     tags: [Works]
+ *     x-permission: update
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [write:library]
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/merge-patch+json:
+ *           schema: { type: object }
+ *           example: { firstPublishedYear: 1937 }
+ *         application/json-patch+json:
+ *           schema:
+ *             type: array
+ *             items: { $ref: '#/components/schemas/JsonPatchOperation' }
+ *     responses:
+ *       200:
+ *         description: Updated work
+ *         headers:
+ *           ETag: { $ref: '#/components/headers/ETag' }
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Work' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       409:
+ *         description: A JSON Patch "test" operation failed
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ *       412: { $ref: '#/components/responses/PreconditionFailed' }
+ *       415: { $ref: '#/components/responses/UnsupportedMediaType' }
+ *       428: { $ref: '#/components/responses/PreconditionRequired' }
+ */
+router.patch('/:id', can('update'), async (req, res, next) => {
+  try {
+    const type = patchType(req);
+    if (!type) throw unsupportedPatchType();
+    await assertOwnAuthor(req, null);
+    const current = await findWork(req.params.id);
+    checkIfMatch(req, current);
+    const parsed = WorkSchema.parse(applyPatch(type, toWorkInput(current), req.body));
+    const doc = { _id: current._id, ...parsed, version: nextVersion(current) };
+    if (!(await getStorage().works.replaceOne(versionFilter(current), doc))) throw concurrentModification();
+    await recordAudit(req, 'works', 'patch', { before: current, after: doc });
+    setETag(res, doc);
+    res.status(200).json(doc);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /works/{id}:
+ *   delete:
+ *     summary: Delete a work (moves it to the trash)
+ *     description: Refused while live books are editions of it; unlink or delete them first.
+ *     tags: [Works]
+ *     x-permission: delete
+ *     security:
+ *       - bearerAuth: []
+ *       - oauth2: [admin:library]
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     responses:
+ *       204: { description: Moved to the trash }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       409:
+ *         description: Books are still editions of the work
+ *         content: { application/problem+json: { schema: { $ref: '#/components/schemas/Problem' } } }
+ *       412: { $ref: '#/components/responses/PreconditionFailed' }
+ *       428: { $ref: '#/components/responses/PreconditionRequired' }
+ */
+router.delete('/:id', can('delete'), async (req, res, next) => {
+  try {
+    const current = await findWork(req.params.id);
+    checkIfMatch(req, current);
+    const { books, works } = getStorage();
+    const count = await books.count({ workId: current._id, ...ACTIVE });
+    if (count > 0) throw httpError(409, `Work still has ${count} edition(s)`, { books: count });
+    const doc = { ...current, ...trashMark(req), version: nextVersion(current) };
+    if (!(await works.replaceOne(versionFilter(current), doc))) throw concurrentModification();
+    await recordAudit(req, 'works', 'delete', { before: current, after: doc });
+    res.status(204).send();
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+// scripts/db.js — database maintenance CLI
+//
+//   node scripts/db.js seed [--drop]       load data/*.json (ids remapped, upserts by email/ISBN)
+//   node scripts/db.js migrate             apply pending migrations
+//   node scripts/db.js rollback [--steps=N] revert the last N applied migrations (default 1)
+//   node scripts/db.js status              list migrations and whether they are applied
+//
+// Uses the same MONGODB_URI / DB_NAME (and MONGO_*) env vars as the server.
+import 'dotenv/config';
+import { closeDb, connectToDb } from '../db/connect.js';
+import { migrate, rollback, status } from '../db/migrations.js';
+import { seed } from '../db/seed.js';
+import { createMongoStorage } from '../repositories/mongo.js';
+
+const USAGE = `Usage: node scripts/db.js <seed [--drop] | migrate | rollback [--steps=N] | status>`;
+
+const [command, ...args] = process.argv.slice(2);
+const hasFlag = (name) => args.includes(`--${name}`);
+const option = (name) => args.find((a) => a.startsWith(`--${name}=`))?.split('=')[1];
+
+const commands = {
+  seed: async (db) => {
+    const counts = await seed(createMongoStorage(db), { drop: hasFlag('drop') });
+    console.log(`🌱 Seeded ${counts.authors} author(s), ${counts.books} book(s) and ${counts.copies} copy(ies)`);
+  },
+  migrate: async (db) => {
+    const applied = await migrate(db);
+    console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : '✅ Nothing to migrate');
+  },
+  rollback: async (db) => {
+    const steps = Number(option('steps') ?? 1);
+    if (!Number.isInteger(steps) || steps < 1) throw new Error('--steps must be a positive integer');
+    const reverted = await rollback(db, { steps });
+    console.log(reverted.length ? `↩️  Rolled back ${reverted.length} migration(s)` : 'Nothing to roll back');
+  },
+  status: async (db) => {
+    for (const m of await status(db)) {
+      const state = m.missing ? 'applied (file missing!)' : m.appliedAt ? `applied ${m.appliedAt.toISOString()}` : 'pending';
+      console.log(`${m.name.padEnd(40)} ${state}`);
+    }
+  }
+};
+
+const main = async () => {
+  const run = commands[command];
+  if (!run) {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+  const db = await connectToDb();
+  try {
+    await run(db);
+  } finally {
+    await closeDb();
+  }
+};
+
+main().catch((err) => {
+  console.error('❌', err.message);
+  process.exitCode = 1;
+});
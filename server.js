@@ -1,78 +1,46 @@
 import 'dotenv/config';
-import express from 'express';
-import cors from 'cors';
-import morgan from 'morgan';
-import helmet from 'helmet';
-import { connectToDb } from './db/connect.js';
-import booksRouter from './routes/books.js';
-import authorsRouter from './routes/authors.js';
-import { serveSwagger, setupSwagger, swaggerSpec } from './swagger.js';
-
-const app = express();
-const PORT = process.env.PORT || 8080;
-
-app.set('trust proxy', 1);
-
-// Boot diagnostics
-console.log('🔧 Boot vars:', {
-  hasUri: !!process.env.MONGODB_URI,
-  db: process.env.DB_NAME,
-  port: PORT
-});
-for (const key of ['MONGODB_URI', 'DB_NAME']) {
-  if (!process.env[key]) {
-    console.error(`❌ Missing required env var: ${key}`);
-    process.exit(1);
-  }
+import { STORAGE, initStorage } from './repositories/index.js';
+import { createApp } from './app.js';
+import { logger } from './lib/logger.js';
+import { MongoEnv, ServerEnv, loadConfig } from './lib/config.js';
+import { createShutdown } from './lib/shutdown.js';
+import { closeDb } from './db/connect.js';
+
+// Validate configuration up front: one message naming every bad variable
+let config;
+let mongo;
+try {
+  config = loadConfig(ServerEnv);
+  if (STORAGE === 'mongo') mongo = loadConfig(MongoEnv);
+} catch (err) {
+  logger.error('invalid configuration', { err: err.message });
+  process.exit(1);
 }
 
-// Middleware
-app.use(helmet());
-app.use(
-  cors({
-    origin: process.env.CORS_ORIGIN || '*',
-    credentials: false
-  })
-);
-app.use(express.json());
-app.use(morgan('dev'));
-
-// Health & root
-app.get('/healthz', (_req, res) => res.status(200).json({ status: 'ok' }));
-app.get('/', (_req, res) => res.send('Library API is up'));
-
-// Routes
-app.use('/books', booksRouter);
-app.use('/authors', authorsRouter);
-
-// Swagger
-app.use('/api-docs', serveSwagger, setupSwagger);
-app.get('/swagger.json', (_req, res) => {
-  res.setHeader('Content-Type', 'application/json');
-  res.send(swaggerSpec);
+// Boot diagnostics
+logger.info('boot', {
+  storage: STORAGE,
+  db: mongo?.dbName ?? null,
+  port: config.port,
+  logLevel: logger.level
 });
 
-// 404
-app.use((req, res) => res.status(404).json({ message: 'Not Found' }));
-
-// Error handler
-app.use((err, _req, res, _next) => {
-  console.error(err);
-  const status = err.statusCode || err.status || 500;
-  res.status(status).json({
-    message: err.expose ? err.message : 'Internal Server Error'
-  });
-});
+const app = createApp();
 
 // Start
 const start = async () => {
   try {
-    await connectToDb(process.env.MONGODB_URI, process.env.DB_NAME);
-    app.listen(PORT, () => console.log(`🚀 Server listening on port ${PORT}`));
+    await initStorage({ mongo });
   } catch (err) {
-    console.error('❌ Failed to start server:', err.message);
+    logger.error('failed to start server', { err });
     process.exit(1);
   }
+  const server = app.listen(config.port, () => logger.info('listening', { port: config.port }));
+
+  // Drain in-flight requests before closing the database (Render sends SIGTERM on every deploy)
+  const shutdown = createShutdown({ server, timeoutMs: config.shutdownTimeoutMs, close: [closeDb] });
+  process.on('SIGTERM', shutdown);
+  process.on('SIGINT', shutdown);
 };
 
 start();
@@ -1,6 +1,8 @@
 // swagger.js (Library API)
 import swaggerJsdoc from 'swagger-jsdoc';
 import swaggerUi from 'swagger-ui-express';
+import { devIssuer } from './middleware/auth.js';
+import { logger } from './lib/logger.js';
 
 // Detect Auth0 configuration (optional)
 const hasAuth0 =
@@ -10,6 +12,13 @@ const hasAuth0 =
 
 const domain = process.env.AUTH0_DOMAIN;
 
+const oauthScopes = {
+  'read:library': 'Read library resources (viewer)',
+  'write:library': 'Create and update library resources (editor)',
+  'admin:library': 'Delete, restore, purge, import and audit (admin)',
+  'author:self': 'Edit your own author record and its books (author-self)'
+};
+
 const securitySchemes = {
   // Always offer simple Bearer auth so you can paste a JWT (from Auth0 or elsewhere)
   bearerAuth: {
@@ -17,18 +26,34 @@ const securitySchemes = {
     scheme: 'bearer',
     bearerFormat: 'JWT'
   },
+  // Machine clients (routes/apiKeys.js); `Authorization: ApiKey <key>` is accepted too
+  apiKeyAuth: {
+    type: 'apiKey',
+    in: 'header',
+    name: 'X-API-Key'
+  },
+  // Local issuer (AUTH_DEV=true): Swagger fetches tokens from POST /dev/token; any client id
+  // becomes the token subject, the secret is ignored
+  ...(devIssuer && {
+    oauth2: {
+      type: 'oauth2',
+      flows: {
+        clientCredentials: {
+          tokenUrl: '/dev/token',
+          scopes: oauthScopes
+        }
+      }
+    }
+  }),
   // Only include OAuth2 when Auth0 env is present (lets Swagger do full auth code + PKCE)
-  ...(hasAuth0 && {
+  ...(hasAuth0 && !devIssuer && {
     oauth2: {
       type: 'oauth2',
       flows: {
         authorizationCode: {
           authorizationUrl: `https://${domain}/authorize`,
           tokenUrl: `https://${domain}/oauth/token`,
-          scopes: {
-            'read:library': 'Read library resources',
-            'write:library': 'Write library resources'
-          }
+          scopes: oauthScopes
         }
       }
     }
@@ -41,7 +66,13 @@ const options = {
     info: {
       title: 'Library API',
       version: '1.0.0',
-      description: 'Books & Authors API with validation and OAuth/JWT security'
+      description:
+        'Books & Authors API with validation and OAuth/JWT security.\n\n' +
+        'Each operation lists the permission it needs as `x-permission`. Roles grant permissions: ' +
+        '**viewer** read; **editor** read, create, update, price; **admin** everything (delete, purge, import, audit); ' +
+        '**author-self** create/update limited to the author record whose email matches the token.\n\n' +
+        'Requests are rate limited per client (`RateLimit-*` response headers); over the limit the API ' +
+        'answers **429** with `Retry-After`.'
     },
     servers: [
       { url: '/', description: 'Render (relative base)' },
@@ -52,9 +83,10 @@ const options = {
     }
     // NOTE: No global `security` here, so public endpoints can be tested without auth.
     // Add `security` per-operation in your routes for protected endpoints, e.g.:
-    // security: [{ bearerAuth: [] }]  OR  security: [{ oauth2: ['write:library'] }]
+    // security: [{ bearerAuth: [] }]  OR  security: [{ oauth2: ['write:library'] }]  OR  [{ apiKeyAuth: [] }]
   },
-  apis: ['./routes/*.js']
+  // routes/dev.js is only mounted with the local issuer; lib/errors.js holds the shared Problem components
+  apis: ['./routes/!(dev).js', './lib/errors.js', ...(devIssuer ? ['./routes/dev.js'] : [])]
 };
 
 export const swaggerSpec = swaggerJsdoc(options);
@@ -65,13 +97,17 @@ const uiOptions = {
   explorer: true,
   swaggerOptions: {
     persistAuthorization: true,
+    // Show each operation's `x-permission`
+    showExtensions: true,
     // This page is served by swagger-ui-express automatically
     oauth2RedirectUrl: '/api-docs/oauth2-redirect.html'
   }
 };
 
-// Only configure OAuth client bits if Auth0 env is present
-if (hasAuth0) {
+// OAuth client bits for the local issuer, or Auth0 when its env is present
+if (devIssuer) {
+  uiOptions.swaggerOptions.oauth = { clientId: 'dev|swagger' };
+} else if (hasAuth0) {
   uiOptions.swaggerOptions.oauth = {
     clientId: process.env.AUTH0_CLIENT_ID,
     usePkceWithAuthorizationCodeGrant: true,
@@ -80,9 +116,7 @@ if (hasAuth0) {
     }
   };
 } else {
-  console.warn(
-    '[Swagger] AUTH0_* env vars not fully set; OAuth2 button will be hidden. You can still use the Bearer token option.'
-  );
+  logger.warn('swagger: AUTH0_* env vars not fully set; OAuth2 button hidden, Bearer token option still works');
 }
 
 export const setupSwagger = swaggerUi.setup(swaggerSpec, uiOptions);
@@ -0,0 +1,174 @@
+// test/apiKeys.test.js
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { authorInput, startApp, useMemoryStorage } from './helpers.js';
+import { startIssuer } from './issuer.js';
+
+const AUDIENCE = 'https://library-api.test';
+
+let issuer;
+let app;
+let storage;
+let admin;
+
+before(async () => {
+  issuer = await startIssuer({ audience: AUDIENCE });
+  delete process.env.AUTH_DISABLE;
+  process.env.AUTH0_AUDIENCE = AUDIENCE;
+  process.env.AUTH0_ISSUER_BASE_URL = issuer.issuer;
+  app = await startApp();
+  admin = issuer.token({ scope: 'admin:library', sub: 'user|admin' });
+});
+
+after(async () => {
+  await app.close();
+  await issuer.close();
+});
+
+beforeEach(() => {
+  storage = useMemoryStorage();
+});
+
+const createKey = async (scopes, name = 'inventory-sync') => {
+  const res = await app.request('POST', '/api-keys', { body: { name, scopes }, token: admin });
+  assert.equal(res.status, 201, JSON.stringify(res.body));
+  return res.body;
+};
+
+const withKey = (key) => ({ 'X-API-Key': key });
+
+describe('API key management', () => {
+  test('creates a key and shows the secret only once', async () => {
+    const created = await createKey(['read:library', 'write:library']);
+    assert.match(created.key, /^lib_[0-9a-f]{8}_/);
+    assert.ok(created.key.startsWith(`lib_${created.prefix}_`));
+    assert.equal(created.hash, undefined);
+    assert.equal(created.createdBy, 'user|admin');
+
+    const stored = await storage.apiKeys.findOne({});
+    assert.notEqual(stored.hash, created.key);
+    assert.ok(!JSON.stringify(stored).includes(created.key));
+
+    const got = await app.request('GET', `/api-keys/${created._id}`, { token: admin });
+    assert.equal(got.status, 200);
+    assert.equal(got.body.key, undefined);
+    assert.equal(got.body.hash, undefined);
+    assert.deepEqual(got.body.scopes, ['read:library', 'write:library']);
+  });
+
+  test('marks responses with a secret as not cacheable', async () => {
+    const res = await app.request('POST', '/api-keys', { body: { name: 'x', scopes: ['read:library'] }, token: admin });
+    assert.equal(res.headers.get('cache-control'), 'no-store');
+    assert.equal(res.headers.get('location'), `/api-keys/${res.body._id}`);
+  });
+
+  test('400 on unknown or token-only scopes', async () => {
+    for (const scopes of [[], ['delete:everything'], ['author:self']]) {
+      const res = await app.request('POST', '/api-keys', { body: { name: 'x', scopes }, token: admin });
+      assert.equal(res.status, 400, JSON.stringify(scopes));
+    }
+  });
+
+  test('needs the admin scope', async () => {
+    const editor = issuer.token({ scope: 'read:library write:library' });
+    assert.equal((await app.request('GET', '/api-keys', { token: editor })).status, 403);
+    assert.equal((await app.request('POST', '/api-keys', { body: { name: 'x', scopes: ['read:library'] }, token: editor })).status, 403);
+    assert.equal((await app.request('GET', '/api-keys')).status, 400);
+  });
+
+  test('lists keys, filtered by revocation', async () => {
+    const kept = await createKey(['read:library'], 'kept');
+    const gone = await createKey(['read:library'], 'gone');
+    assert.equal((await app.request('DELETE', `/api-keys/${gone._id}`, { token: admin })).status, 204);
+
+    const all = await app.request('GET', '/api-keys?sort=name', { token: admin });
+    assert.deepEqual(all.body.map((k) => k.name), ['gone', 'kept']);
+    assert.ok(all.body.every((k) => k.hash === undefined && k.key === undefined));
+    const live = await app.request('GET', '/api-keys?revoked=false', { token: admin });
+    assert.deepEqual(live.body.map((k) => k._id), [kept._id]);
+    const revoked = await app.request('GET', '/api-keys?revoked=true', { token: admin });
+    assert.equal(revoked.body[0].revokedBy, 'user|admin');
+  });
+
+  test('404 for an unknown key, 400 for a bad id', async () => {
+    assert.equal((await app.request('GET', '/api-keys/000000000000000000000000', { token: admin })).status, 404);
+    assert.equal((await app.request('POST', '/api-keys/nope/rotate', { token: admin })).status, 400);
+  });
+});
+
+describe('API key authentication', () => {
+  test('writes with X-API-Key and records the key as actor', async () => {
+    const { key, _id } = await createKey(['read:library', 'write:library']);
+    const res = await app.request('POST', '/authors', { body: authorInput(), headers: withKey(key) });
+    assert.equal(res.status, 201);
+    const [entry] = await storage.audit.find({ resource: 'authors' });
+    assert.equal(entry.actor, `apikey|${_id}`);
+  });
+
+  test('accepts Authorization: ApiKey', async () => {
+    const { key } = await createKey(['write:library']);
+    const res = await app.request('POST', '/authors', { body: authorInput(), headers: { Authorization: `ApiKey ${key}` } });
+    assert.equal(res.status, 201);
+  });
+
+  test('scopes follow the same policy as tokens', async () => {
+    const reader = await createKey(['read:library']);
+    assert.equal((await app.request('POST', '/authors', { body: authorInput(), headers: withKey(reader.key) })).status, 403);
+    const writer = await createKey(['write:library']);
+    const created = await app.request('POST', '/authors', { body: authorInput(), headers: withKey(writer.key) });
+    assert.equal((await app.request('DELETE', `/authors/${created.body.id}`, { headers: withKey(writer.key) })).status, 403);
+    const adminKey = await createKey(['admin:library']);
+    assert.equal((await app.request('DELETE', `/authors/${created.body.id}`, { headers: withKey(adminKey.key) })).status, 204);
+  });
+
+  test('401 for unknown or malformed keys', async () => {
+    const { key } = await createKey(['write:library']);
+    const forged = `${key.slice(0, -4)}AAAA`;
+    for (const bad of [forged, 'not-a-key', '']) {
+      const res = await app.request('POST', '/authors', { body: authorInput(), headers: withKey(bad) });
+      assert.equal(res.status, 401, JSON.stringify(bad));
+      assert.match(res.headers.get('www-authenticate'), /^ApiKey/);
+    }
+  });
+
+  test('tracks when a key was last used', async () => {
+    const { key, _id } = await createKey(['read:library', 'write:library']);
+    assert.equal((await storage.apiKeys.findOne({})).lastUsedAt, null);
+    await app.request('POST', '/authors', { body: authorInput(), headers: withKey(key) });
+    const got = await app.request('GET', `/api-keys/${_id}`, { token: admin });
+    assert.ok(Date.now() - Date.parse(got.body.lastUsedAt) < 60_000);
+  });
+
+  test('rotation replaces the secret and keeps the identity', async () => {
+    const original = await createKey(['write:library']);
+    const rotated = await app.request('POST', `/api-keys/${original._id}/rotate`, { token: admin });
+    assert.equal(rotated.status, 200);
+    assert.equal(rotated.body._id, original._id);
+    assert.notEqual(rotated.body.key, original.key);
+    assert.ok(rotated.body.rotatedAt);
+
+    assert.equal((await app.request('POST', '/authors', { body: authorInput(), headers: withKey(original.key) })).status, 401);
+    assert.equal((await app.request('POST', '/authors', { body: authorInput(), headers: withKey(rotated.body.key) })).status, 201);
+  });
+
+  test('revoked keys stop working and cannot be rotated', async () => {
+    const { key, _id } = await createKey(['write:library']);
+    assert.equal((await app.request('DELETE', `/api-keys/${_id}`, { token: admin })).status, 204);
+    assert.equal((await app.request('DELETE', `/api-keys/${_id}`, { token: admin })).status, 204);
+    assert.equal((await app.request('POST', '/authors', { body: authorInput(), headers: withKey(key) })).status, 401);
+    assert.equal((await app.request('POST', `/api-keys/${_id}/rotate`, { token: admin })).status, 409);
+  });
+
+  test('an admin key can manage keys', async () => {
+    const { key } = await createKey(['admin:library']);
+    const res = await app.request('POST', '/api-keys', { body: { name: 'child', scopes: ['read:library'] }, headers: withKey(key) });
+    assert.equal(res.status, 201);
+  });
+
+  test('documents the apiKeyAuth scheme and the key endpoints', async () => {
+    const res = await app.request('GET', '/swagger.json');
+    assert.deepEqual(res.body.components.securitySchemes.apiKeyAuth, { type: 'apiKey', in: 'header', name: 'X-API-Key' });
+    assert.ok(res.body.paths['/api-keys/{id}/rotate'].post);
+    assert.ok(res.body.tags.some((t) => t.name === 'API keys'));
+  });
+});
@@ -0,0 +1,143 @@
+// test/audit.test.js
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { authorInput, bookInput, insertAuthor, insertBook, startApp, useMemoryStorage, usd } from './helpers.js';
+
+process.env.AUTH_DISABLE = 'true'; // auth itself is covered in auth.*.test.js
+
+let app;
+let storage;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  storage = useMemoryStorage();
+});
+
+describe('audit entries', () => {
+  test('a create records the new document and the request id', async () => {
+    const res = await app.request('POST', '/authors', {
+      body: authorInput({ lastName: 'Shelley' }),
+      headers: { 'X-Request-Id': 'req-123' }
+    });
+    assert.equal(res.headers.get('x-request-id'), 'req-123');
+    const [entry] = await storage.audit.find({});
+    assert.equal(entry.resource, 'authors');
+    assert.equal(entry.resourceId.toString(), res.body.id);
+    assert.equal(entry.operation, 'create');
+    assert.equal(entry.actor, null);
+    assert.equal(entry.requestId, 'req-123');
+    assert.equal(entry.version, 1);
+    assert.equal(entry.before, null);
+    assert.equal(entry.after.lastName, 'Shelley');
+  });
+
+  test('a generated request id is echoed when none is sent', async () => {
+    const res = await app.request('GET', '/books');
+    assert.match(res.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+  });
+
+  test('updates record a field-level diff', async () => {
+    const author = await insertAuthor(storage);
+    const book = await insertBook(storage, author._id, { price: usd(1000) });
+    await app.request('PATCH', `/books/${book._id}`, {
+      body: { price: { amount: 1200 }, pages: 400 },
+      type: 'application/merge-patch+json'
+    });
+    const [entry] = await storage.audit.find({ operation: 'patch' });
+    assert.deepEqual(entry.changes, [
+      { field: 'basePrice', from: 1000, to: 1200 }, // derived from price, the sort=price key
+      { field: 'pages', from: 320, to: 400 },
+      { field: 'price', from: usd(1000), to: usd(1200) }
+    ]);
+    assert.equal(entry.before.version, 1);
+    assert.equal(entry.version, 2);
+  });
+
+  test('every write route leaves an entry', async () => {
+    const author = await insertAuthor(storage);
+    const created = await app.request('POST', '/books', { body: bookInput(author._id) });
+    const id = created.body.id;
+    await app.request('PUT', `/books/${id}`, { body: bookInput(author._id) });
+    await app.request('DELETE', `/books/${id}`);
+    await app.request('POST', `/books/${id}/restore`);
+    await app.request('DELETE', `/books/${id}`);
+    await app.request('DELETE', `/books/trash/${id}`);
+    const entries = await storage.audit.find({}, { sort: [['_id', 1]] });
+    assert.deepEqual(
+      entries.map((e) => [e.operation, e.version]),
+      [['create', 1], ['replace', 2], ['delete', 3], ['restore', 4], ['delete', 5], ['purge', 5]]
+    );
+    assert.ok(entries.every((e) => e.resourceId.toString() === id));
+  });
+
+  test('imports record one entry per written row, with the replaced document', async () => {
+    const existing = await insertAuthor(storage);
+    const rows = [authorInput({ email: existing.email, nationality: 'Welsh' }), authorInput()];
+    await app.request('POST', '/authors/import?upsert=true', { body: rows });
+    const entries = await storage.audit.find({ operation: 'import' }, { sort: [['_id', 1]] });
+    assert.equal(entries.length, 2);
+    assert.equal(entries[0].before.nationality, 'British');
+    assert.equal(entries[0].after.nationality, 'Welsh');
+    assert.equal(entries[1].before, null);
+  });
+
+  test('dry runs and rolled-back imports record nothing', async () => {
+    const dup = authorInput();
+    await app.request('POST', '/authors/import?dryRun=true', { body: [authorInput()] });
+    await app.request('POST', '/authors/import?atomic=true', { body: [dup, { ...dup }] });
+    assert.equal(await storage.audit.count({}), 0);
+  });
+
+  test('cascade and nullify record the affected books', async () => {
+    const cascaded = await insertAuthor(storage);
+    const nullified = await insertAuthor(storage);
+    const a = await insertBook(storage, cascaded._id);
+    const b = await insertBook(storage, nullified._id);
+    await app.request('DELETE', `/authors/${cascaded._id}?onDelete=cascade`);
+    await app.request('DELETE', `/authors/${nullified._id}?onDelete=nullify`);
+    const [cascade] = await storage.audit.find({ resource: 'books', resourceId: a._id });
+    assert.equal(cascade.operation, 'delete');
+    assert.ok(cascade.after.deletedAt instanceof Date);
+    const [nullify] = await storage.audit.find({ resource: 'books', resourceId: b._id });
+    assert.equal(nullify.operation, 'nullify');
+    assert.deepEqual(nullify.changes.map((c) => c.field), ['authors']);
+  });
+});
+
+describe('GET /audit', () => {
+  test('filters by resource, id and operation', async () => {
+    const author = await insertAuthor(storage);
+    const created = await app.request('POST', '/books', { body: bookInput(author._id) });
+    await app.request('DELETE', `/books/${created.body.id}`);
+    await app.request('POST', '/authors', { body: authorInput() });
+
+    const all = await app.request('GET', '/audit');
+    assert.equal(all.status, 200);
+    assert.equal(all.headers.get('x-total-count'), '3');
+
+    const forBook = await app.request('GET', `/audit?resource=books&id=${created.body.id}`);
+    assert.deepEqual(forBook.body.map((e) => e.operation), ['create', 'delete']);
+
+    const deletes = await app.request('GET', '/audit?operation=delete');
+    assert.equal(deletes.body.length, 1);
+
+    const paged = await app.request('GET', '/audit?limit=2');
+    assert.equal(paged.body.length, 2);
+    assert.match(paged.headers.get('link'), /rel="next"/);
+  });
+
+  test('400 on an unknown resource', async () => {
+    const res = await app.request('GET', '/audit?resource=patrons');
+    assert.equal(res.status, 400);
+  });
+
+  test('400 on a malformed id', async () => {
+    const res = await app.request('GET', '/audit?id=42');
+    assert.equal(res.status, 400);
+  });
+});
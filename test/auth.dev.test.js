@@ -0,0 +1,113 @@
+// test/auth.dev.test.js
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { authorInput, freePort, insertAuthor, startApp, useMemoryStorage } from './helpers.js';
+
+const AUTH_ENV = ['AUTH_DISABLE', 'AUTH0_AUDIENCE', 'AUTH0_ISSUER_BASE_URL', 'AUTH0_DOMAIN', 'NODE_ENV'];
+
+let app;
+let storage;
+
+before(async () => {
+  for (const key of AUTH_ENV) delete process.env[key];
+  const port = await freePort();
+  process.env.AUTH_DEV = 'true';
+  process.env.AUTH_DEV_ISSUER = `http://127.0.0.1:${port}`;
+  app = await startApp({ port });
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  storage = useMemoryStorage();
+});
+
+const mint = async (body) => {
+  const res = await app.request('POST', '/dev/token', { body });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return res.body.access_token;
+};
+
+describe('auth: dev issuer mode', () => {
+  test('publishes its public key and discovery document', async () => {
+    const jwks = await app.request('GET', '/.well-known/jwks.json');
+    assert.equal(jwks.status, 200);
+    const [key] = jwks.body.keys;
+    assert.equal(key.kty, 'RSA');
+    assert.equal(key.alg, 'RS256');
+    assert.equal(key.d, undefined);
+    const discovery = await app.request('GET', '/.well-known/openid-configuration');
+    assert.equal(discovery.body.issuer, process.env.AUTH_DEV_ISSUER);
+    assert.equal(discovery.body.token_endpoint, `${process.env.AUTH_DEV_ISSUER}/dev/token`);
+  });
+
+  test('minted tokens pass jwtCheck and the policy', async () => {
+    const editor = await mint({ scope: 'read:library write:library', sub: 'dev|editor' });
+    const created = await app.request('POST', '/authors', { body: authorInput(), token: editor });
+    assert.equal(created.status, 201);
+    const deleted = await app.request('DELETE', `/authors/${created.body.id}`, { token: editor });
+    assert.equal(deleted.status, 403);
+
+    const admin = await mint({ scope: ['admin:library'], sub: 'dev|admin' });
+    assert.equal((await app.request('DELETE', `/authors/${created.body.id}`, { token: admin })).status, 204);
+    const [stored] = await storage.authors.find({});
+    assert.equal(stored.deletedBy, 'dev|admin');
+  });
+
+  test('writes still need a token', async () => {
+    assert.equal((await app.request('POST', '/authors', { body: authorInput() })).status, 400);
+    const viewer = await mint({ scope: 'read:library' });
+    assert.equal((await app.request('POST', '/authors', { body: authorInput(), token: viewer })).status, 403);
+  });
+
+  test('mints permissions and email claims for author-self', async () => {
+    const own = await insertAuthor(storage, { email: 'me@example.com' });
+    const token = await mint({ permissions: ['author:self'], email: 'me@example.com' });
+    const res = await app.request('PATCH', `/authors/${own._id}`, {
+      body: { nationality: 'Irish' },
+      type: 'application/merge-patch+json',
+      token
+    });
+    assert.equal(res.status, 200);
+  });
+
+  test('supports the client_credentials form Swagger UI sends', async () => {
+    const res = await app.request('POST', '/dev/token', {
+      body: 'grant_type=client_credentials&scope=read%3Alibrary%20write%3Alibrary',
+      type: 'application/x-www-form-urlencoded',
+      headers: { Authorization: `Basic ${Buffer.from('dev|swagger:ignored').toString('base64')}` }
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.token_type, 'Bearer');
+    assert.equal(res.body.scope, 'read:library write:library');
+    assert.equal(res.headers.get('cache-control'), 'no-store');
+    const created = await app.request('POST', '/authors', { body: authorInput(), token: res.body.access_token });
+    assert.equal(created.status, 201);
+  });
+
+  test('rejects other grant types and invalid requests', async () => {
+    const grant = await app.request('POST', '/dev/token', { body: 'grant_type=password', type: 'application/x-www-form-urlencoded' });
+    assert.equal(grant.status, 400);
+    assert.equal(grant.body.error, 'unsupported_grant_type');
+    const invalid = await app.request('POST', '/dev/token', { body: { expiresIn: 10 ** 9, email: 'nope' } });
+    assert.equal(invalid.status, 400);
+    assert.ok(invalid.body.errors.some((e) => e.field === 'expiresIn'));
+    assert.ok(invalid.body.errors.some((e) => e.field === 'email'));
+  });
+
+  test('Swagger fetches tokens from the dev issuer', async () => {
+    const res = await app.request('GET', '/swagger.json');
+    assert.equal(res.body.components.securitySchemes.oauth2.flows.clientCredentials.tokenUrl, '/dev/token');
+    assert.ok(res.body.paths['/dev/token']);
+  });
+
+  test('is refused in production', async () => {
+    process.env.NODE_ENV = 'production';
+    try {
+      // A distinct specifier gives a fresh module instance that re-reads the env
+      await assert.rejects(import('../middleware/auth.js?dev-production'), /AUTH_DEV=true is not allowed in production/);
+    } finally {
+      delete process.env.NODE_ENV;
+    }
+  });
+});
@@ -0,0 +1,31 @@
+// test/auth.disabled.test.js
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { authorInput, startApp, useMemoryStorage } from './helpers.js';
+
+let app;
+
+before(async () => {
+  // AUTH_DISABLE wins over both a full config and NODE_ENV=production
+  process.env.AUTH_DISABLE = 'true';
+  process.env.NODE_ENV = 'production';
+  process.env.AUTH0_AUDIENCE = 'https://library-api.test';
+  process.env.AUTH0_ISSUER_BASE_URL = 'http://127.0.0.1:9/';
+  app = await startApp();
+});
+
+after(() => app.close());
+
+describe('auth: disabled mode', () => {
+  test('writes need no token', async () => {
+    useMemoryStorage();
+    const res = await app.request('POST', '/authors', { body: authorInput() });
+    assert.equal(res.status, 201);
+  });
+
+  test('tokens are not inspected', async () => {
+    useMemoryStorage();
+    const res = await app.request('POST', '/authors', { body: authorInput(), token: 'not-a-jwt' });
+    assert.equal(res.status, 201);
+  });
+});
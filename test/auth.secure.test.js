@@ -0,0 +1,387 @@
+// test/auth.secure.test.js
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { authorInput, bookInput, insertAuthor, insertBook, insertMember, startApp, useMemoryStorage, usd } from './helpers.js';
+import { startIssuer } from './issuer.js';
+
+const AUDIENCE = 'https://library-api.test';
+const WRITE = 'read:library write:library';
+const ADMIN = 'admin:library';
+const MERGE = 'application/merge-patch+json';
+
+let issuer;
+let app;
+let storage;
+
+before(async () => {
+  issuer = await startIssuer({ audience: AUDIENCE });
+  delete process.env.AUTH_DISABLE;
+  process.env.AUTH0_AUDIENCE = AUDIENCE;
+  process.env.AUTH0_ISSUER_BASE_URL = issuer.issuer;
+  app = await startApp(); // imports middleware/auth.js with the env above
+});
+
+after(async () => {
+  await app.close();
+  await issuer.close();
+});
+
+beforeEach(() => {
+  storage = useMemoryStorage();
+});
+
+describe('auth: roles and permissions', () => {
+  test('editors create and update but cannot delete or import', async () => {
+    const token = issuer.token({ scope: WRITE });
+    const created = await app.request('POST', '/authors', { body: authorInput(), token });
+    assert.equal(created.status, 201);
+    const patched = await app.request('PATCH', `/authors/${created.body.id}`, { body: { nationality: 'Irish' }, type: MERGE, token });
+    assert.equal(patched.status, 200);
+    const deleted = await app.request('DELETE', `/authors/${created.body.id}`, { token });
+    assert.equal(deleted.status, 403);
+    assert.match(deleted.body.detail, /"delete" permission/);
+    const imported = await app.request('POST', '/authors/import', { body: [authorInput()], token });
+    assert.equal(imported.status, 403);
+  });
+
+  test('admins can delete and restore', async () => {
+    const author = await insertAuthor(storage);
+    const token = issuer.token({ scope: ADMIN });
+    assert.equal((await app.request('DELETE', `/authors/${author._id}`, { token })).status, 204);
+    assert.equal((await app.request('POST', `/authors/${author._id}/restore`, { token })).status, 200);
+  });
+
+  test('admins can import a JSON array', async () => {
+    const res = await app.request('POST', '/authors/import', {
+      body: [authorInput(), authorInput()],
+      token: issuer.token({ scope: ADMIN })
+    });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(await storage.authors.count({}), 2);
+  });
+
+  test('a permissions claim grants the same roles as scopes', async () => {
+    const author = await insertAuthor(storage);
+    const editor = issuer.token({ permissions: ['write:library'] });
+    assert.equal((await app.request('POST', '/authors', { body: authorInput(), token: editor })).status, 201);
+    assert.equal((await app.request('DELETE', `/authors/${author._id}`, { token: editor })).status, 403);
+    const admin = issuer.token({ permissions: ['admin:library'] });
+    assert.equal((await app.request('DELETE', `/authors/${author._id}`, { token: admin })).status, 204);
+  });
+
+  test('editors run the lending desk; loans are not public', async () => {
+    const book = await insertBook(storage, (await insertAuthor(storage))._id);
+    const editor = issuer.token({ scope: WRITE });
+    const copy = await app.request('POST', `/books/${book._id}/copies`, { body: { barcode: 'SEC-1' }, token: editor });
+    assert.equal(copy.status, 201);
+    const member = await insertMember(storage);
+    const loan = await app.request('POST', '/loans', { body: { barcode: 'SEC-1', memberId: String(member._id) }, token: editor });
+    assert.equal(loan.status, 201);
+    assert.equal((await app.request('GET', '/loans')).status, 400); // no token: invalid_request
+    assert.equal((await app.request('GET', '/loans', { token: issuer.token({ scope: 'read:library' }) })).status, 403);
+    assert.equal((await app.request('GET', '/loans', { token: editor })).status, 200);
+    assert.equal((await app.request('GET', `/copies/${copy.body._id}`)).status, 200);
+  });
+
+  describe('members/me', () => {
+    const READ = 'read:library';
+
+    test('resolves the member linked to the token subject', async () => {
+      const member = await insertMember(storage, { sub: 'user|reader' });
+      const res = await app.request('GET', '/members/me', { token: issuer.token({ scope: READ, sub: 'user|reader' }) });
+      assert.equal(res.status, 200);
+      assert.equal(res.body._id, String(member._id));
+      const loans = await app.request('GET', '/members/me/loans', { token: issuer.token({ scope: READ, sub: 'user|reader' }) });
+      assert.deepEqual(loans.body, []);
+      const fines = await app.request('GET', '/members/me/fines', { token: issuer.token({ scope: READ, sub: 'user|reader' }) });
+      assert.deepEqual(fines.body, { owed: usd(0), accruing: usd(0), fines: [] });
+    });
+
+    test('falls back to the email claim for members not yet linked', async () => {
+      const member = await insertMember(storage, { email: 'pat@example.com' });
+      const token = issuer.token({ scope: READ, sub: 'user|pat', email: 'Pat@Example.com' });
+      assert.equal((await app.request('GET', '/members/me', { token })).body._id, String(member._id));
+
+      await insertMember(storage, { email: 'linked@example.com', sub: 'user|someone-else' });
+      const other = issuer.token({ scope: READ, sub: 'user|intruder', email: 'linked@example.com' });
+      assert.equal((await app.request('GET', '/members/me', { token: other })).status, 404);
+    });
+
+    test('404 without a linked member; members themselves need circulate', async () => {
+      const token = issuer.token({ scope: READ, sub: 'user|nobody' });
+      assert.equal((await app.request('GET', '/members/me', { token })).status, 404);
+      const member = await insertMember(storage);
+      assert.equal((await app.request('GET', '/members', { token })).status, 403);
+      assert.equal((await app.request('GET', `/members/${member._id}`, { token })).status, 403);
+      const desk = issuer.token({ scope: WRITE });
+      assert.equal((await app.request('GET', `/members/${member._id}/loans`, { token: desk })).status, 200);
+    });
+  });
+
+  test('unknown scopes grant nothing', async () => {
+    const res = await app.request('POST', '/authors', {
+      body: authorInput(),
+      token: issuer.token({ scope: 'openid profile' })
+    });
+    assert.equal(res.status, 403);
+  });
+
+  describe('author-self', () => {
+    let own;
+    let other;
+    let token;
+
+    beforeEach(async () => {
+      own = await insertAuthor(storage, { email: 'self@example.com' });
+      other = await insertAuthor(storage);
+      token = issuer.token({ scope: 'author:self', email: 'Self@Example.com' });
+    });
+
+    test('edits its own author record', async () => {
+      const res = await app.request('PATCH', `/authors/${own._id}`, { body: { nationality: 'Irish' }, type: MERGE, token });
+      assert.equal(res.status, 200);
+      const put = await app.request('PUT', `/authors/${own._id}`, {
+        body: authorInput({ email: 'self@example.com' }),
+        token
+      });
+      assert.equal(put.status, 204);
+    });
+
+    test('cannot edit other authors or create authors', async () => {
+      const res = await app.request('PATCH', `/authors/${other._id}`, { body: { nationality: 'Irish' }, type: MERGE, token });
+      assert.equal(res.status, 403);
+      assert.equal((await app.request('POST', '/authors', { body: authorInput(), token })).status, 403);
+    });
+
+    test('creates and edits its own books only', async () => {
+      const created = await app.request('POST', '/books', { body: bookInput(own._id), token });
+      assert.equal(created.status, 201);
+      const nested = await app.request('POST', `/authors/${own._id}/books`, { body: bookInput(own._id), token });
+      assert.equal(nested.status, 201);
+      const patched = await app.request('PATCH', `/books/${created.body.id}`, { body: { pages: 99 }, type: MERGE, token });
+      assert.equal(patched.status, 200);
+
+      const theirs = await insertBook(storage, other._id);
+      assert.equal((await app.request('PATCH', `/books/${theirs._id}`, { body: { pages: 99 }, type: MERGE, token })).status, 403);
+      assert.equal((await app.request('POST', '/books', { body: bookInput(other._id), token })).status, 403);
+    });
+
+    test('cannot move its book to another author', async () => {
+      const book = await insertBook(storage, own._id);
+      const body = { authors: [{ authorId: String(other._id), role: 'author' }] };
+      const res = await app.request('PATCH', `/books/${book._id}`, { body, type: MERGE, token });
+      assert.equal(res.status, 403);
+      assert.ok((await storage.books.findById(book._id)).authors[0].authorId.equals(own._id));
+    });
+
+    test('can credit a co-author on its own book', async () => {
+      const book = await insertBook(storage, own._id);
+      const authors = [{ authorId: String(own._id), role: 'author' }, { authorId: String(other._id), role: 'translator' }];
+      const res = await app.request('PATCH', `/books/${book._id}`, { body: { authors }, type: MERGE, token });
+      assert.equal(res.status, 200);
+      assert.equal((await storage.books.findById(book._id)).authors.length, 2);
+    });
+
+    test('reads the revisions of its own books only', async () => {
+      const mine = await insertBook(storage, own._id);
+      const theirs = await insertBook(storage, other._id);
+      assert.equal((await app.request('GET', `/books/${mine._id}/revisions`, { token })).status, 200);
+      assert.equal((await app.request('GET', `/books/${theirs._id}/revisions`, { token })).status, 403);
+    });
+
+    test('cannot change a price or run discounts', async () => {
+      const created = await app.request('POST', '/books', { body: bookInput(own._id, { price: usd(1500) }), token });
+      assert.equal(created.status, 201); // a new book comes with its price
+      const path = `/books/${created.body.id}`;
+      const repriced = await app.request('PATCH', path, { body: { price: usd(999) }, type: MERGE, token });
+      assert.equal(repriced.status, 403);
+      assert.match(repriced.body.detail, /"price" permission/);
+      const put = await app.request('PUT', path, { body: bookInput(own._id, { price: usd(999) }), token });
+      assert.equal(put.status, 403);
+      assert.equal((await app.request('PATCH', path, { body: { pages: 99 }, type: MERGE, token })).status, 200);
+
+      const editor = issuer.token({ scope: WRITE });
+      assert.equal((await app.request('PATCH', path, { body: { price: usd(999) }, type: MERGE, token: editor })).status, 200);
+      const reverted = await app.request('POST', `${path}/revisions/2/revert`, { token });
+      assert.equal(reverted.status, 403); // revision 2 has the old price
+      assert.deepEqual((await storage.books.findById(created.body.id)).price, usd(999));
+
+      const discount = {
+        name: 'Mine',
+        percentOff: 50,
+        authorId: String(own._id),
+        startsAt: new Date(),
+        endsAt: new Date(Date.now() + 86400000)
+      };
+      assert.equal((await app.request('POST', '/discounts', { body: discount, token })).status, 403);
+      assert.equal((await app.request('POST', '/discounts', { body: discount, token: editor })).status, 201);
+    });
+
+    test('cannot delete, even its own record', async () => {
+      assert.equal((await app.request('DELETE', `/authors/${own._id}`, { token })).status, 403);
+    });
+
+    test('without an email claim it is read-only', async () => {
+      const anonymous = issuer.token({ scope: 'author:self' });
+      const res = await app.request('PATCH', `/authors/${own._id}`, { body: { nationality: 'Irish' }, type: MERGE, token: anonymous });
+      assert.equal(res.status, 403);
+    });
+  });
+});
+
+describe('auth: secure mode', () => {
+  test('reads stay public', async () => {
+    await insertAuthor(storage);
+    const res = await app.request('GET', '/authors');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.length, 1);
+  });
+
+  // express-oauth2-jwt-bearer reports a missing token as invalid_request (400)
+  test('rejects a write without a token', async () => {
+    const res = await app.request('POST', '/authors', { body: authorInput() });
+    assert.equal(res.status, 400);
+    assert.equal(await storage.authors.count({}), 0);
+  });
+
+  test('accepts a valid token with the write scope', async () => {
+    const res = await app.request('POST', '/authors', { body: authorInput(), token: issuer.token({ scope: WRITE }) });
+    assert.equal(res.status, 201);
+  });
+
+  test('403 when the write scope is missing', async () => {
+    const res = await app.request('POST', '/authors', {
+      body: authorInput(),
+      token: issuer.token({ scope: 'read:library' })
+    });
+    assert.equal(res.status, 403);
+  });
+
+  test('every write route is guarded', async () => {
+    const author = await insertAuthor(storage);
+    const routes = [
+      ['POST', '/books'],
+      ['PUT', `/books/${author._id}`],
+      ['PATCH', `/books/${author._id}`],
+      ['DELETE', `/books/${author._id}`],
+      ['POST', '/books/import'],
+      ['POST', '/authors'],
+      ['PUT', `/authors/${author._id}`],
+      ['PATCH', `/authors/${author._id}`],
+      ['DELETE', `/authors/${author._id}`],
+      ['POST', '/authors/import'],
+      ['POST', `/authors/${author._id}/books`],
+      ['POST', `/books/${author._id}/restore`],
+      ['POST', `/authors/${author._id}/restore`],
+      ['POST', `/books/${author._id}/revisions/1/revert`],
+      ['POST', `/books/${author._id}/copies`],
+      ['PATCH', `/copies/${author._id}`],
+      ['POST', '/loans'],
+      ['POST', `/loans/${author._id}/return`],
+      ['POST', `/loans/${author._id}/renew`],
+      ['POST', `/books/${author._id}/holds`],
+      ['POST', `/holds/${author._id}/cancel`],
+      ['POST', '/members'],
+      ['PUT', `/members/${author._id}`],
+      ['PATCH', `/members/${author._id}`],
+      ['DELETE', `/members/${author._id}`],
+      ['POST', `/members/${author._id}/fines/${author._id}/pay`],
+      ['POST', `/members/${author._id}/fines/${author._id}/waive`],
+      ['POST', '/discounts'],
+      ['PUT', `/discounts/${author._id}`],
+      ['PATCH', `/discounts/${author._id}`]
+    ];
+    for (const [method, path] of routes) {
+      const res = await app.request(method, path, { body: {} });
+      assert.equal(res.status, 400, `${method} ${path}`);
+      const denied = await app.request(method, path, { body: {}, token: issuer.token({ scope: 'read:library' }) });
+      assert.equal(denied.status, 403, `${method} ${path}`);
+    }
+  });
+
+  test('records the token subject on delete', async () => {
+    const author = await insertAuthor(storage);
+    const res = await app.request('DELETE', `/authors/${author._id}`, {
+      token: issuer.token({ scope: ADMIN, sub: 'user|librarian' })
+    });
+    assert.equal(res.status, 204);
+    assert.equal((await storage.authors.findById(author._id)).deletedBy, 'user|librarian');
+  });
+
+  test('purging needs the admin scope', async () => {
+    const author = await insertAuthor(storage, { deletedAt: new Date(), deletedBy: null });
+    for (const path of ['/authors/trash', `/authors/trash/${author._id}`, '/books/trash']) {
+      const res = await app.request('DELETE', path, { token: issuer.token({ scope: WRITE }) });
+      assert.equal(res.status, 403, path);
+    }
+    const res = await app.request('DELETE', `/authors/trash/${author._id}`, {
+      token: issuer.token({ scope: `${WRITE} ${ADMIN}` })
+    });
+    assert.equal(res.status, 204);
+  });
+
+  test('the audit log needs the admin scope and records the actor', async () => {
+    await app.request('POST', '/authors', {
+      body: authorInput(),
+      token: issuer.token({ scope: WRITE, sub: 'user|editor' })
+    });
+    const denied = await app.request('GET', '/audit', { token: issuer.token({ scope: WRITE }) });
+    assert.equal(denied.status, 403);
+    const res = await app.request('GET', '/audit', { token: issuer.token({ scope: ADMIN }) });
+    assert.equal(res.status, 200);
+    assert.equal(res.body[0].actor, 'user|editor');
+  });
+
+  test('book revisions are not public: they need the update permission', async () => {
+    const book = await insertBook(storage, (await insertAuthor(storage))._id);
+    await app.request('PATCH', `/books/${book._id}`, {
+      body: { pages: 99 },
+      type: MERGE,
+      token: issuer.token({ scope: WRITE, sub: 'user|editor' })
+    });
+    const path = `/books/${book._id}/revisions`;
+    assert.equal((await app.request('GET', path)).status, 400); // no token: invalid_request
+    assert.equal((await app.request('GET', path, { token: issuer.token({ scope: 'read:library' }) })).status, 403);
+    const res = await app.request('GET', path, { token: issuer.token({ scope: WRITE }) });
+    assert.equal(res.status, 200);
+    assert.equal(res.body[0].actor, 'user|editor');
+  });
+
+  test('401 for a token signed by another key', async () => {
+    const token = issuer.token({ scope: WRITE }, { key: issuer.otherKey });
+    const res = await app.request('POST', '/authors', { body: authorInput(), token });
+    assert.equal(res.status, 401);
+  });
+
+  test('401 for the wrong audience', async () => {
+    const token = issuer.token({ scope: WRITE, aud: 'https://someone-else.test' });
+    const res = await app.request('POST', '/authors', { body: authorInput(), token });
+    assert.equal(res.status, 401);
+  });
+
+  test('401 for the wrong issuer', async () => {
+    const token = issuer.token({ scope: WRITE, iss: 'https://evil.test/' });
+    const res = await app.request('POST', '/authors', { body: authorInput(), token });
+    assert.equal(res.status, 401);
+  });
+
+  test('401 for an expired token', async () => {
+    const past = Math.floor(Date.now() / 1000) - 3600;
+    const token = issuer.token({ scope: WRITE, iat: past - 60, exp: past });
+    const res = await app.request('POST', '/authors', { body: authorInput(), token });
+    assert.equal(res.status, 401);
+    // The library's message and challenge reach the client as a problem document
+    assert.match(res.headers.get('content-type'), /^application\/problem\+json/);
+    assert.equal(res.body.type, '/problems/unauthorized');
+    assert.equal(res.body.code, 'invalid_token');
+    assert.match(res.body.detail, /exp/);
+    assert.match(res.headers.get('www-authenticate'), /error="invalid_token"/);
+  });
+
+  test('401 for a tampered payload', async () => {
+    const [header, , signature] = issuer.token({ scope: 'read:library' }).split('.');
+    const forged = Buffer.from(JSON.stringify({ iss: issuer.issuer, aud: AUDIENCE, scope: WRITE })).toString('base64url');
+    const res = await app.request('POST', '/authors', { body: authorInput(), token: `${header}.${forged}.${signature}` });
+    assert.equal(res.status, 401);
+  });
+});
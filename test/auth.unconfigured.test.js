@@ -0,0 +1,33 @@
+// test/auth.unconfigured.test.js
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { authorInput, startApp, useMemoryStorage } from './helpers.js';
+
+const AUTH_ENV = ['AUTH_DISABLE', 'AUTH0_AUDIENCE', 'AUTH0_ISSUER_BASE_URL', 'AUTH0_DOMAIN', 'NODE_ENV'];
+
+let app;
+
+before(async () => {
+  for (const key of AUTH_ENV) delete process.env[key];
+  app = await startApp();
+});
+
+after(() => app.close());
+
+describe('auth: unconfigured mode (development)', () => {
+  test('writes are allowed without a token', async () => {
+    useMemoryStorage();
+    const res = await app.request('POST', '/authors', { body: authorInput() });
+    assert.equal(res.status, 201);
+  });
+
+  test('refuses to load in production without configuration', async () => {
+    process.env.NODE_ENV = 'production';
+    try {
+      // A distinct specifier gives a fresh module instance that re-reads the env
+      await assert.rejects(import('../middleware/auth.js?production'), /Missing Auth0 configuration in production/);
+    } finally {
+      delete process.env.NODE_ENV;
+    }
+  });
+});
@@ -0,0 +1,381 @@
+// test/authors.test.js
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ObjectId } from 'mongodb';
+import { authorInput, bookInput, insertAuthor, insertBook, startApp, useMemoryStorage } from './helpers.js';
+
+process.env.AUTH_DISABLE = 'true'; // auth itself is covered in auth.*.test.js
+
+let app;
+let storage;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  storage = useMemoryStorage();
+});
+
+const missingId = new ObjectId().toString();
+
+describe('GET /authors', () => {
+  test('lists authors filtered by nationality', async () => {
+    await insertAuthor(storage, { nationality: 'Irish' });
+    await insertAuthor(storage, { nationality: 'French' });
+    const res = await app.request('GET', '/authors?nationality=Irish');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.length, 1);
+    assert.equal(res.headers.get('x-total-count'), '1');
+  });
+
+  test('400 on an out-of-range limit', async () => {
+    const res = await app.request('GET', '/authors?limit=1000');
+    assert.equal(res.status, 400);
+  });
+});
+
+describe('GET /authors/:id', () => {
+  test('returns the author with an ETag and honours If-None-Match', async () => {
+    const author = await insertAuthor(storage);
+    const res = await app.request('GET', `/authors/${author._id}`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.email, author.email);
+    const cached = await app.request('GET', `/authors/${author._id}`, {
+      headers: { 'If-None-Match': res.headers.get('etag') }
+    });
+    assert.equal(cached.status, 304);
+  });
+
+  test('400 on a malformed id', async () => {
+    const res = await app.request('GET', '/authors/xyz');
+    assert.equal(res.status, 400);
+  });
+
+  test('404 when the author does not exist', async () => {
+    const res = await app.request('GET', `/authors/${missingId}`);
+    assert.equal(res.status, 404);
+  });
+});
+
+describe('POST /authors', () => {
+  test('creates an author with a normalized email', async () => {
+    const res = await app.request('POST', '/authors', { body: authorInput({ email: 'MIXED@Example.com' }) });
+    assert.equal(res.status, 201);
+    assert.equal(res.headers.get('location'), `/authors/${res.body.id}`);
+    const stored = await storage.authors.findById(new ObjectId(res.body.id));
+    assert.equal(stored.email, 'mixed@example.com');
+    assert.ok(stored.birthdate instanceof Date);
+  });
+
+  test('400 on a future birthdate', async () => {
+    const res = await app.request('POST', '/authors', { body: authorInput({ birthdate: '2999-01-01' }) });
+    assert.equal(res.status, 400);
+    assert.ok(res.body.errors.some((e) => e.field === 'birthdate'));
+  });
+
+  test('415 when the body is not JSON', async () => {
+    const res = await app.request('POST', '/authors', { body: 'name=x', type: 'application/x-www-form-urlencoded' });
+    assert.equal(res.status, 415);
+  });
+});
+
+describe('PUT /authors/:id', () => {
+  test('replaces the author', async () => {
+    const author = await insertAuthor(storage);
+    const res = await app.request('PUT', `/authors/${author._id}`, {
+      body: authorInput({ lastName: 'Byron' }),
+      headers: { 'If-Match': `"${author._id}-v1"` }
+    });
+    assert.equal(res.status, 204);
+    assert.equal((await storage.authors.findById(author._id)).lastName, 'Byron');
+  });
+
+  test('400 on an invalid body', async () => {
+    const author = await insertAuthor(storage);
+    const res = await app.request('PUT', `/authors/${author._id}`, { body: authorInput({ email: 'nope' }) });
+    assert.equal(res.status, 400);
+  });
+
+  test('404 when the author does not exist', async () => {
+    const res = await app.request('PUT', `/authors/${missingId}`, { body: authorInput() });
+    assert.equal(res.status, 404);
+  });
+
+  test('412 on a stale If-Match', async () => {
+    const author = await insertAuthor(storage);
+    const res = await app.request('PUT', `/authors/${author._id}`, {
+      body: authorInput(),
+      headers: { 'If-Match': `"${author._id}-v7"` }
+    });
+    assert.equal(res.status, 412);
+  });
+
+  test('415 when the body is not JSON', async () => {
+    const author = await insertAuthor(storage);
+    const res = await app.request('PUT', `/authors/${author._id}`, { body: 'x', type: 'text/plain' });
+    assert.equal(res.status, 415);
+  });
+});
+
+describe('PATCH /authors/:id', () => {
+  test('applies a merge patch and keeps birthdate a Date', async () => {
+    const author = await insertAuthor(storage);
+    const res = await app.request('PATCH', `/authors/${author._id}`, {
+      body: { birthdate: '1816-01-01', website: 'https://example.com/ada' },
+      type: 'application/merge-patch+json'
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.version, 2);
+    const stored = await storage.authors.findById(author._id);
+    assert.equal(stored.birthdate.toISOString().slice(0, 10), '1816-01-01');
+  });
+
+  test('400 when the patched document is invalid', async () => {
+    const author = await insertAuthor(storage);
+    const res = await app.request('PATCH', `/authors/${author._id}`, {
+      body: [{ op: 'remove', path: '/email' }],
+      type: 'application/json-patch+json'
+    });
+    assert.equal(res.status, 400);
+  });
+
+  test('404 when the author does not exist', async () => {
+    const res = await app.request('PATCH', `/authors/${missingId}`, {
+      body: { nationality: 'Welsh' },
+      type: 'application/merge-patch+json'
+    });
+    assert.equal(res.status, 404);
+  });
+
+  test('415 for plain JSON', async () => {
+    const author = await insertAuthor(storage);
+    const res = await app.request('PATCH', `/authors/${author._id}`, { body: { nationality: 'Welsh' } });
+    assert.equal(res.status, 415);
+  });
+});
+
+describe('DELETE /authors/:id', () => {
+  test('moves an author without books to the trash', async () => {
+    const author = await insertAuthor(storage);
+    const res = await app.request('DELETE', `/authors/${author._id}`);
+    assert.equal(res.status, 204);
+    assert.ok((await storage.authors.findById(author._id)).deletedAt instanceof Date);
+    assert.equal((await app.request('GET', `/authors/${author._id}`)).status, 404);
+    assert.equal((await app.request('GET', `/authors/${author._id}/books`)).status, 404);
+  });
+
+  test('restrict ignores books already in the trash', async () => {
+    const author = await insertAuthor(storage);
+    await insertBook(storage, author._id, { deletedAt: new Date(), deletedBy: null });
+    const res = await app.request('DELETE', `/authors/${author._id}`);
+    assert.equal(res.status, 204);
+  });
+
+  test('409 under the restrict policy while books reference the author', async () => {
+    const author = await insertAuthor(storage);
+    await insertBook(storage, author._id);
+    const res = await app.request('DELETE', `/authors/${author._id}`);
+    assert.equal(res.status, 409);
+    assert.equal(res.body.books, 1);
+  });
+
+  test('cascade moves the books to the trash too', async () => {
+    const author = await insertAuthor(storage);
+    const book = await insertBook(storage, author._id);
+    const res = await app.request('DELETE', `/authors/${author._id}?onDelete=cascade`);
+    assert.equal(res.status, 204);
+    assert.ok((await storage.books.findById(book._id)).deletedAt instanceof Date);
+    const trash = await app.request('GET', '/books/trash');
+    assert.equal(trash.body.length, 1);
+  });
+
+  test('cascade only drops the credit from co-credited books', async () => {
+    const author = await insertAuthor(storage);
+    const coAuthor = await insertAuthor(storage);
+    const credits = [{ authorId: author._id, role: 'author' }, { authorId: coAuthor._id, role: 'illustrator' }];
+    const shared = await insertBook(storage, author._id, { authors: credits });
+    const res = await app.request('DELETE', `/authors/${author._id}?onDelete=cascade`);
+    assert.equal(res.status, 204);
+    const stored = await storage.books.findById(shared._id);
+    assert.equal(stored.deletedAt, undefined);
+    assert.deepEqual(stored.authors.map((c) => String(c.authorId)), [String(coAuthor._id)]);
+  });
+
+  test('nullify keeps the books and drops the credit', async () => {
+    const author = await insertAuthor(storage);
+    const book = await insertBook(storage, author._id);
+    const res = await app.request('DELETE', `/authors/${author._id}?onDelete=nullify`);
+    assert.equal(res.status, 204);
+    const stored = await storage.books.findById(book._id);
+    assert.deepEqual(stored.authors, []);
+    assert.equal(stored.version, 2);
+  });
+
+  test('400 on an unknown policy', async () => {
+    const author = await insertAuthor(storage);
+    const res = await app.request('DELETE', `/authors/${author._id}?onDelete=orphan`);
+    assert.equal(res.status, 400);
+  });
+
+  test('404 when the author does not exist', async () => {
+    const res = await app.request('DELETE', `/authors/${missingId}`);
+    assert.equal(res.status, 404);
+  });
+});
+
+describe('authors trash', () => {
+  test('lists, restores and purges trashed authors', async () => {
+    const author = await insertAuthor(storage);
+    await insertAuthor(storage);
+    await app.request('DELETE', `/authors/${author._id}`);
+
+    const trash = await app.request('GET', '/authors/trash');
+    assert.equal(trash.status, 200);
+    assert.deepEqual(trash.body.map((a) => a._id), [author._id.toString()]);
+    assert.equal((await app.request('GET', '/authors')).body.length, 1);
+
+    const restored = await app.request('POST', `/authors/${author._id}/restore`);
+    assert.equal(restored.status, 200);
+    assert.equal((await app.request('GET', `/authors/${author._id}`)).status, 200);
+
+    await app.request('DELETE', `/authors/${author._id}`);
+    assert.equal((await app.request('DELETE', `/authors/trash/${author._id}`)).status, 204);
+    assert.equal(await storage.authors.findById(author._id), null);
+  });
+
+  test('restore 404 when the author is not in the trash', async () => {
+    const author = await insertAuthor(storage);
+    const res = await app.request('POST', `/authors/${author._id}/restore`);
+    assert.equal(res.status, 404);
+  });
+
+  test('restore 412 on a stale If-Match', async () => {
+    const author = await insertAuthor(storage);
+    await app.request('DELETE', `/authors/${author._id}`);
+    const res = await app.request('POST', `/authors/${author._id}/restore`, {
+      headers: { 'If-Match': `"${author._id}-v1"` }
+    });
+    assert.equal(res.status, 412);
+  });
+
+  test('retention purge keeps recent items', async () => {
+    const old = await insertAuthor(storage);
+    await storage.authors.updateMany({ _id: old._id }, { $set: { deletedAt: new Date('2001-01-01') } });
+    const recent = await insertAuthor(storage);
+    await app.request('DELETE', `/authors/${recent._id}`);
+    const res = await app.request('DELETE', '/authors/trash');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.purged, 1);
+    assert.ok(await storage.authors.findById(recent._id));
+  });
+});
+
+describe('/authors/:id/books', () => {
+  test('GET lists only that author’s books', async () => {
+    const author = await insertAuthor(storage);
+    const other = await insertAuthor(storage);
+    await insertBook(storage, author._id);
+    await insertBook(storage, other._id);
+    const res = await app.request('GET', `/authors/${author._id}/books?authorId=${other._id}`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.length, 1);
+    assert.equal(res.body[0].authors[0].authorId, author._id.toString());
+  });
+
+  test('GET 400 on an invalid query', async () => {
+    const author = await insertAuthor(storage);
+    const res = await app.request('GET', `/authors/${author._id}/books?inStock=yes`);
+    assert.equal(res.status, 400);
+  });
+
+  test('GET 404 for an unknown author', async () => {
+    const res = await app.request('GET', `/authors/${missingId}/books`);
+    assert.equal(res.status, 404);
+  });
+
+  test('POST creates a book for the author from the path', async () => {
+    const author = await insertAuthor(storage);
+    const { authors: _omit, ...body } = bookInput(missingId);
+    const res = await app.request('POST', `/authors/${author._id}/books`, { body });
+    assert.equal(res.status, 201);
+    const stored = await storage.books.findById(new ObjectId(res.body.id));
+    assert.equal(stored.authors.length, 1);
+    assert.ok(stored.authors[0].authorId.equals(author._id));
+    assert.equal(stored.authors[0].role, 'author');
+  });
+
+  test('POST keeps the path author’s own credit, however its id is spelled', async () => {
+    const author = await insertAuthor(storage);
+    const authors = [{ authorId: author._id.toString().toUpperCase(), role: 'editor' }];
+    const res = await app.request('POST', `/authors/${author._id}/books`, { body: { ...bookInput(author._id), authors } });
+    assert.equal(res.status, 201);
+    const stored = await storage.books.findById(new ObjectId(res.body.id));
+    assert.deepEqual(stored.authors.map((c) => c.role), ['editor']);
+  });
+
+  test('POST 400 on an invalid body', async () => {
+    const author = await insertAuthor(storage);
+    const res = await app.request('POST', `/authors/${author._id}/books`, { body: { title: 'x' } });
+    assert.equal(res.status, 400);
+  });
+
+  test('POST 404 for an unknown author', async () => {
+    const res = await app.request('POST', `/authors/${missingId}/books`, { body: bookInput(missingId) });
+    assert.equal(res.status, 404);
+  });
+
+  test('POST 415 when the body is not JSON', async () => {
+    const author = await insertAuthor(storage);
+    const res = await app.request('POST', `/authors/${author._id}/books`, { body: 'x', type: 'text/plain' });
+    assert.equal(res.status, 415);
+  });
+});
+
+describe('POST /authors/import', () => {
+  test('imports CSV and upserts by email', async () => {
+    const existing = await insertAuthor(storage, { nationality: 'British' });
+    const body =
+      'firstName,lastName,email,birthdate,nationality\n' +
+      `Ada,Lovelace,${existing.email},1815-12-10,English\n` +
+      'Mary,Shelley,mary@example.com,1797-08-30,British\n';
+    const res = await app.request('POST', '/authors/import?upsert=true', { body, type: 'text/csv' });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.results.map((r) => r.status), ['updated', 'created']);
+    assert.equal((await storage.authors.findById(existing._id)).nationality, 'English');
+  });
+
+  test('reports duplicate keys per row', async () => {
+    const existing = await insertAuthor(storage);
+    const res = await app.request('POST', '/authors/import', { body: [authorInput({ email: existing.email })] });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.results[0].status, 'failed');
+    assert.equal(res.body.results[0].error, 'Duplicate key');
+  });
+
+  test('400 on malformed NDJSON', async () => {
+    const res = await app.request('POST', '/authors/import', { body: '{"a":1}\n{oops', type: 'application/x-ndjson' });
+    assert.equal(res.status, 400);
+  });
+
+  test('415 on an unsupported media type', async () => {
+    const res = await app.request('POST', '/authors/import', { body: 'x', type: 'text/plain' });
+    assert.equal(res.status, 415);
+  });
+});
+
+describe('GET /authors/export', () => {
+  test('streams CSV with birthdates as dates', async () => {
+    await insertAuthor(storage, { birthdate: '1900-02-03' });
+    const res = await app.request('GET', '/authors/export?format=csv');
+    assert.equal(res.status, 200);
+    assert.match(res.body, /1900-02-03/);
+  });
+
+  test('400 on an unsupported sort field', async () => {
+    const res = await app.request('GET', '/authors/export?sort=password');
+    assert.equal(res.status, 400);
+  });
+});
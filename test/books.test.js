@@ -0,0 +1,728 @@
+// test/books.test.js
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ObjectId } from 'mongodb';
+import { bookInput, insertAuthor, insertBook, startApp, useMemoryStorage, usd } from './helpers.js';
+import { normalizeIsbn } from '../lib/isbn.js';
+
+process.env.AUTH_DISABLE = 'true'; // auth itself is covered in auth.*.test.js
+
+let app;
+let storage;
+let author;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app.close());
+
+beforeEach(async () => {
+  storage = useMemoryStorage();
+  author = await insertAuthor(storage);
+});
+
+const missingId = new ObjectId().toString();
+
+describe('GET /books', () => {
+  test('lists books with paging headers', async () => {
+    for (let i = 0; i < 3; i++) await insertBook(storage, author._id);
+    const res = await app.request('GET', '/books?limit=2');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.length, 2);
+    assert.equal(res.headers.get('x-total-count'), '3');
+    assert.match(res.headers.get('link'), /rel="next"/);
+    assert.match(res.headers.get('link'), /rel="last"/);
+  });
+
+  test('filters by genre, price range and stock', async () => {
+    await insertBook(storage, author._id, { genres: ['Poetry'], price: usd(500), inStock: true });
+    await insertBook(storage, author._id, { genres: ['Poetry'], price: usd(5000), inStock: true });
+    await insertBook(storage, author._id, { genres: ['Drama'], price: usd(500), inStock: false });
+    await insertBook(storage, author._id, { genres: ['Drama'], price: usd(500), inStock: true });
+    const res = await app.request('GET', '/books?genre=Poetry&maxPrice=10&inStock=true');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.length, 1);
+    assert.deepEqual(res.body[0].price, usd(500));
+  });
+
+  test('sorts and pages with an `after` cursor', async () => {
+    for (const amount of [3000, 1000, 2000]) await insertBook(storage, author._id, { price: usd(amount) });
+    const first = await app.request('GET', '/books?sort=price&limit=2');
+    assert.deepEqual(first.body.map((b) => b.price.amount), [1000, 2000]);
+    const next = await app.request('GET', `/books?sort=price&limit=2&after=${first.body[1]._id}`);
+    assert.equal(next.status, 200);
+    assert.deepEqual(next.body.map((b) => b.price.amount), [3000]);
+  });
+
+  test('pages past books without the sort field, both ways', async () => {
+    const seriesId = new ObjectId();
+    const loose = [await insertBook(storage, author._id), await insertBook(storage, author._id)];
+    const placed = [];
+    for (const seriesPosition of [1, 2]) placed.push(await insertBook(storage, author._id, { seriesId, seriesPosition }));
+    const ids = (docs) => docs.map((b) => String(b._id));
+    for (const [sort, expected] of [
+      ['seriesPosition', [...ids(loose).sort(), ...ids(placed)]],
+      ['-seriesPosition', [...ids(placed).reverse(), ...ids(loose).sort()]]
+    ]) {
+      const seen = [];
+      let after = '';
+      for (let page = 0; page < 5 && seen.length < 4; page++) {
+        const res = await app.request('GET', `/books?sort=${sort}&limit=1${after}`);
+        assert.equal(res.status, 200);
+        seen.push(...ids(res.body));
+        after = `&after=${res.body.at(-1)._id}`;
+      }
+      assert.deepEqual(seen, expected, sort);
+    }
+  });
+
+  test('embeds the credited authors with expand=authors', async () => {
+    await insertBook(storage, author._id);
+    const res = await app.request('GET', '/books?expand=authors');
+    assert.equal(res.status, 200);
+    assert.equal(res.body[0].authors[0].author._id, author._id.toString());
+    assert.equal(res.body[0].authors[0].role, 'author');
+  });
+
+  test('still accepts the old expand=author', async () => {
+    const book = await insertBook(storage, author._id);
+    for (const path of ['/books?expand=author', `/books/${book._id}?expand=author`]) {
+      const res = await app.request('GET', path);
+      assert.equal(res.status, 200, path);
+      const [credit] = (Array.isArray(res.body) ? res.body[0] : res.body).authors;
+      assert.equal(credit.author._id, author._id.toString());
+    }
+  });
+
+  test('400 on an unsupported sort field', async () => {
+    const res = await app.request('GET', '/books?sort=secret');
+    assert.equal(res.status, 400);
+    assert.equal(res.body.title, 'Validation error');
+  });
+
+  test('400 on an inverted price range', async () => {
+    const res = await app.request('GET', '/books?minPrice=20&maxPrice=10');
+    assert.equal(res.status, 400);
+  });
+
+  test('400 when the `after` cursor does not exist', async () => {
+    const res = await app.request('GET', `/books?after=${missingId}`);
+    assert.equal(res.status, 400);
+  });
+});
+
+describe('GET /books/orphans', () => {
+  test('lists books whose author is missing', async () => {
+    await insertBook(storage, author._id);
+    const orphan = await insertBook(storage, new ObjectId());
+    const res = await app.request('GET', '/books/orphans');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.count, 1);
+    assert.equal(res.body.books[0]._id, orphan._id.toString());
+  });
+
+  test('lists books with no credits or a missing co-author', async () => {
+    await insertBook(storage, author._id, { authors: [] });
+    const credits = [{ authorId: author._id, role: 'author' }, { authorId: new ObjectId(), role: 'translator' }];
+    await insertBook(storage, author._id, { authors: credits });
+    const res = await app.request('GET', '/books/orphans');
+    assert.equal(res.body.count, 2);
+  });
+});
+
+describe('GET /books/:id', () => {
+  test('returns the book with an ETag and honours If-None-Match', async () => {
+    const book = await insertBook(storage, author._id);
+    const res = await app.request('GET', `/books/${book._id}`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.title, book.title);
+    const etag = res.headers.get('etag');
+    assert.equal(etag, `"${book._id}-v1"`);
+    const cached = await app.request('GET', `/books/${book._id}`, { headers: { 'If-None-Match': etag } });
+    assert.equal(cached.status, 304);
+  });
+
+  test('embeds the credited authors with expand=authors', async () => {
+    const book = await insertBook(storage, author._id);
+    const res = await app.request('GET', `/books/${book._id}?expand=authors`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.authors[0].author.email, author.email);
+    assert.doesNotMatch(res.headers.get('etag') ?? '', /-v\d+"$/); // no version ETag when expanded
+  });
+
+  test('400 on a malformed id', async () => {
+    const res = await app.request('GET', '/books/not-an-id');
+    assert.equal(res.status, 400);
+    assert.equal(res.body.type, '/problems/invalid-id');
+  });
+
+  test('400 on an unknown expand value', async () => {
+    const book = await insertBook(storage, author._id);
+    const res = await app.request('GET', `/books/${book._id}?expand=publisher`);
+    assert.equal(res.status, 400);
+  });
+
+  test('404 when the book does not exist', async () => {
+    const res = await app.request('GET', `/books/${missingId}`);
+    assert.equal(res.status, 404);
+  });
+});
+
+describe('ISBNs', () => {
+  test('checksums are validated; ISBN-10s are stored as ISBN-13', async () => {
+    const bad = await app.request('POST', '/books', { body: bookInput(author._id, { isbn: '9780201616225' }) });
+    assert.equal(bad.status, 400);
+    assert.deepEqual(bad.body.errors.map((e) => [e.field, e.message]), [['isbn', 'Invalid ISBN-13 check digit']]);
+    assert.equal((await app.request('POST', '/books', { body: bookInput(author._id, { isbn: '020161622' }) })).status, 400);
+
+    const res = await app.request('POST', '/books', { body: bookInput(author._id, { isbn: '0-201-61622-X' }) });
+    assert.equal(res.status, 201);
+    assert.equal((await storage.books.findById(new ObjectId(res.body.id))).isbn, '9780201616224');
+  });
+
+  test('normalizeIsbn', () => {
+    assert.deepEqual(normalizeIsbn('978-0-547-92822-7'), { isbn: '9780547928227' });
+    assert.deepEqual(normalizeIsbn('0 201 61622 x'), { isbn: '9780201616224' });
+    assert.deepEqual(normalizeIsbn('9790000000001'), { isbn: '9790000000001' });
+    assert.ok(normalizeIsbn('0201616224').error);
+    assert.ok(normalizeIsbn('9770201616224').error);
+    assert.ok(normalizeIsbn('97802016162').error);
+  });
+
+  test('a duplicate links to the book that has the ISBN, in either form', async () => {
+    const book = await insertBook(storage, author._id, { isbn: '9780201616224' });
+    const res = await app.request('POST', '/books', { body: bookInput(author._id, { isbn: '0-201-61622-X' }) });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.type, '/problems/duplicate-key');
+    assert.deepEqual(res.body.errors.map((e) => e.field), ['isbn']);
+    assert.deepEqual(res.body.existing, { id: String(book._id), href: `/books/${book._id}` });
+    assert.equal(res.headers.get('link'), `</books/${book._id}>; rel="duplicate"`);
+
+    const other = await insertBook(storage, author._id);
+    const patched = await app.request('PATCH', `/books/${other._id}`, {
+      body: { isbn: '978-0-201-61622-4' },
+      type: 'application/merge-patch+json'
+    });
+    assert.equal(patched.status, 409);
+    assert.equal(patched.body.existing.id, String(book._id));
+
+    const nested = await app.request('POST', `/authors/${author._id}/books`, { body: bookInput(author._id, { isbn: book.isbn }) });
+    assert.equal(nested.status, 409);
+    assert.equal(nested.body.existing.id, String(book._id));
+  });
+
+  test('a trashed duplicate is named but not linked', async () => {
+    const book = await insertBook(storage, author._id);
+    await app.request('DELETE', `/books/${book._id}`);
+    const res = await app.request('POST', '/books', { body: bookInput(author._id, { isbn: book.isbn }) });
+    assert.equal(res.status, 409);
+    assert.deepEqual(res.body.existing, { id: String(book._id), trashed: true });
+    assert.equal(res.headers.get('link'), null);
+  });
+
+  test('GET /books/isbn/:isbn finds a book by either form', async () => {
+    const book = await insertBook(storage, author._id, { isbn: '9780201616224' });
+    for (const isbn of ['9780201616224', '978-0-201-61622-4', '020161622X']) {
+      const res = await app.request('GET', `/books/isbn/${isbn}`);
+      assert.equal(res.status, 200, isbn);
+      assert.equal(res.body._id, String(book._id));
+      assert.equal(res.headers.get('etag'), `"${book._id}-v1"`);
+    }
+    const expanded = await app.request('GET', '/books/isbn/9780201616224?expand=authors');
+    assert.equal(expanded.body.authors[0].author.email, author.email);
+
+    assert.equal((await app.request('GET', '/books/isbn/9780547928227')).status, 404);
+    const invalid = await app.request('GET', '/books/isbn/12345');
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.errors[0].field, 'isbn');
+
+    await app.request('DELETE', `/books/${book._id}`);
+    assert.equal((await app.request('GET', '/books/isbn/9780201616224')).status, 404);
+  });
+});
+
+describe('POST /books', () => {
+  test('creates a book', async () => {
+    const res = await app.request('POST', '/books', { body: bookInput(author._id) });
+    assert.equal(res.status, 201);
+    assert.equal(res.headers.get('location'), `/books/${res.body.id}`);
+    assert.equal(res.headers.get('etag'), `"${res.body.id}-v1"`);
+    const stored = await storage.books.findById(new ObjectId(res.body.id));
+    assert.ok(stored.authors[0].authorId instanceof ObjectId);
+    assert.equal(stored.version, 1);
+  });
+
+  test('400 on an invalid body', async () => {
+    const res = await app.request('POST', '/books', { body: bookInput(author._id, { pages: -1 }) });
+    assert.equal(res.status, 400);
+    assert.ok(res.body.errors.some((e) => e.field === 'pages'));
+  });
+
+  test('400 on malformed JSON', async () => {
+    const res = await app.request('POST', '/books', { body: '{"title":' });
+    assert.equal(res.status, 400);
+  });
+
+  test('415 when the body is not JSON', async () => {
+    const res = await app.request('POST', '/books', { body: 'title=x', type: 'text/plain' });
+    assert.equal(res.status, 415);
+  });
+
+  test('credits several authors in different roles', async () => {
+    const translator = await insertAuthor(storage);
+    const authors = [
+      { authorId: String(author._id) },
+      { authorId: String(translator._id), role: 'translator' }
+    ];
+    const res = await app.request('POST', '/books', { body: bookInput(author._id, { authors }) });
+    assert.equal(res.status, 201);
+    const stored = await storage.books.findById(new ObjectId(res.body.id));
+    assert.deepEqual(stored.authors.map((c) => c.role), ['author', 'translator']);
+    const byTranslator = await app.request('GET', `/books?authorId=${translator._id}`);
+    assert.equal(byTranslator.body.length, 1);
+  });
+
+  test('400 on no authors or the same credit twice', async () => {
+    const credit = { authorId: String(author._id), role: 'author' };
+    for (const authors of [[], [credit, credit]]) {
+      const res = await app.request('POST', '/books', { body: bookInput(author._id, { authors }) });
+      assert.equal(res.status, 400);
+      assert.ok(res.body.errors.some((e) => e.field.startsWith('authors')));
+    }
+  });
+
+  test('400 on a series position without a series', async () => {
+    const res = await app.request('POST', '/books', { body: bookInput(author._id, { seriesPosition: 1 }) });
+    assert.equal(res.status, 400);
+  });
+
+  test('422 when the author does not exist', async () => {
+    const res = await app.request('POST', '/books', { body: bookInput(missingId) });
+    assert.equal(res.status, 422);
+    assert.ok(res.body.errors.some((e) => e.field === 'authors.0.authorId'));
+  });
+});
+
+describe('PUT /books/:id', () => {
+  test('replaces the book and bumps the version', async () => {
+    const book = await insertBook(storage, author._id);
+    const res = await app.request('PUT', `/books/${book._id}`, {
+      body: bookInput(author._id, { title: 'Replaced' }),
+      headers: { 'If-Match': `"${book._id}-v1"` }
+    });
+    assert.equal(res.status, 204);
+    assert.equal(res.headers.get('etag'), `"${book._id}-v2"`);
+    assert.equal((await storage.books.findById(book._id)).title, 'Replaced');
+  });
+
+  test('400 on an invalid body', async () => {
+    const book = await insertBook(storage, author._id);
+    const res = await app.request('PUT', `/books/${book._id}`, { body: { title: 'Only a title' } });
+    assert.equal(res.status, 400);
+  });
+
+  test('400 on a malformed id', async () => {
+    const res = await app.request('PUT', '/books/123', { body: bookInput(author._id) });
+    assert.equal(res.status, 400);
+  });
+
+  test('404 when the book does not exist', async () => {
+    const res = await app.request('PUT', `/books/${missingId}`, { body: bookInput(author._id) });
+    assert.equal(res.status, 404);
+  });
+
+  test('412 on a stale If-Match', async () => {
+    const book = await insertBook(storage, author._id);
+    const res = await app.request('PUT', `/books/${book._id}`, {
+      body: bookInput(author._id),
+      headers: { 'If-Match': `"${book._id}-v0"` }
+    });
+    assert.equal(res.status, 412);
+  });
+
+  test('415 when the body is not JSON', async () => {
+    const book = await insertBook(storage, author._id);
+    const res = await app.request('PUT', `/books/${book._id}`, { body: 'x', type: 'text/plain' });
+    assert.equal(res.status, 415);
+  });
+
+  test('422 when the author does not exist', async () => {
+    const book = await insertBook(storage, author._id);
+    const res = await app.request('PUT', `/books/${book._id}`, { body: bookInput(missingId) });
+    assert.equal(res.status, 422);
+  });
+});
+
+describe('PATCH /books/:id', () => {
+  test('applies a merge patch', async () => {
+    const book = await insertBook(storage, author._id);
+    const res = await app.request('PATCH', `/books/${book._id}`, {
+      body: { price: { amount: 999 } },
+      type: 'application/merge-patch+json'
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.price, usd(999));
+    assert.equal(res.body.version, 2);
+  });
+
+  test('applies a JSON patch', async () => {
+    const book = await insertBook(storage, author._id);
+    const res = await app.request('PATCH', `/books/${book._id}`, {
+      body: [{ op: 'add', path: '/genres/-', value: 'Classic' }],
+      type: 'application/json-patch+json'
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.genres, ['Fiction', 'Classic']);
+  });
+
+  test('400 when the patched document is invalid', async () => {
+    const book = await insertBook(storage, author._id);
+    const res = await app.request('PATCH', `/books/${book._id}`, {
+      body: { pages: 0 },
+      type: 'application/merge-patch+json'
+    });
+    assert.equal(res.status, 400);
+  });
+
+  test('400 on a malformed JSON patch', async () => {
+    const book = await insertBook(storage, author._id);
+    const res = await app.request('PATCH', `/books/${book._id}`, {
+      body: [{ op: 'explode', path: '/title' }],
+      type: 'application/json-patch+json'
+    });
+    assert.equal(res.status, 400);
+  });
+
+  test('404 when the book does not exist', async () => {
+    const res = await app.request('PATCH', `/books/${missingId}`, {
+      body: { price: usd(100) },
+      type: 'application/merge-patch+json'
+    });
+    assert.equal(res.status, 404);
+  });
+
+  test('409 when a test operation fails', async () => {
+    const book = await insertBook(storage, author._id);
+    const res = await app.request('PATCH', `/books/${book._id}`, {
+      body: [{ op: 'test', path: '/title', value: 'Something else' }],
+      type: 'application/json-patch+json'
+    });
+    assert.equal(res.status, 409);
+  });
+
+  test('415 for plain JSON', async () => {
+    const book = await insertBook(storage, author._id);
+    const res = await app.request('PATCH', `/books/${book._id}`, { body: { price: usd(100) } });
+    assert.equal(res.status, 415);
+    assert.match(res.headers.get('accept-patch'), /merge-patch/);
+  });
+
+  test('422 when a JSON patch path does not exist', async () => {
+    const book = await insertBook(storage, author._id);
+    const res = await app.request('PATCH', `/books/${book._id}`, {
+      body: [{ op: 'replace', path: '/nope/deeper', value: 1 }],
+      type: 'application/json-patch+json'
+    });
+    assert.equal(res.status, 422);
+  });
+});
+
+describe('DELETE /books/:id', () => {
+  test('moves the book to the trash', async () => {
+    const book = await insertBook(storage, author._id);
+    const res = await app.request('DELETE', `/books/${book._id}`);
+    assert.equal(res.status, 204);
+    const stored = await storage.books.findById(book._id);
+    assert.ok(stored.deletedAt instanceof Date);
+    assert.equal(stored.deletedBy, null);
+    assert.equal(stored.version, 2);
+  });
+
+  test('hides trashed books from reads and writes', async () => {
+    const book = await insertBook(storage, author._id);
+    await insertBook(storage, author._id);
+    await app.request('DELETE', `/books/${book._id}`);
+    assert.equal((await app.request('GET', `/books/${book._id}`)).status, 404);
+    assert.equal((await app.request('GET', `/books/${book._id}?expand=authors`)).status, 404);
+    assert.equal((await app.request('PUT', `/books/${book._id}`, { body: bookInput(author._id) })).status, 404);
+    assert.equal((await app.request('DELETE', `/books/${book._id}`)).status, 404);
+    const list = await app.request('GET', '/books');
+    assert.equal(list.body.length, 1);
+    assert.equal(list.headers.get('x-total-count'), '1');
+    const exported = await app.request('GET', '/books/export');
+    assert.equal(exported.body.trim().split('\n').length, 1);
+  });
+
+  test('400 on a malformed id', async () => {
+    const res = await app.request('DELETE', '/books/nope');
+    assert.equal(res.status, 400);
+  });
+
+  test('404 when the book does not exist', async () => {
+    const res = await app.request('DELETE', `/books/${missingId}`);
+    assert.equal(res.status, 404);
+  });
+
+  test('412 on a stale If-Match', async () => {
+    const book = await insertBook(storage, author._id);
+    const res = await app.request('DELETE', `/books/${book._id}`, { headers: { 'If-Match': '"stale"' } });
+    assert.equal(res.status, 412);
+  });
+});
+
+describe('books trash', () => {
+  const trash = async (overrides) => {
+    const book = await insertBook(storage, author._id, overrides);
+    await app.request('DELETE', `/books/${book._id}`);
+    return book;
+  };
+
+  test('GET /books/trash lists only trashed books', async () => {
+    await insertBook(storage, author._id);
+    const book = await trash();
+    const res = await app.request('GET', '/books/trash?sort=-deletedAt');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.map((b) => b._id), [book._id.toString()]);
+  });
+
+  test('GET /books/trash 400 on an unsupported sort field', async () => {
+    const res = await app.request('GET', '/books/trash?sort=deletedBy');
+    assert.equal(res.status, 400);
+  });
+
+  test('POST /books/:id/restore brings the book back', async () => {
+    const book = await trash();
+    const res = await app.request('POST', `/books/${book._id}/restore`, {
+      headers: { 'If-Match': `"${book._id}-v2"` }
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.deletedAt, undefined);
+    assert.equal(res.headers.get('etag'), `"${book._id}-v3"`);
+    assert.equal((await app.request('GET', `/books/${book._id}`)).status, 200);
+  });
+
+  test('POST /books/:id/restore 404 when the book is not in the trash', async () => {
+    const book = await insertBook(storage, author._id);
+    const res = await app.request('POST', `/books/${book._id}/restore`);
+    assert.equal(res.status, 404);
+  });
+
+  test('POST /books/:id/restore 422 while the author is in the trash', async () => {
+    const book = await trash();
+    await app.request('DELETE', `/authors/${author._id}`);
+    const res = await app.request('POST', `/books/${book._id}/restore`);
+    assert.equal(res.status, 422);
+  });
+
+  test('DELETE /books/trash/:id purges a trashed book', async () => {
+    const book = await trash();
+    const res = await app.request('DELETE', `/books/trash/${book._id}`);
+    assert.equal(res.status, 204);
+    assert.equal(await storage.books.findById(book._id), null);
+  });
+
+  test('DELETE /books/trash/:id 404 for a live book', async () => {
+    const book = await insertBook(storage, author._id);
+    const res = await app.request('DELETE', `/books/trash/${book._id}`);
+    assert.equal(res.status, 404);
+    assert.ok(await storage.books.findById(book._id));
+  });
+
+  test('DELETE /books/trash/:id 400 on a malformed id', async () => {
+    const res = await app.request('DELETE', '/books/trash/zzz');
+    assert.equal(res.status, 400);
+  });
+
+  test('DELETE /books/trash purges only items past retention', async () => {
+    const old = await insertBook(storage, author._id, { deletedAt: new Date('2000-01-01'), deletedBy: null });
+    const recent = await trash();
+    const live = await insertBook(storage, author._id);
+    const res = await app.request('DELETE', '/books/trash');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.purged, 1);
+    assert.equal(await storage.books.findById(old._id), null);
+    assert.ok(await storage.books.findById(recent._id));
+    assert.ok(await storage.books.findById(live._id));
+  });
+});
+
+describe('book revisions', () => {
+  const createBook = async (overrides) =>
+    (await app.request('POST', '/books', { body: bookInput(author._id, overrides) })).body.id;
+  const patch = (id, body) =>
+    app.request('PATCH', `/books/${id}`, { body, type: 'application/merge-patch+json' });
+
+  test('GET /books/:id/revisions lists the history oldest first', async () => {
+    const id = await createBook({ price: usd(1000) });
+    await patch(id, { price: usd(1100) });
+    await patch(id, { price: usd(1200) });
+    const res = await app.request('GET', `/books/${id}/revisions`);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.map((r) => r.version), [1, 2, 3]);
+    assert.deepEqual(res.body.map((r) => r.after.price.amount), [1000, 1100, 1200]);
+  });
+
+  test('GET /books/:id/revisions 404 for an unknown book', async () => {
+    const res = await app.request('GET', `/books/${missingId}/revisions`);
+    assert.equal(res.status, 404);
+  });
+
+  test('revert writes an earlier revision as a new version', async () => {
+    const id = await createBook({ price: usd(1000), title: 'First' });
+    await patch(id, { price: usd(2000), title: 'Second' });
+    const res = await app.request('POST', `/books/${id}/revisions/1/revert`, {
+      headers: { 'If-Match': `"${id}-v2"` }
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.title, 'First');
+    assert.deepEqual(res.body.price, usd(1000));
+    assert.equal(res.body.version, 3);
+    const [entry] = await storage.audit.find({ operation: 'revert' });
+    assert.equal(entry.revertedTo, 1);
+  });
+
+  test('revert 404 for an unknown revision', async () => {
+    const id = await createBook();
+    const res = await app.request('POST', `/books/${id}/revisions/9/revert`);
+    assert.equal(res.status, 404);
+  });
+
+  test('revert 404 while the book is in the trash', async () => {
+    const id = await createBook();
+    await app.request('DELETE', `/books/${id}`);
+    const res = await app.request('POST', `/books/${id}/revisions/1/revert`);
+    assert.equal(res.status, 404);
+  });
+
+  test('revert 400 on a bad revision number', async () => {
+    const id = await createBook();
+    const res = await app.request('POST', `/books/${id}/revisions/zero/revert`);
+    assert.equal(res.status, 400);
+  });
+
+  test('revert 412 on a stale If-Match', async () => {
+    const id = await createBook();
+    await patch(id, { price: usd(100) });
+    const res = await app.request('POST', `/books/${id}/revisions/1/revert`, {
+      headers: { 'If-Match': `"${id}-v1"` }
+    });
+    assert.equal(res.status, 412);
+  });
+
+  test('revert 422 when the revision no longer validates', async () => {
+    const id = await createBook();
+    await storage.audit.updateMany({ version: 1 }, { $set: { 'after.pages': -5 } });
+    await patch(id, { price: usd(100) });
+    const res = await app.request('POST', `/books/${id}/revisions/1/revert`);
+    assert.equal(res.status, 422);
+  });
+});
+
+describe('POST /books/import', () => {
+  test('imports a JSON array with a per-row report', async () => {
+    const rows = [bookInput(author._id), bookInput(author._id, { pages: 0 }), bookInput(missingId)];
+    const res = await app.request('POST', '/books/import', { body: rows });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.results.map((r) => r.status), ['created', 'invalid', 'invalid']);
+    assert.equal(await storage.books.count({}), 1);
+  });
+
+  test('imports NDJSON', async () => {
+    const body = [bookInput(author._id), bookInput(author._id)].map((r) => JSON.stringify(r)).join('\n');
+    const res = await app.request('POST', '/books/import', { body, type: 'application/x-ndjson' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.succeeded, 2);
+  });
+
+  test('imports CSV', async () => {
+    const row = bookInput(author._id);
+    const translator = await insertAuthor(storage);
+    const body =
+      'title,isbn,authors,publishedYear,genres,pages,inStock,price\n' +
+      `${row.title},${row.isbn},${author._id}:author;${translator._id}:translator,2001,Fiction;Classic,100,true,9.5\n`;
+    const res = await app.request('POST', '/books/import', { body, type: 'text/csv' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.results[0].status, 'created');
+    const stored = await storage.books.findOne({ isbn: row.isbn });
+    assert.deepEqual(stored.genres, ['Fiction', 'Classic']);
+    assert.deepEqual(stored.authors.map((c) => c.role), ['author', 'translator']);
+  });
+
+  test('imports CSV with a legacy authorId column', async () => {
+    const row = bookInput(author._id);
+    const body = `title,isbn,authorId,publishedYear,genres,pages,price\n${row.title},${row.isbn},${author._id},2001,Fiction,100,9.5\n`;
+    const res = await app.request('POST', '/books/import', { body, type: 'text/csv' });
+    assert.equal(res.body.results[0].status, 'created');
+    const stored = await storage.books.findOne({ isbn: row.isbn });
+    assert.ok(stored.authors[0].authorId.equals(author._id));
+  });
+
+  test('dryRun validates without writing', async () => {
+    const res = await app.request('POST', '/books/import?dryRun=true', { body: [bookInput(author._id)] });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.results[0].status, 'valid');
+    assert.equal(await storage.books.count({}), 0);
+  });
+
+  test('atomic import writes nothing when a row is invalid (422)', async () => {
+    const rows = [bookInput(author._id), bookInput(author._id, { title: '' })];
+    const res = await app.request('POST', '/books/import?atomic=true', { body: rows });
+    assert.equal(res.status, 422);
+    assert.equal(await storage.books.count({}), 0);
+  });
+
+  test('atomic import rolls back on a duplicate key (409)', async () => {
+    const dup = bookInput(author._id);
+    const res = await app.request('POST', '/books/import?atomic=true', { body: [dup, { ...dup }] });
+    assert.equal(res.status, 409);
+    assert.deepEqual(res.body.results.map((r) => r.status), ['rolledBack', 'failed']);
+    assert.equal(await storage.books.count({}), 0);
+  });
+
+  test('400 when a JSON body is not an array', async () => {
+    const res = await app.request('POST', '/books/import', { body: bookInput(author._id) });
+    assert.equal(res.status, 400);
+  });
+
+  test('400 on an invalid option', async () => {
+    const res = await app.request('POST', '/books/import?dryRun=maybe', { body: [] });
+    assert.equal(res.status, 400);
+  });
+
+  test('415 on an unsupported media type', async () => {
+    const res = await app.request('POST', '/books/import', { body: '<books/>', type: 'application/xml' });
+    assert.equal(res.status, 415);
+  });
+});
+
+describe('GET /books/export', () => {
+  test('streams NDJSON by default', async () => {
+    await insertBook(storage, author._id);
+    await insertBook(storage, author._id);
+    const res = await app.request('GET', '/books/export');
+    assert.equal(res.status, 200);
+    const lines = res.body.trim().split('\n').map((l) => JSON.parse(l));
+    assert.equal(lines.length, 2);
+  });
+
+  test('streams CSV with a header row', async () => {
+    await insertBook(storage, author._id, { genres: ['A', 'B'] });
+    const res = await app.request('GET', '/books/export?format=csv');
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /text\/csv/);
+    const [header, row] = res.body.trim().split('\r\n');
+    assert.match(header, /^_id,title,isbn/);
+    assert.match(row, /A;B/);
+  });
+
+  test('400 on an unknown format', async () => {
+    const res = await app.request('GET', '/books/export?format=xml');
+    assert.equal(res.status, 400);
+  });
+});
+
+test('unknown routes are 404', async () => {
+  const res = await app.request('GET', '/shelves');
+  assert.equal(res.status, 404);
+});
@@ -0,0 +1,247 @@
+// test/circulation.test.js
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { insertAuthor, insertBook, insertMember, startApp, useMemoryStorage } from './helpers.js';
+
+process.env.AUTH_DISABLE = 'true'; // permissions are covered in auth.secure.test.js
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let app;
+let storage;
+let book;
+let ids; // member ids by number: ids[1], ids[2], ...
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app.close());
+
+beforeEach(async () => {
+  storage = useMemoryStorage();
+  book = await insertBook(storage, (await insertAuthor(storage))._id);
+  ids = [null];
+  for (let i = 1; i <= 3; i += 1) ids.push(String((await insertMember(storage))._id));
+});
+
+const addCopy = async (barcode, body = {}) => {
+  const res = await app.request('POST', `/books/${book._id}/copies`, { body: { barcode, ...body } });
+  assert.equal(res.status, 201, JSON.stringify(res.body));
+  return res.body;
+};
+
+const lend = (barcode, memberId = ids[1]) => app.request('POST', '/loans', { body: { barcode, memberId } });
+
+const stock = async () => {
+  const { inStock, availableCopies } = await storage.books.findById(book._id);
+  return { inStock, availableCopies };
+};
+
+describe('copies', () => {
+  test('inStock and availableCopies follow the copies on the shelf', async () => {
+    assert.deepEqual(await stock(), { inStock: false, availableCopies: 0 });
+    const copy = await addCopy('C-1');
+    assert.equal(copy.status, 'available');
+    assert.equal(copy.condition, 'good');
+    await addCopy('C-2', { status: 'withdrawn' });
+    assert.deepEqual(await stock(), { inStock: true, availableCopies: 1 });
+
+    const listed = await app.request('GET', `/books/${book._id}/copies?status=available`);
+    assert.deepEqual(listed.body.map((c) => c.barcode), ['C-1']);
+
+    const lost = await app.request('PATCH', `/copies/${copy._id}`, {
+      body: { status: 'lost' },
+      type: 'application/merge-patch+json'
+    });
+    assert.equal(lost.status, 200);
+    assert.deepEqual(await stock(), { inStock: false, availableCopies: 0 });
+  });
+
+  test('inStock sent by a client is ignored', async () => {
+    const res = await app.request('PATCH', `/books/${book._id}`, {
+      body: { inStock: true, pages: 99 },
+      type: 'application/merge-patch+json'
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.inStock, false);
+    assert.deepEqual(await stock(), { inStock: false, availableCopies: 0 });
+  });
+
+  test('409 on a duplicate barcode', async () => {
+    await addCopy('C-1');
+    const res = await app.request('POST', `/books/${book._id}/copies`, { body: { barcode: 'C-1' } });
+    assert.equal(res.status, 409);
+  });
+
+  test('on_loan and on_hold cannot be set directly', async () => {
+    const copy = await addCopy('C-1');
+    const res = await app.request('PATCH', `/copies/${copy._id}`, {
+      body: { status: 'on_loan' },
+      type: 'application/merge-patch+json'
+    });
+    assert.equal(res.status, 422);
+    assert.equal(res.body.errors[0].field, 'status');
+  });
+
+  test('a lent copy cannot be withdrawn', async () => {
+    const copy = await addCopy('C-1');
+    await lend('C-1');
+    const res = await app.request('PATCH', `/copies/${copy._id}`, {
+      body: { status: 'withdrawn' },
+      type: 'application/merge-patch+json'
+    });
+    assert.equal(res.status, 409);
+  });
+});
+
+describe('loans', () => {
+  test('checkout and return', async () => {
+    await addCopy('C-1');
+    const res = await lend('C-1');
+    assert.equal(res.status, 201);
+    assert.equal(res.headers.get('location'), `/loans/${res.body._id}`);
+    assert.equal(res.body.memberId, ids[1]);
+    assert.equal(res.body.overdue, false);
+    const due = new Date(res.body.dueAt) - new Date(res.body.checkedOutAt);
+    assert.equal(due, 21 * DAY_MS);
+    assert.deepEqual(await stock(), { inStock: false, availableCopies: 0 });
+
+    assert.equal((await lend('C-1', ids[2])).status, 409);
+
+    const returned = await app.request('POST', `/loans/${res.body._id}/return`);
+    assert.equal(returned.status, 200);
+    assert.ok(returned.body.returnedAt);
+    assert.equal(returned.body.daysOverdue, 0);
+    assert.deepEqual(await stock(), { inStock: true, availableCopies: 1 });
+    assert.equal((await app.request('POST', `/loans/${res.body._id}/return`)).status, 409);
+  });
+
+  test('a stock change moves the book\'s ETag, so a conditional GET is not served stale', async () => {
+    await addCopy('C-1');
+    const shelved = await app.request('GET', `/books/${book._id}`);
+    assert.equal(shelved.body.inStock, true);
+    const etag = shelved.headers.get('etag');
+    assert.equal((await app.request('GET', `/books/${book._id}`, { headers: { 'If-None-Match': etag } })).status, 304);
+
+    await lend('C-1');
+    const lent = await app.request('GET', `/books/${book._id}`, { headers: { 'If-None-Match': etag } });
+    assert.equal(lent.status, 200);
+    assert.equal(lent.body.inStock, false);
+    assert.notEqual(lent.headers.get('etag'), etag);
+    assert.equal(lent.body.version, shelved.body.version); // not an edit: no revision, If-Match still holds
+
+    const patched = await app.request('PATCH', `/books/${book._id}`, {
+      body: { pages: 99 },
+      type: 'application/merge-patch+json',
+      headers: { 'If-Match': etag }
+    });
+    assert.equal(patched.status, 200);
+    assert.equal(patched.body.version, shelved.body.version + 1);
+  });
+
+  test('422 for an unknown barcode; 400 without exactly one copy reference', async () => {
+    const unknown = await lend('NOPE');
+    assert.equal(unknown.status, 422);
+    assert.equal(unknown.body.errors[0].field, 'barcode');
+    const copy = await addCopy('C-1');
+    const both = await app.request('POST', '/loans', { body: { barcode: 'C-1', copyId: copy._id, memberId: ids[1] } });
+    assert.equal(both.status, 400);
+  });
+
+  test('renewals stop at the limit', async () => {
+    await addCopy('C-1');
+    const loan = (await lend('C-1')).body;
+    for (const renewals of [1, 2]) {
+      const res = await app.request('POST', `/loans/${loan._id}/renew`);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.renewals, renewals);
+    }
+    assert.equal((await app.request('POST', `/loans/${loan._id}/renew`)).status, 409);
+  });
+
+  test('overdue loans are listed with their days overdue', async () => {
+    const copy = await addCopy('C-1');
+    const loan = (await lend('C-1')).body;
+    await addCopy('C-2');
+    await lend('C-2', ids[2]);
+    await storage.loans.updateMany(
+      { _id: (await storage.loans.findOne({ barcode: 'C-1' }))._id },
+      { $set: { dueAt: new Date(Date.now() - 3 * DAY_MS + 60_000) } }
+    );
+
+    const res = await app.request('GET', '/loans/overdue');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.map((l) => l.copyId), [copy._id]);
+    assert.equal(res.body[0].overdue, true);
+    assert.equal(res.body[0].daysOverdue, 3);
+
+    const active = await app.request('GET', '/loans?status=active');
+    assert.equal(active.body.length, 2);
+    const returned = await app.request('POST', `/loans/${loan._id}/return`);
+    assert.equal(returned.body.daysOverdue, 3);
+    assert.equal((await app.request('GET', '/loans/overdue')).body.length, 0);
+  });
+
+  test('a book with copies on loan cannot be deleted', async () => {
+    await addCopy('C-1');
+    await lend('C-1');
+    assert.equal((await app.request('DELETE', `/books/${book._id}`)).status, 409);
+  });
+});
+
+describe('holds', () => {
+  test('a returned copy goes to the first waiting hold', async () => {
+    await addCopy('C-1');
+    const loan = (await lend('C-1')).body;
+    const first = await app.request('POST', `/books/${book._id}/holds`, { body: { memberId: ids[2] } });
+    assert.equal(first.status, 201);
+    assert.equal(first.body.status, 'waiting');
+    await app.request('POST', `/books/${book._id}/holds`, { body: { memberId: ids[3] } });
+
+    const queue = await app.request('GET', `/books/${book._id}/holds`);
+    assert.deepEqual(queue.body.map((h) => [h.memberId, h.position]), [[ids[2], 1], [ids[3], 2]]);
+    assert.equal((await app.request('POST', `/loans/${loan._id}/renew`)).status, 409);
+
+    await app.request('POST', `/loans/${loan._id}/return`);
+    const ready = await app.request('GET', `/holds/${first.body._id}`);
+    assert.equal(ready.body.status, 'ready');
+    assert.ok(ready.body.expiresAt);
+    assert.deepEqual(await stock(), { inStock: false, availableCopies: 0 });
+
+    assert.equal((await lend('C-1', ids[3])).status, 409);
+    const picked = await lend('C-1', ids[2]);
+    assert.equal(picked.status, 201);
+    assert.equal((await app.request('GET', `/holds/${first.body._id}`)).body.status, 'fulfilled');
+  });
+
+  test('cancelling a ready hold passes the copy on', async () => {
+    await addCopy('C-1');
+    const first = await app.request('POST', `/books/${book._id}/holds`, { body: { memberId: ids[2] } });
+    assert.equal(first.body.status, 'ready'); // a copy was on the shelf
+    const second = await app.request('POST', `/books/${book._id}/holds`, { body: { memberId: ids[3] } });
+    assert.equal(second.body.status, 'waiting');
+
+    const cancelled = await app.request('POST', `/holds/${first.body._id}/cancel`);
+    assert.equal(cancelled.body.status, 'cancelled');
+    assert.equal((await app.request('GET', `/holds/${second.body._id}`)).body.status, 'ready');
+    assert.equal((await app.request('POST', `/holds/${first.body._id}/cancel`)).status, 409);
+  });
+
+  test('an uncollected hold expires and the copy goes back on the shelf', async () => {
+    await addCopy('C-1');
+    const hold = await app.request('POST', `/books/${book._id}/holds`, { body: { memberId: ids[2] } });
+    await storage.holds.updateMany({ _id: (await storage.holds.findOne({}))._id }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+    assert.equal((await lend('C-1', ids[3])).status, 201);
+    assert.equal((await app.request('GET', `/holds/${hold.body._id}`)).body.status, 'expired');
+  });
+
+  test('one open hold per member and book', async () => {
+    await addCopy('C-1');
+    await lend('C-1', ids[2]);
+    assert.equal((await app.request('POST', `/books/${book._id}/holds`, { body: { memberId: ids[2] } })).status, 409);
+    await app.request('POST', `/books/${book._id}/holds`, { body: { memberId: ids[3] } });
+    assert.equal((await app.request('POST', `/books/${book._id}/holds`, { body: { memberId: ids[3] } })).status, 409);
+  });
+});
@@ -0,0 +1,115 @@
+// test/errors.test.js
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { authorInput, bookInput, insertAuthor, insertBook, startApp, useMemoryStorage } from './helpers.js';
+
+process.env.AUTH_DISABLE = 'true'; // auth errors are covered in auth.secure.test.js
+
+let app;
+let storage;
+let author;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app.close());
+
+beforeEach(async () => {
+  storage = useMemoryStorage();
+  author = await insertAuthor(storage);
+});
+
+/** Every error is application/problem+json with the RFC 7807 members */
+const assertProblem = (res, status, type) => {
+  assert.equal(res.status, status, JSON.stringify(res.body));
+  assert.match(res.headers.get('content-type'), /^application\/problem\+json/);
+  assert.equal(res.body.type, `/problems/${type}`);
+  assert.equal(res.body.status, status);
+  assert.equal(typeof res.body.title, 'string');
+  assert.equal(typeof res.body.detail, 'string');
+  assert.equal(res.body.requestId, res.headers.get('x-request-id'));
+};
+
+describe('problem+json errors', () => {
+  test('validation errors list each field', async () => {
+    const res = await app.request('POST', '/books', { body: bookInput(author._id, { pages: -1, title: '' }) });
+    assertProblem(res, 400, 'validation-error');
+    assert.equal(res.body.instance, '/books');
+    const fields = res.body.errors.map((e) => e.field).sort();
+    assert.deepEqual(fields, ['pages', 'title']);
+    assert.ok(res.body.errors.every((e) => e.message && e.code));
+  });
+
+  test('query validation uses the same shape', async () => {
+    const res = await app.request('GET', '/books?limit=0');
+    assertProblem(res, 400, 'validation-error');
+    assert.equal(res.body.errors[0].field, 'limit');
+  });
+
+  test('invalid ObjectIds', async () => {
+    assertProblem(await app.request('GET', '/books/nope'), 400, 'invalid-id');
+    assertProblem(await app.request('GET', '/books?after=nope'), 400, 'validation-error');
+  });
+
+  test('duplicate keys are 409 naming the field', async () => {
+    const book = await insertBook(storage, author._id);
+    const res = await app.request('POST', '/books', { body: bookInput(author._id, { isbn: book.isbn }) });
+    assertProblem(res, 409, 'duplicate-key');
+    assert.deepEqual(res.body.errors.map((e) => e.field), ['isbn']);
+  });
+
+  test('unknown references are 422 with field errors', async () => {
+    const res = await app.request('POST', '/books', { body: bookInput('000000000000000000000000') });
+    assertProblem(res, 422, 'unprocessable-entity');
+    assert.equal(res.body.errors[0].field, 'authors.0.authorId');
+  });
+
+  test('extension members carry extra context', async () => {
+    await insertBook(storage, author._id);
+    const res = await app.request('DELETE', `/authors/${author._id}?onDelete=restrict`);
+    assertProblem(res, 409, 'conflict');
+    assert.equal(res.body.books, 1);
+  });
+
+  test('malformed JSON and unsupported media types', async () => {
+    assertProblem(await app.request('POST', '/books', { body: '{"title":' }), 400, 'bad-request');
+    const patch = await app.request('PATCH', `/books/000000000000000000000000`, { body: {}, type: 'application/json' });
+    assertProblem(patch, 415, 'unsupported-media-type');
+    assert.match(patch.headers.get('accept-patch'), /merge-patch/);
+  });
+
+  test('unknown routes and missing resources are 404', async () => {
+    const route = await app.request('GET', '/nope');
+    assertProblem(route, 404, 'not-found');
+    assert.equal(route.body.detail, 'No route for GET /nope');
+    assertProblem(await app.request('GET', '/books/000000000000000000000000'), 404, 'not-found');
+  });
+
+  test('atomic imports that fail carry the report', async () => {
+    const res = await app.request('POST', '/authors/import?atomic=true', {
+      body: [authorInput(), authorInput({ email: 'nope' })]
+    });
+    assertProblem(res, 422, 'unprocessable-entity');
+    assert.equal(res.body.failed, 1);
+    assert.equal(res.body.results[1].status, 'invalid');
+    assert.equal(res.body.results[1].errors[0].field, 'email');
+  });
+
+  test('problem types are documented at their URIs', async () => {
+    const list = await app.request('GET', '/problems');
+    assert.equal(list.status, 200);
+    assert.ok(list.body.some((p) => p.type === '/problems/validation-error' && p.status === 400));
+    const one = await app.request('GET', '/problems/duplicate-key');
+    assert.equal(one.body.status, 409);
+    assertProblem(await app.request('GET', '/problems/nope'), 404, 'not-found');
+  });
+
+  test('Swagger shares the Problem components', async () => {
+    const { body } = await app.request('GET', '/swagger.json');
+    assert.ok(body.components.schemas.Problem);
+    assert.ok(body.components.responses.BadRequest);
+    const post = body.paths['/books'].post.responses;
+    assert.equal(post['400'].$ref, '#/components/responses/BadRequest');
+  });
+});
@@ -0,0 +1,91 @@
+// test/health.test.js
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { authorInput, bookInput, startApp, useMemoryStorage } from './helpers.js';
+import { setStorage } from '../repositories/index.js';
+
+process.env.AUTH_DISABLE = 'true'; // auth itself is covered in auth.*.test.js
+
+/** Value of the sample line `name{labels} value` whose labels include all of `labels` */
+const sample = (text, name, labels = {}) => {
+  const wanted = Object.entries(labels).map(([k, v]) => `${k}="${v}"`);
+  const line = text
+    .split('\n')
+    .find((l) => (l.startsWith(`${name}{`) || l.startsWith(`${name} `)) && wanted.every((w) => l.includes(w)));
+  return line === undefined ? undefined : Number(line.slice(line.lastIndexOf(' ') + 1));
+};
+
+describe('health and metrics', () => {
+  let app;
+  before(async () => {
+    app = await startApp();
+  });
+  after(() => app.close());
+
+  test('GET /healthz is liveness only', async () => {
+    setStorage(undefined);
+    const res = await app.request('GET', '/healthz');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { status: 'ok' });
+  });
+
+  test('GET /readyz reports storage, auth mode and build info', async () => {
+    useMemoryStorage();
+    const res = await app.request('GET', '/readyz');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'ok');
+    assert.equal(res.body.checks.storage.kind, 'memory');
+    assert.equal(res.body.checks.storage.status, 'ok');
+    assert.equal(res.body.auth.mode, 'disabled');
+    assert.equal(res.body.build.name, 'library-api');
+    assert.equal(res.body.build.node, process.version);
+    assert.equal(res.headers.get('cache-control'), 'no-store');
+  });
+
+  test('GET /readyz is 503 while storage is unavailable', async () => {
+    setStorage(undefined);
+    const res = await app.request('GET', '/readyz');
+    assert.equal(res.status, 503);
+    assert.equal(res.body.status, 'unavailable');
+    assert.equal(res.body.checks.storage.status, 'down');
+    assert.match(res.body.checks.storage.error, /not initialized/);
+  });
+
+  test('GET /metrics counts requests per route and status, and books in stock', async () => {
+    useMemoryStorage();
+    const author = await app.request('POST', '/authors', { body: authorInput() });
+    const stocked = await app.request('POST', '/books', { body: bookInput(author.body.id) });
+    await app.request('POST', '/books', { body: bookInput(author.body.id) });
+    await app.request('POST', `/books/${stocked.body.id}/copies`, { body: { barcode: 'METRICS-1' } });
+    await app.request('GET', '/books/not-an-id');
+    await app.request('GET', '/nope');
+
+    const res = await app.request('GET', '/metrics');
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/plain/);
+    const text = res.body;
+
+    assert.ok(sample(text, 'http_requests_total', { method: 'POST', route: '/books', status: '201' }) >= 2);
+    assert.ok(sample(text, 'http_request_errors_total', { route: '/books/:id', status: '400' }) >= 1);
+    assert.ok(sample(text, 'http_requests_total', { route: 'unmatched', status: '404' }) >= 1);
+    assert.ok(sample(text, 'http_request_duration_seconds_count', { method: 'POST', route: '/books' }) >= 2);
+    assert.equal(sample(text, 'library_books'), 2);
+    assert.equal(sample(text, 'library_books_in_stock'), 1);
+    assert.match(text, /^process_cpu_user_seconds_total /m);
+  });
+
+  test('probes and metrics are not rate limited', async () => {
+    const { createRateLimiter } = await import('../middleware/rateLimit.js');
+    const rule = { limit: 1, windowSeconds: 60 };
+    const limited = await startApp({ rateLimit: createRateLimiter({ read: rule, write: rule }) });
+    try {
+      for (let i = 0; i < 3; i += 1) {
+        assert.equal((await limited.request('GET', '/healthz')).status, 200);
+        assert.equal((await limited.request('GET', '/metrics')).status, 200);
+      }
+      assert.equal((await limited.request('GET', '/healthz')).headers.get('ratelimit-limit'), null);
+    } finally {
+      await limited.close();
+    }
+  });
+});
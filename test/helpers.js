@@ -0,0 +1,150 @@
+// test/helpers.js
+import { createServer } from 'node:net';
+import { once } from 'node:events';
+import { setStorage } from '../repositories/index.js';
+import { createMemoryStorage } from '../repositories/memory.js';
+import { NO_STOCK, basePriceOf } from '../models/book.js';
+import { isbn13CheckDigit } from '../lib/isbn.js';
+import { ObjectId } from 'mongodb';
+
+/**
+ * Shared test plumbing. Tests run the real app over HTTP on an ephemeral port, backed by
+ * the in-memory repositories (same contract and duplicate-key semantics as MongoDB).
+ *
+ * The app is imported lazily so a test file can set auth env vars first:
+ * middleware/auth.js picks its mode when it is first imported.
+ */
+
+/** Install a fresh, empty in-memory storage and return it */
+export const useMemoryStorage = () => {
+  const storage = createMemoryStorage();
+  setStorage(storage);
+  return storage;
+};
+
+/**
+ * Send a request. Plain objects/arrays are sent as JSON unless `type` says otherwise;
+ * strings are sent as-is. JSON responses are parsed into `body`; anything else (including
+ * NDJSON and CSV) is returned as text.
+ * @param {string} base
+ * @param {string} method
+ * @param {string} path
+ * @param {{ body?: any, type?: string, headers?: Record<string, string>, token?: string }} [options]
+ */
+const send = async (base, method, path, { body, type, headers = {}, token } = {}) => {
+  const init = { method, headers: { ...headers } };
+  if (token) init.headers.Authorization = `Bearer ${token}`;
+  if (body !== undefined) {
+    init.body = typeof body === 'string' ? body : JSON.stringify(body);
+    init.headers['Content-Type'] = type ?? 'application/json';
+  } else if (type) {
+    init.headers['Content-Type'] = type;
+  }
+  const res = await fetch(`${base}${path}`, init);
+  const text = await res.text();
+  const isJson = /^application\/([\w.-]+\+)?json\b/.test(res.headers.get('content-type') || '') && text !== '';
+  return { status: res.status, headers: res.headers, body: isJson ? JSON.parse(text) : text };
+};
+
+/**
+ * Build the app and listen on an ephemeral port (or `port`, when its URL must be known up front).
+ * Rate limiting is off unless a limiter is passed: suites send many requests from one IP.
+ * Requests are only logged when a `logger` is passed.
+ * @param {{ port?: number, rateLimit?: import('express').RequestHandler | null, logger?: object }} [options]
+ * @returns {Promise<{ base: string, request: Function, close: () => Promise<void> }>}
+ */
+export const startApp = async ({ port = 0, rateLimit = null, logger } = {}) => {
+  const { createApp } = await import('../app.js');
+  const server = createApp({ logRequests: !!logger, rateLimit, ...(logger && { logger }) }).listen(port, '127.0.0.1');
+  await once(server, 'listening');
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return {
+    base,
+    request: (method, path, options) => send(base, method, path, options),
+    close: () =>
+      new Promise((resolve) => {
+        server.close(() => resolve());
+        server.closeAllConnections();
+      })
+  };
+};
+
+/** A port that was free a moment ago */
+export const freePort = async () => {
+  const server = createServer().listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const { port } = server.address();
+  await new Promise((resolve) => server.close(resolve));
+  return port;
+};
+
+let sequence = 0;
+
+/** Valid POST /authors body; email is unique per call */
+export const authorInput = (overrides = {}) => {
+  sequence += 1;
+  return {
+    firstName: 'Ada',
+    lastName: 'Lovelace',
+    email: `author${sequence}@example.com`,
+    birthdate: '1815-12-10',
+    nationality: 'British',
+    ...overrides
+  };
+};
+
+/** A valid ISBN-13 (correct check digit) unique to `n` */
+const isbnFor = (n) => {
+  const body = `97800000${String(n).padStart(4, '0')}`;
+  return body + isbn13CheckDigit(body);
+};
+
+/** A price in minor units of the rates table's base currency: usd(1250) is $12.50 */
+export const usd = (amount) => ({ amount, currency: 'USD' });
+
+/** Valid POST /books body for `authorId`; isbn is unique per call */
+export const bookInput = (authorId, overrides = {}) => {
+  sequence += 1;
+  return {
+    title: `Book ${sequence}`,
+    isbn: isbnFor(sequence),
+    authors: [{ authorId: String(authorId), role: 'author' }],
+    publishedYear: 2001,
+    genres: ['Fiction'],
+    pages: 320,
+    price: usd(1250),
+    ...overrides
+  };
+};
+
+/** Valid POST /members body; email is unique per call */
+export const memberInput = (overrides = {}) => {
+  sequence += 1;
+  return {
+    name: `Member ${sequence}`,
+    email: `member${sequence}@example.com`,
+    tier: 'standard',
+    ...overrides
+  };
+};
+
+/** Insert a member through the repository (bypassing HTTP) and return it */
+export const insertMember = (storage, overrides) =>
+  storage.members.insertOne({ status: 'active', activeLoans: 0, ...memberInput(overrides), version: 1 });
+
+/** Insert an author through the repository (bypassing HTTP) and return it */
+export const insertAuthor = (storage, overrides) => {
+  const { birthdate, ...rest } = authorInput(overrides);
+  return storage.authors.insertOne({ ...rest, birthdate: new Date(`${birthdate}T00:00:00.000Z`), version: 1 });
+};
+
+/**
+ * Insert a book through the repository (bypassing HTTP) and return it, credited to `authorId`
+ * unless `overrides.authors` says otherwise (ids as ObjectIds, as stored)
+ */
+export const insertBook = (storage, authorId, overrides = {}) => {
+  const { authors, ...rest } = bookInput(authorId, overrides);
+  const credits = authors.map((c) => ({ ...c, authorId: new ObjectId(String(c.authorId)) }));
+  const basePrice = rest.price?.currency ? { basePrice: basePriceOf(rest.price) } : {};
+  return storage.books.insertOne({ ...NO_STOCK, ...rest, authors: credits, ...basePrice, version: 1 });
+};
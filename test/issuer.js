@@ -0,0 +1,49 @@
+// test/issuer.js
+import { createServer } from 'node:http';
+import { once } from 'node:events';
+import { generateRsaKey, nowSeconds, signJwt, toJwks } from '../lib/jwt.js';
+
+/**
+ * A throwaway OpenID issuer for auth tests: serves discovery and a JWKS for a locally
+ * generated RS256 key on an ephemeral port, and signs tokens with that key.
+ */
+
+/**
+ * @param {{ audience: string }} options
+ * @returns {Promise<{ issuer: string, token: (claims?: object) => string,
+ *   otherKey: import('node:crypto').KeyObject, kid: string, close: () => Promise<void> }>}
+ */
+export const startIssuer = async ({ audience }) => {
+  const kid = 'test-key-1';
+  const { publicKey, privateKey } = generateRsaKey();
+  const jwks = toJwks(publicKey, kid);
+
+  let issuer;
+  const server = createServer((req, res) => {
+    const body =
+      req.url.endsWith('/.well-known/openid-configuration')
+        ? { issuer, jwks_uri: `${issuer}.well-known/jwks.json`, id_token_signing_alg_values_supported: ['RS256'] }
+        : req.url.endsWith('/.well-known/jwks.json')
+          ? jwks
+          : null;
+    res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body ?? { message: 'Not Found' }));
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  issuer = `http://127.0.0.1:${server.address().port}/`;
+
+  return {
+    issuer,
+    kid,
+    otherKey: generateRsaKey().privateKey,
+    /** A valid token for `audience`; `claims` override or extend the defaults */
+    token: (claims = {}, { key = privateKey } = {}) =>
+      signJwt({ iss: issuer, aud: audience, sub: 'user|test', iat: nowSeconds(), exp: nowSeconds() + 300, ...claims }, { privateKey: key, kid }),
+    close: () =>
+      new Promise((resolve) => {
+        server.close(() => resolve());
+        server.closeAllConnections();
+      })
+  };
+};
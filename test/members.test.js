@@ -0,0 +1,265 @@
+// test/members.test.js
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { insertAuthor, insertBook, insertMember, memberInput, startApp, useMemoryStorage, usd } from './helpers.js';
+
+process.env.AUTH_DISABLE = 'true'; // /members/me and permissions are covered in auth.secure.test.js
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MERGE = 'application/merge-patch+json';
+
+let app;
+let storage;
+let book;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app.close());
+
+beforeEach(async () => {
+  storage = useMemoryStorage();
+  book = await insertBook(storage, (await insertAuthor(storage))._id);
+});
+
+let barcodes = 0;
+
+/** Add a copy to the book and lend it to `member`; returns the loan response */
+const lendCopy = async (member) => {
+  barcodes += 1;
+  const barcode = `M-${barcodes}`;
+  await app.request('POST', `/books/${book._id}/copies`, { body: { barcode } });
+  return app.request('POST', '/loans', { body: { barcode, memberId: String(member._id) } });
+};
+
+/** Make a loan (as returned by the API) due `days` days ago, less a minute */
+const makeOverdue = (loan, days) =>
+  storage.loans.updateMany(
+    { barcode: loan.barcode, returnedAt: null },
+    { $set: { dueAt: new Date(Date.now() - days * DAY_MS + 60_000) } }
+  );
+
+describe('members CRUD', () => {
+  test('create, read, list and patch', async () => {
+    const created = await app.request('POST', '/members', {
+      body: memberInput({ email: 'Ada@Example.com', tier: 'premium', expiresAt: '2030-01-31' })
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.headers.get('location'), `/members/${created.body.id}`);
+
+    const res = await app.request('GET', `/members/${created.body.id}`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.email, 'ada@example.com');
+    assert.equal(res.body.status, 'active');
+    assert.equal(res.body.expiresAt, '2030-01-31T00:00:00.000Z');
+
+    const list = await app.request('GET', '/members?tier=premium');
+    assert.equal(list.body.length, 1);
+
+    const patched = await app.request('PATCH', `/members/${created.body.id}`, { body: { status: 'suspended' }, type: MERGE });
+    assert.equal(patched.status, 200);
+    assert.equal(patched.body.status, 'suspended');
+    assert.equal(patched.body.expiresAt, '2030-01-31T00:00:00.000Z');
+    assert.equal(patched.body.version, 2);
+  });
+
+  test('409 on a duplicate email or token subject', async () => {
+    await insertMember(storage, { email: 'taken@example.com', sub: 'auth0|1' });
+    const email = await app.request('POST', '/members', { body: memberInput({ email: 'taken@example.com' }) });
+    assert.equal(email.status, 409);
+    const sub = await app.request('POST', '/members', { body: memberInput({ sub: 'auth0|1' }) });
+    assert.equal(sub.status, 409);
+  });
+
+  test('400 on an unknown tier', async () => {
+    const res = await app.request('POST', '/members', { body: memberInput({ tier: 'gold' }) });
+    assert.equal(res.status, 400);
+  });
+
+  test('writes are audited', async () => {
+    const created = await app.request('POST', '/members', { body: memberInput() });
+    const res = await app.request('GET', `/audit?resource=members&id=${created.body.id}`);
+    assert.equal(res.body.length, 1);
+    assert.equal(res.body[0].operation, 'create');
+  });
+});
+
+describe('borrowing rules', () => {
+  test('unknown members get 422', async () => {
+    await app.request('POST', `/books/${book._id}/copies`, { body: { barcode: 'X-1' } });
+    const res = await app.request('POST', '/loans', { body: { barcode: 'X-1', memberId: String(book._id) } });
+    assert.equal(res.status, 422);
+    assert.equal(res.body.errors[0].field, 'memberId');
+  });
+
+  test('suspended and expired members cannot borrow or place holds', async () => {
+    const suspended = await insertMember(storage, { status: 'suspended' });
+    const res = await lendCopy(suspended);
+    assert.equal(res.status, 409);
+    assert.match(res.body.detail, /suspended/);
+
+    const expired = await insertMember(storage, { expiresAt: new Date(Date.now() - 2 * DAY_MS) });
+    assert.equal((await lendCopy(expired)).status, 409);
+    const hold = await app.request('POST', `/books/${book._id}/holds`, { body: { memberId: String(expired._id) } });
+    assert.equal(hold.status, 409);
+
+    const lastDay = await insertMember(storage, { expiresAt: new Date(new Date().toISOString().slice(0, 10)) });
+    assert.equal((await lendCopy(lastDay)).status, 201);
+  });
+
+  test('a suspended member cannot renew', async () => {
+    const member = await insertMember(storage);
+    const loan = (await lendCopy(member)).body;
+    await app.request('PATCH', `/members/${member._id}`, { body: { status: 'suspended' }, type: MERGE });
+    assert.equal((await app.request('POST', `/loans/${loan._id}/renew`)).status, 409);
+  });
+
+  test('the tier caps loans out at once', async () => {
+    const member = await insertMember(storage, { tier: 'basic' });
+    assert.equal((await lendCopy(member)).status, 201);
+    const second = await lendCopy(member);
+    assert.equal(second.status, 201);
+    const third = await lendCopy(member);
+    assert.equal(third.status, 409);
+    assert.match(third.body.detail, /Loan limit reached \(2 for the basic tier\)/);
+
+    await app.request('POST', `/loans/${second.body._id}/return`);
+    assert.equal((await lendCopy(member)).status, 201);
+  });
+
+  test('two desks lending the last slot at once: one gets it', async () => {
+    const member = await insertMember(storage, { tier: 'basic' });
+    assert.equal((await lendCopy(member)).status, 201);
+    await app.request('PATCH', `/members/${member._id}`, { body: { name: 'Renamed' }, type: MERGE }); // keeps the count
+    for (const barcode of ['RACE-1', 'RACE-2']) {
+      await app.request('POST', `/books/${book._id}/copies`, { body: { barcode } });
+    }
+    const lend = (barcode) => app.request('POST', '/loans', { body: { barcode, memberId: String(member._id) } });
+    const results = await Promise.all([lend('RACE-1'), lend('RACE-2')]);
+    assert.deepEqual(results.map((r) => r.status).sort(), [201, 409]);
+    assert.equal(await storage.loans.count({ memberId: member._id, returnedAt: null }), 2);
+    assert.equal((await storage.members.findById(member._id)).activeLoans, 2);
+  });
+
+  test('the tier caps open holds', async () => {
+    const member = await insertMember(storage, { tier: 'basic' });
+    const holdOn = async () => {
+      const other = await insertBook(storage, book.authors[0].authorId);
+      return app.request('POST', `/books/${other._id}/holds`, { body: { memberId: String(member._id) } });
+    };
+    assert.equal((await holdOn()).status, 201);
+    assert.equal((await holdOn()).status, 201);
+    assert.equal((await holdOn()).status, 409);
+  });
+});
+
+describe('history and fines', () => {
+  test('history lists current and returned loans, newest first', async () => {
+    const member = await insertMember(storage);
+    const first = (await lendCopy(member)).body;
+    const second = (await lendCopy(member)).body;
+    await app.request('POST', `/loans/${first._id}/return`);
+
+    const all = await app.request('GET', `/members/${member._id}/loans`);
+    assert.deepEqual(all.body.map((l) => l._id), [second._id, first._id]);
+    const current = await app.request('GET', `/members/${member._id}/loans?status=active`);
+    assert.deepEqual(current.body.map((l) => l._id), [second._id]);
+  });
+
+  test('a late return leaves a fine that can be paid', async () => {
+    const member = await insertMember(storage);
+    const loan = (await lendCopy(member)).body;
+    await makeOverdue(loan, 3);
+
+    const accruing = await app.request('GET', `/members/${member._id}/fines`);
+    assert.deepEqual(accruing.body, { owed: usd(0), accruing: usd(75), fines: [] });
+
+    await app.request('POST', `/loans/${loan._id}/return`);
+    const account = await app.request('GET', `/members/${member._id}/fines`);
+    assert.deepEqual(account.body.owed, usd(75));
+    assert.deepEqual(account.body.accruing, usd(0));
+    const [fine] = account.body.fines;
+    assert.equal(fine.loanId, loan._id);
+    assert.equal(fine.days, 3);
+    assert.equal(fine.status, 'unpaid');
+    assert.deepEqual(fine.amount, usd(75));
+
+    const pay = (amount) => app.request('POST', `/members/${member._id}/fines/${fine._id}/pay`, { body: { amount } });
+    const short = await pay(usd(50));
+    assert.equal(short.status, 422);
+    assert.equal(short.body.errors[0].field, 'amount');
+    assert.equal((await pay({ amount: 75, currency: 'EUR' })).status, 422);
+    const paid = await pay(usd(75));
+    assert.equal(paid.status, 200);
+    assert.equal(paid.body.status, 'paid');
+    const [entry] = await storage.audit.find({ resource: 'fines' });
+    assert.equal(entry.operation, 'pay');
+    assert.equal(String(entry.resourceId), fine._id);
+    assert.deepEqual(entry.after.amount, usd(75));
+    assert.deepEqual(entry.changes.find((c) => c.field === 'status'), { field: 'status', from: 'unpaid', to: 'paid' });
+    assert.equal((await app.request('POST', `/members/${member._id}/fines/${fine._id}/waive`)).status, 409);
+    assert.deepEqual((await app.request('GET', `/members/${member._id}/fines`)).body.owed, usd(0));
+    assert.equal((await app.request('GET', `/members/${member._id}/fines?status=unpaid`)).body.fines.length, 0);
+  });
+
+  test('fines are capped per loan', async () => {
+    const member = await insertMember(storage);
+    const loan = (await lendCopy(member)).body;
+    await makeOverdue(loan, 200);
+    const returned = await app.request('POST', `/loans/${loan._id}/return`);
+    assert.equal(returned.body.daysOverdue, 200);
+    assert.deepEqual((await app.request('GET', `/members/${member._id}/fines`)).body.owed, usd(1000));
+  });
+
+  test('fines that can\'t be converted are listed, not summed', async () => {
+    const member = await insertMember(storage);
+    const fine = (amount) =>
+      storage.fines.insertOne({ memberId: member._id, reason: 'overdue', days: 1, amount, status: 'unpaid', createdAt: new Date() });
+    await fine(usd(25));
+    await fine({ amount: 92, currency: 'EUR' }); // $1.00
+    const plain = await fine(0.75); // left by migration 011
+    const unrated = await fine({ amount: 100, currency: 'CHF' });
+    const res = await app.request('GET', `/members/${member._id}/fines`);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.owed, usd(125));
+    assert.deepEqual(res.body.uncounted.sort(), [String(plain._id), String(unrated._id)].sort());
+    const pay = await app.request('POST', `/members/${member._id}/fines/${plain._id}/pay`, { body: { amount: usd(75) } });
+    assert.equal(pay.status, 422);
+  });
+
+  test('404 for another member\'s fine', async () => {
+    const member = await insertMember(storage);
+    const other = await insertMember(storage);
+    const loan = (await lendCopy(member)).body;
+    await makeOverdue(loan, 1);
+    await app.request('POST', `/loans/${loan._id}/return`);
+    const fine = await storage.fines.findOne({});
+    assert.equal((await app.request('POST', `/members/${other._id}/fines/${fine._id}/pay`)).status, 404);
+  });
+});
+
+describe('closing a member', () => {
+  test('refused with loans out or unpaid fines', async () => {
+    const member = await insertMember(storage);
+    const loan = (await lendCopy(member)).body;
+    assert.equal((await app.request('DELETE', `/members/${member._id}`)).status, 409);
+
+    await makeOverdue(loan, 1);
+    await app.request('POST', `/loans/${loan._id}/return`);
+    assert.equal((await app.request('DELETE', `/members/${member._id}`)).status, 409);
+
+    const fine = await storage.fines.findOne({});
+    await app.request('POST', `/members/${member._id}/fines/${fine._id}/waive`);
+    assert.equal((await app.request('DELETE', `/members/${member._id}`)).status, 204);
+    assert.equal((await app.request('GET', `/members/${member._id}`)).status, 404);
+  });
+
+  test('open holds are cancelled', async () => {
+    const member = await insertMember(storage);
+    const hold = await app.request('POST', `/books/${book._id}/holds`, { body: { memberId: String(member._id) } });
+    assert.equal(hold.body.status, 'waiting');
+    assert.equal((await app.request('DELETE', `/members/${member._id}`)).status, 204);
+    assert.equal((await storage.holds.findOne({})).status, 'cancelled');
+  });
+});
@@ -0,0 +1,163 @@
+// test/memoryDb.js
+import { ObjectId } from 'mongodb';
+import { applyUpdate, clone, equalityFields, matches, sorter, valuesEqual } from '../repositories/memoryQuery.js';
+
+/**
+ * A stand-in for a driver `Db`, for code that takes one directly: the migration runner and
+ * migrations (db/migrations.js, migrations/*.js) and MongoRepository. Collections are arrays
+ * queried with the memory backend's matcher (repositories/memoryQuery.js); indexes are only
+ * recorded by name, and any `$text` query fails like one on a collection without a text index.
+ */
+
+const indexNotFound = (name) => Object.assign(new Error(`index not found with name [${name}]`), { code: 27, codeName: 'IndexNotFound' });
+
+const project = (doc, projection) => {
+  if (!projection) return clone(doc);
+  const fields = Object.keys(projection).filter((k) => projection[k]);
+  return clone(Object.fromEntries(Object.entries(doc).filter(([k]) => k === '_id' || fields.includes(k))));
+};
+
+class Cursor {
+  constructor(load) {
+    this.load = load;
+    this.spec = { sort: null, skip: 0, limit: 0 };
+  }
+
+  sort(sort) {
+    this.spec.sort = sort;
+    return this;
+  }
+
+  skip(n) {
+    this.spec.skip = n;
+    return this;
+  }
+
+  limit(n) {
+    this.spec.limit = n;
+    return this;
+  }
+
+  async toArray() {
+    let docs = this.load();
+    if (this.spec.sort) docs.sort(sorter(this.spec.sort));
+    docs = docs.slice(this.spec.skip);
+    return this.spec.limit ? docs.slice(0, this.spec.limit) : docs;
+  }
+
+  async *[Symbol.asyncIterator]() {
+    yield* await this.toArray();
+  }
+
+  async close() {}
+}
+
+class MemoryCollection {
+  constructor(name) {
+    this.collectionName = name;
+    this.docs = [];
+    /** @type {Map<string, object>} index name -> spec */
+    this.indexSpecs = new Map();
+  }
+
+  select(filter = {}) {
+    if ('$text' in filter) throw indexNotFound('text');
+    return this.docs.filter((d) => matches(d, filter));
+  }
+
+  find(filter = {}, { projection } = {}) {
+    return new Cursor(() => this.select(filter).map((d) => project(d, projection)));
+  }
+
+  async findOne(filter = {}, { projection } = {}) {
+    const [doc] = this.select(filter);
+    return doc ? project(doc, projection) : null;
+  }
+
+  async countDocuments(filter = {}, { limit = 0 } = {}) {
+    const n = this.select(filter).length;
+    return limit ? Math.min(n, limit) : n;
+  }
+
+  async insertOne(doc) {
+    if (doc._id === undefined) doc._id = new ObjectId();
+    this.docs.push(clone(doc));
+    return { acknowledged: true, insertedId: doc._id };
+  }
+
+  async replaceOne(filter, doc) {
+    const i = this.docs.indexOf(this.select(filter)[0]);
+    if (i < 0) return { matchedCount: 0, modifiedCount: 0 };
+    this.docs[i] = clone({ ...doc, _id: this.docs[i]._id });
+    return { matchedCount: 1, modifiedCount: 1 };
+  }
+
+  async updateOne(filter, update, { upsert = false } = {}) {
+    const [doc] = this.select(filter);
+    if (doc) {
+      applyUpdate(doc, update);
+      return { matchedCount: 1, modifiedCount: 1, upsertedId: null };
+    }
+    if (!upsert) return { matchedCount: 0, modifiedCount: 0, upsertedId: null };
+    const inserted = applyUpdate({ _id: new ObjectId(), ...clone(equalityFields(filter)) }, update, { inserting: true });
+    this.docs.push(inserted);
+    return { matchedCount: 0, modifiedCount: 0, upsertedId: inserted._id };
+  }
+
+  async updateMany(filter, update) {
+    const docs = this.select(filter);
+    for (const doc of docs) applyUpdate(doc, update);
+    return { matchedCount: docs.length, modifiedCount: docs.length };
+  }
+
+  async deleteOne(filter) {
+    const [doc] = this.select(filter);
+    if (doc) this.docs.splice(this.docs.indexOf(doc), 1);
+    return { deletedCount: doc ? 1 : 0 };
+  }
+
+  async deleteMany(filter) {
+    const gone = new Set(this.select(filter));
+    this.docs = this.docs.filter((d) => !gone.has(d));
+    return { deletedCount: gone.size };
+  }
+
+  async createIndexes(specs) {
+    for (const spec of specs) {
+      const existing = this.indexSpecs.get(spec.name);
+      if (existing && !valuesEqual(existing.key, spec.key)) {
+        throw Object.assign(new Error(`Index ${spec.name} already exists with a different key`), { code: 86 });
+      }
+      this.indexSpecs.set(spec.name, spec);
+    }
+    return specs.map((s) => s.name);
+  }
+
+  async createIndex(key, options = {}) {
+    const name = options.name ?? Object.entries(key).map(([k, v]) => `${k}_${v}`).join('_');
+    await this.createIndexes([{ key, ...options, name }]);
+    return name;
+  }
+
+  async dropIndex(name) {
+    if (!this.indexSpecs.delete(name)) throw indexNotFound(name);
+  }
+
+  async indexes() {
+    return [...this.indexSpecs.values()];
+  }
+}
+
+/** A fresh, empty stand-in Db; `collectionNames()` and `indexNames(collection)` list what migrations touched */
+export const createMemoryDb = () => {
+  const collections = new Map();
+  const collection = (name) => {
+    if (!collections.has(name)) collections.set(name, new MemoryCollection(name));
+    return collections.get(name);
+  };
+  return {
+    collection,
+    collectionNames: () => [...collections.keys()],
+    indexNames: (name) => [...collection(name).indexSpecs.keys()].sort()
+  };
+};
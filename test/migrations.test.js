@@ -0,0 +1,231 @@
+// test/migrations.test.js
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { ObjectId } from 'mongodb';
+import { migrate, rollback, status } from '../db/migrations.js';
+import { seed } from '../db/seed.js';
+import { RATES } from '../lib/money.js';
+import { CIRCULATION } from '../lib/circulation.js';
+import { basePriceOf } from '../models/book.js';
+import { createMemoryStorage } from '../repositories/memory.js';
+import { createMemoryDb } from './memoryDb.js';
+
+const quiet = { log: () => {} };
+
+describe('migration runner', () => {
+  test('applies pending migrations in order, records them, and skips them next time', async () => {
+    const db = createMemoryDb();
+    const pending = await status(db);
+    assert.ok(pending.length > 0);
+    assert.ok(pending.every((m) => m.appliedAt === null));
+    const names = pending.map((m) => m.name);
+    assert.deepEqual(names, [...names].sort());
+
+    assert.deepEqual(await migrate(db, quiet), names);
+    const records = await db.collection('_migrations').find({}).sort({ _id: 1 }).toArray();
+    assert.deepEqual(records.map((r) => r._id), names);
+    assert.ok(records.every((r) => r.appliedAt instanceof Date));
+    assert.ok((await status(db)).every((m) => m.appliedAt instanceof Date));
+    assert.ok(db.indexNames('books').includes('isbn_unique'));
+
+    assert.deepEqual(await migrate(db, quiet), []);
+  });
+
+  test('rolls back the latest migration by default, and down undoes every up', async () => {
+    const db = createMemoryDb();
+    const names = await migrate(db, quiet);
+
+    assert.deepEqual(await rollback(db, quiet), names.slice(-1));
+    assert.deepEqual(
+      (await status(db)).filter((m) => m.appliedAt === null).map((m) => m.name),
+      names.slice(-1)
+    );
+    assert.equal(await db.collection('_migrations').countDocuments({}), names.length - 1);
+
+    assert.deepEqual(await migrate(db, quiet), names.slice(-1), 're-applies what was rolled back');
+
+    await rollback(db, { ...quiet, steps: names.length });
+    assert.equal(await db.collection('_migrations').countDocuments({}), 0);
+    for (const collection of db.collectionNames()) {
+      assert.deepEqual(db.indexNames(collection), [], `${collection} indexes left behind`);
+    }
+  });
+
+  test('an applied migration whose file is gone is listed as missing and never re-run', async () => {
+    const db = createMemoryDb();
+    await db.collection('_migrations').insertOne({ _id: '000-removed', appliedAt: new Date() });
+    const [first] = await status(db);
+    const gone = (await status(db)).find((m) => m.name === '000-removed');
+    assert.notEqual(first.name, '000-removed');
+    assert.equal(gone.missing, true);
+    assert.ok(!(await migrate(db, quiet)).includes('000-removed'));
+  });
+});
+
+describe('money migrations', () => {
+  /** Run one migration file's up or down against `db` */
+  const run = async (name, direction, db) => (await import(`../migrations/${name}.js`))[direction](db);
+
+  const byNote = async (collection, field) =>
+    Object.fromEntries((await collection.find({}).toArray()).map((d) => [d.note, d[field]]));
+
+  test('010: plain prices become base-currency money, and back', async (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const db = createMemoryDb();
+    const books = db.collection('books');
+    await books.insertOne({ note: 'plain', price: 29.99 });
+    await books.insertOne({ note: 'half', price: 10.125 });
+    await books.insertOne({ note: 'negative', price: -1 });
+    await books.insertOne({ note: 'text', price: 'free' });
+    await books.insertOne({ note: 'money', price: { amount: 500, currency: 'EUR' } });
+
+    await run('010-money-prices', 'up', db);
+    assert.deepEqual(await byNote(books, 'price'), {
+      plain: { amount: 2999, currency: RATES.base },
+      half: { amount: 1012, currency: RATES.base },
+      negative: -1,
+      text: 'free',
+      money: { amount: 500, currency: 'EUR' }
+    });
+    assert.equal(warn.mock.callCount(), 1);
+    assert.match(warn.mock.calls[0].arguments[0], /left 1 book/);
+    assert.ok(db.indexNames('discounts').includes('startsAt_endsAt'));
+
+    await run('010-money-prices', 'down', db);
+    assert.deepEqual(await byNote(books, 'price'), {
+      plain: 29.99,
+      half: 10.12,
+      negative: -1,
+      text: 'free',
+      money: 5
+    });
+    assert.deepEqual(db.indexNames('discounts'), []);
+  });
+
+  test('011: plain fines become money in FINE_CURRENCY, and back', async () => {
+    const db = createMemoryDb();
+    const fines = db.collection('fines');
+    await fines.insertOne({ note: 'plain', amount: 0.75 });
+    await fines.insertOne({ note: 'money', amount: { amount: 25, currency: 'USD' } });
+
+    await run('011-money-fines', 'up', db);
+    assert.deepEqual(await byNote(fines, 'amount'), {
+      plain: { amount: 75, currency: CIRCULATION.fineMax.currency },
+      money: { amount: 25, currency: 'USD' }
+    });
+
+    await run('011-money-fines', 'down', db);
+    assert.deepEqual(await byNote(fines, 'amount'), { plain: 0.75, money: 0.25 });
+  });
+
+  test('012: books get a base price where their currency has a rate, and lose it on the way down', async (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const db = createMemoryDb();
+    const books = db.collection('books');
+    const eur = { amount: 920, currency: 'EUR' };
+    await books.insertOne({ note: 'eur', price: eur });
+    await books.insertOne({ note: 'unrated', price: { amount: 100, currency: 'CHF' } });
+    await books.insertOne({ note: 'plain', price: 12 });
+
+    await run('012-book-base-price', 'up', db);
+    assert.deepEqual(await byNote(books, 'basePrice'), { eur: basePriceOf(eur), unrated: undefined, plain: undefined });
+    assert.equal(basePriceOf(eur), 1000);
+    assert.match(warn.mock.calls[0].arguments[0], /left 1 book/);
+
+    await run('012-book-base-price', 'down', db);
+    assert.equal(await books.countDocuments({ basePrice: { $exists: true } }), 0);
+  });
+});
+
+describe('seed', () => {
+  let dataDir;
+
+  before(async () => {
+    dataDir = await mkdtemp(path.join(tmpdir(), 'library-seed-'));
+  });
+
+  after(() => rm(dataDir, { recursive: true, force: true }));
+
+  const writeSeed = async (authors, books) => {
+    await writeFile(path.join(dataDir, 'authors.json'), JSON.stringify(authors));
+    await writeFile(path.join(dataDir, 'books.json'), JSON.stringify(books));
+  };
+
+  const author = (seedId, email) => ({
+    _id: seedId,
+    firstName: 'Ada',
+    lastName: 'Lovelace',
+    email,
+    birthdate: '1815-12-10',
+    nationality: 'British'
+  });
+
+  const book = (isbn, credits, extra = {}) => ({
+    title: `Book ${isbn}`,
+    isbn,
+    authors: credits,
+    publishedYear: 2001,
+    genres: ['Fiction'],
+    pages: 100,
+    price: { amount: 1250, currency: 'USD' },
+    ...extra
+  });
+
+  test('remaps seed-local author ids to real ones, and re-seeding changes nothing', async () => {
+    const storage = createMemoryStorage();
+    const existing = await storage.authors.insertOne({ ...author(undefined, 'ada@example.com'), _id: new ObjectId() });
+    await writeSeed(
+      [author('ada', 'ada@example.com'), author('000000000000000000000000', 'grace@example.com')],
+      [
+        book('9780000000019', [{ authorId: 'ada', role: 'author' }], { inStock: true }),
+        book('9780000000026', [
+          { authorId: '000000000000000000000000', role: 'author' },
+          { authorId: 'ada', role: 'editor' }
+        ])
+      ]
+    );
+
+    assert.deepEqual(await seed(storage, { dataDir, ...quiet }), { authors: 2, books: 2, copies: 1 });
+    const grace = await storage.authors.findOne({ email: 'grace@example.com' });
+    assert.equal((await storage.authors.findOne({ email: 'ada@example.com' }))._id.toString(), existing._id.toString());
+    assert.notEqual(grace._id.toString(), '000000000000000000000000', 'a seed id is only a reference key');
+
+    const credits = async (isbn) =>
+      (await storage.books.findOne({ isbn })).authors.map((c) => [c.authorId.toString(), c.role]);
+    assert.deepEqual(await credits('9780000000019'), [[existing._id.toString(), 'author']]);
+    assert.deepEqual(await credits('9780000000026'), [
+      [grace._id.toString(), 'author'],
+      [existing._id.toString(), 'editor']
+    ]);
+    const stocked = await storage.books.findOne({ isbn: '9780000000019' });
+    assert.equal(stocked.availableCopies, 1);
+    assert.equal((await storage.copies.findOne({ bookId: stocked._id })).barcode, '9780000000019-1');
+    assert.equal((await storage.books.findOne({ isbn: '9780000000026' })).availableCopies, 0);
+
+    await seed(storage, { dataDir, ...quiet });
+    assert.equal(await storage.authors.count({}), 2);
+    assert.equal(await storage.books.count({}), 2);
+    assert.equal(await storage.copies.count({}), 1);
+    assert.deepEqual(await credits('9780000000026'), [
+      [grace._id.toString(), 'author'],
+      [existing._id.toString(), 'editor']
+    ]);
+  });
+
+  test('a credit may name an author already in the database by its real id', async () => {
+    const storage = createMemoryStorage();
+    const existing = await storage.authors.insertOne({ ...author(undefined, 'mary@example.com'), _id: new ObjectId() });
+    await writeSeed([], [book('9780000000019', [{ authorId: existing._id.toString(), role: 'author' }])]);
+    await seed(storage, { dataDir, ...quiet });
+    assert.equal((await storage.books.findOne({})).authors[0].authorId.toString(), existing._id.toString());
+  });
+
+  test('a credit that matches no author fails, naming the entry', async () => {
+    const storage = createMemoryStorage();
+    await writeSeed([author('ada', 'ada@example.com')], [book('9780000000019', [{ authorId: 'bob', role: 'author' }])]);
+    await assert.rejects(seed(storage, { dataDir, ...quiet }), /books\.json\[0\]: authorId bob does not match/);
+  });
+});
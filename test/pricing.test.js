@@ -0,0 +1,235 @@
+// test/pricing.test.js
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ObjectId } from 'mongodb';
+import { bookInput, insertAuthor, insertBook, startApp, useMemoryStorage, usd } from './helpers.js';
+import { convert, parseAmount, percentOff } from '../lib/money.js';
+
+process.env.AUTH_DISABLE = 'true'; // auth itself is covered in auth.*.test.js
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let app;
+let storage;
+let author;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app.close());
+
+beforeEach(async () => {
+  storage = useMemoryStorage();
+  author = await insertAuthor(storage);
+});
+
+/** A discount running from yesterday to tomorrow unless `overrides` say otherwise */
+const insertDiscount = (overrides) =>
+  storage.discounts.insertOne({
+    name: 'Sale',
+    percentOff: 10,
+    startsAt: new Date(Date.now() - DAY_MS),
+    endsAt: new Date(Date.now() + DAY_MS),
+    version: 1,
+    ...overrides
+  });
+
+describe('money', () => {
+  test('parses decimal strings into minor units without floats', () => {
+    assert.deepEqual(parseAmount('12.5', 'EUR'), { amount: 1250 });
+    assert.deepEqual(parseAmount('0.29', 'USD'), { amount: 29 }); // 0.29 * 100 is 28.999... as a float
+    assert.deepEqual(parseAmount('1500', 'JPY'), { amount: 1500 });
+    assert.ok(parseAmount('12.505', 'EUR').error);
+    assert.ok(parseAmount('1.5', 'JPY').error);
+    assert.deepEqual(parseAmount('12.505', 'EUR', { round: true }), { amount: 1250 }); // half to even
+    assert.deepEqual(parseAmount('12.515', 'EUR', { round: true }), { amount: 1252 });
+  });
+
+  test('converts through the base currency and rounds half to even', () => {
+    assert.deepEqual(convert(usd(2999), 'EUR'), { amount: 2759, currency: 'EUR' }); // 27.5908
+    assert.deepEqual(convert(usd(2999), 'JPY'), { amount: 4534, currency: 'JPY' }); // 4534.488
+    assert.deepEqual(convert({ amount: 4534, currency: 'JPY' }, 'GBP'), { amount: 2369, currency: 'GBP' });
+    assert.deepEqual(percentOff(usd(2999), 25), usd(2249)); // 22.4925
+    assert.deepEqual(percentOff(usd(50), 5), usd(48)); // 0.475
+  });
+});
+
+describe('book prices', () => {
+  test('400 on a bare number, a fractional amount or an unknown currency', async () => {
+    for (const price of [12.5, { amount: 12.5, currency: 'USD' }, { amount: 1250, currency: 'XYZ' }]) {
+      const res = await app.request('POST', '/books', { body: bookInput(author._id, { price }) });
+      assert.equal(res.status, 400, JSON.stringify(price));
+      assert.ok(res.body.errors.some((e) => e.field.startsWith('price')));
+    }
+  });
+
+  test('?currency converts listPrice and effectivePrice but keeps price as stored', async () => {
+    const book = await insertBook(storage, author._id, { price: usd(2999) });
+    const res = await app.request('GET', `/books/${book._id}?currency=EUR`);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.price, usd(2999));
+    assert.deepEqual(res.body.listPrice, { amount: 2759, currency: 'EUR' });
+    assert.deepEqual(res.body.effectivePrice, { amount: 2759, currency: 'EUR' });
+    assert.equal((await app.request('GET', '/books?currency=XYZ')).status, 400);
+  });
+
+  test('the ETag tells price readings apart, and If-Match still takes any of them', async () => {
+    const book = await insertBook(storage, author._id, { price: usd(2999) });
+    const get = (query, etag) =>
+      app.request('GET', `/books/${book._id}${query}`, { headers: etag ? { 'If-None-Match': etag } : {} });
+    const plain = (await get('')).headers.get('etag');
+    assert.equal(plain, `"${book._id}-v1"`);
+
+    const euros = await get('?currency=EUR', plain);
+    assert.equal(euros.status, 200);
+    assert.deepEqual(euros.body.listPrice, { amount: 2759, currency: 'EUR' });
+    const euroTag = euros.headers.get('etag');
+    assert.match(euroTag, /-v1-p[0-9a-f]+"$/);
+    assert.equal((await get('?currency=EUR', euroTag)).status, 304);
+
+    await insertDiscount({ bookId: book._id, percentOff: 10 });
+    const discounted = await get('', plain);
+    assert.equal(discounted.status, 200);
+    assert.deepEqual(discounted.body.effectivePrice, usd(2699));
+    assert.notEqual(discounted.headers.get('etag'), plain);
+    assert.equal((await get('?currency=EUR', euroTag)).status, 200);
+
+    const patched = await app.request('PATCH', `/books/${book._id}`, {
+      body: { pages: 321 },
+      type: 'application/merge-patch+json',
+      headers: { 'If-Match': euroTag }
+    });
+    assert.equal(patched.status, 200);
+    assert.deepEqual(patched.body.effectivePrice, usd(2699));
+    assert.match(patched.headers.get('etag'), /-v2-p[0-9a-f]+"$/);
+  });
+
+  test('POST and PUT send the ETag a GET would, sale included', async () => {
+    await insertDiscount({ genre: 'Fantasy', percentOff: 10 });
+    const body = () => bookInput(author._id, { genres: ['Fantasy'], price: usd(2000) });
+    for (const path of ['/books', `/authors/${author._id}/books`]) {
+      const posted = await app.request('POST', path, { body: body() });
+      assert.equal(posted.status, 201, path);
+      const got = await app.request('GET', `/books/${posted.body.id}`);
+      assert.match(got.headers.get('etag'), /-v1-p[0-9a-f]+"$/);
+      assert.equal(posted.headers.get('etag'), got.headers.get('etag'), path);
+    }
+    const book = await insertBook(storage, author._id);
+    const put = await app.request('PUT', `/books/${book._id}`, { body: body() });
+    assert.equal(put.status, 204);
+    assert.equal(put.headers.get('etag'), (await app.request('GET', `/books/${book._id}`)).headers.get('etag'));
+  });
+
+  test('minPrice / maxPrice are in the requested currency and match every currency', async () => {
+    await insertBook(storage, author._id, { price: usd(1000) }); // 9.20 EUR
+    await insertBook(storage, author._id, { price: { amount: 1500, currency: 'JPY' } }); // 9.13 EUR
+    await insertBook(storage, author._id, { price: { amount: 2000, currency: 'EUR' } });
+    const res = await app.request('GET', '/books?currency=EUR&minPrice=9.15&maxPrice=10');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.map((b) => b.price), [usd(1000)]);
+    assert.equal((await app.request('GET', '/books?minPrice=1.234')).status, 400);
+  });
+
+  test('sort=price compares prices across currencies by value', async () => {
+    await insertBook(storage, author._id, { price: usd(800) });
+    await insertBook(storage, author._id, { price: { amount: 1000, currency: 'JPY' } }); // $6.61
+    const posted = await app.request('POST', '/books', {
+      body: bookInput(author._id, { price: { amount: 700, currency: 'GBP' } }) // $8.86
+    });
+    assert.equal(posted.status, 201);
+    assert.equal((await storage.books.findById(new ObjectId(posted.body.id))).basePrice, 886);
+
+    const ascending = await app.request('GET', '/books?sort=price');
+    assert.deepEqual(ascending.body.map((b) => b.price.currency), ['JPY', 'USD', 'GBP']);
+    const descending = await app.request('GET', '/books?sort=-price&limit=2');
+    assert.deepEqual(descending.body.map((b) => b.price.currency), ['GBP', 'USD']);
+    const next = await app.request('GET', `/books?sort=-price&limit=2&after=${descending.body[1]._id}`);
+    assert.deepEqual(next.body.map((b) => b.price.currency), ['JPY']);
+  });
+
+  test('CSV prices are major units of the currency column', async () => {
+    const row = bookInput(author._id);
+    const body =
+      'title,isbn,authors,publishedYear,genres,pages,price,currency\n' +
+      `${row.title},${row.isbn},${author._id},2001,Fiction,100,1500,JPY\n`;
+    const res = await app.request('POST', '/books/import', { body, type: 'text/csv' });
+    assert.equal(res.body.results[0].status, 'created');
+    const stored = await storage.books.findOne({ isbn: row.isbn });
+    assert.deepEqual(stored.price, { amount: 1500, currency: 'JPY' });
+
+    const exported = await app.request('GET', '/books/export?format=csv');
+    assert.match(exported.body, /,1500,JPY,/);
+  });
+});
+
+describe('discounts', () => {
+  test('the best running discount sets effectivePrice', async () => {
+    const book = await insertBook(storage, author._id, { genres: ['Fantasy'], price: usd(2000) });
+    await insertDiscount({ genre: 'Fantasy', percentOff: 10 });
+    const best = await insertDiscount({ authorId: author._id, percentOff: 25, name: 'Author week' });
+    const later = { startsAt: new Date(Date.now() + DAY_MS), endsAt: new Date(Date.now() + 2 * DAY_MS) };
+    await insertDiscount({ bookId: book._id, percentOff: 50, ...later });
+    await insertDiscount({ genre: 'Poetry', percentOff: 90 });
+
+    const res = await app.request('GET', `/books/${book._id}`);
+    assert.deepEqual(res.body.listPrice, usd(2000));
+    assert.deepEqual(res.body.effectivePrice, usd(1500));
+    assert.equal(res.body.discount.id, String(best._id));
+    assert.equal(res.body.discount.name, 'Author week');
+
+    const list = await app.request('GET', '/books?currency=GBP');
+    assert.deepEqual(list.body[0].listPrice, { amount: 1580, currency: 'GBP' });
+    assert.deepEqual(list.body[0].effectivePrice, { amount: 1185, currency: 'GBP' });
+  });
+
+  test('without a running discount effectivePrice is the list price', async () => {
+    const book = await insertBook(storage, author._id);
+    const ended = { startsAt: new Date(Date.now() - 2 * DAY_MS), endsAt: new Date(Date.now() - DAY_MS) };
+    await insertDiscount({ bookId: book._id, ...ended });
+    const res = await app.request('GET', `/books/${book._id}`);
+    assert.deepEqual(res.body.effectivePrice, res.body.price);
+    assert.equal(res.body.discount, undefined);
+  });
+
+  test('CRUD with validation, a live target and audit', async () => {
+    const book = await insertBook(storage, author._id);
+    const body = {
+      name: 'Launch week',
+      percentOff: 15,
+      bookId: String(book._id),
+      startsAt: new Date(Date.now() - DAY_MS).toISOString(),
+      endsAt: new Date(Date.now() + DAY_MS).toISOString()
+    };
+    const created = await app.request('POST', '/discounts', { body });
+    assert.equal(created.status, 201);
+    const discounted = await app.request('GET', `/books/${book._id}`);
+    assert.deepEqual(discounted.body.effectivePrice, usd(1062)); // 10.625, half to even
+
+    const patched = await app.request('PATCH', `/discounts/${created.body.id}`, {
+      body: { percentOff: 20 },
+      type: 'application/merge-patch+json'
+    });
+    assert.equal(patched.status, 200);
+    assert.equal(patched.body.percentOff, 20);
+    assert.equal((await app.request('GET', '/discounts?running=true')).body.length, 1);
+
+    assert.equal((await app.request('DELETE', `/discounts/${created.body.id}`)).status, 204);
+    assert.equal((await app.request('GET', `/books/${book._id}`)).body.discount, undefined);
+    const audit = await storage.audit.find({ resource: 'discounts' });
+    assert.deepEqual(audit.map((e) => e.operation), ['create', 'patch', 'delete']);
+  });
+
+  test('400 without exactly one target or with endsAt before startsAt; 422 on an unknown book', async () => {
+    const base = { name: 'x', percentOff: 10, startsAt: '2026-01-01T00:00:00Z', endsAt: '2026-02-01T00:00:00Z' };
+    const none = await app.request('POST', '/discounts', { body: base });
+    assert.equal(none.status, 400);
+    const two = { ...base, genre: 'Fantasy', authorId: String(author._id) };
+    assert.equal((await app.request('POST', '/discounts', { body: two })).status, 400);
+    const inverted = { ...base, genre: 'Fantasy', endsAt: '2025-12-01T00:00:00Z' };
+    assert.equal((await app.request('POST', '/discounts', { body: inverted })).status, 400);
+    const unknown = await app.request('POST', '/discounts', { body: { ...base, bookId: String(new ObjectId()) } });
+    assert.equal(unknown.status, 422);
+    assert.equal(unknown.body.errors[0].field, 'bookId');
+  });
+});
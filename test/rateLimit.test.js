@@ -0,0 +1,137 @@
+// test/rateLimit.test.js
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { authorInput, startApp, useMemoryStorage } from './helpers.js';
+import { startIssuer } from './issuer.js';
+import { MemoryBucketStore, RateRule, takeToken } from '../lib/rateLimit.js';
+
+const AUDIENCE = 'https://library-api.test';
+const READ = { limit: 3, windowSeconds: 60 };
+const WRITE = { limit: 2, windowSeconds: 60 };
+
+describe('token buckets', () => {
+  test('parses <limit>/<windowSeconds> rules', () => {
+    assert.deepEqual(RateRule.parse('300/60'), { limit: 300, windowSeconds: 60 });
+    assert.equal(RateRule.safeParse('300 per minute').success, false);
+    assert.equal(RateRule.safeParse('0/60').success, false);
+  });
+
+  test('starts full, drains, and refills continuously', () => {
+    const rule = { limit: 2, windowSeconds: 10 }; // one token every 5s
+    let state = takeToken(undefined, rule, 0);
+    assert.deepEqual([state.allowed, state.tokens], [true, 1]);
+    state = takeToken(state, rule, 0);
+    assert.deepEqual([state.allowed, state.tokens], [true, 0]);
+    state = takeToken(state, rule, 1000);
+    assert.equal(state.allowed, false);
+    state = takeToken(state, rule, 5000);
+    assert.equal(state.allowed, true);
+    // never refills past the limit
+    assert.equal(takeToken(state, rule, 10 ** 9).tokens, rule.limit - 1);
+  });
+
+  test('the memory store keeps one bucket per key and sweeps full ones', async () => {
+    let now = 0;
+    const store = new MemoryBucketStore({ now: () => now });
+    const rule = { limit: 1, windowSeconds: 60 };
+    assert.equal((await store.take('a', rule)).allowed, true);
+    assert.equal((await store.take('a', rule)).allowed, false);
+    assert.equal((await store.take('b', rule)).allowed, true);
+    now = 60 * 1000;
+    store.sweep();
+    assert.equal(store.buckets.size, 0);
+    assert.equal((await store.take('a', rule)).allowed, true);
+  });
+});
+
+describe('rate limiting middleware', () => {
+  let issuer;
+  let app;
+  /** Swapped per test so every test starts with full buckets */
+  const store = { inner: null, take: (key, rule) => store.inner.take(key, rule) };
+
+  before(async () => {
+    issuer = await startIssuer({ audience: AUDIENCE });
+    delete process.env.AUTH_DISABLE;
+    process.env.AUTH0_AUDIENCE = AUDIENCE;
+    process.env.AUTH0_ISSUER_BASE_URL = issuer.issuer;
+    const { createRateLimiter } = await import('../middleware/rateLimit.js');
+    app = await startApp({ rateLimit: createRateLimiter({ read: READ, write: WRITE, store }) });
+  });
+
+  after(async () => {
+    await app.close();
+    await issuer.close();
+  });
+
+  beforeEach(() => {
+    useMemoryStorage();
+    store.inner = new MemoryBucketStore();
+  });
+
+  const editor = (sub) => issuer.token({ scope: 'read:library write:library', sub });
+
+  test('sends RateLimit headers and 429 with Retry-After once the bucket is empty', async () => {
+    const first = await app.request('GET', '/books');
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('ratelimit-limit'), '3');
+    assert.equal(first.headers.get('ratelimit-remaining'), '2');
+    assert.equal(first.headers.get('ratelimit-policy'), '3;w=60');
+    assert.ok(Number(first.headers.get('ratelimit-reset')) > 0);
+
+    await app.request('GET', '/books');
+    await app.request('GET', '/authors');
+    const limited = await app.request('GET', '/books');
+    assert.equal(limited.status, 429);
+    assert.equal(limited.headers.get('ratelimit-remaining'), '0');
+    assert.equal(limited.headers.get('retry-after'), '20');
+    assert.match(limited.body.detail, /Too many read requests/);
+  });
+
+  test('reads and writes have separate limits', async () => {
+    const token = editor('user|writer');
+    for (let i = 0; i < WRITE.limit; i++) {
+      assert.equal((await app.request('POST', '/authors', { body: authorInput(), token })).status, 201);
+    }
+    const limited = await app.request('POST', '/authors', { body: authorInput(), token });
+    assert.equal(limited.status, 429);
+    assert.equal(limited.headers.get('ratelimit-limit'), '2');
+    assert.equal((await app.request('GET', '/authors', { token })).status, 200);
+  });
+
+  test('keys authenticated clients by subject, others by IP', async () => {
+    for (let i = 0; i < READ.limit; i++) await app.request('GET', '/books');
+    assert.equal((await app.request('GET', '/books')).status, 429);
+    // same IP, but a verified subject has its own bucket
+    assert.equal((await app.request('GET', '/books', { token: editor('user|a') })).status, 200);
+    for (let i = 0; i < READ.limit - 1; i++) await app.request('GET', '/books', { token: editor('user|b') });
+    assert.equal((await app.request('GET', '/books', { token: editor('user|b') })).status, 200);
+    assert.equal((await app.request('GET', '/books', { token: editor('user|b') })).status, 429);
+  });
+
+  test('an invalid token falls back to the IP bucket and keeps public reads public', async () => {
+    const bogus = issuer.token({ sub: 'user|spoofed' }, { key: issuer.otherKey });
+    const res = await app.request('GET', '/books', { token: bogus });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('www-authenticate'), null);
+    for (let i = 0; i < READ.limit - 1; i++) await app.request('GET', '/books');
+    assert.equal((await app.request('GET', '/books', { token: bogus })).status, 429);
+    // writes still report the bad token
+    assert.equal((await app.request('POST', '/authors', { body: authorInput(), token: bogus })).status, 401);
+  });
+
+  test('health checks are not limited', async () => {
+    for (let i = 0; i < READ.limit + 2; i++) {
+      const res = await app.request('GET', '/healthz');
+      assert.equal(res.status, 200);
+      assert.equal(res.headers.get('ratelimit-limit'), null);
+    }
+  });
+
+  test('lets requests through when the store fails', async () => {
+    store.inner = { take: async () => { throw new Error('store down'); } };
+    const res = await app.request('GET', '/books');
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('ratelimit-limit'), null);
+  });
+});
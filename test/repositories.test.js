@@ -0,0 +1,175 @@
+// test/repositories.test.js
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ObjectId } from 'mongodb';
+import { createMemoryStorage } from '../repositories/memory.js';
+import { createMongoStorage } from '../repositories/mongo.js';
+import { closeDb, connectToDb } from '../db/connect.js';
+import { migrate } from '../db/migrations.js';
+import { MongoEnv, loadConfig } from '../lib/config.js';
+
+/**
+ * The repository contract (repositories/index.js), run against each backend. The route suites
+ * only ever use memory storage, so this is what keeps the two in step.
+ *
+ * MongoDB runs when TEST_MONGODB_URI points at a server it may create a scratch database on
+ * (a replica set: withTransaction needs one); the database is migrated first, so unique keys
+ * and text indexes are the real ones, and dropped afterwards.
+ */
+
+const MONGODB_URI = process.env.TEST_MONGODB_URI;
+
+const BACKENDS = [
+  { kind: 'memory', open: async () => createMemoryStorage(), close: async () => {} },
+  {
+    kind: 'mongo',
+    skip: !MONGODB_URI && 'set TEST_MONGODB_URI (a replica set) to run against MongoDB',
+    open: async () => {
+      const db = await connectToDb(loadConfig(MongoEnv, { MONGODB_URI, DB_NAME: `library_test_${process.pid}` }));
+      await migrate(db, { log: () => {} });
+      return Object.assign(createMongoStorage(db), { db });
+    },
+    close: async (storage) => {
+      await storage.db.dropDatabase();
+      await closeDb();
+    }
+  }
+];
+
+const ids = (docs) => docs.map((d) => d.title);
+
+for (const backend of BACKENDS) {
+  describe(`${backend.kind} repositories`, { skip: backend.skip }, () => {
+    let storage;
+
+    before(async () => {
+      storage = await backend.open();
+    });
+
+    after(() => backend.close(storage));
+
+    beforeEach(async () => {
+      for (const name of ['books', 'authors']) await storage[name].deleteMany({});
+    });
+
+    const book = (title, extra = {}) => ({ title, isbn: `isbn-${title}`, version: 1, ...extra });
+
+    test('insert, read, count, replace and delete', async () => {
+      const stored = await storage.books.insertOne(book('A'));
+      assert.ok(stored._id instanceof ObjectId);
+      assert.equal((await storage.books.findById(stored._id)).title, 'A');
+      assert.equal((await storage.books.findOne({ title: 'A' }))._id.toString(), stored._id.toString());
+      assert.equal(await storage.books.findOne({ title: 'B' }), null);
+      assert.equal(await storage.books.count({}), 1);
+      assert.equal(await storage.books.exists({ title: 'B' }), false);
+
+      assert.equal(await storage.books.replaceOne({ _id: stored._id, version: 1 }, book('A2', { version: 2 })), true);
+      assert.equal(await storage.books.replaceOne({ _id: stored._id, version: 1 }, book('A3', { version: 2 })), false);
+      assert.equal((await storage.books.findById(stored._id)).title, 'A2');
+
+      assert.equal(await storage.books.deleteOne({ _id: stored._id }), true);
+      assert.equal(await storage.books.deleteOne({ _id: stored._id }), false);
+    });
+
+    test('updateMany and deleteMany return counts; updateMany counts matches, not changes', async () => {
+      await storage.books.insertOne(book('A', { genres: ['Fantasy'] }));
+      await storage.books.insertOne(book('B', { genres: ['Fantasy', 'Epic'] }));
+      await storage.books.insertOne(book('C', { genres: ['Food'] }));
+      assert.equal(await storage.books.updateMany({ genres: 'Fantasy' }, { $set: { shelf: 1 }, $inc: { version: 1 } }), 2);
+      assert.equal(await storage.books.updateMany({ genres: 'Fantasy' }, { $set: { shelf: 1 } }), 2);
+      assert.equal(await storage.books.count({ shelf: 1, version: 2 }), 2);
+      assert.equal(await storage.books.deleteMany({ genres: { $in: ['Epic', 'Food'] } }), 2);
+      assert.deepEqual(ids(await storage.books.find({})), ['A']);
+    });
+
+    test('sorts put missing and null values first ascending, last descending', async () => {
+      await storage.books.insertOne(book('placed-2', { publishedYear: 2002 }));
+      await storage.books.insertOne(book('missing'));
+      await storage.books.insertOne(book('placed-1', { publishedYear: 2001 }));
+      await storage.books.insertOne(book('null', { publishedYear: null }));
+      const by = (dir) => [['publishedYear', dir], ['title', 1]];
+      assert.deepEqual(ids(await storage.books.find({}, { sort: by(1) })), ['missing', 'null', 'placed-1', 'placed-2']);
+      assert.deepEqual(ids(await storage.books.find({}, { sort: by(-1) })), ['placed-2', 'placed-1', 'missing', 'null']);
+      assert.deepEqual(ids(await storage.books.find({}, { sort: by(1), skip: 1, limit: 2 })), ['null', 'placed-1']);
+
+      // What keyset paging (lib/pagination.js) relies on to step over the null run
+      assert.deepEqual(ids(await storage.books.find({ publishedYear: null }, { sort: by(1) })), ['missing', 'null']);
+      assert.deepEqual(ids(await storage.books.find({ publishedYear: { $ne: null } }, { sort: by(1) })), ['placed-1', 'placed-2']);
+    });
+
+    test('stream yields in sort order and can be closed early', async () => {
+      for (const title of ['B', 'C', 'A']) await storage.books.insertOne(book(title));
+      const seen = [];
+      const cursor = storage.books.stream({}, { sort: [['title', 1]] });
+      for await (const doc of cursor) seen.push(doc.title);
+      await cursor.close();
+      assert.deepEqual(seen, ['A', 'B', 'C']);
+    });
+
+    test('upsert inserts from the filter’s equality fields, then updates in place', async () => {
+      const update = { $set: { title: 'A' }, $inc: { version: 1 }, $setOnInsert: { availableCopies: 0 } };
+      const first = await storage.books.upsert({ isbn: 'isbn-A' }, update);
+      assert.equal(first.created, true);
+      const second = await storage.books.upsert({ isbn: 'isbn-A' }, { ...update, $setOnInsert: { availableCopies: 9 } });
+      assert.deepEqual(second, { _id: first._id, created: false });
+      const stored = await storage.books.findById(first._id);
+      assert.equal(stored.isbn, 'isbn-A');
+      assert.equal(stored.version, 2);
+      assert.equal(stored.availableCopies, 0);
+    });
+
+    test('unique keys throw code 11000 on insert, replace and upsert', async () => {
+      await storage.books.insertOne(book('A'));
+      const other = await storage.books.insertOne(book('B'));
+      const duplicate = { code: 11000 };
+      await assert.rejects(storage.books.insertOne(book('A')), duplicate);
+      await assert.rejects(storage.books.replaceOne({ _id: other._id }, book('A')), duplicate);
+      await assert.rejects(storage.books.upsert({ title: 'B' }, { $set: { isbn: 'isbn-A' } }), duplicate);
+      await storage.authors.insertOne({ email: 'ada@example.com', lastName: 'Lovelace' });
+      await assert.rejects(storage.authors.insertOne({ email: 'ada@example.com', lastName: 'Byron' }), duplicate);
+    });
+
+    test('textSearch ranks title hits above genre hits and drops non-matches', async () => {
+      await storage.books.insertOne(book('Dragon Tales', { genres: ['Fantasy'] }));
+      await storage.books.insertOne(book('Cooking', { genres: ['Dragon Cuisine'] }));
+      await storage.books.insertOne(book('Gardening', { genres: ['Home'] }));
+      const { engine, hits } = await storage.books.textSearch('dragon', { title: 10, genres: 5 });
+      assert.equal(engine, backend.kind === 'mongo' ? 'text' : 'fallback');
+      assert.deepEqual(hits.map((h) => h.doc.title), ['Dragon Tales', 'Cooking']);
+      assert.ok(hits[0].score > hits[1].score);
+    });
+
+    test('findWithAuthors embeds each credited author; findOrphans lists unresolved credits', async () => {
+      const author = await storage.authors.insertOne({ email: 'ada@example.com', lastName: 'Lovelace' });
+      const gone = new ObjectId();
+      await storage.books.insertOne(book('A', { authors: [{ authorId: author._id, role: 'author' }] }));
+      await storage.books.insertOne(book('B', { authors: [{ authorId: author._id, role: 'author' }, { authorId: gone, role: 'editor' }] }));
+      await storage.books.insertOne(book('C', { authors: [] }));
+
+      const [a, b] = await storage.books.findWithAuthors({ title: { $in: ['A', 'B'] } }, { sort: [['title', 1]] });
+      assert.equal(a.authors[0].author.lastName, 'Lovelace');
+      assert.equal(a.authors[0].role, 'author');
+      assert.equal(b.authors[1].author, null);
+      assert.deepEqual(ids(await storage.books.findOrphans({})), ['B', 'C']);
+    });
+
+    test('withTransaction commits on return and undoes every write on throw', async () => {
+      const kept = await storage.withTransaction(async (session) => {
+        await storage.books.insertOne(book('kept'), { session });
+        return 'done';
+      });
+      assert.equal(kept, 'done');
+
+      await assert.rejects(
+        storage.withTransaction(async (session) => {
+          await storage.books.insertOne(book('undone'), { session });
+          await storage.books.updateMany({ title: 'kept' }, { $inc: { version: 1 } }, { session });
+          throw new Error('boom');
+        }),
+        /boom/
+      );
+      assert.deepEqual(ids(await storage.books.find({})), ['kept']);
+      assert.equal((await storage.books.findOne({ title: 'kept' })).version, 1);
+    });
+  });
+}
@@ -0,0 +1,148 @@
+// test/search.test.js
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { bookFacets, fallbackFilter, isMissingTextIndex, rankDocuments } from '../lib/search.js';
+import { MongoRepository } from '../repositories/mongo.js';
+import { createMemoryDb } from './memoryDb.js';
+import { insertAuthor, insertBook, startApp, useMemoryStorage } from './helpers.js';
+
+process.env.AUTH_DISABLE = 'true'; // auth itself is covered in auth.*.test.js
+
+const WEIGHTS = { title: 10, genres: 5 };
+
+describe('lib/search', () => {
+  test('rankDocuments: whole words score the field weight, substrings half, best first', () => {
+    const docs = [
+      { _id: 1, title: 'Dragons', genres: ['Fantasy'] },
+      { _id: 2, title: 'The Hobbit', genres: ['Fantasy'] },
+      { _id: 3, title: 'Hobbits and Dragons', genres: [] },
+      { _id: 4, title: 'Cooking', genres: ['Food'] }
+    ];
+    const ranked = rankDocuments(docs, 'hobbit fantasy', WEIGHTS);
+    assert.deepEqual(
+      ranked.map((h) => [h.doc._id, h.score]),
+      [[2, 15], [1, 5], [3, 5]]
+    );
+    assert.deepEqual(rankDocuments(docs, 'x', WEIGHTS), [], 'one-letter tokens are ignored');
+  });
+
+  test('fallbackFilter: one case-insensitive pattern over every weighted field', () => {
+    const filter = fallbackFilter('Tolkien, (Fantasy)', WEIGHTS);
+    assert.deepEqual(Object.keys(filter), ['$or']);
+    assert.deepEqual(filter.$or.map((c) => Object.keys(c)[0]), ['title', 'genres']);
+    const pattern = filter.$or[0].title;
+    assert.ok(pattern.test('THE TOLKIEN READER') && pattern.test('fantasy') && !pattern.test('Tolk'));
+    assert.equal(fallbackFilter('a !', WEIGHTS), null);
+  });
+
+  test('isMissingTextIndex: the driver error by code or name, nothing else', () => {
+    assert.ok(isMissingTextIndex({ code: 27 }));
+    assert.ok(isMissingTextIndex({ codeName: 'IndexNotFound' }));
+    assert.ok(!isMissingTextIndex({ code: 11000 }));
+    assert.ok(!isMissingTextIndex(undefined));
+  });
+
+  test('bookFacets: one count per nationality per book, decades in order', () => {
+    const authorsById = new Map([
+      ['a', { nationality: 'British' }],
+      ['b', { nationality: 'British' }],
+      ['c', { nationality: 'Irish' }]
+    ]);
+    const facets = bookFacets(
+      [
+        { authors: [{ authorId: 'a' }, { authorId: 'b' }], publishedYear: 1954, genres: ['Fantasy'], inStock: true },
+        { authors: [{ authorId: 'a' }, { authorId: 'c' }], publishedYear: 1999, genres: ['Fantasy', 'Epic'], inStock: false },
+        { authors: [{ authorId: 'unknown' }], publishedYear: 1950, genres: [], inStock: true },
+        { authors: [], genres: ['Epic'] }
+      ],
+      authorsById
+    );
+    assert.deepEqual(facets.nationality, [
+      { value: 'British', count: 2 },
+      { value: 'Irish', count: 1 }
+    ]);
+    assert.deepEqual(facets.decade, [
+      { value: 1950, count: 2 },
+      { value: 1990, count: 1 }
+    ]);
+    assert.deepEqual(facets.genre, [
+      { value: 'Epic', count: 2 },
+      { value: 'Fantasy', count: 2 }
+    ]);
+    assert.deepEqual(facets.inStock, [
+      { value: true, count: 2 },
+      { value: false, count: 1 }
+    ]);
+  });
+
+  test('MongoRepository.textSearch ranks a regex prefilter when there is no text index', async () => {
+    const db = createMemoryDb();
+    await db.collection('books').insertOne({ title: 'The Hobbit', genres: ['Fantasy'] });
+    await db.collection('books').insertOne({ title: 'Cooking', genres: ['Food'] });
+    const repo = new MongoRepository(db, 'books');
+    const { engine, hits } = await repo.textSearch('hobbit', WEIGHTS);
+    assert.equal(engine, 'fallback');
+    assert.deepEqual(
+      hits.map((h) => [h.doc.title, h.score]),
+      [['The Hobbit', 10]]
+    );
+    assert.deepEqual(await repo.textSearch('!', WEIGHTS), { engine: 'fallback', hits: [] });
+  });
+});
+
+describe('GET /search', () => {
+  let app;
+  let storage;
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(() => app.close());
+
+  beforeEach(() => {
+    storage = useMemoryStorage();
+  });
+
+  test('books by a matching author rank at half the author’s score, added to their own', async () => {
+    const tolkien = await insertAuthor(storage, { firstName: 'John', lastName: 'Tolkien' });
+    const other = await insertAuthor(storage, { lastName: 'Other' });
+    const hobbit = await insertBook(storage, tolkien._id, { title: 'The Hobbit' });
+    const named = await insertBook(storage, other._id, { title: 'Reading Tolkien' });
+    const both = await insertBook(storage, tolkien._id, { title: 'Tolkien on Tolkien' });
+
+    const res = await app.request('GET', '/search?q=tolkien');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.engine, { books: 'fallback', authors: 'fallback' });
+    assert.deepEqual(res.body.total, { books: 3, authors: 1 });
+    assert.deepEqual(
+      res.body.results.map((r) => [r.type, r.id, r.score]),
+      [
+        ['book', String(both._id), 15],
+        ['book', String(named._id), 10],
+        ['author', String(tolkien._id), 10],
+        ['book', String(hobbit._id), 5]
+      ]
+    );
+  });
+
+  test('type narrows the results, limit cuts them; facets still count every matched book', async () => {
+    const author = await insertAuthor(storage, { lastName: 'Fantasy', nationality: 'Irish' });
+    await insertBook(storage, author._id, { title: 'Fantasy One', publishedYear: 1954 });
+    await insertBook(storage, author._id, { title: 'Fantasy Two', publishedYear: 1961 });
+
+    const books = await app.request('GET', '/search?q=fantasy&type=book&limit=1');
+    assert.equal(books.status, 200);
+    assert.equal(books.body.results.length, 1);
+    assert.equal(books.body.results[0].type, 'book');
+    assert.deepEqual(books.body.facets.nationality, [{ value: 'Irish', count: 2 }]);
+    assert.deepEqual(books.body.facets.decade.map((b) => b.value), [1950, 1960]);
+
+    const authors = await app.request('GET', '/search?q=fantasy&type=author');
+    assert.deepEqual(authors.body.results.map((r) => r.type), ['author']);
+
+    assert.equal((await app.request('GET', '/search?q=fantasy&limit=51')).status, 400);
+    assert.equal((await app.request('GET', '/search?q=fantasy&type=work')).status, 400);
+    assert.equal((await app.request('GET', '/search?q=%20')).status, 400);
+  });
+});
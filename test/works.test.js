@@ -0,0 +1,103 @@
+// test/works.test.js
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ObjectId } from 'mongodb';
+import { bookInput, insertAuthor, insertBook, startApp, useMemoryStorage } from './helpers.js';
+
+process.env.AUTH_DISABLE = 'true'; // auth itself is covered in auth.*.test.js
+
+const MERGE = 'application/merge-patch+json';
+
+let app;
+let storage;
+let author;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app.close());
+
+beforeEach(async () => {
+  storage = useMemoryStorage();
+  author = await insertAuthor(storage);
+});
+
+describe('/works', () => {
+  test('creates, reads, patches and lists works', async () => {
+    const created = await app.request('POST', '/works', { body: { title: 'The Hobbit', firstPublishedYear: 1937 } });
+    assert.equal(created.status, 201);
+    assert.equal(created.headers.get('location'), `/works/${created.body.id}`);
+
+    const got = await app.request('GET', `/works/${created.body.id}`);
+    assert.equal(got.body.title, 'The Hobbit');
+    assert.equal(got.headers.get('etag'), `"${created.body.id}-v1"`);
+
+    const patched = await app.request('PATCH', `/works/${created.body.id}`, { body: { originalTitle: 'There and Back Again' }, type: MERGE });
+    assert.equal(patched.status, 200);
+    assert.equal(patched.body.version, 2);
+
+    const list = await app.request('GET', '/works?title=hobbit');
+    assert.equal(list.body.length, 1);
+  });
+
+  test('400 on an invalid work', async () => {
+    const res = await app.request('POST', '/works', { body: { title: '', firstPublishedYear: 9999 } });
+    assert.equal(res.status, 400);
+  });
+
+  test('GET /:id/editions lists the work’s books, oldest first', async () => {
+    const work = await storage.works.insertOne({ title: 'Dune', version: 1 });
+    const second = await insertBook(storage, author._id, { workId: work._id, edition: '2nd', publishedYear: 1990 });
+    const first = await insertBook(storage, author._id, { workId: work._id, edition: '1st', publishedYear: 1965 });
+    await insertBook(storage, author._id);
+    const res = await app.request('GET', `/works/${work._id}/editions`);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.map((b) => b._id), [String(first._id), String(second._id)]);
+    assert.equal((await app.request('GET', `/works/${new ObjectId()}/editions`)).status, 404);
+  });
+
+  test('a book must point at a live work (422)', async () => {
+    const res = await app.request('POST', '/books', { body: bookInput(author._id, { workId: String(new ObjectId()) }) });
+    assert.equal(res.status, 422);
+    assert.equal(res.body.errors[0].field, 'workId');
+  });
+
+  test('DELETE refuses while editions remain (409), then trashes the work', async () => {
+    const work = await storage.works.insertOne({ title: 'Emma', version: 1 });
+    const book = await insertBook(storage, author._id, { workId: work._id });
+    const refused = await app.request('DELETE', `/works/${work._id}`);
+    assert.equal(refused.status, 409);
+    await app.request('DELETE', `/books/${book._id}`);
+    assert.equal((await app.request('DELETE', `/works/${work._id}`)).status, 204);
+    assert.equal((await app.request('GET', `/works/${work._id}`)).status, 404);
+  });
+});
+
+describe('/series', () => {
+  test('creates and renames a series', async () => {
+    const created = await app.request('POST', '/series', { body: { name: 'Discworld' } });
+    assert.equal(created.status, 201);
+    const put = await app.request('PUT', `/series/${created.body.id}`, { body: { name: 'The Discworld' } });
+    assert.equal(put.status, 204);
+    assert.equal((await app.request('GET', `/series/${created.body.id}`)).body.name, 'The Discworld');
+  });
+
+  test('GET /:id/books lists the books in series order', async () => {
+    const series = await storage.series.insertOne({ name: 'Earthsea', version: 1 });
+    const third = await insertBook(storage, author._id, { seriesId: series._id, seriesPosition: 3 });
+    const first = await insertBook(storage, author._id, { seriesId: series._id, seriesPosition: 1 });
+    const novella = await insertBook(storage, author._id, { seriesId: series._id, seriesPosition: 1.5 });
+    const res = await app.request('GET', `/series/${series._id}/books?expand=authors`);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.map((b) => b._id), [first, novella, third].map((b) => String(b._id)));
+    assert.equal(res.body[0].authors[0].author.email, author.email);
+  });
+
+  test('DELETE refuses while books remain in the series (409)', async () => {
+    const series = await storage.series.insertOne({ name: 'Foundation', version: 1 });
+    await insertBook(storage, author._id, { seriesId: series._id, seriesPosition: 1 });
+    const res = await app.request('DELETE', `/series/${series._id}`);
+    assert.equal(res.status, 409);
+  });
+});